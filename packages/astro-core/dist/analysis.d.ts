@@ -0,0 +1,41 @@
+import { AstroChart, ChartAnalysis, ChartPattern, DignityData, ElementBalance } from '@astradio/types';
+export declare const DOMICILES: Record<string, string[]>;
+export declare const EXALTATIONS: Record<string, {
+    sign: string;
+    degree: number;
+}>;
+export declare const TRIPLICITY_RULERS: Record<string, {
+    day: string;
+    night: string;
+    participating: string;
+}>;
+export declare const TERMS: Record<string, Array<[string, number]>>;
+export declare const DIGNITY_SCORES: Record<'domicile' | 'exaltation' | 'triplicity' | 'term' | 'face' | 'detriment' | 'fall', number>;
+export declare const PATTERN_TYPES: Array<ChartPattern['type']>;
+/**
+ * Rulers of a zodiac position and the essential dignities and debilities a
+ * planet has there. Triplicity goes to the ruler of the chart's sect.
+ * `dignity` is the strongest of rulership, exaltation, detriment and fall,
+ * named as in the audio mapping layer.
+ */
+export declare function essentialDignity(planet: string, longitude: number, sect?: 'day' | 'night'): DignityData;
+/**
+ * Essential dignities of every planet in a chart, using the sect from the
+ * chart metadata (day when unknown)
+ */
+export declare function calculateDignities(chart: AstroChart): Record<string, DignityData>;
+/**
+ * Planets counted by element and modality, with the dominant ones and any
+ * element no planet occupies
+ */
+export declare function elementBalance(chart: AstroChart): ElementBalance;
+/**
+ * Grand Crosses, Grand Trines, T-Squares, Yods and Stelliums among the
+ * planets, using the default aspect orbs. T-Squares that are part of a Grand
+ * Cross are not reported separately.
+ */
+export declare function detectPatterns(chart: AstroChart): ChartPattern[];
+/**
+ * Essential dignities, element and modality balance and aspect patterns of a chart
+ */
+export declare function analyzeChart(chart: AstroChart): ChartAnalysis;
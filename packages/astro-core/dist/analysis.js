@@ -0,0 +1,251 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PATTERN_TYPES = exports.DIGNITY_SCORES = exports.TERMS = exports.TRIPLICITY_RULERS = exports.EXALTATIONS = exports.DOMICILES = void 0;
+exports.essentialDignity = essentialDignity;
+exports.calculateDignities = calculateDignities;
+exports.elementBalance = elementBalance;
+exports.detectPatterns = detectPatterns;
+exports.analyzeChart = analyzeChart;
+const chart_utils_1 = require("./chart-utils");
+const aspects_1 = require("./aspects");
+const conditions_1 = require("./conditions");
+// Signs each planet rules, with the modern rulers of Scorpio, Aquarius and Pisces
+exports.DOMICILES = {
+    Sun: ['Leo'],
+    Moon: ['Cancer'],
+    Mercury: ['Gemini', 'Virgo'],
+    Venus: ['Taurus', 'Libra'],
+    Mars: ['Aries', 'Scorpio'],
+    Jupiter: ['Sagittarius', 'Pisces'],
+    Saturn: ['Capricorn', 'Aquarius'],
+    Uranus: ['Aquarius'],
+    Neptune: ['Pisces'],
+    Pluto: ['Scorpio']
+};
+// Exaltation sign and exact degree; the outer planets have no traditional exaltation
+exports.EXALTATIONS = {
+    Sun: { sign: 'Aries', degree: 19 },
+    Moon: { sign: 'Taurus', degree: 3 },
+    Mercury: { sign: 'Virgo', degree: 15 },
+    Venus: { sign: 'Pisces', degree: 27 },
+    Mars: { sign: 'Capricorn', degree: 28 },
+    Jupiter: { sign: 'Cancer', degree: 15 },
+    Saturn: { sign: 'Libra', degree: 21 }
+};
+// Dorothean triplicity rulers by element: day, night and participating
+exports.TRIPLICITY_RULERS = {
+    Fire: { day: 'Sun', night: 'Jupiter', participating: 'Saturn' },
+    Earth: { day: 'Venus', night: 'Moon', participating: 'Mars' },
+    Air: { day: 'Saturn', night: 'Mercury', participating: 'Jupiter' },
+    Water: { day: 'Venus', night: 'Mars', participating: 'Moon' }
+};
+// Egyptian terms: each sign's ruler and the degree its term ends at
+exports.TERMS = {
+    Aries: [['Jupiter', 6], ['Venus', 12], ['Mercury', 20], ['Mars', 25], ['Saturn', 30]],
+    Taurus: [['Venus', 8], ['Mercury', 14], ['Jupiter', 22], ['Saturn', 27], ['Mars', 30]],
+    Gemini: [['Mercury', 6], ['Jupiter', 12], ['Venus', 17], ['Mars', 24], ['Saturn', 30]],
+    Cancer: [['Mars', 7], ['Venus', 13], ['Mercury', 19], ['Jupiter', 26], ['Saturn', 30]],
+    Leo: [['Jupiter', 6], ['Venus', 11], ['Saturn', 18], ['Mercury', 24], ['Mars', 30]],
+    Virgo: [['Mercury', 7], ['Venus', 17], ['Jupiter', 21], ['Mars', 28], ['Saturn', 30]],
+    Libra: [['Saturn', 6], ['Mercury', 14], ['Jupiter', 21], ['Venus', 28], ['Mars', 30]],
+    Scorpio: [['Mars', 7], ['Venus', 11], ['Mercury', 19], ['Jupiter', 24], ['Saturn', 30]],
+    Sagittarius: [['Jupiter', 12], ['Venus', 17], ['Mercury', 21], ['Saturn', 26], ['Mars', 30]],
+    Capricorn: [['Mercury', 7], ['Jupiter', 14], ['Venus', 22], ['Saturn', 26], ['Mars', 30]],
+    Aquarius: [['Mercury', 7], ['Venus', 13], ['Jupiter', 20], ['Mars', 25], ['Saturn', 30]],
+    Pisces: [['Venus', 12], ['Jupiter', 16], ['Mercury', 19], ['Mars', 28], ['Saturn', 30]]
+};
+// Lilly's points for each essential dignity and debility
+exports.DIGNITY_SCORES = {
+    domicile: 5,
+    exaltation: 4,
+    triplicity: 3,
+    term: 2,
+    face: 1,
+    detriment: -5,
+    fall: -4
+};
+exports.PATTERN_TYPES = ['grand_cross', 'grand_trine', 't_square', 'yod', 'stellium'];
+// Only the planets take part in balance and pattern detection, not points or asteroids
+const PLANETS = ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+const PATTERN_ASPECTS = ['opposition', 'trine', 'square', 'sextile', 'quincunx'];
+const STELLIUM_SIZE = 3;
+const signIndex = (longitude) => Math.floor((((longitude % 360) + 360) % 360) / 30);
+const oppositeSign = (sign) => chart_utils_1.signs[(chart_utils_1.signs.findIndex(s => s.name === sign) + 6) % 12].name;
+/**
+ * Rulers of a zodiac position and the essential dignities and debilities a
+ * planet has there. Triplicity goes to the ruler of the chart's sect.
+ * `dignity` is the strongest of rulership, exaltation, detriment and fall,
+ * named as in the audio mapping layer.
+ */
+function essentialDignity(planet, longitude, sect = 'day') {
+    const index = signIndex(longitude);
+    const sign = chart_utils_1.signs[index];
+    const degree = (((longitude % 360) + 360) % 360) - index * 30;
+    const rulers = {
+        domicile: Object.keys(exports.DOMICILES).filter(name => exports.DOMICILES[name].includes(sign.name)),
+        exaltation: Object.keys(exports.EXALTATIONS).find(name => exports.EXALTATIONS[name].sign === sign.name) || null,
+        triplicity: exports.TRIPLICITY_RULERS[sign.element][sect],
+        term: exports.TERMS[sign.name].find(([, end]) => degree < end)[0],
+        face: conditions_1.CHALDEAN_ORDER[(conditions_1.CHALDEAN_ORDER.indexOf('Mars') + Math.floor(index * 3 + degree / 10)) % 7]
+    };
+    const dignities = {
+        domicile: rulers.domicile.includes(planet),
+        exaltation: rulers.exaltation === planet,
+        triplicity: rulers.triplicity === planet,
+        term: rulers.term === planet,
+        face: rulers.face === planet,
+        detriment: (exports.DOMICILES[planet] || []).some(ruled => oppositeSign(ruled) === sign.name),
+        fall: exports.EXALTATIONS[planet] ? oppositeSign(exports.EXALTATIONS[planet].sign) === sign.name : false
+    };
+    const score = Object.keys(exports.DIGNITY_SCORES)
+        .reduce((sum, key) => sum + (dignities[key] ? exports.DIGNITY_SCORES[key] : 0), 0);
+    const dignity = dignities.domicile ? 'rulership'
+        : dignities.exaltation ? 'exaltation'
+            : dignities.detriment ? 'detriment'
+                : dignities.fall ? 'fall'
+                    : null;
+    return {
+        sign: sign.name,
+        ...dignities,
+        peregrine: !dignities.domicile && !dignities.exaltation && !dignities.triplicity && !dignities.term && !dignities.face,
+        score,
+        dignity,
+        rulers
+    };
+}
+/**
+ * Essential dignities of every planet in a chart, using the sect from the
+ * chart metadata (day when unknown)
+ */
+function calculateDignities(chart) {
+    const sect = chart.metadata?.sect?.sect || 'day';
+    const dignities = {};
+    for (const name of PLANETS) {
+        const planet = chart.planets[name];
+        if (planet) {
+            dignities[name] = essentialDignity(name, planet.longitude, sect);
+        }
+    }
+    return dignities;
+}
+/**
+ * Planets counted by element and modality, with the dominant ones and any
+ * element no planet occupies
+ */
+function elementBalance(chart) {
+    const elements = { Fire: 0, Earth: 0, Air: 0, Water: 0 };
+    const modalities = { Cardinal: 0, Fixed: 0, Mutable: 0 };
+    for (const name of PLANETS) {
+        const planet = chart.planets[name];
+        if (planet) {
+            const sign = chart_utils_1.signs[signIndex(planet.longitude)];
+            elements[sign.element]++;
+            modalities[sign.modality]++;
+        }
+    }
+    const dominant = (counts) => Object.entries(counts).sort(([, a], [, b]) => b - a)[0][0];
+    return {
+        elements,
+        modalities,
+        dominant_element: dominant(elements),
+        dominant_modality: dominant(modalities),
+        missing_elements: Object.keys(elements).filter(element => elements[element] === 0)
+    };
+}
+// Whether every pair in a group of planets is joined by the given aspect
+function allAspected(group, type, aspectOf) {
+    return group.every((a, i) => group.slice(i + 1).every(b => aspectOf(a, b) === type));
+}
+function combinations(items, size) {
+    if (size === 0) {
+        return [[]];
+    }
+    return items.flatMap((item, i) => combinations(items.slice(i + 1), size - 1).map(rest => [item, ...rest]));
+}
+function shared(planets, key, chart) {
+    const values = new Set(planets.map(name => chart_utils_1.signs[signIndex(chart.planets[name].longitude)][key]));
+    return values.size === 1 ? [...values][0] : undefined;
+}
+/**
+ * Grand Crosses, Grand Trines, T-Squares, Yods and Stelliums among the
+ * planets, using the default aspect orbs. T-Squares that are part of a Grand
+ * Cross are not reported separately.
+ */
+function detectPatterns(chart) {
+    const names = PLANETS.filter(name => chart.planets[name]);
+    const positions = Object.fromEntries(names.map(name => [name, chart.planets[name]]));
+    const aspectTypes = new Map();
+    for (const aspect of (0, aspects_1.calculateAspects)(positions, { aspects: PATTERN_ASPECTS })) {
+        aspectTypes.set(`${aspect.planet1}|${aspect.planet2}`, aspect.type);
+        aspectTypes.set(`${aspect.planet2}|${aspect.planet1}`, aspect.type);
+    }
+    const aspectOf = (a, b) => aspectTypes.get(`${a}|${b}`);
+    const patterns = [];
+    const crossPlanets = [];
+    for (const group of combinations(names, 4)) {
+        // Two oppositions with every other pair square
+        const oppositions = combinations(group, 2).filter(([a, b]) => aspectOf(a, b) === 'opposition');
+        const squares = combinations(group, 2).filter(([a, b]) => aspectOf(a, b) === 'square');
+        if (oppositions.length === 2 && squares.length === 4) {
+            patterns.push({ type: 'grand_cross', planets: group, modality: shared(group, 'modality', chart) });
+            crossPlanets.push(group);
+        }
+    }
+    for (const group of combinations(names, 3)) {
+        if (allAspected(group, 'trine', aspectOf)) {
+            patterns.push({ type: 'grand_trine', planets: group, element: shared(group, 'element', chart) });
+        }
+    }
+    for (const [a, b] of combinations(names, 2)) {
+        const base = aspectOf(a, b);
+        if (base !== 'opposition' && base !== 'sextile') {
+            continue;
+        }
+        const legs = base === 'opposition' ? 'square' : 'quincunx';
+        for (const apex of names) {
+            if (apex === a || apex === b || aspectOf(apex, a) !== legs || aspectOf(apex, b) !== legs) {
+                continue;
+            }
+            const group = [a, b, apex];
+            if (base === 'opposition' && crossPlanets.some(cross => group.every(name => cross.includes(name)))) {
+                continue;
+            }
+            patterns.push(base === 'opposition'
+                ? { type: 't_square', planets: group, apex, modality: shared(group, 'modality', chart) }
+                : { type: 'yod', planets: group, apex });
+        }
+    }
+    const bySign = new Map();
+    const byHouse = new Map();
+    for (const name of names) {
+        const sign = chart_utils_1.signs[signIndex(chart.planets[name].longitude)].name;
+        bySign.set(sign, [...(bySign.get(sign) || []), name]);
+        const house = chart.planets[name].house;
+        if (house) {
+            byHouse.set(house, [...(byHouse.get(house) || []), name]);
+        }
+    }
+    for (const [sign, planets] of bySign) {
+        if (planets.length >= STELLIUM_SIZE) {
+            patterns.push({ type: 'stellium', planets, sign });
+        }
+    }
+    for (const [house, planets] of byHouse) {
+        // A house stellium of exactly the planets of a sign stellium adds nothing
+        const duplicate = patterns.some(p => p.type === 'stellium' && p.planets.length === planets.length && planets.every(name => p.planets.includes(name)));
+        if (planets.length >= STELLIUM_SIZE && !duplicate) {
+            patterns.push({ type: 'stellium', planets, house });
+        }
+    }
+    return patterns;
+}
+/**
+ * Essential dignities, element and modality balance and aspect patterns of a chart
+ */
+function analyzeChart(chart) {
+    return {
+        dignities: calculateDignities(chart),
+        balance: elementBalance(chart),
+        patterns: detectPatterns(chart)
+    };
+}
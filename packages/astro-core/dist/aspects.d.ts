@@ -0,0 +1,59 @@
+import { AspectType } from '@astradio/types';
+export interface AspectDefinition {
+    /** Exact angle in degrees */
+    angle: number;
+    /** Orb in degrees between two bodies with an orb factor of 1 */
+    orb: number;
+}
+export interface ChartAspect {
+    planet1: string;
+    planet2: string;
+    type: AspectType;
+    angle: number;
+    orb: number;
+    exactness: number;
+    applying: boolean | null;
+}
+export interface AspectPosition {
+    longitude: number;
+    speed?: number;
+}
+export interface AspectOptions {
+    /** 'major' (default), 'all', or an explicit list of aspect types */
+    aspects?: 'major' | 'all' | AspectType[];
+    /** Per-aspect orb overrides in degrees */
+    orbs?: Partial<Record<AspectType, number>>;
+    /** Per-planet orb factor overrides */
+    planetOrbFactors?: Record<string, number>;
+}
+export declare const MAJOR_ASPECTS: AspectType[];
+export declare const MINOR_ASPECTS: AspectType[];
+export declare const ASPECTS: Record<AspectType, AspectDefinition>;
+export declare const PLANET_ORB_FACTORS: Record<string, number>;
+/**
+ * Shortest distance between two ecliptic longitudes, 0-180 degrees
+ */
+export declare function angularSeparation(longitude1: number, longitude2: number): number;
+/**
+ * Orb allowed for an aspect between two bodies: the aspect orb scaled by the
+ * mean of the two bodies' orb factors
+ */
+export declare function aspectOrb(type: AspectType, body1: string, body2: string, options?: AspectOptions): number;
+/**
+ * Closest aspect within orb between two bodies, or null. `applying` is true when
+ * the bodies are moving toward exactness, false when moving apart and null when
+ * either speed is unknown.
+ */
+export declare function findAspect(body1: string, position1: AspectPosition, body2: string, position2: AspectPosition, options?: AspectOptions): ChartAspect | null;
+/**
+ * Every aspect within orb between the bodies of a chart, tightest first.
+ * Options select the aspect set ('major', 'all' or a list) and override the
+ * per-aspect orbs and per-planet orb factors.
+ */
+export declare function calculateAspects(planets: Record<string, AspectPosition>, options?: AspectOptions): ChartAspect[];
+/**
+ * Every aspect within orb from the bodies of one chart to those of another,
+ * tightest first. `planet1` is always from the first chart and `planet2` from
+ * the second, so a body can aspect its own counterpart.
+ */
+export declare function calculateCrossAspects(planets1: Record<string, AspectPosition>, planets2: Record<string, AspectPosition>, options?: AspectOptions): ChartAspect[];
@@ -0,0 +1,141 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PLANET_ORB_FACTORS = exports.ASPECTS = exports.MINOR_ASPECTS = exports.MAJOR_ASPECTS = void 0;
+exports.angularSeparation = angularSeparation;
+exports.aspectOrb = aspectOrb;
+exports.findAspect = findAspect;
+exports.calculateAspects = calculateAspects;
+exports.calculateCrossAspects = calculateCrossAspects;
+exports.MAJOR_ASPECTS = ['conjunction', 'opposition', 'trine', 'square', 'sextile'];
+exports.MINOR_ASPECTS = ['quincunx', 'semi_sextile', 'semi_square', 'sesquiquadrate', 'quintile'];
+// Exact angle and the orb allowed between two standard-weight planets
+exports.ASPECTS = {
+    conjunction: { angle: 0, orb: 8 },
+    opposition: { angle: 180, orb: 8 },
+    trine: { angle: 120, orb: 7 },
+    square: { angle: 90, orb: 7 },
+    sextile: { angle: 60, orb: 5 },
+    quincunx: { angle: 150, orb: 3 },
+    semi_sextile: { angle: 30, orb: 2 },
+    semi_square: { angle: 45, orb: 2 },
+    sesquiquadrate: { angle: 135, orb: 2 },
+    quintile: { angle: 72, orb: 2 }
+};
+// Scales the aspect orb: the lights get wider orbs, points and small bodies narrower ones
+exports.PLANET_ORB_FACTORS = {
+    Sun: 1.25,
+    Moon: 1.25,
+    Mercury: 1,
+    Venus: 1,
+    Mars: 1,
+    Jupiter: 1,
+    Saturn: 1,
+    Uranus: 0.75,
+    Neptune: 0.75,
+    Pluto: 0.75,
+    NorthNode: 0.5,
+    SouthNode: 0.5,
+    Lilith: 0.5,
+    Chiron: 0.5,
+    Ceres: 0.4,
+    Pallas: 0.4,
+    Juno: 0.4,
+    Vesta: 0.4,
+    Eris: 0.4
+};
+// Pairs that are opposite by definition and would always report an exact aspect
+const FIXED_PAIRS = [['NorthNode', 'SouthNode']];
+/**
+ * Shortest distance between two ecliptic longitudes, 0-180 degrees
+ */
+function angularSeparation(longitude1, longitude2) {
+    const diff = Math.abs(longitude1 - longitude2) % 360;
+    return diff > 180 ? 360 - diff : diff;
+}
+/**
+ * Orb allowed for an aspect between two bodies: the aspect orb scaled by the
+ * mean of the two bodies' orb factors
+ */
+function aspectOrb(type, body1, body2, options = {}) {
+    const base = options.orbs?.[type] ?? exports.ASPECTS[type].orb;
+    const factors = { ...exports.PLANET_ORB_FACTORS, ...options.planetOrbFactors };
+    return base * ((factors[body1] ?? 1) + (factors[body2] ?? 1)) / 2;
+}
+function selectedAspects(selection = 'major') {
+    if (Array.isArray(selection)) {
+        return selection.filter(type => exports.ASPECTS[type]);
+    }
+    return selection === 'all' ? [...exports.MAJOR_ASPECTS, ...exports.MINOR_ASPECTS] : exports.MAJOR_ASPECTS;
+}
+/**
+ * Closest aspect within orb between two bodies, or null. `applying` is true when
+ * the bodies are moving toward exactness, false when moving apart and null when
+ * either speed is unknown.
+ */
+function findAspect(body1, position1, body2, position2, options = {}) {
+    const separation = angularSeparation(position1.longitude, position2.longitude);
+    let best = null;
+    for (const type of selectedAspects(options.aspects)) {
+        const orb = Math.abs(separation - exports.ASPECTS[type].angle);
+        const maxOrb = aspectOrb(type, body1, body2, options);
+        if (orb <= maxOrb && (!best || orb / maxOrb < 1 - best.exactness)) {
+            best = {
+                planet1: body1,
+                planet2: body2,
+                type,
+                angle: separation,
+                orb,
+                exactness: 1 - orb / maxOrb,
+                applying: null
+            };
+        }
+    }
+    if (best && typeof position1.speed === 'number' && typeof position2.speed === 'number') {
+        // Rate at which the separation changes, signed by which body is ahead
+        const signedDiff = ((position2.longitude - position1.longitude + 540) % 360) - 180;
+        const separationRate = Math.sign(signedDiff) * (position2.speed - position1.speed);
+        const offset = best.angle - exports.ASPECTS[best.type].angle;
+        best.applying = offset * separationRate < 0;
+    }
+    return best;
+}
+/**
+ * Every aspect within orb between the bodies of a chart, tightest first.
+ * Options select the aspect set ('major', 'all' or a list) and override the
+ * per-aspect orbs and per-planet orb factors.
+ */
+function calculateAspects(planets, options = {}) {
+    const entries = Object.entries(planets);
+    const aspects = [];
+    for (let i = 0; i < entries.length; i++) {
+        for (let j = i + 1; j < entries.length; j++) {
+            const [body1, position1] = entries[i];
+            const [body2, position2] = entries[j];
+            if (FIXED_PAIRS.some(pair => pair.includes(body1) && pair.includes(body2))) {
+                continue;
+            }
+            const aspect = findAspect(body1, position1, body2, position2, options);
+            if (aspect) {
+                aspects.push(aspect);
+            }
+        }
+    }
+    return aspects.sort((a, b) => b.exactness - a.exactness);
+}
+/**
+ * Every aspect within orb from the bodies of one chart to those of another,
+ * tightest first. `planet1` is always from the first chart and `planet2` from
+ * the second, so a body can aspect its own counterpart.
+ */
+function calculateCrossAspects(planets1, planets2, options = {}) {
+    const aspects = [];
+    for (const [body1, position1] of Object.entries(planets1)) {
+        for (const [body2, position2] of Object.entries(planets2)) {
+            const aspect = findAspect(body1, position1, body2, position2, options);
+            if (aspect) {
+                aspects.push(aspect);
+            }
+        }
+    }
+    return aspects.sort((a, b) => b.exactness - a.exactness);
+}
@@ -0,0 +1,13 @@
+export type Zodiac = 'tropical' | 'sidereal';
+export type Ayanamsa = 'lahiri' | 'raman' | 'krishnamurti' | 'fagan_bradley';
+export declare const ZODIACS: Zodiac[];
+export declare const AYANAMSAS: Ayanamsa[];
+/**
+ * Mean ayanamsa in degrees at a Julian Day: the J2000 value carried forward by
+ * the IAU 2006 general precession in longitude
+ */
+export declare function ayanamsaDegrees(ayanamsa: Ayanamsa, jd: number): number;
+/**
+ * Degrees to subtract from tropical longitudes for the requested zodiac (0 when tropical)
+ */
+export declare function zodiacOffset(zodiac: Zodiac | undefined, ayanamsa: Ayanamsa | undefined, jd: number): number;
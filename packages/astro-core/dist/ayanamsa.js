@@ -0,0 +1,39 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.AYANAMSAS = exports.ZODIACS = void 0;
+exports.ayanamsaDegrees = ayanamsaDegrees;
+exports.zodiacOffset = zodiacOffset;
+exports.ZODIACS = ['tropical', 'sidereal'];
+exports.AYANAMSAS = ['lahiri', 'raman', 'krishnamurti', 'fagan_bradley'];
+// Mean ayanamsa at J2000.0 in degrees, matching the Swiss Ephemeris definitions
+const AYANAMSA_J2000 = {
+    lahiri: 23.857092,
+    raman: 22.410791,
+    krishnamurti: 23.760240,
+    fagan_bradley: 24.740300
+};
+/**
+ * Mean ayanamsa in degrees at a Julian Day: the J2000 value carried forward by
+ * the IAU 2006 general precession in longitude
+ */
+function ayanamsaDegrees(ayanamsa, jd) {
+    const base = AYANAMSA_J2000[ayanamsa];
+    if (base === undefined) {
+        throw new Error(`Unknown ayanamsa: ${ayanamsa}`);
+    }
+    const T = (jd - 2451545.0) / 36525;
+    const precession = (5028.796195 * T + 1.1054348 * T * T) / 3600;
+    return base + precession;
+}
+/**
+ * Degrees to subtract from tropical longitudes for the requested zodiac (0 when tropical)
+ */
+function zodiacOffset(zodiac = 'tropical', ayanamsa = 'lahiri', jd) {
+    if (zodiac === 'tropical') {
+        return 0;
+    }
+    if (zodiac !== 'sidereal') {
+        throw new Error(`Unknown zodiac: ${zodiac}`);
+    }
+    return ayanamsaDegrees(ayanamsa, jd);
+}
@@ -0,0 +1,9 @@
+import { BirthData, SignData } from '@astradio/types';
+export declare const signs: Array<Omit<SignData, 'degree'>>;
+export declare function toTropical(siderealDeg: number, ayanamsa: number): number;
+export declare function toSidereal(tropicalDeg: number, ayanamsa: number): number;
+export declare function getSignData(degree: number): SignData;
+/** ISO 8601 offset for a UTC offset in hours, including half- and quarter-hour zones */
+export declare function formatUtcOffset(tz: number): string;
+export declare function normalizeBirthData(birthData: BirthData): BirthData;
+export declare function chartCacheKey(birthData: BirthData, options?: Record<string, unknown>): string;
@@ -0,0 +1,60 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.signs = void 0;
+exports.toTropical = toTropical;
+exports.toSidereal = toSidereal;
+exports.getSignData = getSignData;
+exports.formatUtcOffset = formatUtcOffset;
+exports.normalizeBirthData = normalizeBirthData;
+exports.chartCacheKey = chartCacheKey;
+exports.signs = [
+    { name: 'Aries', element: 'Fire', modality: 'Cardinal' },
+    { name: 'Taurus', element: 'Earth', modality: 'Fixed' },
+    { name: 'Gemini', element: 'Air', modality: 'Mutable' },
+    { name: 'Cancer', element: 'Water', modality: 'Cardinal' },
+    { name: 'Leo', element: 'Fire', modality: 'Fixed' },
+    { name: 'Virgo', element: 'Earth', modality: 'Mutable' },
+    { name: 'Libra', element: 'Air', modality: 'Cardinal' },
+    { name: 'Scorpio', element: 'Water', modality: 'Fixed' },
+    { name: 'Sagittarius', element: 'Fire', modality: 'Mutable' },
+    { name: 'Capricorn', element: 'Earth', modality: 'Cardinal' },
+    { name: 'Aquarius', element: 'Air', modality: 'Fixed' },
+    { name: 'Pisces', element: 'Water', modality: 'Mutable' }
+];
+function toTropical(siderealDeg, ayanamsa) {
+    const tropical = siderealDeg + ayanamsa;
+    return tropical >= 360 ? tropical - 360 : tropical;
+}
+function toSidereal(tropicalDeg, ayanamsa) {
+    const sidereal = tropicalDeg - ayanamsa;
+    return sidereal < 0 ? sidereal + 360 : sidereal;
+}
+function getSignData(degree) {
+    const index = Math.floor(degree / 30);
+    return { ...exports.signs[index], degree: degree % 30 };
+}
+// ISO 8601 offset for a UTC offset in hours, including half- and quarter-hour zones
+function formatUtcOffset(tz) {
+    const sign = tz >= 0 ? '+' : '-';
+    const totalMinutes = Math.round(Math.abs(tz) * 60);
+    const hours = Math.floor(totalMinutes / 60).toString().padStart(2, '0');
+    const minutes = (totalMinutes % 60).toString().padStart(2, '0');
+    return `${sign}${hours}:${minutes}`;
+}
+// Canonical form of birth data so equivalent requests share a cache entry
+function normalizeBirthData(birthData) {
+    const [hh = '0', mm = '0', ss] = birthData.time.split(':');
+    return {
+        date: birthData.date,
+        // Seconds only when given, so 'HH:MM' requests keep their cache keys
+        time: `${hh.padStart(2, '0')}:${mm.padStart(2, '0')}${ss !== undefined && Number(ss) !== 0 ? `:${ss}` : ''}`,
+        latitude: Math.round(birthData.latitude * 10000) / 10000,
+        longitude: Math.round(birthData.longitude * 10000) / 10000,
+        timezone: birthData.timezone || 0
+    };
+}
+function chartCacheKey(birthData, options = {}) {
+    const normalized = normalizeBirthData(birthData);
+    const optionKeys = Object.keys(options).filter(key => options[key] !== undefined).sort();
+    return JSON.stringify([normalized, optionKeys.map(key => [key, options[key]])]);
+}
@@ -0,0 +1,46 @@
+import { BirthData, ChartConditions, LunarPhaseData, VoidOfCourseData, PlanetaryHourData, SectData } from '@astradio/types';
+import { Zodiac, Ayanamsa } from './ayanamsa';
+export type LunarPhaseName = LunarPhaseData['name'];
+export interface VoidOfCourseOptions {
+    /** Bodies whose aspects keep the Moon in course, Sun to Saturn by default */
+    bodies?: string[];
+    zodiac?: Zodiac;
+    ayanamsa?: Ayanamsa;
+}
+export declare const CHALDEAN_ORDER: string[];
+export declare const DAY_RULERS: string[];
+export declare const LUNAR_PHASES: LunarPhaseName[];
+export declare const VOID_OF_COURSE_BODIES: string[];
+/**
+ * Moon-Sun elongation at a Julian Day (UT) with the phase name and the lit
+ * fraction of the disc. Zodiac independent.
+ */
+export declare function lunarPhase(jd: number): LunarPhaseData;
+/**
+ * The void-of-course window of the Moon's current sign: from its last exact
+ * Ptolemaic aspect to one of `options.bodies` until it enters the next sign.
+ * `active` is whether `jd` falls inside it; otherwise the window is still
+ * ahead. With no aspect made in the sign the Moon is void from its ingress.
+ */
+export declare function voidOfCourse(jd: number, options?: VoidOfCourseOptions): VoidOfCourseData;
+/**
+ * Geometric altitude of the Sun's centre in degrees for a moment and place
+ */
+export declare function sunAltitude(jd: number, latitude: number, longitude: number): number;
+/**
+ * Planetary day and hour at a moment and place. The day runs from sunrise and
+ * its ruler rules the first hour; day and night are each split into twelve
+ * seasonal hours ruled in Chaldean order. Where the Sun does not rise or set
+ * the hours fall back to equal hours from 06:00 local mean time.
+ */
+export declare function planetaryHour(jd: number, latitude: number, longitude: number): PlanetaryHourData;
+/**
+ * Day chart when the Sun is above the horizon, night chart otherwise, with the
+ * luminary and the benefic and malefic that belong to the sect
+ */
+export declare function chartSect(jd: number, latitude: number, longitude: number): SectData;
+/**
+ * Lunar phase, void-of-course Moon, planetary hour and sect for a birth moment
+ * and place. Signs in the void-of-course window follow the requested zodiac.
+ */
+export declare function chartConditions(birthData: BirthData, options?: VoidOfCourseOptions): ChartConditions;
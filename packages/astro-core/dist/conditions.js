@@ -0,0 +1,234 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.VOID_OF_COURSE_BODIES = exports.LUNAR_PHASES = exports.DAY_RULERS = exports.CHALDEAN_ORDER = void 0;
+exports.lunarPhase = lunarPhase;
+exports.voidOfCourse = voidOfCourse;
+exports.sunAltitude = sunAltitude;
+exports.planetaryHour = planetaryHour;
+exports.chartSect = chartSect;
+exports.chartConditions = chartConditions;
+const ephemeris_1 = require("./ephemeris");
+const ayanamsa_1 = require("./ayanamsa");
+const chart_utils_1 = require("./chart-utils");
+// Planetary hours cycle through the visible planets from slowest to fastest
+exports.CHALDEAN_ORDER = ['Saturn', 'Jupiter', 'Mars', 'Sun', 'Venus', 'Mercury', 'Moon'];
+// Ruler of each weekday from Sunday, which is also the ruler of its first hour
+exports.DAY_RULERS = ['Sun', 'Moon', 'Mars', 'Mercury', 'Jupiter', 'Venus', 'Saturn'];
+// Eight phases of 45° centred on the new moon, quarters and full moon
+exports.LUNAR_PHASES = [
+    'new_moon', 'waxing_crescent', 'first_quarter', 'waxing_gibbous',
+    'full_moon', 'waning_gibbous', 'last_quarter', 'waning_crescent'
+];
+// Traditionally only the visible planets can end a void-of-course Moon
+exports.VOID_OF_COURSE_BODIES = ['Sun', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn'];
+const PTOLEMAIC_ASPECTS = [
+    ['conjunction', 0], ['sextile', 60], ['square', 90], ['trine', 120],
+    ['opposition', 180], ['trine', 240], ['square', 270], ['sextile', 300]
+];
+// Altitude of the Sun's centre at sunrise and sunset, allowing for refraction and its radius
+const SUNRISE_ALTITUDE = -0.833;
+const HOUR_DAYS = 1 / 24;
+const wrap180 = (deg) => ((deg % 360) + 540) % 360 - 180;
+const rad = (deg) => deg * Math.PI / 180;
+const deg = (r) => r * 180 / Math.PI;
+const jdToIso = (jd) => new Date((jd - 2440587.5) * 86400000).toISOString();
+// Narrow a bracketed sign change of `f` down to a fraction of a second
+function bisect(f, start, end) {
+    let a = start;
+    let b = end;
+    const fa = f(a) < 0;
+    for (let i = 0; i < 32; i++) {
+        const mid = (a + b) / 2;
+        if ((f(mid) < 0) === fa) {
+            a = mid;
+        }
+        else {
+            b = mid;
+        }
+    }
+    return (a + b) / 2;
+}
+/**
+ * Moon-Sun elongation at a Julian Day (UT) with the phase name and the lit
+ * fraction of the disc. Zodiac independent.
+ */
+function lunarPhase(jd) {
+    const angle = (0, ephemeris_1.normalizeDegrees)((0, ephemeris_1.bodyLongitude)('Moon', jd) - (0, ephemeris_1.bodyLongitude)('Sun', jd));
+    return {
+        angle,
+        name: exports.LUNAR_PHASES[Math.floor(((angle + 22.5) % 360) / 45)],
+        illumination: (1 - Math.cos(rad(angle))) / 2,
+        waxing: angle < 180
+    };
+}
+// Julian Days when the Moon entered its current sign and will leave it
+function moonSignSpan(jd, zodiacLongitude) {
+    const sign = Math.floor(zodiacLongitude('Moon', jd) / 30);
+    const inSign = (t) => Math.floor(zodiacLongitude('Moon', t) / 30) === sign;
+    const step = 0.25;
+    let before = jd;
+    while (inSign(before - step)) {
+        before -= step;
+    }
+    let after = jd;
+    while (inSign(after + step)) {
+        after += step;
+    }
+    const boundary = (t) => (inSign(t) ? -1 : 1);
+    return {
+        sign,
+        entered: bisect(t => -boundary(t), before - step, before),
+        exits: bisect(boundary, after, after + step)
+    };
+}
+/**
+ * The void-of-course window of the Moon's current sign: from its last exact
+ * Ptolemaic aspect to one of `options.bodies` until it enters the next sign.
+ * `active` is whether `jd` falls inside it; otherwise the window is still
+ * ahead. With no aspect made in the sign the Moon is void from its ingress.
+ */
+function voidOfCourse(jd, options = {}) {
+    const bodies = options.bodies || exports.VOID_OF_COURSE_BODIES;
+    const zodiacLongitude = (body, t) => (0, ephemeris_1.normalizeDegrees)((0, ephemeris_1.bodyLongitude)(body, t) - (0, ayanamsa_1.zodiacOffset)(options.zodiac, options.ayanamsa, t));
+    const span = moonSignSpan(jd, zodiacLongitude);
+    // Aspects are exact at the same moment in either zodiac, so they are found tropically
+    const separation = (body, t) => (0, ephemeris_1.bodyLongitude)('Moon', t) - (0, ephemeris_1.bodyLongitude)(body, t);
+    let lastAspect = null;
+    for (const body of bodies) {
+        let from = separation(body, span.entered);
+        for (let t = span.entered; t < span.exits; t += HOUR_DAYS) {
+            const end = Math.min(t + HOUR_DAYS, span.exits);
+            const to = separation(body, end);
+            for (const [type, angle] of PTOLEMAIC_ASPECTS) {
+                const before = wrap180(from - angle);
+                const after = wrap180(to - angle);
+                if ((before < 0) === (after < 0) || Math.abs(after - before) > 90) {
+                    continue;
+                }
+                const exact = bisect(x => wrap180(separation(body, x) - angle), t, end);
+                if (!lastAspect || exact > lastAspect.jd) {
+                    lastAspect = { jd: exact, body, type };
+                }
+            }
+            from = to;
+        }
+    }
+    const start = lastAspect ? lastAspect.jd : span.entered;
+    return {
+        active: jd >= start,
+        start: jdToIso(start),
+        end: jdToIso(span.exits),
+        sign: chart_utils_1.signs[span.sign].name,
+        next_sign: chart_utils_1.signs[(span.sign + 1) % 12].name,
+        last_aspect: lastAspect ? { body: lastAspect.body, type: lastAspect.type, datetime: jdToIso(lastAspect.jd) } : null
+    };
+}
+/**
+ * Geometric altitude of the Sun's centre in degrees for a moment and place
+ */
+function sunAltitude(jd, latitude, longitude) {
+    const lambda = rad((0, ephemeris_1.bodyLongitude)('Sun', jd));
+    const eps = rad((0, ephemeris_1.obliquity)(jd));
+    const rightAscension = deg(Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda)));
+    const declination = Math.asin(Math.sin(eps) * Math.sin(lambda));
+    const hourAngle = rad((0, ephemeris_1.localSiderealTime)(jd, longitude) - rightAscension);
+    const phi = rad(latitude);
+    return deg(Math.asin(Math.sin(phi) * Math.sin(declination) + Math.cos(phi) * Math.cos(declination) * Math.cos(hourAngle)));
+}
+// Sunrises and sunsets within a day and a half either side of `jd`
+function sunEvents(jd, latitude, longitude) {
+    const f = (t) => sunAltitude(t, latitude, longitude) - SUNRISE_ALTITUDE;
+    const rises = [];
+    const sets = [];
+    let previous = f(jd - 1.5);
+    for (let t = jd - 1.5; t < jd + 1.5; t += HOUR_DAYS) {
+        const next = f(t + HOUR_DAYS);
+        if ((previous < 0) !== (next < 0)) {
+            (next > previous ? rises : sets).push(bisect(f, t, t + HOUR_DAYS));
+        }
+        previous = next;
+    }
+    return { rises, sets };
+}
+// Weekday (0 = Sunday) of the local mean solar date at a Julian Day
+function localWeekday(jd, longitude) {
+    return ((Math.floor(jd + 0.5 + longitude / 360 + 1) % 7) + 7) % 7;
+}
+/**
+ * Planetary day and hour at a moment and place. The day runs from sunrise and
+ * its ruler rules the first hour; day and night are each split into twelve
+ * seasonal hours ruled in Chaldean order. Where the Sun does not rise or set
+ * the hours fall back to equal hours from 06:00 local mean time.
+ */
+function planetaryHour(jd, latitude, longitude) {
+    const { rises, sets } = sunEvents(jd, latitude, longitude);
+    const lastRise = Math.max(...rises.filter(t => t <= jd));
+    const lastSet = Math.max(...sets.filter(t => t <= jd));
+    const nextRise = Math.min(...rises.filter(t => t > jd));
+    const nextSet = Math.min(...sets.filter(t => t > jd));
+    let dayStart;
+    let hour;
+    let start;
+    let end;
+    let method = 'seasonal';
+    if (lastRise > lastSet && isFinite(nextSet)) {
+        const length = (nextSet - lastRise) / 12;
+        dayStart = lastRise;
+        hour = Math.floor((jd - lastRise) / length);
+        start = lastRise + hour * length;
+        end = start + length;
+    }
+    else if (lastSet > lastRise && isFinite(nextRise) && isFinite(lastRise)) {
+        const length = (nextRise - lastSet) / 12;
+        const index = Math.floor((jd - lastSet) / length);
+        dayStart = lastRise;
+        hour = 12 + index;
+        start = lastSet + index * length;
+        end = start + length;
+    }
+    else {
+        method = 'equal';
+        const meanTime = longitude / 360;
+        dayStart = Math.floor(jd + 0.5 + meanTime) - 0.5 - meanTime + 0.25;
+        if (dayStart > jd) {
+            dayStart -= 1;
+        }
+        hour = Math.floor((jd - dayStart) * 24);
+        start = dayStart + hour * HOUR_DAYS;
+        end = start + HOUR_DAYS;
+    }
+    const dayRuler = exports.DAY_RULERS[localWeekday(dayStart, longitude)];
+    const first = exports.CHALDEAN_ORDER.indexOf(dayRuler);
+    return {
+        day_ruler: dayRuler,
+        hour_ruler: exports.CHALDEAN_ORDER[(first + hour) % 7],
+        hour: hour + 1,
+        daytime: hour < 12,
+        start: jdToIso(start),
+        end: jdToIso(end),
+        method
+    };
+}
+/**
+ * Day chart when the Sun is above the horizon, night chart otherwise, with the
+ * luminary and the benefic and malefic that belong to the sect
+ */
+function chartSect(jd, latitude, longitude) {
+    const altitude = sunAltitude(jd, latitude, longitude);
+    return altitude > 0
+        ? { sect: 'day', light: 'Sun', benefic: 'Jupiter', malefic: 'Saturn', sun_altitude: altitude }
+        : { sect: 'night', light: 'Moon', benefic: 'Venus', malefic: 'Mars', sun_altitude: altitude };
+}
+/**
+ * Lunar phase, void-of-course Moon, planetary hour and sect for a birth moment
+ * and place. Signs in the void-of-course window follow the requested zodiac.
+ */
+function chartConditions(birthData, options = {}) {
+    const jd = (0, ephemeris_1.julianDayFromBirthData)(birthData);
+    return {
+        lunar_phase: lunarPhase(jd),
+        void_of_course: voidOfCourse(jd, options),
+        planetary_hour: planetaryHour(jd, birthData.latitude, birthData.longitude),
+        sect: chartSect(jd, birthData.latitude, birthData.longitude)
+    };
+}
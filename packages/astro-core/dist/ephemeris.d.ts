@@ -0,0 +1,62 @@
+import { BirthData } from '@astradio/types';
+export type EphemerisBody = 'Sun' | 'Moon' | 'Mercury' | 'Venus' | 'Mars' | 'Jupiter' | 'Saturn' | 'Uranus' | 'Neptune' | 'Pluto';
+export type LunarPoint = 'NorthNode' | 'SouthNode' | 'Lilith';
+export type MinorBody = 'Chiron' | 'Ceres' | 'Pallas' | 'Juno' | 'Vesta' | 'Eris';
+export type BodySetName = 'classical' | 'modern' | 'extended' | 'full';
+export type BodySelection = BodySetName | string[];
+export interface BodyPosition {
+    name: string;
+    longitude: number;
+    latitude: number;
+    distance: number;
+    speed: number;
+    retrograde: boolean;
+}
+export interface ChartAngles {
+    ascendant: number;
+    mc: number;
+    ramc: number;
+    obliquity: number;
+}
+export declare const EPHEMERIS_BODIES: EphemerisBody[];
+export declare const LUNAR_POINTS: LunarPoint[];
+export declare const MINOR_BODIES: MinorBody[];
+export declare const BODY_SETS: Record<BodySetName, string[]>;
+export declare function normalizeDegrees(deg: number): number;
+/**
+ * Julian Day (UT) for a calendar date and clock time at a fixed UTC offset in hours
+ */
+export declare function julianDay(year: number, month: number, day: number, hours?: number, utcOffsetHours?: number): number;
+export declare function julianDayFromBirthData(birthData: BirthData): number;
+/**
+ * Approximate TT - UT in seconds (Espenak & Meeus polynomials)
+ */
+export declare function deltaT(jdUT: number): number;
+/**
+ * Mean obliquity of the ecliptic in degrees
+ */
+export declare function obliquity(jd: number): number;
+/**
+ * Local mean sidereal time in degrees (IAU 1982 GMST plus east longitude)
+ */
+export declare function localSiderealTime(jdUT: number, longitude: number): number;
+/**
+ * Ascendant, Midheaven and RAMC for a moment and place
+ */
+export declare function computeAngles(jdUT: number, latitude: number, longitude: number): ChartAngles;
+/**
+ * Tropical geocentric longitude of a body at a Julian Day (UT)
+ */
+export declare function bodyLongitude(name: string, jdUT: number): number;
+/**
+ * Longitude, latitude, distance and daily speed of a body at a Julian Day (UT)
+ */
+export declare function computeBodyPosition(name: string, jdUT: number): BodyPosition;
+/**
+ * Positions for every supported body at a Julian Day (UT)
+ */
+export declare function computePositions(jdUT: number, bodies?: string[]): Record<string, BodyPosition>;
+/**
+ * Expand a named body set or explicit list into body names, dropping unknown ones
+ */
+export declare function resolveBodySet(selection?: BodySelection): string[];
@@ -0,0 +1,405 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.BODY_SETS = exports.MINOR_BODIES = exports.LUNAR_POINTS = exports.EPHEMERIS_BODIES = void 0;
+exports.julianDay = julianDay;
+exports.julianDayFromBirthData = julianDayFromBirthData;
+exports.deltaT = deltaT;
+exports.obliquity = obliquity;
+exports.localSiderealTime = localSiderealTime;
+exports.computeAngles = computeAngles;
+exports.bodyLongitude = bodyLongitude;
+exports.computeBodyPosition = computeBodyPosition;
+exports.computePositions = computePositions;
+exports.normalizeDegrees = normalizeDegrees;
+exports.resolveBodySet = resolveBodySet;
+const minor_bodies_1 = require("./minor-bodies");
+const timezone_1 = require("./timezone");
+// Offline ephemeris based on perturbed Keplerian elements (P. Schlyter,
+// "How to compute planetary positions"). Geocentric ecliptic longitudes are
+// referred to the mean equinox of date, i.e. tropical. Errors stay within
+// about 2 arcminutes for the Sun and planets and 4 for the Moon over 1900-2100;
+// Chiron and the main-belt asteroids stay within about 4, Eris is approximate.
+const DEG = Math.PI / 180;
+const J2000_DAY_ZERO = 2451543.5; // 2000 Jan 0.0 TT, epoch of the element set
+exports.EPHEMERIS_BODIES = [
+    'Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'
+];
+exports.LUNAR_POINTS = ['NorthNode', 'SouthNode', 'Lilith'];
+exports.MINOR_BODIES = ['Chiron', 'Ceres', 'Pallas', 'Juno', 'Vesta', 'Eris'];
+// Named selections accepted by the `bodies` chart option
+exports.BODY_SETS = {
+    classical: ['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn'],
+    modern: exports.EPHEMERIS_BODIES,
+    extended: [...exports.EPHEMERIS_BODIES, 'NorthNode', 'SouthNode', 'Chiron'],
+    full: [...exports.EPHEMERIS_BODIES, ...exports.LUNAR_POINTS, ...exports.MINOR_BODIES]
+};
+function normalizeDegrees(deg) {
+    const r = deg % 360;
+    return r < 0 ? r + 360 : r;
+}
+const sind = (x) => Math.sin(x * DEG);
+const cosd = (x) => Math.cos(x * DEG);
+const atan2d = (y, x) => Math.atan2(y, x) / DEG;
+/**
+ * Julian Day (UT) for a calendar date and clock time at a fixed UTC offset in hours
+ */
+function julianDay(year, month, day, hours = 0, utcOffsetHours = 0) {
+    const ms = Date.UTC(year, month - 1, day) + (hours - utcOffsetHours) * 3600000;
+    return ms / 86400000 + 2440587.5;
+}
+function julianDayFromBirthData(birthData) {
+    const [year, month, day] = birthData.date.split('-').map(Number);
+    const [hh, mm, ss] = (0, timezone_1.parseClockTime)(birthData.time);
+    return julianDay(year, month, day, hh + mm / 60 + ss / 3600, (0, timezone_1.utcOffsetHours)(birthData));
+}
+/**
+ * Approximate TT - UT in seconds (Espenak & Meeus polynomials)
+ */
+function deltaT(jdUT) {
+    const y = 2000 + (jdUT - 2451544.5) / 365.25;
+    let t;
+    if (y < 1900) {
+        const u = (y - 1820) / 100;
+        return -20 + 32 * u * u;
+    }
+    if (y < 1920) {
+        t = y - 1900;
+        return -2.79 + 1.494119 * t - 0.0598939 * t * t + 0.0061966 * t ** 3 - 0.000197 * t ** 4;
+    }
+    if (y < 1941) {
+        t = y - 1920;
+        return 21.20 + 0.84493 * t - 0.0761 * t * t + 0.0020936 * t ** 3;
+    }
+    if (y < 1961) {
+        t = y - 1950;
+        return 29.07 + 0.407 * t - t * t / 233 + t ** 3 / 2547;
+    }
+    if (y < 1986) {
+        t = y - 1975;
+        return 45.45 + 1.067 * t - t * t / 260 - t ** 3 / 718;
+    }
+    if (y < 2005) {
+        t = y - 2000;
+        return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t ** 3 + 0.000651814 * t ** 4 + 0.00002373599 * t ** 5;
+    }
+    if (y < 2050) {
+        t = y - 2000;
+        return 62.92 + 0.32217 * t + 0.005589 * t * t;
+    }
+    const u = (y - 1820) / 100;
+    return -20 + 32 * u * u - 0.5628 * (2150 - y);
+}
+/**
+ * Mean obliquity of the ecliptic in degrees
+ */
+function obliquity(jd) {
+    return 23.4393 - 3.563E-7 * (jd - J2000_DAY_ZERO);
+}
+/**
+ * Local mean sidereal time in degrees (IAU 1982 GMST plus east longitude)
+ */
+function localSiderealTime(jdUT, longitude) {
+    const t = (jdUT - 2451545.0) / 36525;
+    const gmst = 280.46061837 + 360.98564736629 * (jdUT - 2451545.0) + 0.000387933 * t * t - t ** 3 / 38710000;
+    return normalizeDegrees(gmst + longitude);
+}
+/**
+ * Ascendant, Midheaven and RAMC for a moment and place
+ */
+function computeAngles(jdUT, latitude, longitude) {
+    const ramc = localSiderealTime(jdUT, longitude);
+    const eps = obliquity(jdUT);
+    const mc = normalizeDegrees(atan2d(sind(ramc), cosd(ramc) * cosd(eps)));
+    const ascendant = normalizeDegrees(atan2d(cosd(ramc), -(sind(ramc) * cosd(eps) + Math.tan(latitude * DEG) * sind(eps))));
+    return { ascendant, mc, ramc, obliquity: eps };
+}
+// Orbital elements as functions of d, days since J2000_DAY_ZERO
+const ELEMENTS = {
+    Sun: (d) => ({ N: 0, i: 0, w: 282.9404 + 4.70935E-5 * d, a: 1, e: 0.016709 - 1.151E-9 * d, M: 356.0470 + 0.9856002585 * d }),
+    Moon: (d) => ({ N: 125.1228 - 0.0529538083 * d, i: 5.1454, w: 318.0634 + 0.1643573223 * d, a: 60.2666, e: 0.0549, M: 115.3654 + 13.0649929509 * d }),
+    Mercury: (d) => ({ N: 48.3313 + 3.24587E-5 * d, i: 7.0047 + 5.00E-8 * d, w: 29.1241 + 1.01444E-5 * d, a: 0.387098, e: 0.205635 + 5.59E-10 * d, M: 168.6562 + 4.0923344368 * d }),
+    Venus: (d) => ({ N: 76.6799 + 2.46590E-5 * d, i: 3.3946 + 2.75E-8 * d, w: 54.8910 + 1.38374E-5 * d, a: 0.72333, e: 0.006773 - 1.302E-9 * d, M: 48.0052 + 1.6021302244 * d }),
+    Mars: (d) => ({ N: 49.5574 + 2.11081E-5 * d, i: 1.8497 - 1.78E-8 * d, w: 286.5016 + 2.92961E-5 * d, a: 1.523688, e: 0.093405 + 2.516E-9 * d, M: 18.6021 + 0.5240207766 * d }),
+    Jupiter: (d) => ({ N: 100.4542 + 2.76854E-5 * d, i: 1.3030 - 1.557E-7 * d, w: 273.8777 + 1.64505E-5 * d, a: 5.20256, e: 0.048498 + 4.469E-9 * d, M: 19.8950 + 0.0830853001 * d }),
+    Saturn: (d) => ({ N: 113.6634 + 2.38980E-5 * d, i: 2.4886 - 1.081E-7 * d, w: 339.3939 + 2.97661E-5 * d, a: 9.55475, e: 0.055546 - 9.499E-9 * d, M: 316.9670 + 0.0334442282 * d }),
+    Uranus: (d) => ({ N: 74.0005 + 1.3978E-5 * d, i: 0.7733 + 1.9E-8 * d, w: 96.6612 + 3.0565E-5 * d, a: 19.18171 - 1.55E-8 * d, e: 0.047318 + 7.45E-9 * d, M: 142.5905 + 0.011725806 * d }),
+    Neptune: (d) => ({ N: 131.7806 + 3.0173E-5 * d, i: 1.7700 - 2.55E-7 * d, w: 272.8461 - 6.027E-6 * d, a: 30.05826 + 3.313E-8 * d, e: 0.008606 + 2.15E-9 * d, M: 260.2471 + 0.005995147 * d })
+};
+function solveKepler(M, e) {
+    let E = M + (e / DEG) * sind(M) * (1 + e * cosd(M));
+    for (let k = 0; k < 20; k++) {
+        const delta = (E - (e / DEG) * sind(E) - M) / (1 - e * cosd(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-9)
+            break;
+    }
+    return E;
+}
+// Heliocentric (geocentric for the Moon) ecliptic longitude, latitude and distance
+function orbitalPosition(el) {
+    const E = solveKepler(normalizeDegrees(el.M), el.e);
+    const xv = el.a * (cosd(E) - el.e);
+    const yv = el.a * Math.sqrt(1 - el.e * el.e) * sind(E);
+    const v = atan2d(yv, xv);
+    const r = Math.sqrt(xv * xv + yv * yv);
+    const u = v + el.w;
+    const x = r * (cosd(el.N) * cosd(u) - sind(el.N) * sind(u) * cosd(el.i));
+    const y = r * (sind(el.N) * cosd(u) + cosd(el.N) * sind(u) * cosd(el.i));
+    const z = r * sind(u) * sind(el.i);
+    return {
+        longitude: normalizeDegrees(atan2d(y, x)),
+        latitude: atan2d(z, Math.sqrt(x * x + y * y)),
+        distance: r
+    };
+}
+function toRectangular(lon, lat, r) {
+    return {
+        x: r * cosd(lon) * cosd(lat),
+        y: r * sind(lon) * cosd(lat),
+        z: r * sind(lat)
+    };
+}
+function moonPosition(d) {
+    const moon = ELEMENTS.Moon(d);
+    const sun = ELEMENTS.Sun(d);
+    const pos = orbitalPosition(moon);
+    const Ms = sun.M;
+    const Mm = moon.M;
+    const Ls = sun.M + sun.w;
+    const Lm = moon.M + moon.w + moon.N;
+    const D = Lm - Ls;
+    const F = Lm - moon.N;
+    const dLon = -1.274 * sind(Mm - 2 * D)
+        + 0.658 * sind(2 * D)
+        - 0.186 * sind(Ms)
+        - 0.059 * sind(2 * Mm - 2 * D)
+        - 0.057 * sind(Mm - 2 * D + Ms)
+        + 0.053 * sind(Mm + 2 * D)
+        + 0.046 * sind(2 * D - Ms)
+        + 0.041 * sind(Mm - Ms)
+        - 0.035 * sind(D)
+        - 0.031 * sind(Mm + Ms)
+        - 0.015 * sind(2 * F - 2 * D)
+        + 0.011 * sind(Mm - 4 * D);
+    const dLat = -0.173 * sind(F - 2 * D)
+        - 0.055 * sind(Mm - F - 2 * D)
+        - 0.046 * sind(Mm + F - 2 * D)
+        + 0.033 * sind(F + 2 * D)
+        + 0.017 * sind(2 * Mm + F);
+    const dDist = -0.58 * cosd(Mm - 2 * D) - 0.46 * cosd(2 * D);
+    return {
+        longitude: normalizeDegrees(pos.longitude + dLon),
+        latitude: pos.latitude + dLat,
+        distance: pos.distance + dDist
+    };
+}
+// Great-inequality and mutual perturbations of the giant planets, in degrees
+function giantPerturbations(name, d) {
+    const Mj = ELEMENTS.Jupiter(d).M;
+    const Ms = ELEMENTS.Saturn(d).M;
+    const Mu = ELEMENTS.Uranus(d).M;
+    if (name === 'Jupiter') {
+        return {
+            lon: -0.332 * sind(2 * Mj - 5 * Ms - 67.6)
+                - 0.056 * sind(2 * Mj - 2 * Ms + 21)
+                + 0.042 * sind(3 * Mj - 5 * Ms + 21)
+                - 0.036 * sind(Mj - 2 * Ms)
+                + 0.022 * cosd(Mj - Ms)
+                + 0.023 * sind(2 * Mj - 3 * Ms + 52)
+                - 0.016 * sind(Mj - 5 * Ms - 69),
+            lat: 0
+        };
+    }
+    if (name === 'Saturn') {
+        return {
+            lon: 0.812 * sind(2 * Mj - 5 * Ms - 67.6)
+                - 0.229 * cosd(2 * Mj - 4 * Ms - 2)
+                + 0.119 * sind(Mj - 2 * Ms - 3)
+                + 0.046 * sind(2 * Mj - 6 * Ms - 69)
+                + 0.014 * sind(Mj - 3 * Ms + 32),
+            lat: -0.020 * cosd(2 * Mj - 4 * Ms - 2)
+                + 0.018 * sind(2 * Mj - 6 * Ms - 49)
+        };
+    }
+    if (name === 'Uranus') {
+        return {
+            lon: 0.040 * sind(Ms - 2 * Mu + 6)
+                + 0.035 * sind(Ms - 3 * Mu + 33)
+                - 0.015 * sind(Mj - Mu + 20),
+            lat: 0
+        };
+    }
+    return { lon: 0, lat: 0 };
+}
+// Heliocentric Pluto from a periodic fit valid roughly 1885-2099, equinox of date
+function plutoHeliocentric(d) {
+    const S = 50.03 + 0.033459652 * d;
+    const P = 238.95 + 0.003968789 * d;
+    const lon = 238.9508 + 0.00400703 * d
+        - 19.799 * sind(P) + 19.848 * cosd(P)
+        + 0.897 * sind(2 * P) - 4.956 * cosd(2 * P)
+        + 0.610 * sind(3 * P) + 1.211 * cosd(3 * P)
+        - 0.341 * sind(4 * P) - 0.190 * cosd(4 * P)
+        + 0.128 * sind(5 * P) - 0.034 * cosd(5 * P)
+        - 0.038 * sind(6 * P) + 0.031 * cosd(6 * P)
+        + 0.020 * sind(S - P) - 0.010 * cosd(S - P);
+    const lat = -3.9082
+        - 5.453 * sind(P) - 14.975 * cosd(P)
+        + 3.527 * sind(2 * P) + 1.673 * cosd(2 * P)
+        - 1.051 * sind(3 * P) + 0.328 * cosd(3 * P)
+        + 0.179 * sind(4 * P) - 0.292 * cosd(4 * P)
+        + 0.019 * sind(5 * P) + 0.100 * cosd(5 * P)
+        - 0.031 * sind(6 * P) - 0.026 * cosd(6 * P)
+        + 0.011 * cosd(S - P);
+    const distance = 40.72
+        + 6.68 * sind(P) + 6.90 * cosd(P)
+        - 1.18 * sind(2 * P) - 0.03 * cosd(2 * P)
+        + 0.15 * sind(3 * P) - 0.14 * cosd(3 * P);
+    return { longitude: normalizeDegrees(lon), latitude: lat, distance };
+}
+// Gaussian gravitational constant in degrees per day
+const GAUSS_DEG = 0.9856076686;
+function propagateElements(row, jd) {
+    const [epoch, M, a, e, i, N, w] = row;
+    const n = GAUSS_DEG / Math.pow(a, 1.5);
+    const position = orbitalPosition({ N, i, w, a, e, M: M + n * (jd - epoch) });
+    return toRectangular(position.longitude, position.latitude, position.distance);
+}
+// Chiron and the asteroids: two-body orbits from the sampled osculating elements,
+// blended between the samples bracketing the date to absorb planetary perturbations
+function minorBodyHeliocentric(name, d) {
+    const jd = d + J2000_DAY_ZERO;
+    const rows = minor_bodies_1.MINOR_BODY_ELEMENTS[name];
+    let index = 0;
+    while (index < rows.length - 2 && rows[index + 1][0] <= jd) {
+        index++;
+    }
+    let xyz;
+    if (rows.length === 1) {
+        xyz = propagateElements(rows[0], jd);
+    }
+    else {
+        // Blend the orbits osculating at the samples either side of the date
+        const before = rows[index];
+        const after = rows[index + 1];
+        const t = Math.min(1, Math.max(0, (jd - before[0]) / (after[0] - before[0])));
+        const p0 = propagateElements(before, jd);
+        const p1 = propagateElements(after, jd);
+        xyz = {
+            x: p0.x + (p1.x - p0.x) * t,
+            y: p0.y + (p1.y - p0.y) * t,
+            z: p0.z + (p1.z - p0.z) * t
+        };
+    }
+    // Precess from the J2000 equinox to the equinox of date
+    const longitude = normalizeDegrees(atan2d(xyz.y, xyz.x) + 3.82394E-5 * (jd - 2451545.0));
+    return {
+        longitude,
+        latitude: atan2d(xyz.z, Math.sqrt(xyz.x * xyz.x + xyz.y * xyz.y)),
+        distance: Math.sqrt(xyz.x * xyz.x + xyz.y * xyz.y + xyz.z * xyz.z)
+    };
+}
+// Mean lunar node and mean lunar apogee (Black Moon Lilith), Meeus ch. 47
+function lunarPointLongitude(name, d) {
+    const T = (d + J2000_DAY_ZERO - 2451545.0) / 36525;
+    if (name === 'Lilith') {
+        const perigee = 83.3532465 + 4069.0137287 * T - 0.01032 * T * T - T ** 3 / 80053 + T ** 4 / 18999000;
+        return normalizeDegrees(perigee + 180);
+    }
+    const node = 125.0445479 - 1934.1362891 * T + 0.0020754 * T * T + T ** 3 / 467441 - T ** 4 / 60616000;
+    return normalizeDegrees(name === 'SouthNode' ? node + 180 : node);
+}
+function sunRectangular(d) {
+    const sun = orbitalPosition(ELEMENTS.Sun(d));
+    return toRectangular(sun.longitude, 0, sun.distance);
+}
+function geocentricPosition(name, d) {
+    if (name === 'Moon') {
+        return moonPosition(d);
+    }
+    if (exports.LUNAR_POINTS.includes(name)) {
+        return { longitude: lunarPointLongitude(name, d), latitude: 0, distance: 0 };
+    }
+    const sunRect = sunRectangular(d);
+    if (name === 'Sun') {
+        const r = Math.sqrt(sunRect.x * sunRect.x + sunRect.y * sunRect.y);
+        return { longitude: normalizeDegrees(atan2d(sunRect.y, sunRect.x)), latitude: 0, distance: r };
+    }
+    let helio;
+    if (name === 'Pluto') {
+        helio = plutoHeliocentric(d);
+    }
+    else if (minor_bodies_1.MINOR_BODY_ELEMENTS[name]) {
+        helio = minorBodyHeliocentric(name, d);
+    }
+    else {
+        const elements = ELEMENTS[name];
+        if (!elements) {
+            throw new Error(`Unsupported body: ${name}`);
+        }
+        helio = orbitalPosition(elements(d));
+        const perturbation = giantPerturbations(name, d);
+        helio.longitude += perturbation.lon;
+        helio.latitude += perturbation.lat;
+    }
+    const h = toRectangular(helio.longitude, helio.latitude, helio.distance);
+    const x = h.x + sunRect.x;
+    const y = h.y + sunRect.y;
+    const z = h.z + sunRect.z;
+    return {
+        longitude: normalizeDegrees(atan2d(y, x)),
+        latitude: atan2d(z, Math.sqrt(x * x + y * y)),
+        distance: Math.sqrt(x * x + y * y + z * z)
+    };
+}
+/**
+ * Tropical geocentric longitude of a body at a Julian Day (UT)
+ */
+function bodyLongitude(name, jdUT) {
+    const d = jdUT + deltaT(jdUT) / 86400 - J2000_DAY_ZERO;
+    return geocentricPosition(name, d).longitude;
+}
+/**
+ * Longitude, latitude, distance and daily speed of a body at a Julian Day (UT)
+ */
+function computeBodyPosition(name, jdUT) {
+    const d = jdUT + deltaT(jdUT) / 86400 - J2000_DAY_ZERO;
+    const position = geocentricPosition(name, d);
+    // Central difference over one day gives the daily motion in longitude
+    const before = geocentricPosition(name, d - 0.5).longitude;
+    const after = geocentricPosition(name, d + 0.5).longitude;
+    let speed = after - before;
+    if (speed > 180)
+        speed -= 360;
+    if (speed < -180)
+        speed += 360;
+    return {
+        name,
+        longitude: position.longitude,
+        latitude: position.latitude,
+        distance: position.distance,
+        speed,
+        retrograde: speed < 0
+    };
+}
+/**
+ * Expand a named body set or explicit list into body names, dropping unknown ones
+ */
+function resolveBodySet(selection = 'modern') {
+    const supported = exports.BODY_SETS.full;
+    const names = Array.isArray(selection) ? selection : exports.BODY_SETS[selection];
+    if (!names) {
+        throw new Error(`Unknown body set: ${selection}`);
+    }
+    return names.filter(name => supported.includes(name));
+}
+/**
+ * Positions for a set of bodies at a Julian Day (UT)
+ */
+function computePositions(jdUT, bodies = exports.EPHEMERIS_BODIES) {
+    const positions = {};
+    for (const name of bodies) {
+        positions[name] = computeBodyPosition(name, jdUT);
+    }
+    return positions;
+}
@@ -0,0 +1,48 @@
+import { Zodiac, Ayanamsa } from './ayanamsa';
+export type AstroEventType = 'new_moon' | 'full_moon' | 'solar_eclipse' | 'lunar_eclipse' | 'station_retrograde' | 'station_direct' | 'ingress';
+export type EclipseType = 'total' | 'annular' | 'partial' | 'penumbral';
+export interface AstroEvent {
+    type: AstroEventType;
+    /** Exact UTC moment, ISO 8601 */
+    datetime: string;
+    body: string;
+    /** Longitude of the body at the event in the requested zodiac */
+    longitude: number;
+    sign: string;
+    eclipse_type?: EclipseType;
+    /** Ingress made while retrograde, back into the previous sign */
+    retrograde?: boolean;
+}
+export interface EventOptions {
+    /** Event types to include, all by default */
+    types?: AstroEventType[];
+    /** Bodies whose sign ingresses are reported, Sun to Pluto by default */
+    ingressBodies?: string[];
+    zodiac?: Zodiac;
+    ayanamsa?: Ayanamsa;
+}
+export declare const INGRESS_BODIES: string[];
+export declare const STATION_BODIES: string[];
+export declare const EVENT_TYPES: AstroEventType[];
+/**
+ * Whether a new or full moon at `jd` is an eclipse, from the Moon's distance to
+ * the ecliptic against the Sun's and Moon's apparent sizes and the Earth's
+ * shadow. Geocentric, so a partial solar eclipse may only be visible from a
+ * small part of the Earth.
+ */
+export declare function classifyEclipse(kind: 'solar' | 'lunar', jd: number): EclipseType | null;
+/**
+ * Lunations, eclipses, planetary stations and sign ingresses from the start of
+ * `from` to the end of `to` (UTC dates, YYYY-MM-DD), in time order. Signs and
+ * longitudes follow the requested zodiac.
+ */
+export declare function calculateEvents(from: string, to: string, options?: EventOptions): AstroEvent[];
+/**
+ * Events falling on a single UTC date
+ */
+export declare function eventsOnDate(date: string, options?: EventOptions): AstroEvent[];
+/**
+ * Short human-readable title, e.g. "Total Solar Eclipse in Aries" or
+ * "Mercury stations retrograde at 9°36′ Aries"
+ */
+export declare function eventTitle(event: AstroEvent): string;
@@ -0,0 +1,231 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.EVENT_TYPES = exports.STATION_BODIES = exports.INGRESS_BODIES = void 0;
+exports.classifyEclipse = classifyEclipse;
+exports.calculateEvents = calculateEvents;
+exports.eventsOnDate = eventsOnDate;
+exports.eventTitle = eventTitle;
+const ephemeris_1 = require("./ephemeris");
+const ayanamsa_1 = require("./ayanamsa");
+const chart_utils_1 = require("./chart-utils");
+exports.INGRESS_BODIES = ['Sun', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+exports.STATION_BODIES = ['Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto'];
+exports.EVENT_TYPES = [
+    'new_moon', 'full_moon', 'solar_eclipse', 'lunar_eclipse', 'station_retrograde', 'station_direct', 'ingress'
+];
+const MAX_RANGE_DAYS = 3660;
+const wrap180 = (deg) => ((deg % 360) + 540) % 360 - 180;
+const asind = (x) => Math.asin(x) * 180 / Math.PI;
+const jdToIso = (jd) => new Date((jd - 2440587.5) * 86400000).toISOString();
+function dateJulianDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return (0, ephemeris_1.julianDay)(year, month, day);
+}
+// Narrow a bracketed sign change of `f` down to a fraction of a second
+function bisect(f, start, end) {
+    let a = start;
+    let b = end;
+    const fa = f(a) < 0;
+    for (let i = 0; i < 32; i++) {
+        const mid = (a + b) / 2;
+        if ((f(mid) < 0) === fa) {
+            a = mid;
+        }
+        else {
+            b = mid;
+        }
+    }
+    return (a + b) / 2;
+}
+/**
+ * Whether a new or full moon at `jd` is an eclipse, from the Moon's distance to
+ * the ecliptic against the Sun's and Moon's apparent sizes and the Earth's
+ * shadow. Geocentric, so a partial solar eclipse may only be visible from a
+ * small part of the Earth.
+ */
+function classifyEclipse(kind, jd) {
+    const sun = (0, ephemeris_1.computeBodyPosition)('Sun', jd);
+    const moon = (0, ephemeris_1.computeBodyPosition)('Moon', jd);
+    const moonParallax = asind(1 / moon.distance);
+    const sunParallax = 8.794 / 3600 / sun.distance;
+    const moonRadius = 0.2725 * moonParallax;
+    const sunRadius = 0.2666 / sun.distance;
+    // Closest approach is a little under the latitude at syzygy, as the Moon's path is inclined
+    const separation = Math.abs(moon.latitude) * 0.9951;
+    if (kind === 'solar') {
+        if (separation > moonParallax - sunParallax + moonRadius + sunRadius) {
+            return null;
+        }
+        if (separation < moonParallax - sunParallax) {
+            return moonRadius > sunRadius ? 'total' : 'annular';
+        }
+        return 'partial';
+    }
+    const umbra = 1.02 * (0.99834 * moonParallax - sunRadius + sunParallax);
+    const penumbra = 1.02 * (0.99834 * moonParallax + sunRadius + sunParallax);
+    if (separation > penumbra + moonRadius) {
+        return null;
+    }
+    if (separation < umbra - moonRadius) {
+        return 'total';
+    }
+    return separation < umbra + moonRadius ? 'partial' : 'penumbral';
+}
+function lunations(fromJd, toJd, zodiacLongitude) {
+    const events = [];
+    const elongation = (jd) => (0, ephemeris_1.normalizeDegrees)((0, ephemeris_1.bodyLongitude)('Moon', jd) - (0, ephemeris_1.bodyLongitude)('Sun', jd));
+    let previous = elongation(fromJd);
+    for (let jd = fromJd; jd < toJd; jd++) {
+        const next = elongation(jd + 1);
+        const phases = [];
+        if (next < previous) {
+            phases.push(['new_moon', 0]);
+        }
+        if (previous < 180 && next >= 180) {
+            phases.push(['full_moon', 180]);
+        }
+        for (const [type, target] of phases) {
+            const exact = bisect(t => wrap180(elongation(t) - target), jd, jd + 1);
+            if (exact < fromJd || exact >= toJd) {
+                continue;
+            }
+            const longitude = zodiacLongitude('Moon', exact);
+            events.push({ type, datetime: jdToIso(exact), body: 'Moon', longitude, sign: (0, chart_utils_1.getSignData)(longitude).name });
+            const eclipse = classifyEclipse(type === 'new_moon' ? 'solar' : 'lunar', exact);
+            if (eclipse) {
+                events.push({
+                    type: type === 'new_moon' ? 'solar_eclipse' : 'lunar_eclipse',
+                    datetime: jdToIso(exact),
+                    body: type === 'new_moon' ? 'Sun' : 'Moon',
+                    longitude,
+                    sign: (0, chart_utils_1.getSignData)(longitude).name,
+                    eclipse_type: eclipse
+                });
+            }
+        }
+        previous = next;
+    }
+    return events;
+}
+function stations(body, fromJd, toJd, zodiacLongitude) {
+    const events = [];
+    const speed = (jd) => (0, ephemeris_1.computeBodyPosition)(body, jd).speed;
+    let previous = speed(fromJd);
+    for (let jd = fromJd; jd < toJd; jd++) {
+        const next = speed(jd + 1);
+        if ((previous < 0) !== (next < 0)) {
+            const exact = bisect(speed, jd, jd + 1);
+            if (exact >= fromJd && exact < toJd) {
+                const longitude = zodiacLongitude(body, exact);
+                events.push({
+                    type: next < 0 ? 'station_retrograde' : 'station_direct',
+                    datetime: jdToIso(exact),
+                    body,
+                    longitude,
+                    sign: (0, chart_utils_1.getSignData)(longitude).name
+                });
+            }
+        }
+        previous = next;
+    }
+    return events;
+}
+function ingresses(body, fromJd, toJd, zodiacLongitude) {
+    const events = [];
+    let previous = zodiacLongitude(body, fromJd);
+    for (let jd = fromJd; jd < toJd; jd++) {
+        const next = zodiacLongitude(body, jd + 1);
+        if (Math.floor(previous / 30) !== Math.floor(next / 30)) {
+            // The sign boundary crossed, whichever way the body is moving
+            const forward = wrap180(next - previous) > 0;
+            const boundary = forward ? Math.floor(next / 30) * 30 : Math.floor(previous / 30) * 30;
+            const exact = bisect(t => wrap180(zodiacLongitude(body, t) - boundary), jd, jd + 1);
+            if (exact >= fromJd && exact < toJd) {
+                events.push({
+                    type: 'ingress',
+                    datetime: jdToIso(exact),
+                    body,
+                    longitude: (0, ephemeris_1.normalizeDegrees)(boundary),
+                    // The sign entered, which is the one behind the boundary when retrograde
+                    sign: (0, chart_utils_1.getSignData)(next).name,
+                    retrograde: !forward
+                });
+            }
+        }
+        previous = next;
+    }
+    return events;
+}
+/**
+ * Lunations, eclipses, planetary stations and sign ingresses from the start of
+ * `from` to the end of `to` (UTC dates, YYYY-MM-DD), in time order. Signs and
+ * longitudes follow the requested zodiac.
+ */
+function calculateEvents(from, to, options = {}) {
+    const fromJd = dateJulianDay(from);
+    const toJd = dateJulianDay(to) + 1;
+    if (!(toJd > fromJd)) {
+        throw new Error('Event range must end on or after its start');
+    }
+    if (toJd - fromJd > MAX_RANGE_DAYS) {
+        throw new Error(`Event range cannot exceed ${MAX_RANGE_DAYS} days`);
+    }
+    const types = options.types || exports.EVENT_TYPES;
+    const zodiacLongitude = (body, jd) => (0, ephemeris_1.normalizeDegrees)((0, ephemeris_1.bodyLongitude)(body, jd) - (0, ayanamsa_1.zodiacOffset)(options.zodiac, options.ayanamsa, jd));
+    const events = [];
+    if (types.some(type => ['new_moon', 'full_moon', 'solar_eclipse', 'lunar_eclipse'].includes(type))) {
+        events.push(...lunations(fromJd, toJd, zodiacLongitude));
+    }
+    if (types.includes('station_retrograde') || types.includes('station_direct')) {
+        for (const body of exports.STATION_BODIES) {
+            events.push(...stations(body, fromJd, toJd, zodiacLongitude));
+        }
+    }
+    if (types.includes('ingress')) {
+        for (const body of options.ingressBodies || exports.INGRESS_BODIES) {
+            events.push(...ingresses(body, fromJd, toJd, zodiacLongitude));
+        }
+    }
+    return events
+        .filter(event => types.includes(event.type))
+        .sort((a, b) => a.datetime.localeCompare(b.datetime));
+}
+/**
+ * Events falling on a single UTC date
+ */
+function eventsOnDate(date, options = {}) {
+    return calculateEvents(date, date, options);
+}
+function formatDegree(longitude) {
+    const inSign = longitude % 30;
+    let degrees = Math.floor(inSign);
+    let minutes = Math.round((inSign - degrees) * 60);
+    if (minutes === 60) {
+        degrees += 1;
+        minutes = 0;
+    }
+    return `${degrees}°${String(minutes).padStart(2, '0')}′`;
+}
+/**
+ * Short human-readable title, e.g. "Total Solar Eclipse in Aries" or
+ * "Mercury stations retrograde at 9°36′ Aries"
+ */
+function eventTitle(event) {
+    switch (event.type) {
+        case 'new_moon':
+            return `New Moon in ${event.sign}`;
+        case 'full_moon':
+            return `Full Moon in ${event.sign}`;
+        case 'solar_eclipse':
+        case 'lunar_eclipse': {
+            const kind = event.eclipse_type ? event.eclipse_type[0].toUpperCase() + event.eclipse_type.slice(1) : '';
+            return `${kind} ${event.type === 'solar_eclipse' ? 'Solar' : 'Lunar'} Eclipse in ${event.sign}`.trim();
+        }
+        case 'station_retrograde':
+            return `${event.body} stations retrograde at ${formatDegree(event.longitude)} ${event.sign}`;
+        case 'station_direct':
+            return `${event.body} stations direct at ${formatDegree(event.longitude)} ${event.sign}`;
+        default:
+            return event.retrograde ? `${event.body} re-enters ${event.sign}` : `${event.body} enters ${event.sign}`;
+    }
+}
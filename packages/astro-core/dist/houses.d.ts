@@ -0,0 +1,51 @@
+import { BirthData, HouseData, ChartAngle } from '@astradio/types';
+export type HouseSystem = 'placidus' | 'koch' | 'whole_sign' | 'equal' | 'porphyry';
+export declare const HOUSE_SYSTEMS: HouseSystem[];
+export interface HouseCuspResult {
+    cusps: number[];
+    ascendant: number;
+    mc: number;
+    system: HouseSystem;
+    fallback?: HouseSystem;
+    /** Why the requested system could not be used, set together with `fallback` */
+    fallbackReason?: string;
+}
+export interface HouseBuildResult {
+    houses: Record<string, HouseData>;
+    cusps: number[];
+    angles: {
+        ascendant: ChartAngle;
+        mc: ChartAngle;
+        descendant: ChartAngle;
+        ic: ChartAngle;
+    };
+    system: HouseSystem;
+    requested: HouseSystem;
+    fallback?: HouseSystem;
+    /** Why the requested system could not be used, set together with `fallback` */
+    fallbackReason?: string;
+}
+/**
+ * Ecliptic degree rising on the eastern horizon for a given RAMC
+ */
+export declare function ascendantForRamc(ramc: number, latitude: number, eps: number): number;
+/**
+ * Twelve house cusps (index 0 = first house) for a house system. Placidus and Koch
+ * are undefined inside the polar circles, where parts of the ecliptic never rise;
+ * there equal houses from the ascendant are used instead, `fallback` names the
+ * substitute and `fallbackReason` says why. Porphyry is no substitute: near the
+ * poles the ascendant and MC can sit a few degrees apart and its trisected
+ * quadrants collapse into slivers.
+ */
+export declare function computeHouseCusps(system: HouseSystem, ramc: number, latitude: number, eps: number): HouseCuspResult;
+/**
+ * House number (1-12) containing an ecliptic longitude
+ */
+export declare function assignHouse(longitude: number, cusps: number[]): number;
+/**
+ * Houses, chart angles and metadata for a birth moment in the requested system.
+ * A non-zero `ayanamsa` shifts everything into the sidereal zodiac; whole sign
+ * houses then follow the sidereal sign of the ascendant. `system` is the system
+ * actually used, which differs from the requested one only when `fallback` is set.
+ */
+export declare function buildHouses(birthData: BirthData, system?: HouseSystem, ayanamsa?: number): HouseBuildResult;
@@ -0,0 +1,196 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.HOUSE_SYSTEMS = void 0;
+exports.ascendantForRamc = ascendantForRamc;
+exports.computeHouseCusps = computeHouseCusps;
+exports.assignHouse = assignHouse;
+exports.buildHouses = buildHouses;
+const ephemeris_1 = require("./ephemeris");
+const chart_utils_1 = require("./chart-utils");
+const DEG = Math.PI / 180;
+exports.HOUSE_SYSTEMS = ['placidus', 'koch', 'whole_sign', 'equal', 'porphyry'];
+const HOUSE_SYSTEM_NAMES = {
+    placidus: 'Placidus',
+    koch: 'Koch',
+    whole_sign: 'Whole sign',
+    equal: 'Equal',
+    porphyry: 'Porphyry'
+};
+const sind = (x) => Math.sin(x * DEG);
+const cosd = (x) => Math.cos(x * DEG);
+const tand = (x) => Math.tan(x * DEG);
+const asind = (x) => Math.asin(x) / DEG;
+const atan2d = (y, x) => Math.atan2(y, x) / DEG;
+/**
+ * Ecliptic degree rising on the eastern horizon for a given RAMC
+ */
+function ascendantForRamc(ramc, latitude, eps) {
+    return (0, ephemeris_1.normalizeDegrees)(atan2d(cosd(ramc), -(sind(ramc) * cosd(eps) + tand(latitude) * sind(eps))));
+}
+// Ecliptic longitude of the point with the given right ascension
+function eclipticFromRa(ra, eps) {
+    return (0, ephemeris_1.normalizeDegrees)(atan2d(sind(ra), cosd(ra) * cosd(eps)));
+}
+// Placidus cusp by iterating on the cusp's own semi-arc. `fraction` is the part
+// of the diurnal (above horizon) or nocturnal (below) semi-arc from the meridian.
+function placidusCusp(ramc, latitude, eps, fraction, diurnal) {
+    let lambda = eclipticFromRa(ramc + (diurnal ? fraction * 90 : 180 - fraction * 90), eps);
+    for (let k = 0; k < 50; k++) {
+        const decl = asind(sind(eps) * sind(lambda));
+        const x = tand(latitude) * tand(decl);
+        if (Math.abs(x) > 1) {
+            return NaN;
+        }
+        const ad = asind(x);
+        const ra = diurnal ? ramc + fraction * (90 + ad) : ramc + 180 - fraction * (90 - ad);
+        const next = eclipticFromRa(ra, eps);
+        const delta = Math.abs(((next - lambda + 540) % 360) - 180);
+        lambda = next;
+        if (delta < 1e-7) {
+            break;
+        }
+    }
+    return lambda;
+}
+function porphyryCusps(asc, mc) {
+    const ic = (0, ephemeris_1.normalizeDegrees)(mc + 180);
+    const upper = (0, ephemeris_1.normalizeDegrees)(asc - mc);
+    const lower = (0, ephemeris_1.normalizeDegrees)(ic - asc);
+    const cusps = new Array(12);
+    cusps[0] = asc;
+    cusps[1] = (0, ephemeris_1.normalizeDegrees)(asc + lower / 3);
+    cusps[2] = (0, ephemeris_1.normalizeDegrees)(asc + 2 * lower / 3);
+    cusps[9] = mc;
+    cusps[10] = (0, ephemeris_1.normalizeDegrees)(mc + upper / 3);
+    cusps[11] = (0, ephemeris_1.normalizeDegrees)(mc + 2 * upper / 3);
+    return fillOpposites(cusps);
+}
+function wholeSignCusps(asc) {
+    const first = Math.floor(asc / 30) * 30;
+    return Array.from({ length: 12 }, (_, i) => (first + i * 30) % 360);
+}
+function equalCusps(asc) {
+    return Array.from({ length: 12 }, (_, i) => (0, ephemeris_1.normalizeDegrees)(asc + i * 30));
+}
+// Cusps 4-9 are the opposite points of 10-3
+function fillOpposites(cusps) {
+    for (const i of [0, 1, 2, 9, 10, 11]) {
+        cusps[(i + 6) % 12] = (0, ephemeris_1.normalizeDegrees)(cusps[i] + 180);
+    }
+    return cusps;
+}
+/**
+ * Twelve house cusps (index 0 = first house) for a house system. Placidus and Koch
+ * are undefined inside the polar circles, where parts of the ecliptic never rise;
+ * there equal houses from the ascendant are used instead, `fallback` names the
+ * substitute and `fallbackReason` says why. Porphyry is no substitute: near the
+ * poles the ascendant and MC can sit a few degrees apart and its trisected
+ * quadrants collapse into slivers.
+ */
+function computeHouseCusps(system, ramc, latitude, eps) {
+    const asc = ascendantForRamc(ramc, latitude, eps);
+    const mc = eclipticFromRa(ramc, eps);
+    // Inside the polar circles the ascendant can jump past the MC, so the quadrant
+    // systems are not used there even when their own formulas still return numbers
+    const polar = Math.abs(latitude) >= 90 - eps;
+    switch (system) {
+        case 'whole_sign':
+            return { cusps: wholeSignCusps(asc), ascendant: asc, mc, system };
+        case 'equal':
+            return { cusps: equalCusps(asc), ascendant: asc, mc, system };
+        case 'porphyry':
+            return { cusps: porphyryCusps(asc, mc), ascendant: asc, mc, system };
+        case 'koch': {
+            const sinDeclMc = sind(mc) * sind(eps);
+            const x = tand(latitude) * sinDeclMc / Math.sqrt(1 - sinDeclMc * sinDeclMc);
+            if (!polar && Math.abs(x) <= 1) {
+                const ad3 = asind(x) / 3;
+                const cusps = new Array(12);
+                cusps[0] = asc;
+                cusps[9] = mc;
+                cusps[10] = ascendantForRamc(ramc - 60 - 2 * ad3, latitude, eps);
+                cusps[11] = ascendantForRamc(ramc - 30 - ad3, latitude, eps);
+                cusps[1] = ascendantForRamc(ramc + 30 + ad3, latitude, eps);
+                cusps[2] = ascendantForRamc(ramc + 60 + 2 * ad3, latitude, eps);
+                return { cusps: fillOpposites(cusps), ascendant: asc, mc, system };
+            }
+            break;
+        }
+        case 'placidus': {
+            if (polar) {
+                break;
+            }
+            const cusps = new Array(12);
+            cusps[0] = asc;
+            cusps[9] = mc;
+            cusps[10] = placidusCusp(ramc, latitude, eps, 1 / 3, true);
+            cusps[11] = placidusCusp(ramc, latitude, eps, 2 / 3, true);
+            cusps[1] = placidusCusp(ramc, latitude, eps, 2 / 3, false);
+            cusps[2] = placidusCusp(ramc, latitude, eps, 1 / 3, false);
+            if (![cusps[10], cusps[11], cusps[1], cusps[2]].some(Number.isNaN)) {
+                return { cusps: fillOpposites(cusps), ascendant: asc, mc, system };
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown house system: ${system}`);
+    }
+    return {
+        cusps: equalCusps(asc),
+        ascendant: asc,
+        mc,
+        system: 'equal',
+        fallback: 'equal',
+        fallbackReason: `${HOUSE_SYSTEM_NAMES[system]} houses are undefined at latitude ${latitude.toFixed(2)}°, inside the polar circle; equal houses from the ascendant were used instead`
+    };
+}
+/**
+ * House number (1-12) containing an ecliptic longitude
+ */
+function assignHouse(longitude, cusps) {
+    for (let i = 0; i < 12; i++) {
+        const start = cusps[i];
+        const span = (0, ephemeris_1.normalizeDegrees)(cusps[(i + 1) % 12] - start);
+        if ((0, ephemeris_1.normalizeDegrees)(longitude - start) < span) {
+            return i + 1;
+        }
+    }
+    return 1;
+}
+/**
+ * Houses, chart angles and metadata for a birth moment in the requested system.
+ * A non-zero `ayanamsa` shifts everything into the sidereal zodiac; whole sign
+ * houses then follow the sidereal sign of the ascendant. `system` is the system
+ * actually used, which differs from the requested one only when `fallback` is set.
+ */
+function buildHouses(birthData, system = 'placidus', ayanamsa = 0) {
+    const jd = (0, ephemeris_1.julianDayFromBirthData)(birthData);
+    const { ramc, obliquity } = (0, ephemeris_1.computeAngles)(jd, birthData.latitude, birthData.longitude);
+    const result = computeHouseCusps(system, ramc, birthData.latitude, obliquity);
+    const shift = (longitude) => (0, ephemeris_1.normalizeDegrees)(longitude - ayanamsa);
+    const ascendant = shift(result.ascendant);
+    const mc = shift(result.mc);
+    const cusps = result.system === 'whole_sign' ? wholeSignCusps(ascendant) : result.cusps.map(shift);
+    const houses = {};
+    cusps.forEach((cusp, i) => {
+        houses[(i + 1).toString()] = {
+            cusp_longitude: cusp,
+            sign: (0, chart_utils_1.getSignData)(cusp)
+        };
+    });
+    const angle = (longitude) => ({ longitude, sign: (0, chart_utils_1.getSignData)(longitude) });
+    return {
+        houses,
+        cusps,
+        angles: {
+            ascendant: angle(ascendant),
+            mc: angle(mc),
+            descendant: angle((0, ephemeris_1.normalizeDegrees)(ascendant + 180)),
+            ic: angle((0, ephemeris_1.normalizeDegrees)(mc + 180))
+        },
+        system: result.system,
+        requested: system,
+        fallback: result.fallback,
+        fallbackReason: result.fallbackReason
+    };
+}
@@ -1,8 +1,113 @@
 import { AstroChart, BirthData } from '@astradio/types';
+import { ChartProvider } from './providers';
+import { HouseSystem } from './houses';
+import { BodySelection } from './ephemeris';
+import { Zodiac, Ayanamsa } from './ayanamsa';
+import { AspectOptions } from './aspects';
+import { TransitAspect } from './transits';
+import { RetryOptions, CircuitBreakerOptions, ChartCacheOptions } from './resilience';
+export * from './providers';
+export * from './resilience';
+export * from './houses';
+export * from './ayanamsa';
+export * from './timezone';
+export * from './places';
+export * from './aspects';
+export * from './transits';
+export * from './relationships';
+export * from './predictive';
+export * from './events';
+export * from './conditions';
+export * from './analysis';
+export type { BodySelection, BodySetName } from './ephemeris';
+export type ChartProviderName = 'prokerala' | 'local' | 'fixture' | (string & {});
+export interface AstroCoreOptions {
+    provider?: ChartProviderName;
+    fallbacks?: ChartProviderName[];
+    providers?: ChartProvider[];
+    retry?: RetryOptions;
+    circuitBreaker?: CircuitBreakerOptions;
+    cache?: ChartCacheOptions;
+    houseSystem?: HouseSystem;
+    bodies?: BodySelection;
+    zodiac?: Zodiac;
+    ayanamsa?: Ayanamsa;
+}
+export interface ChartRequestOptions {
+    provider?: ChartProviderName;
+    houseSystem?: HouseSystem;
+    bodies?: BodySelection;
+    zodiac?: Zodiac;
+    ayanamsa?: Ayanamsa;
+}
+export interface TransitRequestOptions extends ChartRequestOptions, AspectOptions {
+}
+export interface TransitResult {
+    /** Moment the transit chart was cast for */
+    date: string;
+    chart: AstroChart;
+    aspects: TransitAspect[];
+}
+export interface ReturnRequestOptions extends ChartRequestOptions {
+    /** Where the return is cast; defaults to the birth place */
+    location?: {
+        latitude: number;
+        longitude: number;
+    } | {
+        place_id: string;
+    };
+}
 export declare class AstroCore {
-    generateChart(birthData: BirthData): Promise<AstroChart>;
-    private getOffsetString;
-    generateDailyChart(date?: string): Promise<AstroChart>;
-    private getMockChart;
+    private providers;
+    private breakers;
+    private provider;
+    private fallbacks;
+    private retryOptions;
+    private breakerOptions;
+    private houseSystem;
+    private bodies;
+    private zodiac;
+    private ayanamsa;
+    private cache;
+    constructor(options?: AstroCoreOptions);
+    registerProvider(provider: ChartProvider): void;
+    getProvider(name: string): ChartProvider | undefined;
+    /**
+     * Generate a chart from the requested provider, falling back down the chain
+     * on failure. `metadata.provider` names who served it and `metadata.degraded`
+     * is set whenever the result did not come from the requested provider or is
+     * placeholder data. The metadata also carries the lunar phase, void-of-course
+     * Moon, planetary hour and sect for the moment and place, and `analysis` the
+     * chart's dignities, element balance and aspect patterns.
+     */
+    generateChart(birthData: BirthData, options?: ChartRequestOptions): Promise<AstroChart>;
+    generateDailyChart(date?: string, options?: ChartRequestOptions): Promise<AstroChart>;
+    /**
+     * The sky on a date (noon UTC) and its aspects to a natal chart. The transit
+     * chart is cast in the natal chart's zodiac so both sides line up.
+     */
+    generateTransits(natalChart: AstroChart, date?: string, options?: TransitRequestOptions): Promise<TransitResult>;
+    /**
+     * Secondary progressed chart for a target date, cast at the birth place for
+     * the moment as many days after birth as years have passed
+     */
+    generateProgressedChart(birthData: BirthData, targetDate: string, options?: ChartRequestOptions): Promise<AstroChart>;
+    /**
+     * Natal chart directed by the solar arc for a target date: the distance the
+     * progressed Sun has moved from the natal Sun, added to every position
+     */
+    generateSolarArcChart(birthData: BirthData, targetDate: string, options?: ChartRequestOptions): Promise<AstroChart>;
+    /**
+     * Chart for the first exact solar return on or after a date, cast for
+     * `options.location` (coordinates or a place_id) or else the birth place
+     */
+    generateSolarReturn(birthData: BirthData, targetDate: string, options?: ReturnRequestOptions): Promise<AstroChart>;
+    /**
+     * Chart for the first exact lunar return on or after a date, cast for
+     * `options.location` (coordinates or a place_id) or else the birth place
+     */
+    generateLunarReturn(birthData: BirthData, targetDate: string, options?: ReturnRequestOptions): Promise<AstroChart>;
+    private generateReturnChart;
+    clearCache(): void;
 }
 export declare const astroCore: AstroCore;
@@ -1,107 +1,142 @@
 "use strict";
-var __importDefault = (this && this.__importDefault) || function (mod) {
-    return (mod && mod.__esModule) ? mod : { "default": mod };
+var __createBinding = (this && this.__createBinding) || (Object.create ? (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    var desc = Object.getOwnPropertyDescriptor(m, k);
+    if (!desc || ("get" in desc ? !m.__esModule : desc.writable || desc.configurable)) {
+      desc = { enumerable: true, get: function() { return m[k]; } };
+    }
+    Object.defineProperty(o, k2, desc);
+}) : (function(o, m, k, k2) {
+    if (k2 === undefined) k2 = k;
+    o[k2] = m[k];
+}));
+var __exportStar = (this && this.__exportStar) || function(m, exports) {
+    for (var p in m) if (p !== "default" && !Object.prototype.hasOwnProperty.call(exports, p)) __createBinding(exports, m, p);
 };
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.astroCore = exports.AstroCore = void 0;
-const axios_1 = __importDefault(require("axios"));
-const signs = [
-    { name: 'Aries', element: 'Fire', modality: 'Cardinal' },
-    { name: 'Taurus', element: 'Earth', modality: 'Fixed' },
-    { name: 'Gemini', element: 'Air', modality: 'Mutable' },
-    { name: 'Cancer', element: 'Water', modality: 'Cardinal' },
-    { name: 'Leo', element: 'Fire', modality: 'Fixed' },
-    { name: 'Virgo', element: 'Earth', modality: 'Mutable' },
-    { name: 'Libra', element: 'Air', modality: 'Cardinal' },
-    { name: 'Scorpio', element: 'Water', modality: 'Fixed' },
-    { name: 'Sagittarius', element: 'Fire', modality: 'Mutable' },
-    { name: 'Capricorn', element: 'Earth', modality: 'Cardinal' },
-    { name: 'Aquarius', element: 'Air', modality: 'Fixed' },
-    { name: 'Pisces', element: 'Water', modality: 'Mutable' }
-];
-function toTropical(siderealDeg, ayanamsa) {
-    const tropical = siderealDeg + ayanamsa;
-    return tropical >= 360 ? tropical - 360 : tropical;
+const chart_utils_1 = require("./chart-utils");
+const providers_1 = require("./providers");
+const resilience_1 = require("./resilience");
+const timezone_1 = require("./timezone");
+const places_1 = require("./places");
+const transits_1 = require("./transits");
+const predictive_1 = require("./predictive");
+const ephemeris_1 = require("./ephemeris");
+const conditions_1 = require("./conditions");
+const analysis_1 = require("./analysis");
+__exportStar(require("./providers"), exports);
+__exportStar(require("./resilience"), exports);
+__exportStar(require("./houses"), exports);
+__exportStar(require("./ayanamsa"), exports);
+__exportStar(require("./timezone"), exports);
+__exportStar(require("./places"), exports);
+__exportStar(require("./aspects"), exports);
+__exportStar(require("./transits"), exports);
+__exportStar(require("./relationships"), exports);
+__exportStar(require("./predictive"), exports);
+__exportStar(require("./events"), exports);
+__exportStar(require("./conditions"), exports);
+__exportStar(require("./analysis"), exports);
+const jdToIso = (jd) => new Date((jd - 2440587.5) * 86400000).toISOString();
+function dateJulianDay(date) {
+    const [year, month, day] = date.split('-').map(Number);
+    return (0, ephemeris_1.julianDay)(year, month, day);
 }
-function getSignData(degree) {
-    const index = Math.floor(degree / 30);
-    return { ...signs[index], degree: degree % 30 };
+// Cached charts are shared, so predictive metadata goes on a copy
+function withPredictive(chart, predictive) {
+    return { ...chart, metadata: { ...chart.metadata, predictive } };
 }
 class AstroCore {
-    async generateChart(birthData) {
-        try {
-            const datetime = encodeURIComponent(`${birthData.date}T${birthData.time}:00${this.getOffsetString(birthData.timezone)}`);
-            const coordinates = `${birthData.latitude},${birthData.longitude}`;
-            // Auth token
-            const tokenRes = await axios_1.default.post(process.env.ASTRO_TOKEN_URL, new URLSearchParams({
-                grant_type: 'client_credentials',
-                client_id: process.env.ASTRO_CLIENT_ID,
-                client_secret: process.env.ASTRO_CLIENT_SECRET
-            }), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } });
-            const token = tokenRes.data.access_token;
-            // Planet positions
-            const planetUrl = `https://api.prokerala.com/v2/astrology/planet-position?ayanamsa=1&coordinates=${coordinates}&datetime=${datetime}`;
-            console.log('[ProKerala] Requesting:', planetUrl);
-            console.log('[ProKerala] Token:', token.substring(0, 20) + '...');
-            const planetRes = await axios_1.default.get(planetUrl, {
-                headers: { Authorization: `Bearer ${token}` }
-            });
-            // Note: We'll calculate houses from the Ascendant position in the planet data
-            // Use ayanamsa correction of 24.0 for Lahiri
-            const ayanamsa = 24.0;
-            const planets = {};
-            for (const p of planetRes.data.data.planet_position) {
-                // Skip Ascendant, Rahu, Ketu - only include main planets
-                if (['Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn'].includes(p.name)) {
-                    const long = toTropical(p.longitude, ayanamsa);
-                    planets[p.name] = {
-                        longitude: long,
-                        retrograde: p.is_retrograde,
-                        house: p.position || 0,
-                        sign: getSignData(long)
-                    };
-                }
+    constructor(options = {}) {
+        this.providers = new Map();
+        this.breakers = new Map();
+        this.provider = options.provider || process.env.ASTRO_PROVIDER || 'prokerala';
+        this.fallbacks = options.fallbacks || ['local', 'fixture'];
+        this.retryOptions = options.retry || {};
+        this.breakerOptions = options.circuitBreaker || {};
+        this.houseSystem = options.houseSystem || 'placidus';
+        this.bodies = options.bodies || 'modern';
+        this.zodiac = options.zodiac || 'tropical';
+        this.ayanamsa = options.ayanamsa || 'lahiri';
+        this.cache = new resilience_1.ChartCache(options.cache);
+        for (const provider of options.providers || (0, providers_1.createDefaultProviders)()) {
+            this.registerProvider(provider);
+        }
+    }
+    registerProvider(provider) {
+        this.providers.set(provider.name, provider);
+        this.breakers.set(provider.name, new resilience_1.CircuitBreaker(provider.name, this.breakerOptions));
+    }
+    getProvider(name) {
+        return this.providers.get(name);
+    }
+    /**
+     * Generate a chart from the requested provider, falling back down the chain
+     * on failure. `metadata.provider` names who served it and `metadata.degraded`
+     * is set whenever the result did not come from the requested provider or is
+     * placeholder data. The metadata also carries the lunar phase, void-of-course
+     * Moon, planetary hour and sect for the moment and place, and `analysis` the
+     * chart's dignities, element balance and aspect patterns.
+     */
+    async generateChart(birthData, options = {}) {
+        birthData = (0, places_1.applyPlace)(birthData);
+        const { provider: requested, ...overrides } = options;
+        const chartOptions = {
+            houseSystem: this.houseSystem,
+            bodies: this.bodies,
+            zodiac: this.zodiac,
+            ayanamsa: this.ayanamsa,
+            ...overrides
+        };
+        const primary = requested || this.provider;
+        const cacheKey = (0, chart_utils_1.chartCacheKey)(birthData, { provider: primary, ...chartOptions });
+        const cached = this.cache.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        // Zone names are resolved once so every provider sees the same UTC offset
+        const timeZone = typeof birthData.timezone === 'string'
+            ? (0, timezone_1.resolveLocalTime)(birthData.date, birthData.time, birthData.timezone)
+            : null;
+        const resolvedBirthData = timeZone ? { ...birthData, timezone: timeZone.offset_minutes / 60 } : birthData;
+        if (timeZone && timeZone.status !== 'valid') {
+            console.warn(`⚠️ Birth time ${birthData.date} ${birthData.time} is ${timeZone.status} in ${timeZone.zone}, using ${timeZone.utc_offset}`);
+        }
+        // Moon phase, void-of-course Moon, planetary hour and sect come from the local ephemeris for every provider
+        const conditions = (0, conditions_1.chartConditions)(resolvedBirthData, { zodiac: chartOptions.zodiac, ayanamsa: chartOptions.ayanamsa });
+        const chain = [primary, ...this.fallbacks.filter(name => name !== primary)];
+        let lastError = null;
+        for (const name of chain) {
+            const provider = this.providers.get(name);
+            const breaker = this.breakers.get(name);
+            if (!provider || !breaker) {
+                continue;
             }
-            // For houses, we'll use the Ascendant position and calculate house cusps
-            const ascendant = planetRes.data.data.planet_position.find((p) => p.name === 'Ascendant');
-            const houses = {};
-            if (ascendant) {
-                const ascLong = toTropical(ascendant.longitude, ayanamsa);
-                // Calculate house cusps (simplified - each house is 30 degrees)
-                for (let i = 1; i <= 12; i++) {
-                    const houseLong = (ascLong + (i - 1) * 30) % 360;
-                    houses[i.toString()] = {
-                        cusp_longitude: houseLong,
-                        sign: getSignData(houseLong)
-                    };
+            try {
+                const chart = await breaker.execute(() => provider.remote
+                    ? (0, resilience_1.withRetry)(() => provider.generateChart(resolvedBirthData, chartOptions), this.retryOptions)
+                    : provider.generateChart(resolvedBirthData, chartOptions));
+                const degraded = name !== primary || provider.degraded;
+                chart.metadata = { ...chart.metadata, provider: name, degraded, ...conditions };
+                chart.analysis = (0, analysis_1.analyzeChart)(chart);
+                if (timeZone) {
+                    chart.metadata.time_zone = timeZone;
                 }
+                // Only memoize authoritative results so a fallback never outlives the outage
+                if (!degraded) {
+                    this.cache.set(cacheKey, chart);
+                }
+                return chart;
             }
-            return {
-                metadata: {
-                    conversion_method: 'sidereal+ayanamsa',
-                    ayanamsa_correction: ayanamsa,
-                    birth_datetime: datetime,
-                    coordinate_system: 'tropical'
-                },
-                planets,
-                houses
-            };
-        }
-        catch (error) {
-            console.error('[ProKerala Error]', error instanceof Error ? error.message : 'Unknown error');
-            if (error && typeof error === 'object' && 'response' in error) {
-                console.error('[ProKerala Response]', error.response?.data);
+            catch (error) {
+                lastError = error;
+                console.warn(`⚠️ Chart provider "${name}" failed:`, error instanceof Error ? error.message : 'Unknown error');
             }
-            console.warn('⚠️ Returning mock chart as fallback.');
-            return this.getMockChart(birthData);
         }
+        throw lastError || new resilience_1.ChartProviderError(`No chart provider registered for "${primary}"`, primary, { retryable: false });
     }
-    getOffsetString(tz) {
-        const sign = tz >= 0 ? '+' : '-';
-        const hours = Math.abs(tz).toString().padStart(2, '0');
-        return `${sign}${hours}:00`;
-    }
-    async generateDailyChart(date) {
+    async generateDailyChart(date, options = {}) {
         const targetDate = date || new Date().toISOString().split('T')[0];
         return this.generateChart({
             date: targetDate,
@@ -109,26 +144,83 @@ class AstroCore {
             latitude: 0,
             longitude: 0,
             timezone: 0
-        });
+        }, options);
     }
-    getMockChart(birthData) {
+    /**
+     * The sky on a date (noon UTC) and its aspects to a natal chart. The transit
+     * chart is cast in the natal chart's zodiac so both sides line up.
+     */
+    async generateTransits(natalChart, date, options = {}) {
+        const { aspects, orbs, planetOrbFactors, ...chartOptions } = options;
+        const metadata = natalChart.metadata || {};
+        const transitChart = await this.generateDailyChart(date, {
+            zodiac: metadata.coordinate_system === 'sidereal' ? 'sidereal' : 'tropical',
+            ...(metadata.ayanamsa ? { ayanamsa: metadata.ayanamsa } : {}),
+            ...chartOptions
+        });
         return {
-            metadata: {
-                conversion_method: 'mock',
-                ayanamsa_correction: 24,
-                birth_datetime: `${birthData.date}T${birthData.time}:00`,
-                coordinate_system: 'tropical'
-            },
-            planets: {
-                Sun: { longitude: 120, sign: getSignData(120), house: 5, retrograde: false },
-                Moon: { longitude: 30, sign: getSignData(30), house: 2, retrograde: false }
-            },
-            houses: {
-                '1': { cusp_longitude: 0, sign: getSignData(0) },
-                '2': { cusp_longitude: 30, sign: getSignData(30) }
-            }
+            date: transitChart.metadata.birth_datetime,
+            chart: transitChart,
+            aspects: (0, transits_1.findTransits)(transitChart.planets, natalChart, { aspects, orbs, planetOrbFactors })
         };
     }
+    /**
+     * Secondary progressed chart for a target date, cast at the birth place for
+     * the moment as many days after birth as years have passed
+     */
+    async generateProgressedChart(birthData, targetDate, options = {}) {
+        birthData = (0, places_1.applyPlace)(birthData);
+        const jd = (0, predictive_1.progressedJulianDay)((0, ephemeris_1.julianDayFromBirthData)(birthData), dateJulianDay(targetDate));
+        const chart = await this.generateChart((0, predictive_1.birthDataAtMoment)(jd, birthData.latitude, birthData.longitude), options);
+        return withPredictive(chart, { technique: 'progressed', target_date: targetDate, moment: jdToIso(jd) });
+    }
+    /**
+     * Natal chart directed by the solar arc for a target date: the distance the
+     * progressed Sun has moved from the natal Sun, added to every position
+     */
+    async generateSolarArcChart(birthData, targetDate, options = {}) {
+        const natal = await this.generateChart(birthData, options);
+        const progressed = await this.generateProgressedChart(birthData, targetDate, options);
+        if (!natal.planets.Sun || !progressed.planets.Sun) {
+            throw new Error('Solar arc directions need the Sun in the chart');
+        }
+        const arc = (0, ephemeris_1.normalizeDegrees)(progressed.planets.Sun.longitude - natal.planets.Sun.longitude);
+        return withPredictive((0, predictive_1.directChart)(natal, arc), {
+            technique: 'solar_arc',
+            target_date: targetDate,
+            moment: progressed.metadata.predictive.moment,
+            arc
+        });
+    }
+    /**
+     * Chart for the first exact solar return on or after a date, cast for
+     * `options.location` (coordinates or a place_id) or else the birth place
+     */
+    async generateSolarReturn(birthData, targetDate, options = {}) {
+        return this.generateReturnChart('Sun', birthData, targetDate, options);
+    }
+    /**
+     * Chart for the first exact lunar return on or after a date, cast for
+     * `options.location` (coordinates or a place_id) or else the birth place
+     */
+    async generateLunarReturn(birthData, targetDate, options = {}) {
+        return this.generateReturnChart('Moon', birthData, targetDate, options);
+    }
+    async generateReturnChart(body, birthData, targetDate, options) {
+        const { location, ...chartOptions } = options;
+        birthData = (0, places_1.applyPlace)(birthData);
+        const place = location ? (0, places_1.applyPlace)(location) : birthData;
+        const jd = (0, predictive_1.findReturn)(body, (0, ephemeris_1.julianDayFromBirthData)(birthData), dateJulianDay(targetDate), chartOptions.zodiac || this.zodiac, chartOptions.ayanamsa || this.ayanamsa);
+        const chart = await this.generateChart((0, predictive_1.birthDataAtMoment)(jd, place.latitude, place.longitude), chartOptions);
+        return withPredictive(chart, {
+            technique: body === 'Sun' ? 'solar_return' : 'lunar_return',
+            target_date: targetDate,
+            moment: jdToIso(jd)
+        });
+    }
+    clearCache() {
+        this.cache.clear();
+    }
 }
 exports.AstroCore = AstroCore;
 exports.astroCore = new AstroCore();
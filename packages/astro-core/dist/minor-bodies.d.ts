@@ -0,0 +1,6 @@
+/**
+ * Sampled osculating elements for Chiron, the main-belt asteroids and Eris:
+ * [epoch JD, M, a, e, i, node, perihelion argument], J2000 ecliptic
+ */
+export type MinorBodyElementRow = [number, number, number, number, number, number, number];
+export declare const MINOR_BODY_ELEMENTS: Record<string, MinorBodyElementRow[]>;
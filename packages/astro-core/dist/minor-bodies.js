@@ -0,0 +1,528 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MINOR_BODY_ELEMENTS = void 0;
+// Osculating heliocentric elements sampled every two years from 1900 to 2100,
+// referred to the J2000 ecliptic and equinox. Each row is
+// [epoch JD, mean anomaly, semi-major axis (AU), eccentricity, inclination,
+//  longitude of ascending node, argument of perihelion], angles in degrees.
+exports.MINOR_BODY_ELEMENTS = {
+    Chiron: [
+        [2415020.5, 33.4869, 13.70042, 0.383774, 6.9365, 210.2449, 337.8511],
+        [2415750.5, 47.4753, 13.71694, 0.381401, 6.9067, 209.8623, 338.8278],
+        [2416480.5, 62.0749, 13.67798, 0.379087, 6.9045, 209.8007, 338.7333],
+        [2417211.5, 76.8242, 13.63479, 0.379172, 6.9047, 209.7759, 338.3177],
+        [2417941.5, 91.1717, 13.62149, 0.380516, 6.9077, 209.6787, 338.2472],
+        [2418672.5, 105.1863, 13.63546, 0.380985, 6.9124, 209.5887, 338.5017],
+        [2419402.5, 119.1266, 13.66145, 0.3798, 6.9133, 209.5751, 338.7904],
+        [2420133.5, 133.366, 13.68329, 0.377562, 6.9057, 209.6445, 338.8431],
+        [2420863.5, 148.0456, 13.68248, 0.376484, 6.8949, 209.7238, 338.5628],
+        [2421594.5, 162.7857, 13.65585, 0.378425, 6.896, 209.7197, 338.2812],
+        [2422324.5, 177.0559, 13.62557, 0.381467, 6.9114, 209.6561, 338.3213],
+        [2423055.5, 191.012, 13.61089, 0.382852, 6.9259, 209.6125, 338.5526],
+        [2423785.5, 204.9644, 13.61702, 0.381825, 6.9276, 209.608, 338.721],
+        [2424516.5, 219.2662, 13.64244, 0.379212, 6.9147, 209.617, 338.6417],
+        [2425246.5, 233.9745, 13.67366, 0.377395, 6.8997, 209.6134, 338.322],
+        [2425977.5, 248.6932, 13.68485, 0.378284, 6.8997, 209.6154, 338.0969],
+        [2426707.5, 262.9236, 13.6676, 0.380263, 6.9112, 209.6479, 338.2093],
+        [2427438.5, 276.8618, 13.63693, 0.381236, 6.9197, 209.6846, 338.5077],
+        [2428168.5, 290.8147, 13.61143, 0.380699, 6.9191, 209.6785, 338.7517],
+        [2428899.5, 305.1023, 13.61052, 0.379489, 6.9128, 209.6087, 338.7325],
+        [2429629.5, 319.7468, 13.6507, 0.379594, 6.909, 209.5325, 338.3826],
+        [2430360.5, 334.3627, 13.71235, 0.381857, 6.9088, 209.5383, 338.0631],
+        [2431090.5, 348.5074, 13.74293, 0.383835, 6.9087, 209.549, 338.2654],
+        [2431821.5, 2.3489, 13.73286, 0.383754, 6.9224, 209.4811, 339.076],
+        [2432551.5, 16.195, 13.74192, 0.383427, 6.9233, 209.4748, 339.771],
+        [2433282.5, 30.4304, 13.7091, 0.381414, 6.9256, 209.4908, 339.8696],
+        [2434012.5, 45.0204, 13.65622, 0.379792, 6.9295, 209.5377, 339.4848],
+        [2434743.5, 59.5477, 13.62986, 0.380242, 6.9291, 209.5138, 339.1797],
+        [2435473.5, 73.6481, 13.64182, 0.381363, 6.9292, 209.4184, 339.3198],
+        [2436204.5, 87.5155, 13.67322, 0.381364, 6.9309, 209.3471, 339.7129],
+        [2436934.5, 101.4277, 13.7046, 0.379786, 6.9299, 209.3632, 340.0339],
+        [2437665.5, 115.7646, 13.71777, 0.377536, 6.9224, 209.4594, 340.0057],
+        [2438395.5, 130.5431, 13.70058, 0.376971, 6.9144, 209.5388, 339.6176],
+        [2439126.5, 145.2573, 13.66663, 0.379135, 6.9185, 209.5104, 339.307],
+        [2439856.5, 159.4947, 13.64372, 0.381489, 6.9322, 209.4331, 339.3334],
+        [2440587.5, 173.4816, 13.64188, 0.381931, 6.9417, 209.392, 339.5194],
+        [2441317.5, 187.5174, 13.65868, 0.380244, 6.9383, 209.4006, 339.6209],
+        [2442048.5, 201.9321, 13.68577, 0.37769, 6.9233, 209.4294, 339.4774],
+        [2442778.5, 216.665, 13.7027, 0.376974, 6.9125, 209.4403, 339.1771],
+        [2443509.5, 231.2089, 13.69189, 0.37903, 6.9201, 209.4434, 339.0843],
+        [2444239.5, 245.2479, 13.66166, 0.381478, 6.9361, 209.4644, 339.3049],
+        [2444970.5, 259.096, 13.63146, 0.382389, 6.9456, 209.4876, 339.619],
+        [2445700.5, 273.0612, 13.61721, 0.381517, 6.9429, 209.4746, 339.7928],
+        [2446431.5, 287.4565, 13.63346, 0.379971, 6.9326, 209.4087, 339.6432],
+        [2447161.5, 302.1892, 13.67921, 0.379908, 6.9267, 209.3534, 339.2323],
+        [2447892.5, 316.7907, 13.72181, 0.3819, 6.9276, 209.3725, 339.005],
+        [2448622.5, 331.0561, 13.74904, 0.384226, 6.9279, 209.3874, 339.1052],
+        [2449353.5, 345.1009, 13.74575, 0.384786, 6.9275, 209.3972, 339.3409],
+        [2450083.5, 359.1323, 13.70644, 0.383215, 6.9297, 209.3853, 339.5497],
+        [2450814.5, 13.4543, 13.64724, 0.38061, 6.937, 209.381, 339.4783],
+        [2451544.5, 27.9871, 13.60512, 0.379346, 6.9416, 209.3967, 339.1423],
+        [2452275.5, 42.3569, 13.60832, 0.380325, 6.9387, 209.3621, 339.0179],
+        [2453005.5, 56.3543, 13.64246, 0.381667, 6.9353, 209.2776, 339.2994],
+        [2453736.5, 70.216, 13.68164, 0.381801, 6.9348, 209.2212, 339.7398],
+        [2454466.5, 84.2103, 13.7071, 0.38047, 6.934, 209.2466, 340.0223],
+        [2455197.5, 98.6682, 13.70398, 0.378764, 6.9298, 209.3378, 339.9004],
+        [2455927.5, 113.4106, 13.67425, 0.378997, 6.9264, 209.388, 339.4973],
+        [2456658.5, 127.9122, 13.64453, 0.3812, 6.9328, 209.3243, 339.304],
+        [2457388.5, 141.9517, 13.63702, 0.382696, 6.9446, 209.2331, 339.4585],
+        [2458119.5, 155.8423, 13.65149, 0.382018, 6.9501, 209.199, 339.7152],
+        [2458849.5, 169.89, 13.67967, 0.379396, 6.9424, 209.2321, 339.8189],
+        [2459580.5, 184.4, 13.70663, 0.376674, 6.9252, 209.2882, 339.629],
+        [2460310.5, 199.1655, 13.71128, 0.376637, 6.917, 209.3079, 339.3204],
+        [2461041.5, 213.6371, 13.69065, 0.379137, 6.927, 209.298, 339.2592],
+        [2461771.5, 227.6842, 13.66413, 0.381387, 6.9422, 209.2967, 339.4382],
+        [2462502.5, 241.6521, 13.64914, 0.381812, 6.9484, 209.3018, 339.625],
+        [2463232.5, 255.8036, 13.65612, 0.380472, 6.941, 209.2833, 339.6201],
+        [2463963.5, 270.3883, 13.6896, 0.378875, 6.9277, 209.2331, 339.3119],
+        [2464693.5, 285.1498, 13.73111, 0.379278, 6.9236, 209.2114, 338.9143],
+        [2465424.5, 299.6173, 13.75034, 0.381295, 6.9287, 209.2585, 338.8019],
+        [2466154.5, 313.6255, 13.73513, 0.382436, 6.9332, 209.3265, 339.015],
+        [2466885.5, 327.4877, 13.69301, 0.381783, 6.9339, 209.3503, 339.3731],
+        [2467615.5, 341.4721, 13.64148, 0.379797, 6.9353, 209.3116, 339.6404],
+        [2468346.5, 355.7703, 13.60577, 0.378051, 6.9408, 209.2631, 339.6297],
+        [2469076.5, 10.17, 13.61309, 0.378451, 6.943, 209.2548, 339.4622],
+        [2469807.5, 24.3611, 13.65614, 0.380429, 6.9374, 209.2364, 339.5365],
+        [2470537.5, 38.2888, 13.70257, 0.381817, 6.9319, 209.1898, 339.8911],
+        [2471268.5, 52.2386, 13.73029, 0.381578, 6.9308, 209.1733, 340.2466],
+        [2471998.5, 66.4724, 13.72735, 0.379882, 6.9313, 209.2248, 340.3145],
+        [2472729.5, 81.1605, 13.69461, 0.37835, 6.9298, 209.3213, 339.959],
+        [2473459.5, 95.967, 13.64912, 0.379158, 6.9289, 209.3481, 339.4386],
+        [2474190.5, 110.4028, 13.62313, 0.381354, 6.935, 209.2571, 339.2807],
+        [2474920.5, 124.3938, 13.62614, 0.382457, 6.9441, 209.1568, 339.4961],
+        [2475651.5, 138.2925, 13.64832, 0.381474, 6.9474, 209.1281, 339.7884],
+        [2476381.5, 152.4078, 13.6759, 0.378966, 6.9394, 209.1768, 339.8887],
+        [2477112.5, 166.9966, 13.68985, 0.377142, 6.926, 209.2417, 339.6842],
+        [2477842.5, 181.6849, 13.67706, 0.378253, 6.9244, 209.2492, 339.4411],
+        [2478573.5, 195.9877, 13.65027, 0.380946, 6.938, 209.2171, 339.4764],
+        [2479303.5, 209.9347, 13.63071, 0.382445, 6.9516, 209.1982, 339.6919],
+        [2480034.5, 223.8937, 13.62911, 0.381763, 6.9531, 209.1963, 339.8536],
+        [2480764.5, 238.1391, 13.65041, 0.379411, 6.9404, 209.1849, 339.7709],
+        [2481495.5, 252.8591, 13.689, 0.377456, 6.9242, 209.1526, 339.4036],
+        [2482225.5, 267.6316, 13.71726, 0.378087, 6.9222, 209.1476, 339.07],
+        [2482956.5, 281.9801, 13.71467, 0.379999, 6.931, 209.1952, 339.0816],
+        [2483686.5, 295.9114, 13.68577, 0.381061, 6.9382, 209.2524, 339.3728],
+        [2484417.5, 309.7949, 13.64718, 0.380714, 6.9387, 209.2556, 339.7331],
+        [2485147.5, 323.8349, 13.61489, 0.379581, 6.9362, 209.1593, 340.0227],
+        [2485878.5, 338.126, 13.601, 0.378817, 6.9399, 208.9625, 340.2256],
+        [2486608.5, 352.5081, 13.61457, 0.379345, 6.9492, 208.8454, 340.2797],
+        [2487339.5, 6.7897, 13.64226, 0.380583, 6.9501, 208.8385, 340.3835],
+        [2488069.5, 20.9539, 13.65191, 0.38061, 6.9482, 208.8357, 340.6231]
+    ],
+    Ceres: [
+        [2415020.5, 108.5541, 2.76726, 0.078288, 10.6225, 81.9691, 70.6662],
+        [2415750.5, 265.5424, 2.76659, 0.078562, 10.6229, 81.973, 70.0917],
+        [2416480.5, 62.2472, 2.76699, 0.078566, 10.6216, 81.9586, 69.6707],
+        [2417211.5, 219.3094, 2.76572, 0.078772, 10.6234, 81.9569, 69.2442],
+        [2417941.5, 16.6641, 2.76711, 0.077737, 10.6164, 81.9318, 68.1098],
+        [2418672.5, 173.071, 2.76744, 0.077231, 10.6149, 81.9228, 68.2756],
+        [2419402.5, 329.102, 2.7673, 0.07675, 10.6162, 81.9082, 68.4792],
+        [2420133.5, 124.6807, 2.76964, 0.076456, 10.6112, 81.9073, 69.4015],
+        [2420863.5, 278.9161, 2.76593, 0.078001, 10.5985, 81.7131, 71.3746],
+        [2421594.5, 75.4041, 2.76714, 0.078559, 10.5985, 81.705, 71.4872],
+        [2422324.5, 231.5022, 2.76619, 0.079119, 10.5978, 81.6959, 71.6858],
+        [2423055.5, 28.1812, 2.76776, 0.080004, 10.5966, 81.6551, 71.6344],
+        [2423785.5, 185.3676, 2.76559, 0.079974, 10.603, 81.6223, 70.8576],
+        [2424516.5, 342.2655, 2.76692, 0.079612, 10.6019, 81.6197, 70.5261],
+        [2425246.5, 139.0613, 2.76523, 0.079358, 10.6034, 81.6094, 70.141],
+        [2425977.5, 296.4928, 2.76973, 0.07752, 10.6079, 81.569, 69.2082],
+        [2426707.5, 92.3463, 2.76719, 0.076384, 10.6067, 81.5656, 69.6152],
+        [2427438.5, 248.3952, 2.768, 0.076197, 10.6048, 81.5465, 70.0086],
+        [2428168.5, 44.3159, 2.76744, 0.076112, 10.6064, 81.5427, 70.3874],
+        [2428899.5, 199.7971, 2.76655, 0.078403, 10.5974, 81.497, 71.2042],
+        [2429629.5, 356.2964, 2.76666, 0.079138, 10.5968, 81.4807, 71.1559],
+        [2430360.5, 152.9616, 2.76645, 0.079744, 10.5982, 81.4723, 70.9927],
+        [2431090.5, 309.5103, 2.76609, 0.080343, 10.5973, 81.4684, 70.8916],
+        [2431821.5, 106.9233, 2.76553, 0.080374, 10.5959, 81.3969, 70.0667],
+        [2432551.5, 263.4244, 2.7668, 0.079849, 10.5954, 81.3889, 69.9754],
+        [2433282.5, 60.1785, 2.76567, 0.079364, 10.5953, 81.3803, 69.7779],
+        [2434012.5, 216.4112, 2.76984, 0.077494, 10.5909, 81.2969, 69.9803],
+        [2434743.5, 11.5308, 2.76684, 0.075669, 10.6082, 81.197, 71.2029],
+        [2435473.5, 167.3845, 2.76822, 0.075856, 10.6063, 81.1938, 71.6],
+        [2436204.5, 323.4543, 2.76711, 0.075878, 10.6078, 81.1786, 71.9935],
+        [2436934.5, 119.4919, 2.76824, 0.077357, 10.6129, 81.1572, 72.116],
+        [2437665.5, 276.6152, 2.7664, 0.078235, 10.6119, 81.1543, 71.6015],
+        [2438395.5, 73.3039, 2.76725, 0.078504, 10.6109, 81.1381, 71.1991],
+        [2439126.5, 230.1823, 2.76569, 0.07902, 10.6122, 81.1376, 70.9159],
+        [2439856.5, 27.4941, 2.76709, 0.078832, 10.6039, 81.0915, 69.9061],
+        [2440587.5, 184.1356, 2.76699, 0.078228, 10.6035, 81.0783, 69.8748],
+        [2441317.5, 340.35, 2.76705, 0.077661, 10.6045, 81.069, 69.9178],
+        [2442048.5, 136.3706, 2.76841, 0.076977, 10.5998, 81.0616, 70.4741],
+        [2442778.5, 289.9624, 2.76682, 0.076387, 10.5989, 80.7869, 73.063],
+        [2443509.5, 86.1689, 2.76758, 0.076752, 10.5993, 80.7843, 73.4211],
+        [2444239.5, 242.1017, 2.76702, 0.077114, 10.5983, 80.7696, 73.7339],
+        [2444970.5, 38.4688, 2.76833, 0.077949, 10.5994, 80.7374, 73.9391],
+        [2445700.5, 195.6603, 2.76579, 0.078571, 10.607, 80.7163, 73.0715],
+        [2446431.5, 352.6396, 2.76733, 0.078388, 10.6051, 80.7144, 72.6443],
+        [2447161.5, 149.4591, 2.76563, 0.078432, 10.6074, 80.7044, 72.1758],
+        [2447892.5, 307.1695, 2.76923, 0.077859, 10.6056, 80.702, 71.0215],
+        [2448622.5, 103.4685, 2.76693, 0.07667, 10.6011, 80.679, 70.9953],
+        [2449353.5, 259.6147, 2.7679, 0.076289, 10.5998, 80.6593, 71.3148],
+        [2450083.5, 55.6427, 2.76706, 0.075981, 10.6008, 80.6584, 71.5885],
+        [2450814.5, 210.0509, 2.76767, 0.077468, 10.581, 80.5262, 73.4906],
+        [2451544.5, 6.0695, 2.76649, 0.078375, 10.5834, 80.4943, 73.9231],
+        [2452275.5, 162.5257, 2.76677, 0.078974, 10.5836, 80.4885, 73.9633],
+        [2453005.5, 318.8482, 2.76598, 0.079524, 10.5834, 80.4792, 74.0659],
+        [2453736.5, 116.2493, 2.76543, 0.080021, 10.5869, 80.4097, 73.2468],
+        [2454466.5, 272.9067, 2.76661, 0.079591, 10.5866, 80.4069, 73.0214],
+        [2455197.5, 69.788, 2.76574, 0.079223, 10.5862, 80.3938, 72.6959],
+        [2455927.5, 226.6895, 2.76792, 0.078092, 10.5866, 80.3623, 72.2811],
+        [2456658.5, 22.96, 2.76682, 0.075795, 10.594, 80.3272, 72.3146],
+        [2457388.5, 178.8197, 2.76811, 0.075757, 10.5917, 80.3222, 72.7273],
+        [2458119.5, 334.9121, 2.76713, 0.075553, 10.5935, 80.3096, 73.0867],
+        [2458849.5, 130.3171, 2.76929, 0.076875, 10.5913, 80.3011, 73.8081],
+        [2459580.5, 287.082, 2.766, 0.078487, 10.5878, 80.2685, 73.6446],
+        [2460310.5, 83.6543, 2.7672, 0.078982, 10.5874, 80.2536, 73.391],
+        [2461041.5, 240.3219, 2.76556, 0.079602, 10.588, 80.249, 73.3064],
+        [2461771.5, 37.462, 2.76683, 0.079948, 10.5826, 80.1877, 72.5386],
+        [2462502.5, 194.3599, 2.76634, 0.079411, 10.5839, 80.174, 72.295],
+        [2463232.5, 350.7687, 2.76674, 0.078847, 10.584, 80.168, 72.1827],
+        [2463963.5, 147.2831, 2.76694, 0.078077, 10.5816, 80.1567, 72.3152],
+        [2464693.5, 301.7871, 2.7678, 0.075518, 10.5949, 79.9425, 73.9458],
+        [2465424.5, 97.8198, 2.7678, 0.075542, 10.595, 79.9436, 74.443],
+        [2466154.5, 253.6182, 2.76761, 0.075683, 10.5939, 79.9247, 74.8547],
+        [2466885.5, 49.728, 2.76879, 0.076327, 10.5961, 79.9057, 75.2664],
+        [2467615.5, 206.6842, 2.76601, 0.077734, 10.6011, 79.8943, 74.5381],
+        [2468346.5, 3.6807, 2.76759, 0.07786, 10.5988, 79.8897, 74.0982],
+        [2469076.5, 160.3899, 2.76603, 0.078201, 10.6012, 79.8819, 73.6884],
+        [2469807.5, 317.8581, 2.76837, 0.078432, 10.597, 79.882, 72.8228],
+        [2470537.5, 114.5737, 2.76654, 0.0775, 10.5925, 79.835, 72.4204],
+        [2471268.5, 270.8852, 2.76775, 0.076995, 10.5917, 79.8175, 72.6065],
+        [2471998.5, 67.05, 2.76666, 0.076541, 10.5922, 79.8159, 72.7564],
+        [2472729.5, 221.1376, 2.76955, 0.076044, 10.5753, 79.5912, 75.0609],
+        [2473459.5, 16.4675, 2.76661, 0.076685, 10.583, 79.5442, 76.112],
+        [2474190.5, 172.7096, 2.76733, 0.077223, 10.582, 79.5395, 76.3389],
+        [2474920.5, 328.8168, 2.76639, 0.077631, 10.5826, 79.5271, 76.601],
+        [2475651.5, 126.0612, 2.76594, 0.078591, 10.5895, 79.4729, 75.8674],
+        [2476381.5, 282.8704, 2.76682, 0.07838, 10.589, 79.4743, 75.4787],
+        [2477112.5, 79.8164, 2.76619, 0.078239, 10.5889, 79.4573, 75.0553],
+        [2477842.5, 236.854, 2.76666, 0.077911, 10.5903, 79.4527, 74.4919],
+        [2478573.5, 33.9861, 2.76671, 0.076126, 10.5861, 79.4323, 73.7212],
+        [2479303.5, 189.9502, 2.76793, 0.07587, 10.5839, 79.4245, 74.0618],
+        [2480034.5, 346.1355, 2.76711, 0.075535, 10.5855, 79.4148, 74.3284],
+        [2480764.5, 141.0021, 2.77039, 0.076088, 10.5746, 79.3939, 75.6222],
+        [2481495.5, 296.8661, 2.76563, 0.078132, 10.5696, 79.2893, 76.3324],
+        [2482225.5, 93.3031, 2.76707, 0.078742, 10.5695, 79.2789, 76.2457],
+        [2482956.5, 249.7715, 2.76565, 0.079335, 10.5695, 79.2687, 76.3477],
+        [2483686.5, 46.6476, 2.76697, 0.080036, 10.5685, 79.2044, 75.87],
+        [2484417.5, 203.7955, 2.76589, 0.079643, 10.5715, 79.1932, 75.3947],
+        [2485147.5, 0.3915, 2.76653, 0.07915, 10.5704, 79.1887, 75.1241],
+        [2485878.5, 157.2888, 2.76572, 0.078612, 10.5706, 79.1786, 74.9056],
+        [2486608.5, 313.3661, 2.76839, 0.07574, 10.5813, 79.0903, 74.9591],
+        [2487339.5, 109.3974, 2.76774, 0.075335, 10.5802, 79.0891, 75.4518],
+        [2488069.5, 265.2166, 2.76787, 0.075245, 10.5796, 79.0684, 75.8401]
+    ],
+    Pallas: [
+        [2415020.5, 110.2572, 2.77312, 0.237269, 34.6654, 174.2452, 309.3174],
+        [2415750.5, 266.3173, 2.77143, 0.238037, 34.6789, 174.202, 309.2456],
+        [2416480.5, 62.2777, 2.77237, 0.238438, 34.6797, 174.1976, 309.1811],
+        [2417211.5, 218.5298, 2.77066, 0.238995, 34.6844, 174.1813, 309.1004],
+        [2417941.5, 14.59, 2.77123, 0.239454, 34.6917, 174.1648, 309.0809],
+        [2418672.5, 170.8971, 2.77067, 0.238939, 34.6965, 174.1639, 309.0365],
+        [2419402.5, 326.865, 2.77168, 0.238422, 34.6882, 174.1612, 308.9953],
+        [2420133.5, 123.0265, 2.77143, 0.237915, 34.6877, 174.143, 309.0567],
+        [2420863.5, 278.2813, 2.77506, 0.2345, 34.7373, 174.0611, 309.3576],
+        [2421594.5, 74.0474, 2.77315, 0.234325, 34.7274, 174.0475, 309.6174],
+        [2422324.5, 229.6831, 2.77337, 0.234415, 34.7334, 174.0182, 309.737],
+        [2423055.5, 25.6041, 2.77324, 0.234611, 34.7367, 174.0198, 309.8515],
+        [2423785.5, 181.6657, 2.77165, 0.235197, 34.7269, 173.9919, 309.6482],
+        [2424516.5, 337.9183, 2.77286, 0.235346, 34.7221, 173.9869, 309.5367],
+        [2425246.5, 133.8916, 2.77165, 0.235533, 34.7252, 173.9822, 309.4038],
+        [2425977.5, 290.2517, 2.77166, 0.235918, 34.7239, 173.9764, 309.2808],
+        [2426707.5, 86.2315, 2.77163, 0.235726, 34.7257, 173.9487, 309.233],
+        [2427438.5, 242.2196, 2.77311, 0.235124, 34.7265, 173.9403, 309.3093],
+        [2428168.5, 37.9968, 2.77243, 0.234795, 34.724, 173.9337, 309.3502],
+        [2428899.5, 193.8402, 2.77438, 0.234191, 34.7451, 173.8101, 309.6056],
+        [2429629.5, 349.1828, 2.76955, 0.234434, 34.8113, 173.7692, 310.1419],
+        [2430360.5, 145.3876, 2.77031, 0.234928, 34.8063, 173.7515, 310.1793],
+        [2431090.5, 301.3524, 2.76905, 0.235248, 34.8197, 173.7377, 310.293],
+        [2431821.5, 97.8108, 2.76863, 0.235722, 34.8199, 173.7315, 310.1487],
+        [2432551.5, 254.1402, 2.76903, 0.235463, 34.8155, 173.7332, 310.0453],
+        [2433282.5, 50.5515, 2.76932, 0.235418, 34.8148, 173.7226, 309.9508],
+        [2434012.5, 206.9454, 2.76869, 0.235179, 34.8156, 173.7272, 309.7922],
+        [2434743.5, 3.4204, 2.77064, 0.234608, 34.7907, 173.6932, 309.6029],
+        [2435473.5, 159.325, 2.77144, 0.234329, 34.7894, 173.6778, 309.7174],
+        [2436204.5, 315.3637, 2.77155, 0.233944, 34.7903, 173.6722, 309.7761],
+        [2436934.5, 111.1758, 2.77222, 0.233972, 34.7755, 173.6309, 309.9364],
+        [2437665.5, 267.3083, 2.76941, 0.235048, 34.8217, 173.532, 310.0875],
+        [2438395.5, 63.3991, 2.76992, 0.235562, 34.8232, 173.5328, 310.1197],
+        [2439126.5, 219.7395, 2.76868, 0.236114, 34.8287, 173.5072, 310.1117],
+        [2439856.5, 15.9092, 2.76904, 0.236612, 34.8379, 173.5005, 310.161],
+        [2440587.5, 172.5295, 2.76773, 0.236287, 34.8427, 173.5024, 310.0054],
+        [2441317.5, 328.8111, 2.76904, 0.235908, 34.8323, 173.4994, 309.9157],
+        [2442048.5, 125.2941, 2.76801, 0.235534, 34.8361, 173.4932, 309.8717],
+        [2442778.5, 281.5592, 2.77365, 0.233061, 34.812, 173.4804, 309.6161],
+        [2443509.5, 77.4788, 2.77257, 0.232604, 34.795, 173.4468, 309.7739],
+        [2444239.5, 233.1351, 2.77343, 0.23239, 34.7992, 173.424, 309.8982],
+        [2444970.5, 29.0494, 2.77294, 0.232351, 34.7994, 173.4239, 310.0116],
+        [2445700.5, 184.9757, 2.77185, 0.233191, 34.7883, 173.3536, 309.9505],
+        [2446431.5, 341.2173, 2.77208, 0.233725, 34.7948, 173.3451, 309.9067],
+        [2447161.5, 137.184, 2.7715, 0.234142, 34.795, 173.3361, 309.8013],
+        [2447892.5, 293.452, 2.7704, 0.234791, 34.804, 173.3237, 309.795],
+        [2448622.5, 89.5815, 2.77012, 0.23477, 34.8125, 173.3072, 309.6884],
+        [2449353.5, 245.7811, 2.77152, 0.234102, 34.8108, 173.3075, 309.7051],
+        [2450083.5, 41.7273, 2.77095, 0.23376, 34.8085, 173.2982, 309.6944],
+        [2450814.5, 197.8148, 2.77403, 0.232259, 34.825, 173.2348, 309.8265],
+        [2451544.5, 352.8536, 2.77232, 0.229644, 34.8461, 173.1978, 310.2657],
+        [2452275.5, 148.7646, 2.77351, 0.229908, 34.8405, 173.1779, 310.3748],
+        [2453005.5, 304.4126, 2.77258, 0.229977, 34.8514, 173.1659, 310.4983],
+        [2453736.5, 100.4961, 2.77248, 0.230612, 34.8407, 173.1491, 310.435],
+        [2454466.5, 256.5941, 2.77191, 0.230781, 34.8407, 173.1365, 310.3074],
+        [2455197.5, 52.7545, 2.77276, 0.23097, 34.8403, 173.1284, 310.2073],
+        [2455927.5, 208.8672, 2.77105, 0.231308, 34.8421, 173.1257, 310.0454],
+        [2456658.5, 5.1645, 2.77233, 0.231535, 34.8377, 173.099, 309.9338],
+        [2457388.5, 161.0443, 2.77233, 0.231036, 34.8409, 173.0885, 309.9878],
+        [2458119.5, 317.0389, 2.77291, 0.230544, 34.8371, 173.0854, 310.0008],
+        [2458849.5, 112.7957, 2.7732, 0.230182, 34.8307, 173.0577, 310.1339],
+        [2459580.5, 268.2357, 2.7714, 0.22998, 34.9241, 172.916, 310.6712],
+        [2460310.5, 64.0963, 2.77038, 0.230305, 34.9239, 172.9169, 310.8838],
+        [2461041.5, 220.2883, 2.76988, 0.230654, 34.9292, 172.8878, 310.9395],
+        [2461771.5, 16.3147, 2.7698, 0.230996, 34.9361, 172.887, 311.0359],
+        [2462502.5, 172.9028, 2.76827, 0.231198, 34.9344, 172.8813, 310.8107],
+        [2463232.5, 329.1958, 2.7697, 0.231035, 34.925, 172.8782, 310.692],
+        [2463963.5, 125.6621, 2.76844, 0.230906, 34.9297, 172.8752, 310.5752],
+        [2464693.5, 282.1175, 2.77066, 0.230417, 34.9145, 172.8741, 310.3305],
+        [2465424.5, 78.3511, 2.77051, 0.230097, 34.9053, 172.8371, 310.3499],
+        [2466154.5, 234.1815, 2.77182, 0.22964, 34.9074, 172.8231, 310.4626],
+        [2466885.5, 30.2492, 2.7711, 0.229365, 34.9053, 172.8198, 310.5434],
+        [2467615.5, 186.1156, 2.77124, 0.229866, 34.9063, 172.7091, 310.6804],
+        [2468346.5, 342.3126, 2.76925, 0.230803, 34.9381, 172.6881, 310.8409],
+        [2469076.5, 138.4194, 2.76941, 0.231295, 34.9355, 172.6737, 310.806],
+        [2469807.5, 294.7522, 2.76792, 0.231856, 34.9495, 172.6584, 310.8833],
+        [2470537.5, 91.12, 2.76744, 0.232099, 34.9579, 172.6525, 310.7239],
+        [2471268.5, 247.6528, 2.76851, 0.231533, 34.9538, 172.6572, 310.6755],
+        [2471998.5, 43.8707, 2.7684, 0.231279, 34.9513, 172.646, 310.6229],
+        [2472729.5, 200.4348, 2.76965, 0.230253, 34.9551, 172.638, 310.5489],
+        [2473459.5, 356.372, 2.77199, 0.228076, 34.9117, 172.6026, 310.415],
+        [2474190.5, 152.3101, 2.77314, 0.228068, 34.9075, 172.584, 310.5574],
+        [2474920.5, 307.9588, 2.77268, 0.22787, 34.9145, 172.5755, 310.6718],
+        [2475651.5, 103.9325, 2.77317, 0.228312, 34.8977, 172.5434, 310.7401],
+        [2476381.5, 259.9941, 2.77147, 0.22902, 34.9101, 172.4984, 310.658],
+        [2477112.5, 56.1649, 2.77244, 0.229448, 34.911, 172.4945, 310.6024],
+        [2477842.5, 212.2169, 2.77059, 0.230044, 34.9146, 172.4791, 310.5025],
+        [2478573.5, 8.5085, 2.7713, 0.230527, 34.9204, 172.4632, 310.4734],
+        [2479303.5, 164.6029, 2.77063, 0.230016, 34.9265, 172.4591, 310.4253],
+        [2480034.5, 320.7913, 2.77164, 0.229553, 34.9194, 172.4565, 310.3885],
+        [2480764.5, 116.7571, 2.77117, 0.229066, 34.9199, 172.4416, 310.4335],
+        [2481495.5, 272.2393, 2.77533, 0.225616, 34.9665, 172.3644, 310.7417],
+        [2482225.5, 67.7432, 2.77305, 0.225397, 34.9551, 172.3508, 311.0441],
+        [2482956.5, 223.6162, 2.77332, 0.225501, 34.9597, 172.3228, 311.1519],
+        [2483686.5, 19.3226, 2.77297, 0.225606, 34.9624, 172.3235, 311.2699],
+        [2484417.5, 175.5699, 2.77169, 0.226262, 34.9518, 172.2927, 311.0844],
+        [2485147.5, 331.6283, 2.77275, 0.226461, 34.948, 172.2871, 310.9672],
+        [2485878.5, 127.8199, 2.77169, 0.226632, 34.9514, 172.2829, 310.8268],
+        [2486608.5, 283.946, 2.77155, 0.226981, 34.9513, 172.2774, 310.7151],
+        [2487339.5, 80.1558, 2.77157, 0.226835, 34.9534, 172.2493, 310.6515],
+        [2488069.5, 235.9611, 2.77303, 0.226234, 34.9526, 172.2445, 310.7142]
+    ],
+    Juno: [
+        [2415020.5, 268.4529, 2.66847, 0.257047, 13.0139, 172.1243, 244.746],
+        [2415750.5, 73.5206, 2.66898, 0.25737, 13.0144, 172.1139, 244.7067],
+        [2416480.5, 238.7041, 2.6673, 0.257995, 13.0171, 172.1197, 244.626],
+        [2417211.5, 44.2037, 2.66779, 0.258063, 13.0137, 172.098, 244.4696],
+        [2417941.5, 209.2844, 2.66869, 0.257506, 13.0109, 172.0846, 244.5159],
+        [2418672.5, 14.5273, 2.66882, 0.257063, 13.0116, 172.0754, 244.4842],
+        [2419402.5, 178.9154, 2.67281, 0.256192, 12.9847, 171.9611, 245.0084],
+        [2420133.5, 343.3881, 2.66886, 0.256516, 12.9869, 171.7045, 245.7313],
+        [2420863.5, 148.3172, 2.66938, 0.257031, 12.988, 171.6983, 245.7404],
+        [2421594.5, 313.4577, 2.66778, 0.257498, 12.9889, 171.6809, 245.8728],
+        [2422324.5, 118.7047, 2.66726, 0.257891, 12.9942, 171.6463, 245.7334],
+        [2423055.5, 284.2272, 2.66807, 0.257606, 12.9942, 171.6447, 245.6269],
+        [2423785.5, 89.3827, 2.66768, 0.25736, 12.9938, 171.6408, 245.5623],
+        [2424516.5, 254.6939, 2.67152, 0.255565, 12.9898, 171.5237, 245.5953],
+        [2425246.5, 59.3761, 2.67056, 0.254534, 13.003, 171.4744, 245.7206],
+        [2425977.5, 224.2384, 2.67128, 0.25455, 12.9995, 171.4514, 245.8618],
+        [2426707.5, 28.9637, 2.67073, 0.254575, 13.0024, 171.4327, 245.9983],
+        [2427438.5, 194.1713, 2.66863, 0.256239, 13.0111, 171.4226, 245.8452],
+        [2428168.5, 359.3044, 2.66933, 0.256539, 13.0099, 171.4192, 245.7715],
+        [2428899.5, 164.6817, 2.66805, 0.256661, 13.0129, 171.4159, 245.6581],
+        [2429629.5, 330.0119, 2.67041, 0.256729, 13.0121, 171.4149, 245.3967],
+        [2430360.5, 135.1478, 2.66986, 0.256069, 13.0078, 171.4041, 245.4542],
+        [2431090.5, 299.9317, 2.67059, 0.255524, 13.0072, 171.3749, 245.5281],
+        [2431821.5, 104.7889, 2.6723, 0.255541, 13.0051, 171.3728, 245.73],
+        [2432551.5, 269.0489, 2.66861, 0.257733, 12.9848, 171.1962, 246.2772],
+        [2433282.5, 74.2967, 2.66904, 0.258129, 12.9865, 171.1839, 246.3039],
+        [2434012.5, 239.3912, 2.66718, 0.258933, 12.9885, 171.1849, 246.2783],
+        [2434743.5, 44.8727, 2.66741, 0.259287, 12.9871, 171.1539, 246.2023],
+        [2435473.5, 210.1117, 2.66762, 0.258743, 12.9861, 171.1402, 246.185],
+        [2436204.5, 15.4707, 2.66806, 0.258386, 12.9863, 171.1331, 246.1294],
+        [2436934.5, 180.3078, 2.67107, 0.257052, 12.9703, 171.0569, 246.4003],
+        [2437665.5, 344.7994, 2.66944, 0.255456, 12.9833, 170.7726, 247.0336],
+        [2438395.5, 149.6073, 2.6704, 0.255912, 12.9831, 170.7681, 247.0996],
+        [2439126.5, 314.6123, 2.66898, 0.25617, 12.9842, 170.7442, 247.2467],
+        [2439856.5, 119.7078, 2.6684, 0.256867, 12.9928, 170.7175, 247.1263],
+        [2440587.5, 285.1943, 2.66839, 0.256983, 12.9932, 170.7205, 247.0044],
+        [2441317.5, 90.3336, 2.66807, 0.256876, 12.993, 170.7139, 246.9089],
+        [2442048.5, 255.8239, 2.66999, 0.256051, 12.9927, 170.6789, 246.7868],
+        [2442778.5, 60.7272, 2.67029, 0.254997, 12.9984, 170.6597, 246.6993],
+        [2443509.5, 225.6191, 2.67144, 0.254773, 12.9945, 170.6365, 246.8359],
+        [2444239.5, 30.3414, 2.67083, 0.254562, 12.9971, 170.6237, 246.9305],
+        [2444970.5, 195.1892, 2.66935, 0.256875, 12.9957, 170.5962, 246.9969],
+        [2445700.5, 0.2584, 2.6692, 0.257556, 12.9949, 170.5804, 247.0052],
+        [2446431.5, 165.6034, 2.66805, 0.257855, 12.9979, 170.5765, 246.9058],
+        [2447161.5, 330.8675, 2.669, 0.258428, 12.9962, 170.576, 246.7897],
+        [2447892.5, 136.1983, 2.66847, 0.257878, 12.9923, 170.5537, 246.7619],
+        [2448622.5, 301.1658, 2.66967, 0.257213, 12.992, 170.5299, 246.7765],
+        [2449353.5, 106.1991, 2.67074, 0.25691, 12.9886, 170.528, 246.9276],
+        [2450083.5, 270.0811, 2.66957, 0.257389, 12.9634, 170.1965, 247.8814],
+        [2450814.5, 75.2162, 2.6695, 0.257738, 12.967, 170.1812, 247.9879],
+        [2451544.5, 240.1555, 2.66803, 0.258446, 12.9674, 170.1727, 248.032],
+        [2452275.5, 45.5064, 2.66817, 0.258949, 12.969, 170.1371, 248.0431],
+        [2453005.5, 210.8458, 2.66734, 0.25861, 12.9717, 170.1288, 247.9213],
+        [2453736.5, 16.2476, 2.66811, 0.258326, 12.9712, 170.1247, 247.8395],
+        [2454466.5, 181.3595, 2.66924, 0.257374, 12.9652, 170.088, 247.8971],
+        [2455197.5, 346.2512, 2.67, 0.254966, 12.982, 169.9115, 248.0854],
+        [2455927.5, 150.9631, 2.67122, 0.255212, 12.98, 169.9068, 248.2094],
+        [2456658.5, 315.8554, 2.6701, 0.255264, 12.981, 169.8775, 248.365],
+        [2457388.5, 120.7505, 2.66984, 0.256241, 12.9898, 169.8624, 248.2995],
+        [2458119.5, 286.1565, 2.6687, 0.256868, 12.9899, 169.8583, 248.1931],
+        [2458849.5, 91.2576, 2.66857, 0.256931, 12.9904, 169.8503, 248.0943],
+        [2459580.5, 256.7687, 2.66869, 0.256903, 12.9917, 169.8485, 247.9493],
+        [2460310.5, 61.8638, 2.66951, 0.256207, 12.9901, 169.8404, 247.7603],
+        [2461041.5, 226.8457, 2.67092, 0.255796, 12.986, 169.8181, 247.8861],
+        [2461771.5, 31.6398, 2.67036, 0.255457, 12.988, 169.8089, 247.9305],
+        [2462502.5, 196.1023, 2.67044, 0.257474, 12.9688, 169.7153, 248.3474],
+        [2463232.5, 1.0202, 2.66885, 0.258465, 12.97, 169.6643, 248.5213],
+        [2463963.5, 166.3379, 2.66799, 0.25893, 12.9729, 169.6601, 248.4444],
+        [2464693.5, 331.5258, 2.66775, 0.259594, 12.9723, 169.6561, 248.4452],
+        [2465424.5, 137.0081, 2.66723, 0.259337, 12.9712, 169.6248, 248.3554],
+        [2466154.5, 302.1627, 2.66857, 0.258758, 12.9708, 169.6118, 248.3135],
+        [2466885.5, 107.3987, 2.6689, 0.258338, 12.9678, 169.6089, 248.3818],
+        [2467615.5, 271.4818, 2.67108, 0.256536, 12.9564, 169.2399, 249.2292],
+        [2468346.5, 76.4562, 2.67015, 0.256668, 12.9631, 169.22, 249.424],
+        [2469076.5, 241.2442, 2.66936, 0.257115, 12.9621, 169.1998, 249.521],
+        [2469807.5, 46.4096, 2.66959, 0.257608, 12.9659, 169.1685, 249.6095],
+        [2470537.5, 211.7437, 2.66763, 0.257802, 12.9721, 169.1652, 249.395],
+        [2471268.5, 17.1428, 2.66864, 0.257658, 12.9711, 169.1631, 249.292],
+        [2471998.5, 182.3371, 2.66839, 0.25717, 12.9703, 169.1494, 249.2385],
+        [2472729.5, 347.607, 2.67033, 0.255343, 12.9796, 169.083, 249.0672],
+        [2473459.5, 152.3228, 2.67133, 0.255259, 12.9764, 169.0774, 249.2078],
+        [2474190.5, 317.1834, 2.67079, 0.255015, 12.9775, 169.0465, 249.3441],
+        [2474920.5, 121.8519, 2.67139, 0.256088, 12.9817, 169.0391, 249.3997],
+        [2475651.5, 287.1358, 2.66867, 0.257483, 12.9799, 169.0154, 249.3568],
+        [2476381.5, 92.2099, 2.66885, 0.2577, 12.9808, 169.007, 249.2761],
+        [2477112.5, 257.6641, 2.66767, 0.258242, 12.9825, 169.0143, 249.1758],
+        [2477842.5, 62.8929, 2.66837, 0.257976, 12.9782, 168.9988, 248.9834],
+        [2478573.5, 228.0238, 2.66987, 0.257391, 12.9742, 168.9755, 249.0877],
+        [2479303.5, 32.93, 2.66948, 0.257019, 12.9755, 168.9677, 249.0976],
+        [2480034.5, 197.2342, 2.67202, 0.257452, 12.9437, 168.7816, 249.789],
+        [2480764.5, 1.8648, 2.66878, 0.258368, 12.9499, 168.6569, 250.2118],
+        [2481495.5, 167.094, 2.6685, 0.258951, 12.9517, 168.6529, 250.1827],
+        [2482225.5, 332.1638, 2.66743, 0.259537, 12.9523, 168.6415, 250.2648],
+        [2482956.5, 137.6965, 2.66684, 0.259584, 12.9549, 168.608, 250.1338],
+        [2483686.5, 302.9407, 2.66805, 0.259161, 12.9546, 168.6022, 250.0619],
+        [2484417.5, 108.3038, 2.66781, 0.258786, 12.9529, 168.597, 250.0523],
+        [2485147.5, 273.0191, 2.67229, 0.256145, 12.9546, 168.3561, 250.3527],
+        [2485878.5, 77.8711, 2.67072, 0.255791, 12.964, 168.3342, 250.5761],
+        [2486608.5, 242.5563, 2.67055, 0.256002, 12.9621, 168.31, 250.6955],
+        [2487339.5, 47.5722, 2.67086, 0.256329, 12.9661, 168.2891, 250.8192],
+        [2488069.5, 212.7627, 2.66818, 0.257352, 12.9733, 168.2872, 250.5919]
+    ],
+    Vesta: [
+        [2415020.5, 142.2963, 2.3617, 0.089178, 7.1334, 104.8178, 148.4921],
+        [2415750.5, 340.2768, 2.36098, 0.089285, 7.1342, 104.8154, 148.7787],
+        [2416480.5, 178.9873, 2.36057, 0.090362, 7.1316, 104.784, 148.3354],
+        [2417211.5, 17.8857, 2.36133, 0.090224, 7.1311, 104.7739, 148.0334],
+        [2417941.5, 216.4331, 2.36184, 0.089565, 7.1307, 104.7755, 147.8163],
+        [2418672.5, 54.584, 2.36139, 0.088919, 7.1277, 104.7526, 148.1638],
+        [2419402.5, 252.6199, 2.36114, 0.089298, 7.1285, 104.7397, 148.3776],
+        [2420133.5, 91.6165, 2.36094, 0.089689, 7.1292, 104.7351, 147.9077],
+        [2420863.5, 290.0773, 2.36169, 0.089201, 7.128, 104.7318, 147.7576],
+        [2421594.5, 128.6225, 2.36145, 0.088693, 7.1286, 104.7207, 147.7857],
+        [2422324.5, 325.7781, 2.36137, 0.088037, 7.1308, 104.7032, 148.7421],
+        [2423055.5, 164.249, 2.36162, 0.088478, 7.1303, 104.6946, 148.7715],
+        [2423785.5, 2.8303, 2.36209, 0.088794, 7.1318, 104.6727, 148.4551],
+        [2424516.5, 201.4132, 2.36196, 0.088189, 7.1326, 104.6716, 148.4036],
+        [2425246.5, 39.5089, 2.36128, 0.087772, 7.1325, 104.6633, 148.53],
+        [2425977.5, 236.7811, 2.36144, 0.088711, 7.1383, 104.5755, 149.6822],
+        [2426707.5, 75.0913, 2.36173, 0.089145, 7.1382, 104.5755, 149.643],
+        [2427438.5, 273.9802, 2.36167, 0.089297, 7.1376, 104.5649, 149.3307],
+        [2428168.5, 112.3189, 2.36155, 0.088774, 7.1382, 104.5301, 149.253],
+        [2428899.5, 310.5118, 2.36139, 0.088592, 7.1385, 104.5247, 149.5411],
+        [2429629.5, 148.4777, 2.36163, 0.089788, 7.136, 104.4515, 149.8028],
+        [2430360.5, 347.3942, 2.36134, 0.09037, 7.1374, 104.4366, 149.5211],
+        [2431090.5, 185.9907, 2.36086, 0.090341, 7.1375, 104.4356, 149.2443],
+        [2431821.5, 24.5878, 2.36106, 0.089404, 7.1347, 104.3996, 149.1895],
+        [2432551.5, 222.5986, 2.36146, 0.089537, 7.1349, 104.3892, 149.4394],
+        [2433282.5, 61.0815, 2.36197, 0.090207, 7.1339, 104.387, 149.4884],
+        [2434012.5, 260.0054, 2.36115, 0.090282, 7.1324, 104.3695, 148.9248],
+        [2434743.5, 98.8384, 2.36076, 0.090008, 7.133, 104.3607, 148.6556],
+        [2435473.5, 296.6944, 2.36157, 0.088794, 7.1303, 104.3476, 149.0053],
+        [2436204.5, 135.0177, 2.36175, 0.088946, 7.1297, 104.337, 149.227],
+        [2436934.5, 333.2847, 2.36156, 0.089439, 7.1309, 104.3293, 149.2529],
+        [2437665.5, 172.2838, 2.36119, 0.089264, 7.1319, 104.3267, 148.7891],
+        [2438395.5, 10.5714, 2.36135, 0.088697, 7.1312, 104.3159, 148.7358],
+        [2439126.5, 208.2842, 2.36302, 0.087966, 7.1348, 104.2815, 149.4854],
+        [2439856.5, 46.0137, 2.36182, 0.088433, 7.1354, 104.2818, 149.9687],
+        [2440587.5, 244.5778, 2.36124, 0.088894, 7.1357, 104.2703, 149.9266],
+        [2441317.5, 83.2665, 2.36129, 0.088574, 7.1374, 104.2447, 149.4884],
+        [2442048.5, 281.5174, 2.36195, 0.088166, 7.1371, 104.2408, 149.7143],
+        [2442778.5, 119.1088, 2.36306, 0.088216, 7.1356, 104.1958, 150.3729],
+        [2443509.5, 317.264, 2.36124, 0.089504, 7.1416, 104.1376, 150.7258],
+        [2444239.5, 155.7445, 2.36109, 0.089826, 7.1415, 104.1327, 150.5048],
+        [2444970.5, 354.6653, 2.36141, 0.089294, 7.1405, 104.0927, 150.1436],
+        [2445700.5, 192.6854, 2.36185, 0.089103, 7.1409, 104.0845, 150.3942],
+        [2446431.5, 30.9297, 2.36164, 0.089297, 7.1408, 104.0836, 150.6909],
+        [2447161.5, 229.4591, 2.36064, 0.090561, 7.1389, 104.0214, 150.443],
+        [2447892.5, 68.3672, 2.36105, 0.090581, 7.139, 104.0151, 150.1111],
+        [2448622.5, 267.01, 2.36215, 0.089857, 7.1362, 104.0068, 149.784],
+        [2449353.5, 105.2077, 2.36156, 0.089529, 7.1349, 103.9785, 150.1394],
+        [2450083.5, 303.2493, 2.36091, 0.089761, 7.136, 103.9723, 150.3698],
+        [2450814.5, 142.3132, 2.36068, 0.090356, 7.1349, 103.9614, 149.8459],
+        [2451544.5, 340.8882, 2.36154, 0.090023, 7.1339, 103.9514, 149.5867],
+        [2452275.5, 179.4604, 2.36194, 0.089255, 7.1349, 103.9472, 149.6051],
+        [2453005.5, 17.0015, 2.36144, 0.088646, 7.1333, 103.9375, 150.2213],
+        [2453736.5, 215.4303, 2.36141, 0.089038, 7.1334, 103.9258, 150.2984],
+        [2454466.5, 54.0705, 2.36137, 0.089243, 7.1352, 103.9147, 149.9037],
+        [2455197.5, 252.6893, 2.36193, 0.088732, 7.1344, 103.9148, 149.8376],
+        [2455927.5, 90.8059, 2.36155, 0.088267, 7.1344, 103.9011, 149.9852],
+        [2456658.5, 287.9593, 2.36135, 0.088526, 7.1405, 103.8512, 151.2127],
+        [2457388.5, 126.2677, 2.36169, 0.088913, 7.14, 103.8464, 151.1412],
+        [2458119.5, 325.1532, 2.36222, 0.089157, 7.1401, 103.823, 150.8091],
+        [2458849.5, 163.3756, 2.36191, 0.088571, 7.1418, 103.8093, 150.8358],
+        [2459580.5, 1.602, 2.36126, 0.088232, 7.1417, 103.804, 151.0874],
+        [2460310.5, 199.2234, 2.36128, 0.089749, 7.1434, 103.7051, 151.671],
+        [2461041.5, 37.9517, 2.36155, 0.090178, 7.144, 103.7023, 151.5287],
+        [2461771.5, 236.574, 2.36124, 0.090218, 7.1435, 103.6969, 151.2303],
+        [2462502.5, 75.204, 2.36127, 0.089511, 7.1423, 103.6564, 151.1473],
+        [2463232.5, 273.0968, 2.36132, 0.089559, 7.143, 103.6483, 151.4847],
+        [2463963.5, 111.6723, 2.36146, 0.090498, 7.1397, 103.6176, 151.424],
+        [2464693.5, 310.4556, 2.36124, 0.090695, 7.1396, 103.5995, 151.0214],
+        [2465424.5, 149.3188, 2.36075, 0.090556, 7.1402, 103.597, 150.746],
+        [2466154.5, 347.4072, 2.3611, 0.089348, 7.1365, 103.5694, 150.8948],
+        [2466885.5, 185.731, 2.36153, 0.08961, 7.1364, 103.558, 151.1099],
+        [2467615.5, 24.0429, 2.36198, 0.090222, 7.1373, 103.5559, 151.0804],
+        [2468346.5, 223.0958, 2.3613, 0.089923, 7.1363, 103.5531, 150.6085],
+        [2469076.5, 61.5452, 2.36095, 0.089501, 7.1365, 103.5423, 150.4211],
+        [2469807.5, 259.2435, 2.36214, 0.088485, 7.1372, 103.5302, 151.1498],
+        [2470537.5, 97.202, 2.36192, 0.088753, 7.1363, 103.5237, 151.4413],
+        [2471268.5, 295.8112, 2.36148, 0.089166, 7.137, 103.5137, 151.378],
+        [2471998.5, 134.4361, 2.36138, 0.088915, 7.1389, 103.499, 150.9977],
+        [2472729.5, 332.8179, 2.36171, 0.088415, 7.1382, 103.4914, 151.0908],
+        [2473459.5, 170.1219, 2.36328, 0.088259, 7.1412, 103.424, 151.9944],
+        [2474190.5, 8.2246, 2.36166, 0.089237, 7.145, 103.4159, 152.3848],
+        [2474920.5, 206.6437, 2.36121, 0.089574, 7.1449, 103.4086, 152.2189],
+        [2475651.5, 45.5187, 2.3613, 0.089091, 7.1455, 103.3732, 151.8757],
+        [2476381.5, 243.5004, 2.36195, 0.088871, 7.1456, 103.3683, 152.1202],
+        [2477112.5, 81.5364, 2.36266, 0.08916, 7.1432, 103.348, 152.6078],
+        [2477842.5, 279.9312, 2.36095, 0.090538, 7.1457, 103.2726, 152.5068],
+        [2478573.5, 118.7811, 2.36095, 0.09068, 7.1458, 103.268, 152.2122],
+        [2479303.5, 317.3587, 2.36165, 0.089998, 7.1429, 103.2352, 151.9343],
+        [2480034.5, 155.6611, 2.3617, 0.089799, 7.1433, 103.2209, 152.1973],
+        [2480764.5, 353.6919, 2.36116, 0.090037, 7.144, 103.2197, 152.4505],
+        [2481495.5, 192.7585, 2.36057, 0.090885, 7.1415, 103.1923, 151.9382],
+        [2482225.5, 31.3648, 2.36118, 0.090637, 7.1412, 103.1821, 151.6406],
+        [2482956.5, 230.0878, 2.3623, 0.089754, 7.14, 103.1823, 151.4956],
+        [2483686.5, 67.8889, 2.36152, 0.089394, 7.1375, 103.1601, 151.9315],
+        [2484417.5, 266.2134, 2.36102, 0.089789, 7.1385, 103.1492, 152.1349],
+        [2485147.5, 105.0106, 2.36087, 0.090045, 7.1392, 103.1438, 151.5971],
+        [2485878.5, 303.665, 2.36175, 0.089505, 7.1378, 103.1388, 151.4996],
+        [2486608.5, 141.7777, 2.36196, 0.088918, 7.1387, 103.1245, 151.6869],
+        [2487339.5, 339.2225, 2.36142, 0.088632, 7.1412, 103.1095, 152.6236],
+        [2488069.5, 177.4533, 2.36154, 0.089078, 7.1409, 103.0997, 152.6161]
+    ],
+    // Eris moves slowly enough for a single element set across the supported range
+    Eris: [
+        [2451545.0, 193.4, 67.86, 0.4361, 44.04, 35.95, 151.64]
+    ]
+};
@@ -0,0 +1,35 @@
+import { BirthData } from '@astradio/types';
+export interface Place {
+    id: string;
+    name: string;
+    /** First-level administrative division (state, province, region) */
+    admin1: string;
+    country: string;
+    country_code: string;
+    latitude: number;
+    longitude: number;
+    /** IANA time zone name */
+    timezone: string;
+    population: number;
+}
+export interface PlaceSearchOptions {
+    /** Results to return, 10 by default and at most 50 */
+    limit?: number;
+    /** ISO 3166-1 alpha-2 country code */
+    country?: string;
+}
+/**
+ * Search the gazetteer by place name. Text after a comma narrows by region or
+ * country ("Portland, Oregon", "Paris, FR"). Best name matches come first, then
+ * larger places.
+ */
+export declare function searchPlaces(query: string, options?: PlaceSearchOptions): Place[];
+/**
+ * Gazetteer entry by ID, e.g. 'in-west-bengal-kolkata'
+ */
+export declare function getPlace(id: string): Place | undefined;
+/**
+ * Fill coordinates, time zone and location name from `place_id`. Explicit
+ * coordinates and timezone in the birth data take precedence.
+ */
+export declare function applyPlace(birthData: BirthData): BirthData;
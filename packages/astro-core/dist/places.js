@@ -0,0 +1,136 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.searchPlaces = searchPlaces;
+exports.getPlace = getPlace;
+exports.applyPlace = applyPlace;
+const fs_1 = __importDefault(require("fs"));
+const path_1 = __importDefault(require("path"));
+// Bundled gazetteer in GeoNames-style tab-separated files under ./data: every
+// city with its first-level division, country, coordinates, population and
+// IANA time zone. Loaded on first use.
+const DATA_DIR = path_1.default.join(__dirname, 'data');
+const MAX_RESULTS = 50;
+let gazetteer = null;
+// Letters NFD does not decompose into a base letter plus accent
+const FOLDED_LETTERS = { 'đ': 'd', 'ð': 'd', 'ß': 'ss', 'ø': 'o', 'æ': 'ae', 'ł': 'l', 'þ': 'th', 'ı': 'i', 'œ': 'oe' };
+// Case- and accent-insensitive form used for matching: "Zürich" -> "zurich"
+function foldText(text) {
+    return text
+        .toLowerCase()
+        .replace(/[đðßøæłþıœ]/g, ch => FOLDED_LETTERS[ch])
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+function readTsv(file) {
+    const [header, ...lines] = fs_1.default.readFileSync(path_1.default.join(DATA_DIR, file), 'utf8').split('\n');
+    const columns = header.split('\t');
+    return lines.filter(Boolean).map(line => {
+        const values = line.split('\t');
+        const row = {};
+        columns.forEach((column, i) => {
+            row[column] = values[i] || '';
+        });
+        return row;
+    });
+}
+function loadGazetteer() {
+    if (gazetteer) {
+        return gazetteer;
+    }
+    const countries = new Map(readTsv('countries.tsv').map(row => [row.country_code, row.name]));
+    const entries = readTsv('places.tsv').map(row => {
+        const place = {
+            id: row.id,
+            name: row.name,
+            admin1: row.admin1,
+            country: countries.get(row.country_code) || row.country_code,
+            country_code: row.country_code,
+            latitude: Number(row.latitude),
+            longitude: Number(row.longitude),
+            timezone: row.timezone,
+            population: Number(row.population)
+        };
+        const names = [...new Set([foldText(row.name), foldText(row.ascii_name)])];
+        const region = [foldText(row.admin1), foldText(place.country), row.country_code.toLowerCase()].join(' ');
+        return { place, names, region };
+    });
+    gazetteer = { entries, byId: new Map(entries.map(entry => [entry.place.id, entry.place])) };
+    return gazetteer;
+}
+// 0 = exact name, 1 = name prefix, 2 = prefix of a later word in the name
+function nameScore(names, query) {
+    let best = Infinity;
+    for (const name of names) {
+        if (name === query) {
+            return 0;
+        }
+        if (name.startsWith(query)) {
+            best = Math.min(best, 1);
+        }
+        else if (name.includes(` ${query}`)) {
+            best = Math.min(best, 2);
+        }
+    }
+    return best;
+}
+/**
+ * Search the gazetteer by place name. Text after a comma narrows by region or
+ * country ("Portland, Oregon", "Paris, FR"). Best name matches come first, then
+ * larger places.
+ */
+function searchPlaces(query, options = {}) {
+    const [namePart = '', ...qualifiers] = query.split(',').map(foldText);
+    if (namePart.length === 0) {
+        return [];
+    }
+    const limit = Math.max(1, Math.min(options.limit || 10, MAX_RESULTS));
+    const country = options.country?.toUpperCase();
+    const scored = [];
+    for (const entry of loadGazetteer().entries) {
+        if (country && entry.place.country_code !== country) {
+            continue;
+        }
+        const score = nameScore(entry.names, namePart);
+        if (score === Infinity) {
+            continue;
+        }
+        if (qualifiers.some(qualifier => qualifier && !` ${entry.region}`.includes(` ${qualifier}`))) {
+            continue;
+        }
+        scored.push({ score, place: entry.place });
+    }
+    scored.sort((a, b) => a.score - b.score || b.place.population - a.place.population);
+    return scored.slice(0, limit).map(({ place }) => ({ ...place }));
+}
+/**
+ * Gazetteer entry by ID, e.g. 'in-west-bengal-kolkata'
+ */
+function getPlace(id) {
+    const place = loadGazetteer().byId.get(id);
+    return place ? { ...place } : undefined;
+}
+/**
+ * Fill coordinates, time zone and location name from `place_id`. Explicit
+ * coordinates and timezone in the birth data take precedence.
+ */
+function applyPlace(birthData) {
+    if (!birthData.place_id) {
+        return birthData;
+    }
+    const place = getPlace(birthData.place_id);
+    if (!place) {
+        throw new Error(`Unknown place: ${birthData.place_id}`);
+    }
+    return {
+        ...birthData,
+        latitude: birthData.latitude ?? place.latitude,
+        longitude: birthData.longitude ?? place.longitude,
+        timezone: birthData.timezone ?? place.timezone,
+        location: birthData.location || [place.name, place.admin1, place.country].filter(Boolean).join(', ')
+    };
+}
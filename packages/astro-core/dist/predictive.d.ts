@@ -0,0 +1,26 @@
+import { AstroChart, BirthData } from '@astradio/types';
+import { Zodiac, Ayanamsa } from './ayanamsa';
+export type PredictiveTechnique = 'progressed' | 'solar_arc' | 'solar_return' | 'lunar_return';
+export declare const TROPICAL_YEAR_DAYS = 365.242199;
+export declare const PREDICTIVE_TECHNIQUES: PredictiveTechnique[];
+/**
+ * Birth data for a UTC moment at a location, to the millisecond, so a return
+ * chart is cast at the exact return instant
+ */
+export declare function birthDataAtMoment(jdUT: number, latitude: number, longitude: number): BirthData;
+/**
+ * Secondary progression ("a day for a year"): the moment as many days after
+ * birth as there are tropical years between birth and the target date
+ */
+export declare function progressedJulianDay(birthJd: number, targetJd: number): number;
+/**
+ * First moment at or after `startJd` when the Sun or Moon returns to the
+ * longitude it had at `birthJd`, in the given zodiac. Solved with Newton
+ * steps on the ephemeris to well under a second of arc.
+ */
+export declare function findReturn(body: 'Sun' | 'Moon', birthJd: number, startJd: number, zodiac?: Zodiac, ayanamsa?: Ayanamsa): number;
+/**
+ * Natal chart with every body, cusp and angle moved forward by `arc` degrees,
+ * as in solar arc directions
+ */
+export declare function directChart(natalChart: AstroChart, arc: number): AstroChart;
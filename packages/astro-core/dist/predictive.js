@@ -0,0 +1,76 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.PREDICTIVE_TECHNIQUES = exports.TROPICAL_YEAR_DAYS = void 0;
+exports.birthDataAtMoment = birthDataAtMoment;
+exports.progressedJulianDay = progressedJulianDay;
+exports.findReturn = findReturn;
+exports.directChart = directChart;
+const ephemeris_1 = require("./ephemeris");
+const ayanamsa_1 = require("./ayanamsa");
+const chart_utils_1 = require("./chart-utils");
+exports.TROPICAL_YEAR_DAYS = 365.242199;
+exports.PREDICTIVE_TECHNIQUES = ['progressed', 'solar_arc', 'solar_return', 'lunar_return'];
+// Mean daily motion, used for the first guess at a return
+const MEAN_MOTION = { Sun: 0.985647, Moon: 13.176358 };
+const wrap180 = (deg) => ((deg % 360) + 540) % 360 - 180;
+/**
+ * Birth data for a UTC moment at a location, to the millisecond, so a return
+ * chart is cast at the exact return instant
+ */
+function birthDataAtMoment(jdUT, latitude, longitude) {
+    const moment = new Date(Math.round((jdUT - 2440587.5) * 86400000));
+    const [date, time] = moment.toISOString().split('T');
+    return { date, time: time.slice(0, 12), latitude, longitude, timezone: 0 };
+}
+/**
+ * Secondary progression ("a day for a year"): the moment as many days after
+ * birth as there are tropical years between birth and the target date
+ */
+function progressedJulianDay(birthJd, targetJd) {
+    return birthJd + (targetJd - birthJd) / exports.TROPICAL_YEAR_DAYS;
+}
+/**
+ * First moment at or after `startJd` when the Sun or Moon returns to the
+ * longitude it had at `birthJd`, in the given zodiac. Solved with Newton
+ * steps on the ephemeris to well under a second of arc.
+ */
+function findReturn(body, birthJd, startJd, zodiac = 'tropical', ayanamsa) {
+    const zodiacLongitude = (jd) => (0, ephemeris_1.bodyLongitude)(body, jd) - (0, ayanamsa_1.zodiacOffset)(zodiac, ayanamsa, jd);
+    const target = zodiacLongitude(birthJd);
+    let jd = startJd + (0, ephemeris_1.normalizeDegrees)(target - zodiacLongitude(startJd)) / MEAN_MOTION[body];
+    for (let i = 0; i < 20; i++) {
+        const diff = wrap180(target - zodiacLongitude(jd));
+        if (Math.abs(diff) < 1e-6) {
+            break;
+        }
+        const rate = wrap180(zodiacLongitude(jd + 0.01) - zodiacLongitude(jd - 0.01)) / 0.02;
+        jd += diff / rate;
+    }
+    return jd;
+}
+/**
+ * Natal chart with every body, cusp and angle moved forward by `arc` degrees,
+ * as in solar arc directions
+ */
+function directChart(natalChart, arc) {
+    const direct = (longitude) => (0, ephemeris_1.normalizeDegrees)(longitude + arc);
+    const planets = {};
+    for (const [body, planet] of Object.entries(natalChart.planets)) {
+        const longitude = direct(planet.longitude);
+        planets[body] = { ...planet, longitude, sign: (0, chart_utils_1.getSignData)(longitude) };
+    }
+    const houses = {};
+    for (const [house, data] of Object.entries(natalChart.houses)) {
+        const longitude = direct(data.cusp_longitude);
+        houses[house] = { cusp_longitude: longitude, sign: (0, chart_utils_1.getSignData)(longitude) };
+    }
+    const directed = { metadata: { ...natalChart.metadata }, planets, houses };
+    if (natalChart.angles) {
+        directed.angles = {};
+        for (const [name, angle] of Object.entries(natalChart.angles)) {
+            const longitude = direct(angle.longitude);
+            directed.angles[name] = { longitude, sign: (0, chart_utils_1.getSignData)(longitude) };
+        }
+    }
+    return directed;
+}
@@ -0,0 +1,68 @@
+import { AstroChart, BirthData } from '@astradio/types';
+import { HouseSystem } from './houses';
+import { BodySelection } from './ephemeris';
+import { Zodiac, Ayanamsa } from './ayanamsa';
+export interface ProviderChartOptions {
+    houseSystem?: HouseSystem;
+    /** Named body set or explicit list of bodies, 'modern' by default */
+    bodies?: BodySelection;
+    zodiac?: Zodiac;
+    /** Used when `zodiac` is 'sidereal', 'lahiri' by default */
+    ayanamsa?: Ayanamsa;
+}
+export interface ChartProvider {
+    readonly name: string;
+    /** Calls leave the process and are worth retrying */
+    readonly remote: boolean;
+    /** Results are placeholders rather than real positions */
+    readonly degraded: boolean;
+    generateChart(birthData: BirthData, options?: ProviderChartOptions): Promise<AstroChart>;
+}
+export interface ProKeralaProviderOptions {
+    baseUrl?: string;
+    tokenUrl?: string;
+    clientId?: string;
+    clientSecret?: string;
+    timeoutMs?: number;
+}
+/**
+ * Remote planet positions from the ProKerala astrology API
+ */
+export declare class ProKeralaProvider implements ChartProvider {
+    readonly name = "prokerala";
+    readonly remote = true;
+    readonly degraded = false;
+    private token;
+    private tokenRequest;
+    private baseUrl;
+    private tokenUrl?;
+    private clientId?;
+    private clientSecret?;
+    private timeoutMs;
+    constructor(options?: ProKeralaProviderOptions);
+    generateChart(birthData: BirthData, options?: ProviderChartOptions): Promise<AstroChart>;
+    private getToken;
+}
+/**
+ * Offline chart from the built-in ephemeris, no network access required
+ */
+export declare class LocalEphemerisProvider implements ChartProvider {
+    readonly name = "local";
+    readonly remote = false;
+    readonly degraded = false;
+    generateChart(birthData: BirthData, options?: ProviderChartOptions): Promise<AstroChart>;
+}
+/**
+ * Canned charts for tests and last-resort fallback. Results are always marked degraded.
+ */
+export declare class FixtureProvider implements ChartProvider {
+    readonly name = "fixture";
+    readonly remote = false;
+    readonly degraded = true;
+    private fixtures;
+    constructor(fixtures?: Record<string, AstroChart>);
+    addFixture(birthData: BirthData, chart: AstroChart): void;
+    generateChart(birthData: BirthData): Promise<AstroChart>;
+    private getMockChart;
+}
+export declare function createDefaultProviders(): ChartProvider[];
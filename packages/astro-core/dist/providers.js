@@ -0,0 +1,233 @@
+"use strict";
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FixtureProvider = exports.LocalEphemerisProvider = exports.ProKeralaProvider = void 0;
+exports.createDefaultProviders = createDefaultProviders;
+const axios_1 = __importDefault(require("axios"));
+const ephemeris_1 = require("./ephemeris");
+const chart_utils_1 = require("./chart-utils");
+const resilience_1 = require("./resilience");
+const houses_1 = require("./houses");
+const ayanamsa_1 = require("./ayanamsa");
+const timezone_1 = require("./timezone");
+// Refresh OAuth tokens this long before the server says they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+// ProKerala reports the lunar nodes under their Vedic names
+const PROKERALA_BODY_NAMES = {
+    Rahu: 'NorthNode',
+    Ketu: 'SouthNode'
+};
+function planetFromPosition(position, cusps, offset) {
+    const longitude = (0, chart_utils_1.toSidereal)(position.longitude, offset);
+    return {
+        longitude,
+        retrograde: position.retrograde,
+        speed: position.speed,
+        house: (0, houses_1.assignHouse)(longitude, cusps),
+        sign: (0, chart_utils_1.getSignData)(longitude)
+    };
+}
+// Chart metadata describing the zodiac the longitudes are expressed in;
+// `ayanamsa_correction` is how far they sit behind tropical longitudes
+function zodiacMetadata(options, offset) {
+    if (options.zodiac === 'sidereal') {
+        return { coordinate_system: 'sidereal', ayanamsa: options.ayanamsa || 'lahiri', ayanamsa_correction: offset };
+    }
+    return { coordinate_system: 'tropical', ayanamsa_correction: 0 };
+}
+// House system the cusps were computed in, plus the requested one and the reason
+// when it could not be used (quadrant systems inside the polar circles)
+function houseMetadata(houseData) {
+    if (!houseData.fallback) {
+        return { house_system: houseData.system };
+    }
+    return {
+        house_system: houseData.system,
+        requested_house_system: houseData.requested,
+        fallback_reason: houseData.fallbackReason
+    };
+}
+/**
+ * Remote planet positions from the ProKerala astrology API
+ */
+class ProKeralaProvider {
+    constructor(options = {}) {
+        this.name = 'prokerala';
+        this.remote = true;
+        this.degraded = false;
+        this.token = null;
+        this.tokenRequest = null;
+        this.baseUrl = options.baseUrl || process.env.ASTRO_API_URL || 'https://api.prokerala.com';
+        this.tokenUrl = options.tokenUrl || process.env.ASTRO_TOKEN_URL;
+        this.clientId = options.clientId || process.env.ASTRO_CLIENT_ID;
+        this.clientSecret = options.clientSecret || process.env.ASTRO_CLIENT_SECRET;
+        this.timeoutMs = options.timeoutMs ?? 10000;
+    }
+    async generateChart(birthData, options = {}) {
+        // The API takes whole seconds
+        const datetime = `${birthData.date}T${(0, timezone_1.formatClockTime)(birthData.time).slice(0, 8)}${(0, chart_utils_1.formatUtcOffset)((0, timezone_1.utcOffsetHours)(birthData))}`;
+        const coordinates = `${birthData.latitude},${birthData.longitude}`;
+        const token = await this.getToken();
+        let planetRes;
+        try {
+            planetRes = await axios_1.default.get(`${this.baseUrl}/v2/astrology/planet-position`, {
+                params: { ayanamsa: 1, coordinates, datetime },
+                headers: { Authorization: `Bearer ${token}` },
+                timeout: this.timeoutMs
+            });
+        }
+        catch (error) {
+            if (error?.response?.status === 401) {
+                // Token revoked early; make the retry fetch a fresh one
+                this.token = null;
+            }
+            throw error;
+        }
+        // ProKerala answers in the Lahiri sidereal zodiac; undo it with the Lahiri
+        // value for this date before applying the requested zodiac
+        const jd = (0, ephemeris_1.julianDayFromBirthData)(birthData);
+        const lahiri = (0, ayanamsa_1.ayanamsaDegrees)('lahiri', jd);
+        const offset = (0, ayanamsa_1.zodiacOffset)(options.zodiac, options.ayanamsa, jd);
+        // ProKerala's `position` is a Vedic house number, so houses are cast locally
+        const houseData = (0, houses_1.buildHouses)(birthData, options.houseSystem, offset);
+        const bodies = (0, ephemeris_1.resolveBodySet)(options.bodies);
+        const remotePositions = {};
+        for (const p of planetRes.data.data.planet_position) {
+            const name = PROKERALA_BODY_NAMES[p.name] || p.name;
+            if (bodies.includes(name)) {
+                remotePositions[name] = {
+                    longitude: (0, chart_utils_1.toTropical)(p.longitude, lahiri),
+                    retrograde: p.is_retrograde
+                };
+            }
+        }
+        // ProKerala has no outer planets, Chiron or asteroids; those come from the local ephemeris
+        const missing = bodies.filter(name => !remotePositions[name]);
+        const localPositions = missing.length > 0 ? (0, ephemeris_1.computePositions)(jd, missing) : {};
+        const planets = {};
+        for (const name of bodies) {
+            planets[name] = planetFromPosition(remotePositions[name] || localPositions[name], houseData.cusps, offset);
+        }
+        return {
+            metadata: {
+                conversion_method: 'sidereal+ayanamsa',
+                birth_datetime: datetime,
+                ...zodiacMetadata(options, offset),
+                ...houseMetadata(houseData)
+            },
+            planets,
+            houses: houseData.houses,
+            angles: houseData.angles
+        };
+    }
+    // Tokens are reused until shortly before expiry; concurrent callers share one request
+    async getToken() {
+        if (this.token && this.token.expiresAt > Date.now()) {
+            return this.token.value;
+        }
+        if (!this.tokenUrl || !this.clientId || !this.clientSecret) {
+            throw new resilience_1.ChartProviderError('ProKerala credentials are not configured', this.name, { retryable: false });
+        }
+        if (!this.tokenRequest) {
+            this.tokenRequest = axios_1.default.post(this.tokenUrl, new URLSearchParams({
+                grant_type: 'client_credentials',
+                client_id: this.clientId,
+                client_secret: this.clientSecret
+            }), { headers: { 'Content-Type': 'application/x-www-form-urlencoded' }, timeout: this.timeoutMs })
+                .then(tokenRes => {
+                const expiresInMs = (Number(tokenRes.data.expires_in) || 3600) * 1000;
+                this.token = {
+                    value: tokenRes.data.access_token,
+                    expiresAt: Date.now() + Math.max(0, expiresInMs - TOKEN_EXPIRY_MARGIN_MS)
+                };
+                return this.token.value;
+            })
+                .finally(() => {
+                this.tokenRequest = null;
+            });
+        }
+        return this.tokenRequest;
+    }
+}
+exports.ProKeralaProvider = ProKeralaProvider;
+/**
+ * Offline chart from the built-in ephemeris, no network access required
+ */
+class LocalEphemerisProvider {
+    constructor() {
+        this.name = 'local';
+        this.remote = false;
+        this.degraded = false;
+    }
+    async generateChart(birthData, options = {}) {
+        const jd = (0, ephemeris_1.julianDayFromBirthData)(birthData);
+        const offset = (0, ayanamsa_1.zodiacOffset)(options.zodiac, options.ayanamsa, jd);
+        const bodies = (0, ephemeris_1.resolveBodySet)(options.bodies);
+        const positions = (0, ephemeris_1.computePositions)(jd, bodies);
+        const houseData = (0, houses_1.buildHouses)(birthData, options.houseSystem, offset);
+        const planets = {};
+        for (const name of bodies) {
+            planets[name] = planetFromPosition(positions[name], houseData.cusps, offset);
+        }
+        return {
+            metadata: {
+                conversion_method: 'local-ephemeris',
+                birth_datetime: `${birthData.date}T${(0, timezone_1.formatClockTime)(birthData.time)}${(0, chart_utils_1.formatUtcOffset)((0, timezone_1.utcOffsetHours)(birthData))}`,
+                ...zodiacMetadata(options, offset),
+                ...houseMetadata(houseData)
+            },
+            planets,
+            houses: houseData.houses,
+            angles: houseData.angles
+        };
+    }
+}
+exports.LocalEphemerisProvider = LocalEphemerisProvider;
+/**
+ * Canned charts for tests and last-resort fallback. Results are always marked degraded.
+ */
+class FixtureProvider {
+    constructor(fixtures = {}) {
+        this.name = 'fixture';
+        this.remote = false;
+        this.degraded = true;
+        this.fixtures = new Map();
+        for (const [key, chart] of Object.entries(fixtures)) {
+            this.fixtures.set(key, chart);
+        }
+    }
+    addFixture(birthData, chart) {
+        this.fixtures.set((0, chart_utils_1.chartCacheKey)(birthData), chart);
+    }
+    async generateChart(birthData) {
+        const fixture = this.fixtures.get((0, chart_utils_1.chartCacheKey)(birthData));
+        if (fixture) {
+            return JSON.parse(JSON.stringify(fixture));
+        }
+        return this.getMockChart(birthData);
+    }
+    getMockChart(birthData) {
+        return {
+            metadata: {
+                conversion_method: 'mock',
+                ayanamsa_correction: 24,
+                birth_datetime: `${birthData.date}T${(0, timezone_1.formatClockTime)(birthData.time)}`,
+                coordinate_system: 'tropical'
+            },
+            planets: {
+                Sun: { longitude: 120, sign: (0, chart_utils_1.getSignData)(120), house: 5, retrograde: false },
+                Moon: { longitude: 30, sign: (0, chart_utils_1.getSignData)(30), house: 2, retrograde: false }
+            },
+            houses: {
+                '1': { cusp_longitude: 0, sign: (0, chart_utils_1.getSignData)(0) },
+                '2': { cusp_longitude: 30, sign: (0, chart_utils_1.getSignData)(30) }
+            }
+        };
+    }
+}
+exports.FixtureProvider = FixtureProvider;
+function createDefaultProviders() {
+    return [new ProKeralaProvider(), new LocalEphemerisProvider(), new FixtureProvider()];
+}
@@ -0,0 +1,26 @@
+import { AstroChart } from '@astradio/types';
+import { AspectOptions, ChartAspect } from './aspects';
+export interface SynastryResult {
+    /** Aspects from the first chart's bodies (`planet1`) to the second's (`planet2`) */
+    aspects: ChartAspect[];
+    /** House of the other chart each body falls in */
+    house_overlays: {
+        first_in_second: Record<string, number>;
+        second_in_first: Record<string, number>;
+    };
+}
+/**
+ * Midpoint of two longitudes along the shorter arc between them
+ */
+export declare function midpoint(longitude1: number, longitude2: number): number;
+/**
+ * Synastry between two natal charts: aspects from the first chart's bodies
+ * (`planet1`) to the second's (`planet2`), tightest first, and the house of the
+ * other chart each body falls in
+ */
+export declare function calculateSynastry(chart1: AstroChart, chart2: AstroChart, options?: AspectOptions): SynastryResult;
+/**
+ * Midpoint composite of two natal charts: every body both charts share, and the
+ * houses and angles, sits at the shorter-arc midpoint of its two positions
+ */
+export declare function compositeChart(chart1: AstroChart, chart2: AstroChart): AstroChart;
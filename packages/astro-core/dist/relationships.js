@@ -0,0 +1,130 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.midpoint = midpoint;
+exports.calculateSynastry = calculateSynastry;
+exports.compositeChart = compositeChart;
+const aspects_1 = require("./aspects");
+const houses_1 = require("./houses");
+const transits_1 = require("./transits");
+const chart_utils_1 = require("./chart-utils");
+const ephemeris_1 = require("./ephemeris");
+/**
+ * Midpoint of two longitudes along the shorter arc between them
+ */
+function midpoint(longitude1, longitude2) {
+    const arc = (0, ephemeris_1.normalizeDegrees)(longitude2 - longitude1);
+    return (0, ephemeris_1.normalizeDegrees)(arc > 180 ? longitude1 + (arc - 360) / 2 : longitude1 + arc / 2);
+}
+function assertSameZodiac(chart1, chart2) {
+    const zodiac1 = chart1.metadata?.coordinate_system || 'tropical';
+    const zodiac2 = chart2.metadata?.coordinate_system || 'tropical';
+    if (zodiac1 !== zodiac2 || chart1.metadata?.ayanamsa !== chart2.metadata?.ayanamsa) {
+        throw new Error('Charts must use the same zodiac and ayanamsa to be compared');
+    }
+}
+// Natal positions are fixed in time, so synastry aspects carry no speeds
+function fixedPositions(chart) {
+    const positions = {};
+    for (const [body, planet] of Object.entries(chart.planets)) {
+        positions[body] = { longitude: planet.longitude };
+    }
+    return positions;
+}
+function houseOverlay(chart, cusps) {
+    const overlay = {};
+    if (!cusps) {
+        return overlay;
+    }
+    for (const [body, planet] of Object.entries(chart.planets)) {
+        overlay[body] = (0, houses_1.assignHouse)(planet.longitude, cusps);
+    }
+    return overlay;
+}
+/**
+ * Synastry between two natal charts: aspects from the first chart's bodies
+ * (`planet1`) to the second's (`planet2`), tightest first, and the house of the
+ * other chart each body falls in
+ */
+function calculateSynastry(chart1, chart2, options = {}) {
+    assertSameZodiac(chart1, chart2);
+    return {
+        aspects: (0, aspects_1.calculateCrossAspects)(fixedPositions(chart1), fixedPositions(chart2), options),
+        house_overlays: {
+            first_in_second: houseOverlay(chart1, (0, transits_1.natalCusps)(chart2)),
+            second_in_first: houseOverlay(chart2, (0, transits_1.natalCusps)(chart1))
+        }
+    };
+}
+// Cusp midpoints taken one by one can land on the far side of the wheel; keep
+// each one on the side that continues the house order from the previous cusp
+function compositeCusps(cusps1, cusps2) {
+    const cusps = [];
+    for (let i = 0; i < 12; i++) {
+        let cusp = midpoint(cusps1[i], cusps2[i]);
+        if (i > 0 && (0, ephemeris_1.normalizeDegrees)(cusp - cusps[i - 1]) > 180) {
+            cusp = (0, ephemeris_1.normalizeDegrees)(cusp + 180);
+        }
+        cusps.push(cusp);
+    }
+    return cusps;
+}
+/**
+ * Midpoint composite of two natal charts: every body both charts share, and the
+ * houses and angles, sits at the shorter-arc midpoint of its two positions
+ */
+function compositeChart(chart1, chart2) {
+    assertSameZodiac(chart1, chart2);
+    const cusps1 = (0, transits_1.natalCusps)(chart1);
+    const cusps2 = (0, transits_1.natalCusps)(chart2);
+    const cusps = cusps1 && cusps2 ? compositeCusps(cusps1, cusps2) : null;
+    const planets = {};
+    for (const [body, planet1] of Object.entries(chart1.planets)) {
+        const planet2 = chart2.planets[body];
+        if (!planet2) {
+            continue;
+        }
+        const longitude = midpoint(planet1.longitude, planet2.longitude);
+        const speed = typeof planet1.speed === 'number' && typeof planet2.speed === 'number'
+            ? (planet1.speed + planet2.speed) / 2
+            : undefined;
+        planets[body] = {
+            longitude,
+            sign: (0, chart_utils_1.getSignData)(longitude),
+            house: cusps ? (0, houses_1.assignHouse)(longitude, cusps) : 1,
+            retrograde: speed !== undefined ? speed < 0 : false,
+            ...(speed !== undefined ? { speed } : {})
+        };
+    }
+    const houses = {};
+    (cusps || []).forEach((cusp, i) => {
+        houses[(i + 1).toString()] = { cusp_longitude: cusp, sign: (0, chart_utils_1.getSignData)(cusp) };
+    });
+    const composite = {
+        metadata: {
+            conversion_method: 'composite_midpoint',
+            ayanamsa_correction: chart1.metadata.ayanamsa_correction,
+            birth_datetime: `${chart1.metadata.birth_datetime} / ${chart2.metadata.birth_datetime}`,
+            coordinate_system: chart1.metadata.coordinate_system,
+            ...(chart1.metadata.ayanamsa ? { ayanamsa: chart1.metadata.ayanamsa } : {}),
+            ...(chart1.metadata.house_system === chart2.metadata.house_system ? { house_system: chart1.metadata.house_system } : {})
+        },
+        planets,
+        houses
+    };
+    if (chart1.angles && chart2.angles) {
+        const ascendant = midpoint(chart1.angles.ascendant.longitude, chart2.angles.ascendant.longitude);
+        let mc = midpoint(chart1.angles.mc.longitude, chart2.angles.mc.longitude);
+        // The MC stays in the upper half of the wheel, behind the ascendant
+        if ((0, ephemeris_1.normalizeDegrees)(ascendant - mc) > 180) {
+            mc = (0, ephemeris_1.normalizeDegrees)(mc + 180);
+        }
+        const angle = (longitude) => ({ longitude, sign: (0, chart_utils_1.getSignData)(longitude) });
+        composite.angles = {
+            ascendant: angle(ascendant),
+            mc: angle(mc),
+            descendant: angle((0, ephemeris_1.normalizeDegrees)(ascendant + 180)),
+            ic: angle((0, ephemeris_1.normalizeDegrees)(mc + 180))
+        };
+    }
+    return composite;
+}
@@ -0,0 +1,63 @@
+export declare class ChartProviderError extends Error {
+    provider: string;
+    status?: number;
+    retryable: boolean;
+    constructor(message: string, provider: string, options?: {
+        status?: number;
+        retryable?: boolean;
+    });
+}
+export declare class CircuitOpenError extends ChartProviderError {
+    constructor(provider: string);
+}
+/**
+ * Network failures, 429 and 5xx responses are worth retrying; other 4xx are not
+ */
+export declare function isRetryableError(error: any): boolean;
+export interface RetryOptions {
+    retries?: number;
+    baseDelayMs?: number;
+    maxDelayMs?: number;
+    shouldRetry?: (error: unknown) => boolean;
+}
+/**
+ * Run an operation with bounded retries and exponential backoff with jitter
+ */
+export declare function withRetry<T>(operation: (attempt: number) => Promise<T>, options?: RetryOptions): Promise<T>;
+export type CircuitState = 'closed' | 'open' | 'half-open';
+export interface CircuitBreakerOptions {
+    failureThreshold?: number;
+    resetTimeoutMs?: number;
+}
+/**
+ * Stops calling a failing provider for a cool-down period, then lets a single
+ * trial request through before closing again
+ */
+export declare class CircuitBreaker {
+    private state;
+    private failures;
+    private openedAt;
+    private name;
+    private failureThreshold;
+    private resetTimeoutMs;
+    constructor(name: string, options?: CircuitBreakerOptions);
+    execute<T>(operation: () => Promise<T>): Promise<T>;
+    getState(): CircuitState;
+}
+export interface ChartCacheOptions {
+    maxEntries?: number;
+    ttlMs?: number;
+}
+/**
+ * Bounded in-memory chart memo with per-entry expiry
+ */
+export declare class ChartCache<T = any> {
+    private entries;
+    private maxEntries;
+    private ttlMs;
+    constructor(options?: ChartCacheOptions);
+    get(key: string): T | undefined;
+    set(key: string, value: T): void;
+    clear(): void;
+    get size(): number;
+}
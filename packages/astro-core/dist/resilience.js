@@ -0,0 +1,133 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ChartCache = exports.CircuitBreaker = exports.CircuitOpenError = exports.ChartProviderError = void 0;
+exports.isRetryableError = isRetryableError;
+exports.withRetry = withRetry;
+class ChartProviderError extends Error {
+    constructor(message, provider, options = {}) {
+        super(message);
+        this.name = 'ChartProviderError';
+        this.provider = provider;
+        this.status = options.status;
+        this.retryable = options.retryable ?? true;
+    }
+}
+exports.ChartProviderError = ChartProviderError;
+class CircuitOpenError extends ChartProviderError {
+    constructor(provider) {
+        super(`Circuit open for chart provider "${provider}"`, provider, { retryable: false });
+        this.name = 'CircuitOpenError';
+    }
+}
+exports.CircuitOpenError = CircuitOpenError;
+/**
+ * Network failures, 429 and 5xx responses are worth retrying; other 4xx are not
+ */
+function isRetryableError(error) {
+    if (error instanceof ChartProviderError) {
+        return error.retryable;
+    }
+    const status = error?.response?.status;
+    if (typeof status === 'number') {
+        return status === 429 || status >= 500;
+    }
+    return true;
+}
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+/**
+ * Run an operation with bounded retries and exponential backoff with jitter
+ */
+async function withRetry(operation, options = {}) {
+    const { retries = 2, baseDelayMs = 250, maxDelayMs = 2000, shouldRetry = isRetryableError } = options;
+    for (let attempt = 0;; attempt++) {
+        try {
+            return await operation(attempt);
+        }
+        catch (error) {
+            if (attempt >= retries || !shouldRetry(error)) {
+                throw error;
+            }
+            const delay = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+            await sleep(delay / 2 + Math.random() * delay / 2);
+        }
+    }
+}
+/**
+ * Stops calling a failing provider for a cool-down period, then lets a single
+ * trial request through before closing again
+ */
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.state = 'closed';
+        this.failures = 0;
+        this.openedAt = 0;
+        this.name = name;
+        this.failureThreshold = options.failureThreshold ?? 5;
+        this.resetTimeoutMs = options.resetTimeoutMs ?? 30000;
+    }
+    async execute(operation) {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.resetTimeoutMs) {
+                throw new CircuitOpenError(this.name);
+            }
+            this.state = 'half-open';
+        }
+        try {
+            const result = await operation();
+            this.failures = 0;
+            this.state = 'closed';
+            return result;
+        }
+        catch (error) {
+            this.failures++;
+            if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+                this.state = 'open';
+                this.openedAt = Date.now();
+            }
+            throw error;
+        }
+    }
+    getState() {
+        return this.state;
+    }
+}
+exports.CircuitBreaker = CircuitBreaker;
+/**
+ * Bounded in-memory chart memo with per-entry expiry
+ */
+class ChartCache {
+    constructor(options = {}) {
+        this.entries = new Map();
+        this.maxEntries = options.maxEntries ?? 500;
+        this.ttlMs = options.ttlMs ?? 24 * 60 * 60 * 1000;
+    }
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        // Re-insert so the Map's iteration order tracks recency
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return JSON.parse(JSON.stringify(entry.value));
+    }
+    set(key, value) {
+        this.entries.delete(key);
+        this.entries.set(key, { value: JSON.parse(JSON.stringify(value)), expiresAt: Date.now() + this.ttlMs });
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value;
+            this.entries.delete(oldest);
+        }
+    }
+    clear() {
+        this.entries.clear();
+    }
+    get size() {
+        return this.entries.size;
+    }
+}
+exports.ChartCache = ChartCache;
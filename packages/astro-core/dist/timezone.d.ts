@@ -0,0 +1,31 @@
+import { BirthData, TimeZoneResolution } from '@astradio/types';
+/**
+ * Hours, minutes and seconds of a clock time, 'HH:MM' or 'HH:MM:SS' with
+ * optional fractional seconds
+ */
+export declare function parseClockTime(time: string): [number, number, number];
+/**
+ * Clock time with its seconds, as written in ISO 8601 datetimes
+ */
+export declare function formatClockTime(time: string): string;
+/**
+ * Whether a string names a time zone in the tz database, e.g. 'Asia/Kolkata'
+ */
+export declare function isValidTimeZone(zone: unknown): zone is string;
+/**
+ * Offset of local time from UTC in minutes for a zone at a UTC instant
+ */
+export declare function timeZoneOffsetMinutes(zone: string, utcMs: number): number;
+/**
+ * Resolve a local date ('YYYY-MM-DD') and time ('HH:MM[:SS]') in an IANA zone to its
+ * UTC offset. Wall times repeated when clocks go back are `ambiguous` and take
+ * the first (daylight) occurrence; wall times skipped when clocks go forward are
+ * `nonexistent` and are read with the offset in force before the change, which
+ * moves them forward by the length of the gap.
+ */
+export declare function resolveLocalTime(date: string, time: string, zone: string): TimeZoneResolution;
+/**
+ * UTC offset in hours for birth data whose `timezone` is either a numeric offset
+ * or an IANA zone name
+ */
+export declare function utcOffsetHours(birthData: BirthData): number;
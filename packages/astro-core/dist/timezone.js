@@ -0,0 +1,128 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.parseClockTime = parseClockTime;
+exports.formatClockTime = formatClockTime;
+exports.isValidTimeZone = isValidTimeZone;
+exports.timeZoneOffsetMinutes = timeZoneOffsetMinutes;
+exports.resolveLocalTime = resolveLocalTime;
+exports.utcOffsetHours = utcOffsetHours;
+// Zone rules come from the IANA tz database bundled with the runtime's ICU data
+// (`process.versions.tz`), so resolution works offline and covers historical
+// offsets and DST back to the start of the database.
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+const formatters = new Map();
+/**
+ * Hours, minutes and seconds of a clock time, 'HH:MM' or 'HH:MM:SS' with
+ * optional fractional seconds
+ */
+function parseClockTime(time) {
+    const [hh = 0, mm = 0, ss = 0] = time.split(':').map(Number);
+    return [hh, mm, ss];
+}
+/**
+ * Clock time with its seconds, as written in ISO 8601 datetimes
+ */
+function formatClockTime(time) {
+    return time.split(':').length > 2 ? time : `${time}:00`;
+}
+function formatterFor(zone) {
+    let formatter = formatters.get(zone);
+    if (!formatter) {
+        formatter = new Intl.DateTimeFormat('en-US', {
+            timeZone: zone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        });
+        formatters.set(zone, formatter);
+    }
+    return formatter;
+}
+/**
+ * Whether a string names a time zone in the tz database, e.g. 'Asia/Kolkata'
+ */
+function isValidTimeZone(zone) {
+    if (typeof zone !== 'string' || zone.length === 0) {
+        return false;
+    }
+    try {
+        formatterFor(zone);
+        return true;
+    }
+    catch {
+        return false;
+    }
+}
+/**
+ * Offset of local time from UTC in minutes for a zone at a UTC instant
+ */
+function timeZoneOffsetMinutes(zone, utcMs) {
+    const instant = Math.floor(utcMs / 1000) * 1000;
+    const parts = {};
+    for (const part of formatterFor(zone).formatToParts(new Date(instant))) {
+        parts[part.type] = part.value;
+    }
+    const wall = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+    return (wall - instant) / MINUTE_MS;
+}
+function formatOffsetMinutes(minutes) {
+    const sign = minutes >= 0 ? '+' : '-';
+    const total = Math.round(Math.abs(minutes));
+    return `${sign}${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+/**
+ * Resolve a local date ('YYYY-MM-DD') and time ('HH:MM') in an IANA zone to its
+ * UTC offset. Wall times repeated when clocks go back are `ambiguous` and take
+ * the first (daylight) occurrence; wall times skipped when clocks go forward are
+ * `nonexistent` and are read with the offset in force before the change, which
+ * moves them forward by the length of the gap.
+ */
+function resolveLocalTime(date, time, zone) {
+    if (!isValidTimeZone(zone)) {
+        throw new Error(`Unknown time zone: ${zone}`);
+    }
+    const [year, month, day] = date.split('-').map(Number);
+    const [hh, mm, ss] = parseClockTime(time);
+    const wall = Date.UTC(year, month - 1, day, hh, mm) + ss * 1000;
+    // A wall time can only map to the offsets in force shortly before or after it
+    const before = timeZoneOffsetMinutes(zone, wall - DAY_MS);
+    const after = timeZoneOffsetMinutes(zone, wall + DAY_MS);
+    const candidates = [...new Set([before, after])]
+        .filter(offset => timeZoneOffsetMinutes(zone, wall - offset * MINUTE_MS) === offset)
+        .sort((a, b) => b - a);
+    let status = 'valid';
+    let offsetMinutes = candidates[0];
+    if (candidates.length === 0) {
+        status = 'nonexistent';
+        offsetMinutes = before;
+    }
+    else if (candidates.length > 1) {
+        status = 'ambiguous';
+    }
+    const resolution = {
+        zone,
+        offset_minutes: offsetMinutes,
+        utc_offset: formatOffsetMinutes(offsetMinutes),
+        utc: new Date(wall - offsetMinutes * MINUTE_MS).toISOString(),
+        status
+    };
+    if (status === 'ambiguous') {
+        resolution.alternative_utc_offset = formatOffsetMinutes(candidates[1]);
+    }
+    return resolution;
+}
+/**
+ * UTC offset in hours for birth data whose `timezone` is either a numeric offset
+ * or an IANA zone name
+ */
+function utcOffsetHours(birthData) {
+    if (typeof birthData.timezone === 'string') {
+        return resolveLocalTime(birthData.date, birthData.time, birthData.timezone).offset_minutes / 60;
+    }
+    return birthData.timezone || 0;
+}
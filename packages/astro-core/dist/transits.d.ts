@@ -0,0 +1,17 @@
+import { AstroChart, AspectType } from '@astradio/types';
+import { AspectOptions, AspectPosition, ChartAspect } from './aspects';
+export interface TransitAspect extends ChartAspect {
+    /** Natal house the transiting body (`planet1`) is passing through */
+    transit_house: number | null;
+}
+export declare const TRANSIT_ORBS: Record<AspectType, number>;
+/**
+ * House cusp longitudes of a chart in house order, or null when it has none
+ */
+export declare function natalCusps(chart: AstroChart): number[] | null;
+/**
+ * Aspects from transiting bodies to a natal chart, tightest first. Natal
+ * positions are fixed, so `applying` follows the transiting body alone. Each
+ * transit also names the natal house the transiting body is passing through.
+ */
+export declare function findTransits(transitPlanets: Record<string, AspectPosition>, natalChart: AstroChart, options?: AspectOptions): TransitAspect[];
@@ -0,0 +1,54 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.TRANSIT_ORBS = void 0;
+exports.natalCusps = natalCusps;
+exports.findTransits = findTransits;
+const aspects_1 = require("./aspects");
+const houses_1 = require("./houses");
+// Transits are only felt close to exact, so their orbs are much tighter than natal ones
+exports.TRANSIT_ORBS = {
+    conjunction: 3,
+    opposition: 3,
+    trine: 3,
+    square: 3,
+    sextile: 2,
+    quincunx: 1,
+    semi_sextile: 1,
+    semi_square: 1,
+    sesquiquadrate: 1,
+    quintile: 1
+};
+/**
+ * House cusp longitudes of a chart in house order, or null when it has none
+ */
+function natalCusps(chart) {
+    const cusps = [];
+    for (let i = 1; i <= 12; i++) {
+        const house = chart.houses?.[i.toString()];
+        if (!house) {
+            return null;
+        }
+        cusps.push(house.cusp_longitude);
+    }
+    return cusps;
+}
+/**
+ * Aspects from transiting bodies to a natal chart, tightest first. Natal
+ * positions are fixed, so `applying` follows the transiting body alone. Each
+ * transit also names the natal house the transiting body is passing through.
+ */
+function findTransits(transitPlanets, natalChart, options = {}) {
+    const natalPositions = {};
+    for (const [body, planet] of Object.entries(natalChart.planets)) {
+        natalPositions[body] = { longitude: planet.longitude, speed: 0 };
+    }
+    const cusps = natalCusps(natalChart);
+    const aspects = (0, aspects_1.calculateCrossAspects)(transitPlanets, natalPositions, {
+        ...options,
+        orbs: { ...exports.TRANSIT_ORBS, ...options.orbs }
+    });
+    return aspects.map(aspect => ({
+        ...aspect,
+        transit_house: cusps ? (0, houses_1.assignHouse)(transitPlanets[aspect.planet1].longitude, cusps) : null
+    }));
+}
@@ -0,0 +1,78 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { bodyLongitude, computeBodyPosition, deltaT } = require("../dist/ephemeris");
+const { calculateEvents } = require("../dist/events");
+// Three arcminutes, the accuracy the offline ephemeris promises
+const TOLERANCE = 3 / 60;
+function angleBetween(a, b) {
+    return Math.abs(((a - b) % 360 + 540) % 360 - 180);
+}
+function minutesBetween(a, b) {
+    return Math.abs(new Date(a) - new Date(b)) / 60000;
+}
+// Julian Day in UT of a moment given in Terrestrial Time
+function fromTT(jd) {
+    return jd - deltaT(jd) / 86400;
+}
+test('longitudes match the worked examples of Meeus, Astronomical Algorithms', () => {
+    // Example 47.a, geometric; 25.a, true; 33.a, apparent
+    assert.ok(angleBetween(bodyLongitude('Moon', fromTT(2448724.5)), 133.162655) < TOLERANCE);
+    assert.ok(angleBetween(bodyLongitude('Sun', fromTT(2448908.5)), 199.90988) < TOLERANCE);
+    assert.ok(angleBetween(bodyLongitude('Venus', fromTT(2448976.5)), 313.08102) < TOLERANCE);
+});
+test('longitudes at J2000 match a full ephemeris', () => {
+    // Apparent geocentric longitudes at 2000-01-01 12:00 UT
+    const expected = {
+        Sun: 280.369,
+        Moon: 223.324,
+        Mercury: 271.889,
+        Venus: 241.565,
+        Mars: 327.964,
+        Jupiter: 25.254,
+        Saturn: 40.396,
+        Uranus: 314.806,
+        Neptune: 303.195,
+        Pluto: 251.455
+    };
+    for (const [body, longitude] of Object.entries(expected)) {
+        const position = computeBodyPosition(body, 2451545);
+        assert.ok(angleBetween(position.longitude, longitude) < TOLERANCE, `${body} at ${position.longitude}`);
+    }
+    // Saturn stationed direct on 2000-01-12
+    assert.equal(computeBodyPosition('Saturn', 2451545).retrograde, true);
+    assert.equal(computeBodyPosition('Jupiter', 2451545).retrograde, false);
+});
+test('the eclipses of 2024 fall at their new and full moons', () => {
+    const eclipses = calculateEvents('2024-01-01', '2024-12-31', { types: ['solar_eclipse', 'lunar_eclipse'] });
+    const expected = [
+        ['lunar_eclipse', 'penumbral', '2024-03-25T07:00Z'],
+        ['solar_eclipse', 'total', '2024-04-08T18:21Z'],
+        ['lunar_eclipse', 'partial', '2024-09-18T02:34Z'],
+        ['solar_eclipse', 'annular', '2024-10-02T18:49Z']
+    ];
+    assert.equal(eclipses.length, expected.length);
+    eclipses.forEach((eclipse, index) => {
+        const [type, eclipseType, datetime] = expected[index];
+        assert.equal(eclipse.type, type);
+        assert.equal(eclipse.eclipse_type, eclipseType);
+        assert.ok(minutesBetween(eclipse.datetime, datetime) < 10, `${type} at ${eclipse.datetime}`);
+    });
+});
+test('Mercury stations of 2024 fall within half an hour of the almanac', () => {
+    const stations = calculateEvents('2024-01-01', '2024-12-31', { types: ['station_retrograde', 'station_direct'] })
+        .filter(event => event.body === 'Mercury');
+    const expected = [
+        ['station_direct', '2024-01-02T03:08Z'],
+        ['station_retrograde', '2024-04-01T22:14Z'],
+        ['station_direct', '2024-04-25T12:54Z'],
+        ['station_retrograde', '2024-08-05T04:56Z'],
+        ['station_direct', '2024-08-28T21:14Z'],
+        ['station_retrograde', '2024-11-26T02:42Z'],
+        ['station_direct', '2024-12-15T20:56Z']
+    ];
+    assert.deepEqual(stations.map(station => station.type), expected.map(([type]) => type));
+    stations.forEach((station, index) => {
+        assert.ok(minutesBetween(station.datetime, expected[index][1]) < 30, `${station.type} at ${station.datetime}`);
+    });
+});
@@ -0,0 +1,86 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { ascendantForRamc, computeHouseCusps, buildHouses } = require("../dist/houses");
+const { computeAngles, julianDay, localSiderealTime, obliquity } = require("../dist/ephemeris");
+const { LocalEphemerisProvider } = require("../dist/providers");
+const DEG = Math.PI / 180;
+const EPS = 23.4393;
+function angleBetween(a, b) {
+    return Math.abs(((a - b) % 360 + 540) % 360 - 180);
+}
+function assertAngle(actual, expected, tolerance = 1e-6) {
+    assert.ok(angleBetween(actual, expected) < tolerance, `${actual} is not ${expected}`);
+}
+function rightAscension(longitude) {
+    return Math.atan2(Math.sin(longitude * DEG) * Math.cos(EPS * DEG), Math.cos(longitude * DEG)) / DEG;
+}
+// Diurnal semi-arc of an ecliptic point at a latitude
+function semiArc(longitude, latitude) {
+    const declination = Math.asin(Math.sin(EPS * DEG) * Math.sin(longitude * DEG));
+    return Math.acos(-Math.tan(latitude * DEG) * Math.tan(declination)) / DEG;
+}
+test('sidereal time and the midheaven match Meeus example 12.b', () => {
+    // 1987-04-10 19:21 UT at Greenwich: mean sidereal time 128.7378734°
+    const jd = julianDay(1987, 4, 10, 19 + 21 / 60);
+    assertAngle(localSiderealTime(jd, 0), 128.7378734, 1e-5);
+    const angles = computeAngles(jd, 51.5, 0);
+    const eps = obliquity(jd);
+    // The midheaven is the ecliptic point on the meridian, so its right ascension is the RAMC
+    assertAngle(Math.atan2(Math.sin(angles.mc * DEG) * Math.cos(eps * DEG), Math.cos(angles.mc * DEG)) / DEG, angles.ramc);
+    assertAngle(angles.ascendant, ascendantForRamc(angles.ramc, 51.5, eps));
+});
+test('equal and whole sign houses step 30° from the ascendant and its sign', () => {
+    const equal = computeHouseCusps('equal', 200, 40, EPS);
+    const wholeSign = computeHouseCusps('whole_sign', 200, 40, EPS);
+    const ascendant = ascendantForRamc(200, 40, EPS);
+    equal.cusps.forEach((cusp, index) => assertAngle(cusp, ascendant + 30 * index));
+    wholeSign.cusps.forEach((cusp, index) => assertAngle(cusp, Math.floor(ascendant / 30) * 30 + 30 * index));
+});
+test('quadrant systems put the angles on cusps 1, 4, 7 and 10', () => {
+    for (const system of ['placidus', 'koch', 'porphyry']) {
+        const { cusps, ascendant, mc } = computeHouseCusps(system, 123.4, 51.5, EPS);
+        assertAngle(cusps[0], ascendant);
+        assertAngle(cusps[9], mc);
+        cusps.slice(0, 6).forEach((cusp, index) => assertAngle(cusps[index + 6], cusp + 180));
+    }
+});
+test('Placidus cusps trisect the semi-arcs of their own degrees', () => {
+    const ramc = 123.4;
+    const latitude = 51.5;
+    const { cusps } = computeHouseCusps('placidus', ramc, latitude, EPS);
+    // Cusps 11 and 12 are a third and two thirds of their diurnal semi-arc east of the meridian
+    assertAngle(rightAscension(cusps[10]) - ramc, semiArc(cusps[10], latitude) / 3, 1e-5);
+    assertAngle(rightAscension(cusps[11]) - ramc, 2 * semiArc(cusps[11], latitude) / 3, 1e-5);
+    // Cusps 2 and 3 are two thirds and a third of their nocturnal semi-arc from the lower meridian
+    assertAngle(ramc + 180 - rightAscension(cusps[1]), 2 * (180 - semiArc(cusps[1], latitude)) / 3, 1e-5);
+    assertAngle(ramc + 180 - rightAscension(cusps[2]), (180 - semiArc(cusps[2], latitude)) / 3, 1e-5);
+});
+test('Koch cusps rise as the midheaven degree crosses thirds of its semi-arc', () => {
+    const ramc = 123.4;
+    const latitude = 51.5;
+    const { cusps, mc } = computeHouseCusps('koch', ramc, latitude, EPS);
+    const arc = semiArc(mc, latitude);
+    assertAngle(cusps[10], ascendantForRamc(ramc - 2 * arc / 3, latitude, EPS), 1e-5);
+    assertAngle(cusps[11], ascendantForRamc(ramc - arc / 3, latitude, EPS), 1e-5);
+});
+test('Placidus and Koch fall back to equal houses inside the polar circles', () => {
+    for (const system of ['placidus', 'koch']) {
+        const result = computeHouseCusps(system, 123.4, 70, EPS);
+        assert.equal(result.system, 'equal');
+        assert.equal(result.fallback, 'equal');
+        assert.match(result.fallbackReason, /undefined at latitude 70\.00°, inside the polar circle/);
+        result.cusps.forEach((cusp, index) => assertAngle(cusp, result.ascendant + 30 * index));
+    }
+    assert.equal(computeHouseCusps('placidus', 123.4, 60, EPS).fallback, undefined);
+});
+test('charts inside the polar circles report the house system they fell back to', async () => {
+    const birthData = { date: '1990-06-21', time: '12:00', latitude: 69.65, longitude: 18.96, timezone: 1 };
+    const houses = buildHouses(birthData, 'placidus');
+    assert.equal(houses.requested, 'placidus');
+    assert.equal(houses.system, 'equal');
+    const chart = await new LocalEphemerisProvider().generateChart(birthData, { houseSystem: 'placidus' });
+    assert.equal(chart.metadata.house_system, 'equal');
+    assert.equal(chart.metadata.requested_house_system, 'placidus');
+    assert.match(chart.metadata.fallback_reason, /^Placidus houses are undefined at latitude 69\.65°/);
+});
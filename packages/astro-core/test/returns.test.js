@@ -0,0 +1,46 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { AstroCore } = require("../dist");
+const { bodyLongitude, julianDayFromBirthData, julianDay } = require("../dist/ephemeris");
+const { findReturn, progressedJulianDay, TROPICAL_YEAR_DAYS } = require("../dist/predictive");
+const ARCSECOND = 1 / 3600;
+const birthData = { date: '1990-01-15', time: '14:30', latitude: 40.7128, longitude: -74.006, timezone: -5 };
+function angleBetween(a, b) {
+    return Math.abs(((a - b) % 360 + 540) % 360 - 180);
+}
+test('solar returns come back to the natal Sun to well under an arcsecond', () => {
+    const birthJd = julianDayFromBirthData(birthData);
+    const startJd = julianDay(2024, 1, 1);
+    const jd = findReturn('Sun', birthJd, startJd);
+    assert.ok(angleBetween(bodyLongitude('Sun', jd), bodyLongitude('Sun', birthJd)) < 0.01 * ARCSECOND);
+    // A full ephemeris puts this return at 2024-01-16 01:36:45 UTC
+    assert.ok(Math.abs(jd - julianDay(2024, 1, 16, 1 + 36.75 / 60)) * 1440 < 5);
+});
+test('lunar returns fall within a sidereal month of the start date', () => {
+    const birthJd = julianDayFromBirthData(birthData);
+    const startJd = julianDay(2024, 3, 1);
+    const jd = findReturn('Moon', birthJd, startJd);
+    assert.ok(jd >= startJd && jd < startJd + 27.33);
+    assert.ok(angleBetween(bodyLongitude('Moon', jd), bodyLongitude('Moon', birthJd)) < 0.01 * ARCSECOND);
+});
+test('sidereal returns come back to the natal sidereal longitude, later than tropical ones', () => {
+    const birthJd = julianDayFromBirthData(birthData);
+    const startJd = julianDay(2024, 1, 1);
+    const tropical = findReturn('Sun', birthJd, startJd);
+    const sidereal = findReturn('Sun', birthJd, startJd, 'sidereal', 'lahiri');
+    // 34 years of precession, about 28′, take the Sun about 11 hours
+    assert.ok((sidereal - tropical) * 24 > 10 && (sidereal - tropical) * 24 < 12);
+});
+test('return charts are cast at the exact return instant', async () => {
+    const core = new AstroCore({ provider: 'local' });
+    const natal = await core.generateChart(birthData);
+    for (const [generate, body] of [['generateSolarReturn', 'Sun'], ['generateLunarReturn', 'Moon']]) {
+        const chart = await core[generate](birthData, '2024-01-01', { location: { latitude: 51.5074, longitude: -0.1278, timezone: 0 } });
+        assert.ok(angleBetween(chart.planets[body].longitude, natal.planets[body].longitude) < ARCSECOND, `${body} return at ${chart.metadata.predictive.moment}`);
+    }
+});
+test('secondary progressions move a day for every tropical year', () => {
+    const birthJd = julianDay(1990, 1, 15, 19.5);
+    assert.ok(Math.abs(progressedJulianDay(birthJd, birthJd + 30 * TROPICAL_YEAR_DAYS) - (birthJd + 30)) < 1e-9);
+});
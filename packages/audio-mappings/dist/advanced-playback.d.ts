@@ -1,4 +1,6 @@
 import { AudioConfiguration, MelodicAudioSession } from '@astradio/types';
+import { RenderedAudio } from './renderer';
+import { EffectNode } from './effects';
 export interface PlaybackEffects {
     reverb: number;
     delay: number;
@@ -17,6 +19,8 @@ export interface PlaybackControls {
 }
 export interface AdvancedAudioConfiguration extends AudioConfiguration {
     effects?: PlaybackEffects;
+    /** Ordered effect nodes used in place of the effect knobs */
+    chain?: EffectNode[];
     controls?: PlaybackControls;
     segments?: AudioSegment[];
 }
@@ -36,19 +40,41 @@ export declare class AdvancedPlaybackEngine {
     private isPlaying;
     private currentTime;
     private loopInterval;
+    private chain;
     constructor();
     /**
-     * Apply real-time effects to audio playback
+     * Apply real-time effects to audio playback through the effects chain.
+     * Mono audio runs through the stereo nodes and is folded back down.
      */
     applyEffects(audioData: number[], sampleRate: number): number[];
     /**
-     * Transpose audio to different key
+     * Run rendered stereo audio through the effects chain, the engine's own
+     * unless one is given
      */
-    transposeAudio(audioData: number[], originalKey: string, newKey: string): number[];
+    applyRenderedEffects(audio: RenderedAudio, chain?: EffectNode[]): RenderedAudio;
+    /**
+     * Effects chain in use: the one set with `setEffectsChain`, or the one the
+     * effect knobs describe
+     */
+    getEffectsChain(): EffectNode[];
+    /**
+     * Use an ordered chain of effect nodes in place of the effect knobs. Throws
+     * if a node has an unknown type or a parameter out of range.
+     */
+    setEffectsChain(chain: EffectNode[]): void;
+    /**
+     * Transpose audio to different key, keeping its duration
+     */
+    transposeAudio(audioData: number[], originalKey: string, newKey: string, sampleRate?: number): number[];
     /**
      * Change tempo without affecting pitch
      */
-    changeTempo(audioData: number[], originalTempo: number, newTempo: number): number[];
+    changeTempo(audioData: number[], originalTempo: number, newTempo: number, sampleRate?: number): number[];
+    /**
+     * Play a rendered session at another tempo, key or transposition. Both
+     * channels are stretched and shifted together in a single pass.
+     */
+    adjustRendered(audio: RenderedAudio, session: MelodicAudioSession, controls: Partial<Pick<PlaybackControls, 'tempo' | 'key' | 'transpose'>>): RenderedAudio;
     /**
      * Set loop points for playback
      */
@@ -101,11 +127,13 @@ export declare class AdvancedPlaybackEngine {
         currentTime: number;
         duration: number;
         effects: PlaybackEffects;
+        effectsChain: EffectNode[];
         controls: PlaybackControls;
         segments: AudioSegment[];
     };
     /**
-     * Update effects in real-time
+     * Update effects in real-time. The knobs take over from any chain set
+     * with `setEffectsChain`.
      */
     updateEffects(effects: Partial<PlaybackEffects>): void;
     /**
@@ -116,6 +144,10 @@ export declare class AdvancedPlaybackEngine {
      * Get available effects presets
      */
     getEffectsPresets(): Record<string, PlaybackEffects>;
+    /**
+     * Get the effects presets as effects chains
+     */
+    getEffectsChainPresets(): Record<string, EffectNode[]>;
     /**
      * Get available tempo presets
      */
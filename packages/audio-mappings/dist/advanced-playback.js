@@ -1,6 +1,58 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.advancedPlaybackEngine = exports.AdvancedPlaybackEngine = void 0;
+const time_stretch_1 = require("./time-stretch");
+const effects_1 = require("./effects");
+const KEY_OFFSETS = {
+    'C': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3, 'E': 4, 'F': 5, 'F#': 6,
+    'Gb': 6, 'G': 7, 'G#': 8, 'Ab': 8, 'A': 9, 'A#': 10, 'Bb': 10, 'B': 11
+};
+// Sample rate assumed for audio passed without one
+const DEFAULT_SAMPLE_RATE = 44100;
+// Effects chain the playback knobs describe, each 0-1: distortion first, then
+// modulation and tone, with the delay and reverb last so they echo the result
+function effectsChain(effects) {
+    const chain = [];
+    if (effects.distortion > 0) {
+        chain.push({ type: 'distortion', drive: 1 + effects.distortion * 5, level: 1 - effects.distortion * 0.3 });
+    }
+    if (effects.chorus > 0) {
+        chain.push({ type: 'chorus', depth: 0.002 + effects.chorus * 0.004, mix: effects.chorus * 0.5 });
+    }
+    if (effects.filter > 0) {
+        // Darker as the knob turns up, from 20 kHz down to 400 Hz
+        chain.push({ type: 'filter', mode: 'lowpass', frequency: 20000 * Math.pow(0.02, effects.filter) });
+    }
+    if (effects.delay > 0) {
+        chain.push({ type: 'delay', feedback: 0.25 + effects.delay * 0.4, mix: effects.delay * 0.5 });
+    }
+    if (effects.reverb > 0) {
+        const impulse = effects.reverb < 0.35 ? 'room' : effects.reverb < 0.6 ? 'plate' : 'hall';
+        chain.push({ type: 'reverb', impulse, mix: effects.reverb * 0.5 });
+    }
+    return chain;
+}
+// Rendered audio with new channels and the peak measured again
+function withChannels(audio, left, right) {
+    let peak = 0;
+    for (let i = 0; i < left.length; i++) {
+        peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+    }
+    return {
+        ...audio,
+        length: left.length,
+        duration: left.length / audio.sampleRate,
+        left,
+        right,
+        peak
+    };
+}
+// Semitones from one key to another, by the shorter way round so a change of
+// key never moves the audio more than a tritone
+function keyInterval(originalKey, newKey) {
+    const semitones = ((KEY_OFFSETS[newKey] || 0) - (KEY_OFFSETS[originalKey] || 0) + 12) % 12;
+    return semitones > 6 ? semitones - 12 : semitones;
+}
 class AdvancedPlaybackEngine {
     constructor() {
         this.currentSession = null;
@@ -8,6 +60,7 @@ class AdvancedPlaybackEngine {
         this.isPlaying = false;
         this.currentTime = 0;
         this.loopInterval = null;
+        this.chain = null;
         this.effects = {
             reverb: 0.3,
             delay: 0.2,
@@ -26,95 +79,63 @@ class AdvancedPlaybackEngine {
         };
     }
     /**
-     * Apply real-time effects to audio playback
+     * Apply real-time effects to audio playback through the effects chain.
+     * Mono audio runs through the stereo nodes and is folded back down.
      */
     applyEffects(audioData, sampleRate) {
-        const processed = [...audioData];
-        // Apply reverb (simplified convolution)
-        if (this.effects.reverb > 0) {
-            const reverbLength = Math.floor(sampleRate * this.effects.reverb * 0.5);
-            for (let i = reverbLength; i < processed.length; i++) {
-                processed[i] += processed[i - reverbLength] * 0.3 * this.effects.reverb;
-            }
-        }
-        // Apply delay
-        if (this.effects.delay > 0) {
-            const delaySamples = Math.floor(sampleRate * 0.3 * this.effects.delay);
-            for (let i = delaySamples; i < processed.length; i++) {
-                processed[i] += processed[i - delaySamples] * 0.5 * this.effects.delay;
-            }
-        }
-        // Apply distortion
-        if (this.effects.distortion > 0) {
-            for (let i = 0; i < processed.length; i++) {
-                const input = processed[i];
-                const distortion = this.effects.distortion;
-                processed[i] = Math.tanh(input * (1 + distortion * 5)) * (1 - distortion * 0.3);
-            }
-        }
-        // Apply chorus (frequency modulation)
-        if (this.effects.chorus > 0) {
-            for (let i = 0; i < processed.length; i++) {
-                const time = i / sampleRate;
-                const modulation = Math.sin(2 * Math.PI * 1.5 * time) * this.effects.chorus;
-                const delayedIndex = Math.floor(i + modulation * sampleRate * 0.01);
-                if (delayedIndex < processed.length && delayedIndex >= 0) {
-                    processed[i] += processed[delayedIndex] * 0.3 * this.effects.chorus;
-                }
-            }
-        }
-        // Apply low-pass filter
-        if (this.effects.filter > 0) {
-            let filtered = 0;
-            const filterStrength = this.effects.filter;
-            for (let i = 0; i < processed.length; i++) {
-                filtered = filtered * (1 - filterStrength) + processed[i] * filterStrength;
-                processed[i] = filtered;
-            }
-        }
-        return processed;
+        const [left, right] = (0, effects_1.processEffects)([audioData, audioData], sampleRate, this.getEffectsChain());
+        return Array.from(left, (sample, i) => (sample + right[i]) / 2);
     }
     /**
-     * Transpose audio to different key
+     * Run rendered stereo audio through the effects chain, the engine's own
+     * unless one is given
      */
-    transposeAudio(audioData, originalKey, newKey) {
-        const keyOffsets = {
-            'C': 0, 'C#': 1, 'D': 2, 'D#': 3, 'E': 4, 'F': 5, 'F#': 6,
-            'G': 7, 'G#': 8, 'A': 9, 'A#': 10, 'B': 11
-        };
-        const semitones = (keyOffsets[newKey] || 0) - (keyOffsets[originalKey] || 0);
-        const ratio = Math.pow(2, semitones / 12);
-        // Simple pitch shifting by resampling
-        const newLength = Math.floor(audioData.length / ratio);
-        const transposed = new Array(newLength);
-        for (let i = 0; i < newLength; i++) {
-            const sourceIndex = Math.floor(i * ratio);
-            if (sourceIndex < audioData.length) {
-                transposed[i] = audioData[sourceIndex];
-            }
-            else {
-                transposed[i] = 0;
-            }
-        }
-        return transposed;
+    applyRenderedEffects(audio, chain = this.getEffectsChain()) {
+        const [left, right] = (0, effects_1.processEffects)([audio.left, audio.right], audio.sampleRate, chain);
+        return withChannels(audio, left, right);
+    }
+    /**
+     * Effects chain in use: the one set with `setEffectsChain`, or the one the
+     * effect knobs describe
+     */
+    getEffectsChain() {
+        return this.chain ? this.chain.map(node => ({ ...node })) : effectsChain(this.effects);
+    }
+    /**
+     * Use an ordered chain of effect nodes in place of the effect knobs. Throws
+     * if a node has an unknown type or a parameter out of range.
+     */
+    setEffectsChain(chain) {
+        (0, effects_1.validateEffectsChain)(chain);
+        this.chain = chain.map(node => ({ ...node }));
+        console.log(`🎛️ Effects chain set: ${chain.map(node => node.type).join(' → ') || 'empty'}`);
+    }
+    /**
+     * Transpose audio to different key, keeping its duration
+     */
+    transposeAudio(audioData, originalKey, newKey, sampleRate = DEFAULT_SAMPLE_RATE) {
+        const semitones = keyInterval(originalKey, newKey);
+        return Array.from((0, time_stretch_1.pitchShift)([audioData], sampleRate, semitones)[0]);
     }
     /**
      * Change tempo without affecting pitch
      */
-    changeTempo(audioData, originalTempo, newTempo) {
-        const ratio = originalTempo / newTempo;
-        const newLength = Math.floor(audioData.length * ratio);
-        const tempoChanged = new Array(newLength);
-        for (let i = 0; i < newLength; i++) {
-            const sourceIndex = Math.floor(i / ratio);
-            if (sourceIndex < audioData.length) {
-                tempoChanged[i] = audioData[sourceIndex];
-            }
-            else {
-                tempoChanged[i] = 0;
-            }
+    changeTempo(audioData, originalTempo, newTempo, sampleRate = DEFAULT_SAMPLE_RATE) {
+        return Array.from((0, time_stretch_1.timeStretch)([audioData], sampleRate, originalTempo / newTempo)[0]);
+    }
+    /**
+     * Play a rendered session at another tempo, key or transposition. Both
+     * channels are stretched and shifted together in a single pass.
+     */
+    adjustRendered(audio, session, controls) {
+        const stretch = controls.tempo ? session.tempo / controls.tempo : 1;
+        const semitones = (controls.key ? keyInterval(session.key, controls.key) : 0) + (controls.transpose || 0);
+        if (stretch === 1 && semitones === 0) {
+            return audio;
         }
-        return tempoChanged;
+        console.log(`🎛️ Adjusting session ${session.id}: ${session.tempo / stretch} BPM, ${semitones >= 0 ? '+' : ''}${semitones} semitones`);
+        const [left, right] = (0, time_stretch_1.stretchAndShift)([audio.left, audio.right], audio.sampleRate, { stretch, semitones });
+        return withChannels(audio, left, right);
     }
     /**
      * Set loop points for playback
@@ -169,19 +190,30 @@ class AdvancedPlaybackEngine {
      */
     processAudio(audioData, sampleRate, config) {
         let processed = [...audioData];
-        // Apply tempo change
+        // Apply tempo change and key transposition together, so the audio is
+        // only stretched and resampled once
+        let stretch = 1;
+        let semitones = 0;
         if (config.controls?.tempo && config.controls.tempo !== this.controls.tempo) {
-            processed = this.changeTempo(processed, this.controls.tempo, config.controls.tempo);
+            stretch = this.controls.tempo / config.controls.tempo;
             this.controls.tempo = config.controls.tempo;
         }
-        // Apply key transposition
         if (config.controls?.key && config.controls.key !== this.controls.key) {
-            processed = this.transposeAudio(processed, this.controls.key, config.controls.key);
+            semitones = keyInterval(this.controls.key, config.controls.key);
             this.controls.key = config.controls.key;
         }
-        // Apply effects
-        if (config.effects) {
+        if (stretch !== 1 || semitones !== 0) {
+            processed = Array.from((0, time_stretch_1.stretchAndShift)([processed], sampleRate, { stretch, semitones })[0]);
+        }
+        // Apply effects, through the configuration's chain when it has one
+        if (config.chain) {
+            this.setEffectsChain(config.chain);
+        }
+        else if (config.effects) {
             this.effects = { ...this.effects, ...config.effects };
+            this.chain = null;
+        }
+        if (config.chain || config.effects) {
             processed = this.applyEffects(processed, sampleRate);
         }
         // Apply volume
@@ -244,15 +276,18 @@ class AdvancedPlaybackEngine {
             currentTime: this.currentTime,
             duration,
             effects: { ...this.effects },
+            effectsChain: this.getEffectsChain(),
             controls: { ...this.controls },
             segments: [...this.segments]
         };
     }
     /**
-     * Update effects in real-time
+     * Update effects in real-time. The knobs take over from any chain set
+     * with `setEffectsChain`.
      */
     updateEffects(effects) {
         this.effects = { ...this.effects, ...effects };
+        this.chain = null;
         console.log(`🎛️ Effects updated:`, this.effects);
     }
     /**
@@ -304,6 +339,12 @@ class AdvancedPlaybackEngine {
             }
         };
     }
+    /**
+     * Get the effects presets as effects chains
+     */
+    getEffectsChainPresets() {
+        return Object.fromEntries(Object.entries(this.getEffectsPresets()).map(([name, effects]) => [name, effectsChain(effects)]));
+    }
     /**
      * Get available tempo presets
      */
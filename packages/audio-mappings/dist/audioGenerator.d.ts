@@ -12,6 +12,10 @@ export interface AudioComposition {
     totalDuration: number;
     sampleRate: number;
     format: 'wav' | 'mp3' | 'ogg';
+    /** Genre whose mastering preset the WAV render uses */
+    genre?: string;
+    /** Seed of a sandbox composition */
+    seed?: number;
 }
 export declare class AudioGenerator {
     private generator;
@@ -3,6 +3,9 @@
 // Generates actual audio files or streams for astrological compositions
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.AudioGenerator = void 0;
+const aspects_1 = require("../../astro-core/dist/aspects");
+const random_1 = require("./random");
+const mastering_1 = require("./mastering");
 // Simple sine wave generator for Node.js
 class SineWaveGenerator {
     constructor(sampleRate = 44100) {
@@ -165,7 +168,8 @@ class AudioGenerator {
             duration,
             totalDuration: duration,
             sampleRate: this.sampleRate,
-            format: 'wav'
+            format: 'wav',
+            genre
         };
     }
     // Generate sandbox-specific audio based on custom chart and aspects
@@ -240,7 +244,10 @@ class AudioGenerator {
             duration,
             totalDuration: duration,
             sampleRate: this.sampleRate,
-            format: 'wav'
+            format: 'wav',
+            genre,
+            // Kept with the sandbox configuration so a saved session renders the same way
+            seed: (0, random_1.resolveSeed)(configuration.seed)
         };
     }
     // Generate harmonic notes based on aspects
@@ -281,6 +288,41 @@ class AudioGenerator {
                 meaning: 'Opportunity & Cooperation',
                 musicalQuality: 'major_third',
                 orb: 6
+            },
+            quincunx: {
+                frequency: 1.89,
+                energy: 0.45,
+                meaning: 'Adjustment & Unease',
+                musicalQuality: 'major_seventh',
+                orb: 3
+            },
+            semi_sextile: {
+                frequency: 1.06,
+                energy: 0.3,
+                meaning: 'Subtle Friction',
+                musicalQuality: 'minor_second',
+                orb: 2
+            },
+            semi_square: {
+                frequency: 1.12,
+                energy: 0.35,
+                meaning: 'Irritation & Drive',
+                musicalQuality: 'major_second',
+                orb: 2
+            },
+            sesquiquadrate: {
+                frequency: 1.78,
+                energy: 0.4,
+                meaning: 'Agitation & Release',
+                musicalQuality: 'minor_seventh',
+                orb: 2
+            },
+            quintile: {
+                frequency: 1.68,
+                energy: 0.4,
+                meaning: 'Talent & Creativity',
+                musicalQuality: 'major_sixth',
+                orb: 2
             }
         };
         const harmonic = aspectAstrologicalHarmonics[aspect.type];
@@ -288,8 +330,11 @@ class AudioGenerator {
             console.warn('⚠️ Unknown aspect type:', aspect.type);
             return null;
         }
-        // Calculate aspect strength based on angle (using angle as proxy for orb)
-        const angleStrength = Math.max(0, 1 - (Math.abs(aspect.angle - 0) / 10));
+        // Aspect strength is its exactness; aspects built elsewhere without one fall
+        // back to the distance from the exact angle over the allowed orb
+        const angleStrength = typeof aspect.exactness === 'number'
+            ? aspect.exactness
+            : Math.max(0, 1 - Math.abs(aspect.angle - aspects_1.ASPECTS[aspect.type].angle) / (0, aspects_1.aspectOrb)(aspect.type, aspect.planet1, aspect.planet2));
         // Base frequency from the aspect type
         const baseFreq = 264; // Middle C
         let frequency = baseFreq * harmonic.frequency;
@@ -341,6 +386,13 @@ class AudioGenerator {
             default:
                 volume *= 0.7; // Minor aspects
         }
+        // Applying aspects are still building, separating ones are fading
+        if (aspect.applying === true) {
+            volume *= 1.1;
+        }
+        else if (aspect.applying === false) {
+            volume *= 0.85;
+        }
         // Clamp volume
         volume = Math.max(0.1, Math.min(1.0, volume));
         // Choose instrument based on aspect type
@@ -375,7 +427,8 @@ class AudioGenerator {
             instrument,
             meaning: harmonic.meaning,
             angle: aspect.angle,
-            strength: angleStrength.toFixed(2)
+            strength: angleStrength.toFixed(2),
+            applying: aspect.applying
         });
         return {
             frequency: Math.round(frequency),
@@ -569,7 +622,8 @@ class AudioGenerator {
             duration,
             totalDuration: duration,
             sampleRate: this.sampleRate,
-            format: 'wav'
+            format: 'wav',
+            genre
         };
     }
     // Generate WAV file buffer from composition
@@ -585,24 +639,12 @@ class AudioGenerator {
                 audioData[startSample + i] += noteSamples[i];
             }
         });
-        // Normalize audio
-        let maxAmplitude = 0;
-        for (let i = 0; i < audioData.length; i++) {
-            const absValue = Math.abs(audioData[i]);
-            if (absValue > maxAmplitude) {
-                maxAmplitude = absValue;
-            }
-        }
-        if (maxAmplitude > 0) {
-            for (let i = 0; i < audioData.length; i++) {
-                audioData[i] /= maxAmplitude * 0.8; // Leave some headroom
-            }
-        }
-        // Convert to 16-bit PCM
-        const pcmData = new Int16Array(audioData.length);
-        for (let i = 0; i < audioData.length; i++) {
-            pcmData[i] = Math.round(audioData[i] * 32767);
-        }
+        // Master to the genre's loudness target rather than the peak, so genres
+        // sound equally loud and overlapping notes are limited instead of clipping
+        const { channels: [mastered], report } = (0, mastering_1.masterChannels)([audioData], sampleRate, { preset: composition.genre });
+        console.log(`🎚️ Mastered to ${report.output.integrated.toFixed(1)} LUFS (${report.preset}), true peak ${report.output.truePeak.toFixed(1)} dBTP`);
+        // Convert to dithered 16-bit PCM
+        const pcmData = Int16Array.from((0, mastering_1.toInt16)(mastered, { dither: true }));
         // Create WAV header
         const header = this.createWAVHeader(pcmData.length * 2, sampleRate);
         // Combine header and audio data
@@ -0,0 +1,100 @@
+export type ImpulseName = 'room' | 'plate' | 'hall' | 'cathedral';
+export interface ImpulseSpace {
+    /** Seconds to fall 60 dB */
+    decay: number;
+    /** High frequencies fade this fraction of the decay */
+    damping: number;
+    preDelay: number;
+    /** Early reflections scattered over `spread` seconds */
+    reflections: number;
+    spread: number;
+}
+export declare const IMPULSE_RESPONSES: Record<ImpulseName, ImpulseSpace>;
+export type FilterMode = 'lowpass' | 'highpass' | 'bandpass' | 'lowshelf' | 'highshelf' | 'peaking';
+interface NodeBase {
+    /** Leave the node in the chain without processing */
+    bypass?: boolean;
+    /** 0 keeps the dry signal, 1 the effect alone */
+    mix?: number;
+}
+export interface ReverbNode extends NodeBase {
+    type: 'reverb';
+    impulse?: ImpulseName;
+}
+export interface FilterNode {
+    type: 'filter';
+    bypass?: boolean;
+    mode?: FilterMode;
+    /** Cutoff, centre or shelf frequency in Hz */
+    frequency?: number;
+    q?: number;
+    /** Boost or cut in dB of shelves and peaks */
+    gain?: number;
+}
+export interface DelayNode extends NodeBase {
+    type: 'delay';
+    /** Seconds between echoes, which alternate sides */
+    time?: number;
+    /** At most 0.95 either way, so the echoes die away */
+    feedback?: number;
+}
+export interface ModulationNode extends NodeBase {
+    type: 'chorus' | 'flanger';
+    /** LFO rate in Hz */
+    rate?: number;
+    /** Sweep and shortest delay in seconds */
+    depth?: number;
+    delay?: number;
+    /** At most 0.95 either way */
+    feedback?: number;
+}
+export interface DistortionNode extends NodeBase {
+    type: 'distortion';
+    /** Input gain into the tanh curve */
+    drive?: number;
+    /** Output gain after it */
+    level?: number;
+}
+export type EffectNode = ReverbNode | FilterNode | DelayNode | ModulationNode | DistortionNode;
+export type EffectType = EffectNode['type'];
+export interface EffectSend {
+    /** Nodes of the bus, run fully wet */
+    nodes: EffectNode[];
+    /** Send level of each planet's notes, 0-1 */
+    levels?: Record<string, number>;
+    /** Level of planets not listed, 0 by default */
+    level?: number;
+}
+export interface EffectsGraph {
+    /** Buses that planets feed by their own amounts, returned into the mix */
+    sends?: EffectSend[];
+    /** Insert effects on the whole mix, in order, after the sends return */
+    chain?: EffectNode[];
+}
+export declare const EFFECT_DEFAULTS: Record<EffectType, Record<string, number | string>>;
+/**
+ * Stereo impulse response of a named space: decorrelated noise for each side
+ * under an exponential decay, darkening as it fades, after a few early
+ * reflections. Synthesized from a fixed seed on first use, so each space
+ * always sounds the same, and scaled to unit energy so the wet signal is as
+ * loud as the dry one.
+ */
+export declare function impulseResponse(name: ImpulseName, sampleRate: number): [Float32Array, Float32Array];
+/**
+ * Check a chain of effect nodes before it is used: known types, impulse
+ * responses and filter modes, and numeric parameters of the type within
+ * range. Throws on the first problem found.
+ */
+export declare function validateEffectsChain(chain: EffectNode[]): void;
+/**
+ * Check the send buses and insert chain of an effects graph, and that send
+ * levels are between 0 and 1
+ */
+export declare function validateEffectsGraph(graph: EffectsGraph): void;
+/**
+ * Run channels through a chain of effect nodes in order, each with its own
+ * parameters over the defaults for its type. Bypassed nodes are skipped.
+ * The input is left untouched.
+ */
+export declare function processEffects(channels: ArrayLike<number>[], sampleRate: number, chain: EffectNode[]): Float32Array[];
+export {};
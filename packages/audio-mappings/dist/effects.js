@@ -0,0 +1,385 @@
+"use strict";
+// Effects graph
+// Ordered chains of effect nodes over stereo channels: convolution reverb,
+// biquad filters, ping-pong delay, chorus, flanger and distortion
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.EFFECT_DEFAULTS = exports.IMPULSE_RESPONSES = void 0;
+exports.impulseResponse = impulseResponse;
+exports.validateEffectsChain = validateEffectsChain;
+exports.validateEffectsGraph = validateEffectsGraph;
+exports.processEffects = processEffects;
+const fft_1 = require("./fft");
+const random_1 = require("./random");
+// Spaces the reverb's impulse responses are synthesized from: decay is the
+// time to fall 60 dB, and high frequencies fade `damping` times as long.
+// Early reflections are scattered over `spread` seconds before the dense tail.
+exports.IMPULSE_RESPONSES = {
+    room: { decay: 0.6, damping: 0.5, preDelay: 0.004, reflections: 6, spread: 0.03 },
+    plate: { decay: 1.8, damping: 0.85, preDelay: 0, reflections: 0, spread: 0 },
+    hall: { decay: 2.6, damping: 0.55, preDelay: 0.02, reflections: 10, spread: 0.08 },
+    cathedral: { decay: 5, damping: 0.4, preDelay: 0.035, reflections: 14, spread: 0.12 }
+};
+// Parameters a node leaves out. `mix` crossfades from the dry signal (0) to
+// the effect alone (1).
+exports.EFFECT_DEFAULTS = {
+    reverb: { impulse: 'hall', mix: 0.25 },
+    filter: { mode: 'lowpass', frequency: 8000, q: Math.SQRT1_2, gain: 0 },
+    delay: { time: 0.375, feedback: 0.4, mix: 0.25 },
+    chorus: { rate: 1.5, depth: 0.004, delay: 0.012, feedback: 0, mix: 0.4 },
+    flanger: { rate: 0.25, depth: 0.003, delay: 0.001, feedback: 0.6, mix: 0.5 },
+    distortion: { drive: 2, level: 1, mix: 1 }
+};
+// Feedback stops short of 1 so echoes and flanging always die away
+const MAX_FEEDBACK = 0.95;
+// Accepted range of each numeric parameter, checked when a chain is set
+const PARAMETER_RANGES = {
+    mix: [0, 1],
+    frequency: [10, 24000],
+    q: [0.1, 30],
+    gain: [-48, 48],
+    time: [0.001, 5],
+    feedback: [-MAX_FEEDBACK, MAX_FEEDBACK],
+    rate: [0, 20],
+    depth: [0, 0.05],
+    delay: [0, 0.1],
+    drive: [0, 50],
+    level: [0, 4]
+};
+const FILTER_MODES = ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking'];
+// Crossover between the slow and fast decaying parts of an impulse response
+const DAMPING_CROSSOVER = 2000;
+// 60 dB as a natural log ratio, for decay envelopes
+const DECAY_60DB = Math.log(1000);
+const impulses = new Map();
+const spectra = new WeakMap();
+/**
+ * Stereo impulse response of a named space: decorrelated noise for each side
+ * under an exponential decay, darkening as it fades, after a few early
+ * reflections. Synthesized from a fixed seed on first use, so each space
+ * always sounds the same, and scaled to unit energy so the wet signal is as
+ * loud as the dry one.
+ */
+function impulseResponse(name, sampleRate) {
+    const key = `${name}@${sampleRate}`;
+    let impulse = impulses.get(key);
+    if (impulse) {
+        return impulse;
+    }
+    const space = exports.IMPULSE_RESPONSES[name];
+    if (!space) {
+        throw new Error(`Unknown impulse response: ${name}`);
+    }
+    const random = (0, random_1.createRandom)(`impulse-${name}`);
+    const start = Math.round(space.preDelay * sampleRate);
+    const length = start + Math.ceil(space.decay * sampleRate);
+    const coefficient = Math.exp(-2 * Math.PI * DAMPING_CROSSOVER / sampleRate);
+    const buildUp = Math.max(1, space.spread * sampleRate);
+    impulse = [0, 1].map(() => {
+        const samples = new Float32Array(length);
+        let low = 0;
+        for (let i = 0; i < length - start; i++) {
+            const t = i / sampleRate;
+            const noise = random() * 2 - 1;
+            low += (1 - coefficient) * (noise - low);
+            const tail = low * Math.exp(-DECAY_60DB * t / space.decay)
+                + (noise - low) * Math.exp(-DECAY_60DB * t / (space.decay * space.damping));
+            samples[start + i] = tail * Math.min(1, i / buildUp);
+        }
+        for (let r = 0; r < space.reflections; r++) {
+            const t = random() * space.spread;
+            const sign = random() < 0.5 ? -1 : 1;
+            samples[start + Math.round(t * sampleRate)] += sign * 3 * (0.5 + 0.5 * random()) * Math.exp(-DECAY_60DB * t / space.decay);
+        }
+        let energy = 0;
+        for (let i = 0; i < length; i++) {
+            energy += samples[i] * samples[i];
+        }
+        const scale = energy > 0 ? 1 / Math.sqrt(energy) : 0;
+        for (let i = 0; i < length; i++) {
+            samples[i] *= scale;
+        }
+        return samples;
+    });
+    impulses.set(key, impulse);
+    return impulse;
+}
+// Spectrum of an impulse response zero-padded to twice its length, rounded
+// up to a power of two, for overlap-add convolution
+function impulseSpectrum(impulse) {
+    let spectrum = spectra.get(impulse);
+    if (!spectrum) {
+        let size = 2;
+        while (size < impulse.length) {
+            size <<= 1;
+        }
+        size <<= 1;
+        const re = new Float64Array(size);
+        const im = new Float64Array(size);
+        re.set(impulse);
+        (0, fft_1.fft)(re, im);
+        spectrum = { size, re, im };
+        spectra.set(impulse, spectrum);
+    }
+    return spectrum;
+}
+// Two channels convolved with the two sides of an impulse response by FFT
+// overlap-add, cut to the input's length. Both go through one complex
+// transform each way, the left as the real part and the right as the imaginary.
+function convolve(left, right, impulse) {
+    const [hl, hr] = impulse.map(impulseSpectrum);
+    const size = hl.size;
+    const block = size - impulse[0].length + 1;
+    const length = left.length;
+    const outLeft = new Float32Array(length);
+    const outRight = new Float32Array(length);
+    const re = new Float64Array(size);
+    const im = new Float64Array(size);
+    for (let start = 0; start < length; start += block) {
+        re.fill(0);
+        im.fill(0);
+        const end = Math.min(length, start + block);
+        for (let i = start; i < end; i++) {
+            re[i - start] = left[i];
+            im[i - start] = right[i];
+        }
+        (0, fft_1.fft)(re, im);
+        // Split the spectra of the two real inputs by conjugate symmetry,
+        // filter each and recombine, a bin and its mirror at a time
+        for (let k = 0; k <= size / 2; k++) {
+            const m = (size - k) % size;
+            const zr = re[k], zi = im[k], wr = re[m], wi = im[m];
+            const lr = (zr + wr) / 2, li = (zi - wi) / 2;
+            const rr = (zi + wi) / 2, ri = (wr - zr) / 2;
+            // Left and right filtered at bin k, then at the mirror bin as conjugates
+            const ylr = lr * hl.re[k] - li * hl.im[k], yli = lr * hl.im[k] + li * hl.re[k];
+            const yrr = rr * hr.re[k] - ri * hr.im[k], yri = rr * hr.im[k] + ri * hr.re[k];
+            const ylrm = lr * hl.re[m] + li * hl.im[m], ylim = lr * hl.im[m] - li * hl.re[m];
+            const yrrm = rr * hr.re[m] + ri * hr.im[m], yrim = rr * hr.im[m] - ri * hr.re[m];
+            re[k] = ylr - yri;
+            im[k] = yli + yrr;
+            re[m] = ylrm - yrim;
+            im[m] = ylim + yrrm;
+        }
+        (0, fft_1.ifft)(re, im);
+        const last = Math.min(size, length - start);
+        for (let i = 0; i < last; i++) {
+            outLeft[start + i] += re[i];
+            outRight[start + i] += im[i];
+        }
+    }
+    return [outLeft, outRight];
+}
+function crossfade(dry, wet, mix) {
+    return dry.map((sample, i) => sample * (1 - mix) + wet[i] * mix);
+}
+function convolutionReverb(channels, sampleRate, node) {
+    const [left, right = left] = channels;
+    const wet = convolve(left, right, impulseResponse(node.impulse, sampleRate));
+    return channels.map((channel, c) => crossfade(channel, wet[c], node.mix));
+}
+// RBJ audio EQ cookbook coefficients, normalized by a0
+function biquadCoefficients(node, sampleRate) {
+    const frequency = Math.min(Math.max(node.frequency, 10), sampleRate * 0.49);
+    const w0 = 2 * Math.PI * frequency / sampleRate;
+    const cos = Math.cos(w0);
+    const alpha = Math.sin(w0) / (2 * node.q);
+    const A = Math.pow(10, node.gain / 40);
+    const shelf = 2 * Math.sqrt(A) * alpha;
+    let b;
+    let a;
+    switch (node.mode) {
+        case 'lowpass':
+            b = [(1 - cos) / 2, 1 - cos, (1 - cos) / 2];
+            a = [1 + alpha, -2 * cos, 1 - alpha];
+            break;
+        case 'highpass':
+            b = [(1 + cos) / 2, -(1 + cos), (1 + cos) / 2];
+            a = [1 + alpha, -2 * cos, 1 - alpha];
+            break;
+        case 'bandpass':
+            // Unity gain at the centre frequency
+            b = [alpha, 0, -alpha];
+            a = [1 + alpha, -2 * cos, 1 - alpha];
+            break;
+        case 'peaking':
+            b = [1 + alpha * A, -2 * cos, 1 - alpha * A];
+            a = [1 + alpha / A, -2 * cos, 1 - alpha / A];
+            break;
+        case 'lowshelf':
+            b = [A * ((A + 1) - (A - 1) * cos + shelf), 2 * A * ((A - 1) - (A + 1) * cos), A * ((A + 1) - (A - 1) * cos - shelf)];
+            a = [(A + 1) + (A - 1) * cos + shelf, -2 * ((A - 1) + (A + 1) * cos), (A + 1) + (A - 1) * cos - shelf];
+            break;
+        case 'highshelf':
+            b = [A * ((A + 1) + (A - 1) * cos + shelf), -2 * A * ((A - 1) + (A + 1) * cos), A * ((A + 1) + (A - 1) * cos - shelf)];
+            a = [(A + 1) - (A - 1) * cos + shelf, 2 * ((A - 1) - (A + 1) * cos), (A + 1) - (A - 1) * cos - shelf];
+            break;
+        default:
+            throw new Error(`Unknown filter mode: ${node.mode}`);
+    }
+    return { b0: b[0] / a[0], b1: b[1] / a[0], b2: b[2] / a[0], a1: a[1] / a[0], a2: a[2] / a[0] };
+}
+// Transposed direct form II, which keeps its state small and well behaved
+function biquadFilter(channels, sampleRate, node) {
+    const { b0, b1, b2, a1, a2 } = biquadCoefficients(node, sampleRate);
+    return channels.map(channel => {
+        const output = new Float32Array(channel.length);
+        let z1 = 0;
+        let z2 = 0;
+        for (let i = 0; i < channel.length; i++) {
+            const x = channel[i];
+            const y = b0 * x + z1;
+            z1 = b1 * x - a1 * y + z2;
+            z2 = b2 * x - a2 * y;
+            output[i] = y;
+        }
+        return output;
+    });
+}
+function clampFeedback(feedback) {
+    return Math.max(-MAX_FEEDBACK, Math.min(MAX_FEEDBACK, feedback));
+}
+// Echoes alternating between the sides: the mono input enters the left line
+// and each line feeds back into the other
+function pingPongDelay(channels, sampleRate, node) {
+    const [left, right = left] = channels;
+    const size = Math.max(1, Math.round(node.time * sampleRate));
+    const feedback = clampFeedback(node.feedback);
+    const lineLeft = new Float32Array(size);
+    const lineRight = new Float32Array(size);
+    const outLeft = new Float32Array(left.length);
+    const outRight = new Float32Array(left.length);
+    let index = 0;
+    for (let i = 0; i < left.length; i++) {
+        const echoLeft = lineLeft[index];
+        const echoRight = lineRight[index];
+        lineLeft[index] = (left[i] + right[i]) / 2 + echoRight * feedback;
+        lineRight[index] = echoLeft * feedback;
+        outLeft[i] = left[i] * (1 - node.mix) + echoLeft * node.mix;
+        outRight[i] = right[i] * (1 - node.mix) + echoRight * node.mix;
+        index = (index + 1) % size;
+    }
+    return channels.length > 1 ? [outLeft, outRight] : [outLeft];
+}
+// 4-point third-order Hermite interpolation between x0 and x1
+function hermite(xm1, x0, x1, x2, t) {
+    const c = (x1 - xm1) * 0.5;
+    const v = x0 - x1;
+    const w = c + v;
+    const a = w + v + (x2 - x0) * 0.5;
+    const b = w + a;
+    return ((a * t - b) * t + c) * t + x0;
+}
+// Chorus and flanger: a delay swept by a sine LFO, a quarter cycle apart on
+// the two sides, read between samples with Hermite interpolation
+function modulatedDelay(channels, sampleRate, node) {
+    // The interpolator reads two samples past the tap, so it stays three behind
+    const minimum = 3;
+    const size = Math.ceil((node.delay + node.depth) * sampleRate) + minimum + 2;
+    const feedback = clampFeedback(node.feedback);
+    return channels.map((channel, c) => {
+        const line = new Float32Array(size);
+        const output = new Float32Array(channel.length);
+        const phase = c * Math.PI / 2;
+        let write = 0;
+        for (let i = 0; i < channel.length; i++) {
+            const sweep = (1 + Math.sin(2 * Math.PI * node.rate * i / sampleRate + phase)) / 2;
+            const delay = Math.max(minimum, (node.delay + node.depth * sweep) * sampleRate);
+            const position = write - delay + size;
+            const index = Math.floor(position);
+            const t = position - index;
+            const delayed = hermite(line[(index - 1) % size], line[index % size], line[(index + 1) % size], line[(index + 2) % size], t);
+            line[write] = channel[i] + delayed * feedback;
+            output[i] = channel[i] * (1 - node.mix) + delayed * node.mix;
+            write = (write + 1) % size;
+        }
+        return output;
+    });
+}
+function distortion(channels, sampleRate, node) {
+    return channels.map(channel => crossfade(channel, channel.map(sample => Math.tanh(sample * node.drive) * node.level), node.mix));
+}
+const PROCESSORS = {
+    reverb: convolutionReverb,
+    filter: biquadFilter,
+    delay: pingPongDelay,
+    chorus: modulatedDelay,
+    flanger: modulatedDelay,
+    distortion
+};
+/**
+ * Check a chain of effect nodes before it is used: known types, impulse
+ * responses and filter modes, and numeric parameters of the type within
+ * range. Throws on the first problem found.
+ */
+function validateEffectsChain(chain) {
+    if (!Array.isArray(chain)) {
+        throw new Error('Effects chain must be an array of effect nodes');
+    }
+    chain.forEach((node, index) => {
+        if (!node || !Object.prototype.hasOwnProperty.call(exports.EFFECT_DEFAULTS, node.type)) {
+            throw new Error(`Effect ${index + 1}: unknown type ${node?.type}`);
+        }
+        const defaults = exports.EFFECT_DEFAULTS[node.type];
+        Object.entries(node).forEach(([key, value]) => {
+            if (key === 'type' || value === undefined) {
+                return;
+            }
+            if (key === 'bypass') {
+                if (typeof value !== 'boolean') {
+                    throw new Error(`Effect ${index + 1} (${node.type}): bypass must be true or false`);
+                }
+                return;
+            }
+            if (!Object.prototype.hasOwnProperty.call(defaults, key)) {
+                throw new Error(`Effect ${index + 1} (${node.type}): unknown parameter ${key}`);
+            }
+            if (key === 'impulse') {
+                if (!Object.prototype.hasOwnProperty.call(exports.IMPULSE_RESPONSES, value)) {
+                    throw new Error(`Effect ${index + 1} (${node.type}): impulse must be one of ${Object.keys(exports.IMPULSE_RESPONSES).join(', ')}`);
+                }
+                return;
+            }
+            if (key === 'mode') {
+                if (!FILTER_MODES.includes(value)) {
+                    throw new Error(`Effect ${index + 1} (${node.type}): mode must be one of ${FILTER_MODES.join(', ')}`);
+                }
+                return;
+            }
+            const [min, max] = PARAMETER_RANGES[key];
+            if (typeof value !== 'number' || !(value >= min && value <= max)) {
+                throw new Error(`Effect ${index + 1} (${node.type}): ${key} must be between ${min} and ${max}`);
+            }
+        });
+    });
+}
+/**
+ * Check the send buses and insert chain of an effects graph, and that send
+ * levels are between 0 and 1
+ */
+function validateEffectsGraph(graph) {
+    (graph.sends || []).forEach((send, index) => {
+        validateEffectsChain(send.nodes);
+        const levels = [...Object.values(send.levels || {}), send.level ?? 0];
+        if (levels.some(level => typeof level !== 'number' || !(level >= 0 && level <= 1))) {
+            throw new Error(`Effect send ${index + 1}: levels must be between 0 and 1`);
+        }
+    });
+    validateEffectsChain(graph.chain || []);
+}
+/**
+ * Run channels through a chain of effect nodes in order, each with its own
+ * parameters over the defaults for its type. Bypassed nodes are skipped.
+ * The input is left untouched.
+ */
+function processEffects(channels, sampleRate, chain) {
+    return chain.reduce((signal, node) => {
+        if (node.bypass) {
+            return signal;
+        }
+        const processor = PROCESSORS[node.type];
+        if (!processor) {
+            throw new Error(`Unknown effect: ${node.type}`);
+        }
+        return processor(signal, sampleRate, { ...exports.EFFECT_DEFAULTS[node.type], ...node });
+    }, channels.map(channel => Float32Array.from(channel)));
+}
@@ -22,6 +22,8 @@ export interface CompositionConfig {
     genre: GenreType;
     includeTransitions: boolean;
     motifRecurrence: boolean;
+    /** Seed for any random choices, drawn fresh when missing */
+    seed?: number;
 }
 export interface EnhancedComposition {
     houses: HouseComposition[];
@@ -30,6 +32,10 @@ export interface EnhancedComposition {
     tempo: number;
     motifs: number[][];
     interpretation: string;
+    /** Seed the composition was generated with */
+    seed: number;
+    /** Hash of the chart it was composed from; with the seed it names the session */
+    chartHash: string;
 }
 export declare class EnhancedCompositionEngine {
     private currentSession;
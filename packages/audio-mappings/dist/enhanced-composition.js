@@ -2,6 +2,7 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.enhancedCompositionEngine = exports.EnhancedCompositionEngine = void 0;
 const index_1 = require("./index");
+const random_1 = require("./random");
 class EnhancedCompositionEngine {
     constructor() {
         this.currentSession = null;
@@ -37,6 +38,7 @@ class EnhancedCompositionEngine {
     async generateHouseBasedComposition(chartData, config) {
         console.log('Generating enhanced house-based composition...');
         console.log(`Configuration: ${JSON.stringify(config)}`);
+        const seed = (0, random_1.resolveSeed)(config.seed);
         const durationPerHouse = config.duration === 'premium'
             ? this.PREMIUM_DURATION_PER_HOUSE
             : this.FREE_DURATION_PER_HOUSE;
@@ -82,7 +84,9 @@ class EnhancedCompositionEngine {
             key: this.getKeyName(currentKey),
             tempo: this.calculateAverageTempo(houseCompositions),
             motifs,
-            interpretation
+            interpretation,
+            seed,
+            chartHash: (0, random_1.chartHash)(chartData)
         };
     }
     organizePlanetsByHouse(chartData) {
@@ -202,15 +206,15 @@ class EnhancedCompositionEngine {
     }
     // Audio playback methods
     async playComposition(composition) {
-        const sessionId = `enhanced_${Date.now()}`;
         this.currentSession = {
-            id: sessionId,
+            id: `enhanced_${composition.chartHash}_${composition.seed}`,
             chartId: 'enhanced_composition',
             configuration: {
                 mode: 'melodic',
                 duration: composition.totalDuration,
                 tempo: composition.tempo,
-                key: composition.key
+                key: composition.key,
+                seed: composition.seed
             },
             isPlaying: true,
             startTime: Date.now()
@@ -1,4 +1,6 @@
-import { AstroChart } from '@astradio/types';
+import { AstroChart, AspectData, ChartAnalysis, ChartPattern } from '@astradio/types';
+import { AspectOptions } from '../../astro-core/dist/aspects';
+import { AstroEvent, AstroEventType } from '../../astro-core/dist/events';
 export declare const enhancedPlanetaryMappings: {
     Sun: {
         instrument: string;
@@ -312,6 +314,36 @@ export declare const aspectMappings: {
         description: string;
         musicalEffect: string;
     };
+    quincunx: {
+        harmonic: string;
+        interval: number;
+        description: string;
+        musicalEffect: string;
+    };
+    semi_sextile: {
+        harmonic: string;
+        interval: number;
+        description: string;
+        musicalEffect: string;
+    };
+    semi_square: {
+        harmonic: string;
+        interval: number;
+        description: string;
+        musicalEffect: string;
+    };
+    sesquiquadrate: {
+        harmonic: string;
+        interval: number;
+        description: string;
+        musicalEffect: string;
+    };
+    quintile: {
+        harmonic: string;
+        interval: number;
+        description: string;
+        musicalEffect: string;
+    };
 };
 export declare const modalityMappings: {
     Cardinal: {
@@ -338,27 +370,46 @@ export declare const dignityMappings: {
         tonalQuality: string;
         volume: number;
         clarity: string;
+        effect: string | null;
         description: string;
     };
     exaltation: {
         tonalQuality: string;
         volume: number;
         clarity: string;
+        effect: string | null;
         description: string;
     };
     fall: {
         tonalQuality: string;
         volume: number;
         clarity: string;
+        effect: string | null;
         description: string;
     };
     detriment: {
         tonalQuality: string;
         volume: number;
         clarity: string;
+        effect: string | null;
         description: string;
     };
 };
+export declare const eventArrangements: Record<AstroEventType, {
+    texture: string;
+    tempoMultiplier: number;
+    dynamics: string;
+    effects: string[];
+    description: string;
+}>;
+export declare const patternMappings: Record<ChartPattern['type'], {
+    texture: string;
+    effect: string;
+    /** Velocity multiplier for the apex planet's phrase */
+    apexEmphasis: number;
+    description: string;
+}>;
+export type PatternMapping = ChartPattern & (typeof patternMappings)[ChartPattern['type']];
 export declare const elementScales: {
     Fire: {
         classical: string[];
@@ -415,8 +466,39 @@ export declare const genreInstruments: {
         effects: string[];
     };
 };
-export declare function calculateAspects(chartData: AstroChart): any[];
+export declare function calculateAspects(chartData: AstroChart, options?: AspectOptions): AspectData[];
 export declare function getMusicalConfig(chartData: AstroChart, genre?: string): any;
 export declare function calculateHarmonicInterval(baseFreq: number, aspectType: string): number;
 export declare function getRhythmPattern(modality: string): any;
 export declare function getTonalQuality(dignity: string): any;
+export interface EventArrangement {
+    /** The strongest event of the day, which sets texture, tempo and dynamics */
+    event: AstroEventType;
+    texture: string;
+    tempoMultiplier: number;
+    dynamics: string;
+    effects: string[];
+    featuredPlanets: string[];
+    modulations: Array<{
+        planet: string;
+        sign: string;
+    }>;
+    description: string;
+    events: AstroEvent[];
+}
+export declare function getEventArrangement(events: AstroEvent[]): EventArrangement | null;
+export interface ConditionMappings {
+    phase: string;
+    /** 0.3 at the new moon rising to 1 at the full moon */
+    brightness: number;
+    /** Planetary hour ruler, whose instrument takes the lead melody */
+    leadPlanet: string;
+    leadInstrument: string;
+    sect: 'day' | 'night';
+    /** The sect's luminary and benefic */
+    emphasizedPlanets: string[];
+    voidOfCourse: boolean;
+}
+export declare function getConditionMappings(chartData: AstroChart, genre?: string): ConditionMappings | null;
+export declare function getChartAnalysis(chartData: AstroChart): ChartAnalysis;
+export declare function getPatternMappings(patterns: ChartPattern[]): PatternMapping[];
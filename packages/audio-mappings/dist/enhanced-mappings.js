@@ -1,11 +1,17 @@
 "use strict";
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.genreInstruments = exports.elementScales = exports.dignityMappings = exports.modalityMappings = exports.aspectMappings = exports.enhancedPlanetaryMappings = void 0;
+exports.genreInstruments = exports.elementScales = exports.patternMappings = exports.eventArrangements = exports.dignityMappings = exports.modalityMappings = exports.aspectMappings = exports.enhancedPlanetaryMappings = void 0;
 exports.calculateAspects = calculateAspects;
 exports.getMusicalConfig = getMusicalConfig;
 exports.calculateHarmonicInterval = calculateHarmonicInterval;
 exports.getRhythmPattern = getRhythmPattern;
 exports.getTonalQuality = getTonalQuality;
+exports.getEventArrangement = getEventArrangement;
+exports.getConditionMappings = getConditionMappings;
+exports.getChartAnalysis = getChartAnalysis;
+exports.getPatternMappings = getPatternMappings;
+const aspects_1 = require("../../astro-core/dist/aspects");
+const analysis_1 = require("../../astro-core/dist/analysis");
 // Helper function to get sign number
 function getSignNumber(signName) {
     const signNumbers = {
@@ -209,6 +215,36 @@ exports.aspectMappings = {
         interval: 12,
         description: 'Planets in opposition create octave relationships',
         musicalEffect: 'completion'
+    },
+    quincunx: {
+        harmonic: 'major_seventh',
+        interval: 11,
+        description: 'Planets in quincunx create unresolved major seventh relationships',
+        musicalEffect: 'adjustment'
+    },
+    semi_sextile: {
+        harmonic: 'minor_second',
+        interval: 1,
+        description: 'Planets in semi-sextile create close minor second colour',
+        musicalEffect: 'friction'
+    },
+    semi_square: {
+        harmonic: 'major_second',
+        interval: 2,
+        description: 'Planets in semi-square create restless major second steps',
+        musicalEffect: 'irritation'
+    },
+    sesquiquadrate: {
+        harmonic: 'minor_seventh',
+        interval: 10,
+        description: 'Planets in sesquiquadrate create leaning minor seventh relationships',
+        musicalEffect: 'agitation'
+    },
+    quintile: {
+        harmonic: 'major_sixth',
+        interval: 9,
+        description: 'Planets in quintile create bright major sixth harmonies',
+        musicalEffect: 'creative'
     }
 };
 // Modality mappings to rhythmic patterns
@@ -238,27 +274,117 @@ exports.dignityMappings = {
         tonalQuality: 'strong',
         volume: 1.0,
         clarity: 'clear',
+        effect: null,
         description: 'Planets in rulership have strong, clear tonal qualities'
     },
     exaltation: {
         tonalQuality: 'bright',
         volume: 1.2,
         clarity: 'brilliant',
+        effect: 'chorus',
         description: 'Planets in exaltation have bright, brilliant tonal qualities'
     },
     fall: {
         tonalQuality: 'muted',
         volume: 0.7,
         clarity: 'dull',
+        effect: 'lowpass',
         description: 'Planets in fall have muted, dull tonal qualities'
     },
     detriment: {
         tonalQuality: 'harsh',
         volume: 0.8,
         clarity: 'distorted',
+        effect: 'distortion',
         description: 'Planets in detriment have harsh, distorted tonal qualities'
     }
 };
+// Arrangement changes for days with an astronomical event, strongest first
+exports.eventArrangements = {
+    solar_eclipse: {
+        texture: 'drone',
+        tempoMultiplier: 0.5,
+        dynamics: 'fade_to_silence_and_return',
+        effects: ['reverse_swell', 'lowpass_sweep', 'long_reverb'],
+        description: 'A solar eclipse darkens the piece: a low drone, halved tempo and a fade to near silence before the light returns'
+    },
+    lunar_eclipse: {
+        texture: 'shadowed',
+        tempoMultiplier: 0.6,
+        dynamics: 'slow_dim_and_return',
+        effects: ['lowpass_sweep', 'chorus', 'long_reverb'],
+        description: 'A lunar eclipse veils the melody: the lead dims under a filtered shadow and slowly reappears'
+    },
+    full_moon: {
+        texture: 'full_ensemble',
+        tempoMultiplier: 1.0,
+        dynamics: 'crescendo',
+        effects: ['shimmer', 'reverb'],
+        description: 'The full moon brings every voice in at once, building to a bright climax'
+    },
+    new_moon: {
+        texture: 'sparse',
+        tempoMultiplier: 0.85,
+        dynamics: 'quiet_build',
+        effects: ['delay', 'reverb'],
+        description: 'The new moon starts from near silence, one voice seeding the themes the others take up'
+    },
+    station_retrograde: {
+        texture: 'suspended',
+        tempoMultiplier: 0.8,
+        dynamics: 'ritardando',
+        effects: ['reverse_delay', 'tape_stop'],
+        description: 'A planet stationing retrograde holds its note, slows the pulse and turns its phrase back on itself'
+    },
+    station_direct: {
+        texture: 'suspended',
+        tempoMultiplier: 0.9,
+        dynamics: 'accelerando',
+        effects: ['delay', 'filter_open'],
+        description: 'A planet stationing direct sustains its note, then releases the pulse forward again'
+    },
+    ingress: {
+        texture: 'modulating',
+        tempoMultiplier: 1.0,
+        dynamics: 'key_change',
+        effects: ['riser'],
+        description: 'A planet changing sign modulates the piece into the key of the sign it enters'
+    }
+};
+// Aspect patterns: every planet in the pattern takes the effect, and the
+// apex of a T-Square or Yod is pushed forward
+exports.patternMappings = {
+    grand_cross: {
+        texture: 'four_way_tension',
+        effect: 'drive',
+        apexEmphasis: 1.0,
+        description: 'A Grand Cross locks four voices in a square of tension that never fully resolves'
+    },
+    grand_trine: {
+        texture: 'open_fifths',
+        effect: 'reverb',
+        apexEmphasis: 1.0,
+        description: 'A Grand Trine rings out as an open chord of stacked fifths'
+    },
+    t_square: {
+        texture: 'tension_release',
+        effect: 'drive',
+        apexEmphasis: 1.2,
+        description: 'A T-Square pulls two opposed voices toward the apex, which carries the release'
+    },
+    yod: {
+        texture: 'unresolved_focus',
+        effect: 'delay',
+        apexEmphasis: 1.15,
+        description: 'A Yod points two supporting voices at a single searching apex line'
+    },
+    stellium: {
+        texture: 'dense_cluster',
+        effect: 'chorus',
+        apexEmphasis: 1.0,
+        description: 'A Stellium gathers several voices into one dense cluster'
+    }
+};
 // Element-based scales with genre variations
 exports.elementScales = {
     Fire: {
@@ -317,79 +443,30 @@ exports.genreInstruments = {
         effects: ['reverb', 'delay', 'filter']
     }
 };
-// Calculate aspects between planets
-function calculateAspects(chartData) {
-    const aspects = [];
-    const planets = Object.entries(chartData.planets);
-    for (let i = 0; i < planets.length; i++) {
-        for (let j = i + 1; j < planets.length; j++) {
-            const [planet1, data1] = planets[i];
-            const [planet2, data2] = planets[j];
-            const angle1 = data1.sign.degree + (getSignNumber(data1.sign.name) - 1) * 30;
-            const angle2 = data2.sign.degree + (getSignNumber(data2.sign.name) - 1) * 30;
-            const angleDiff = Math.abs(angle1 - angle2);
-            // Define aspect orbs
-            const conjunction = angleDiff <= 8 || angleDiff >= 352;
-            const sextile = (angleDiff >= 58 && angleDiff <= 62) || (angleDiff >= 298 && angleDiff <= 302);
-            const square = (angleDiff >= 85 && angleDiff <= 95) || (angleDiff >= 265 && angleDiff <= 275);
-            const trine = (angleDiff >= 118 && angleDiff <= 122) || (angleDiff >= 238 && angleDiff <= 242);
-            const opposition = angleDiff >= 172 && angleDiff <= 188;
-            if (conjunction) {
-                aspects.push({
-                    planet1, planet2, type: 'conjunction', angle: angleDiff,
-                    harmonic: exports.aspectMappings.conjunction.harmonic
-                });
-            }
-            else if (sextile) {
-                aspects.push({
-                    planet1, planet2, type: 'sextile', angle: angleDiff,
-                    harmonic: exports.aspectMappings.sextile.harmonic
-                });
-            }
-            else if (square) {
-                aspects.push({
-                    planet1, planet2, type: 'square', angle: angleDiff,
-                    harmonic: exports.aspectMappings.square.harmonic
-                });
-            }
-            else if (trine) {
-                aspects.push({
-                    planet1, planet2, type: 'trine', angle: angleDiff,
-                    harmonic: exports.aspectMappings.trine.harmonic
-                });
-            }
-            else if (opposition) {
-                aspects.push({
-                    planet1, planet2, type: 'opposition', angle: angleDiff,
-                    harmonic: exports.aspectMappings.opposition.harmonic
-                });
-            }
-        }
-    }
-    return aspects;
+// Aspects between planets from the astro-core aspect engine, tagged with their harmonic
+function calculateAspects(chartData, options) {
+    return (0, aspects_1.calculateAspects)(chartData.planets, options).map(aspect => ({
+        ...aspect,
+        harmonic: exports.aspectMappings[aspect.type].harmonic
+    }));
 }
 // Get musical configuration for a chart with genre
 function getMusicalConfig(chartData, genre = 'electronic') {
     const aspects = calculateAspects(chartData);
+    const analysis = getChartAnalysis(chartData);
     const planets = Object.keys(chartData.planets);
-    // Get dominant element
-    const elementCounts = {};
-    planets.forEach(planet => {
-        const element = exports.enhancedPlanetaryMappings[planet]?.element;
-        if (element) {
-            elementCounts[element] = (elementCounts[element] || 0) + 1;
-        }
-    });
-    const dominantElement = Object.entries(elementCounts)
-        .sort(([, a], [, b]) => b - a)[0]?.[0] || 'Fire';
+    // The scale follows the element the chart's planets occupy most
+    const dominantElement = analysis.balance.dominant_element;
     return {
         genre,
         dominantElement,
         scale: exports.elementScales[dominantElement]?.[genre] || exports.elementScales.Fire[genre],
         aspects,
+        analysis,
         planets: planets.map(planet => ({
             name: planet,
             ...exports.enhancedPlanetaryMappings[planet],
+            dignity: analysis.dignities[planet]?.dignity || null,
             genreConfig: exports.enhancedPlanetaryMappings[planet]?.genreVariations?.[genre]
         })),
         instruments: exports.genreInstruments[genre]
@@ -420,11 +497,70 @@ function getRhythmPattern(modality) {
 function getTonalQuality(dignity) {
     const quality = exports.dignityMappings[dignity];
     if (!quality)
-        return { tonalQuality: 'neutral', volume: 1.0, clarity: 'clear' };
+        return { tonalQuality: 'neutral', volume: 1.0, clarity: 'clear', effect: null };
     return {
         tonalQuality: quality.tonalQuality,
         volume: quality.volume,
         clarity: quality.clarity,
+        effect: quality.effect,
         description: quality.description
     };
 }
+// Arrangement for a day's astronomical events: the strongest event shapes the
+// texture and tempo, and every event's body gets a featured voice
+function getEventArrangement(events) {
+    const ranked = Object.keys(exports.eventArrangements);
+    const sorted = [...events]
+        .filter(event => exports.eventArrangements[event.type])
+        .sort((a, b) => ranked.indexOf(a.type) - ranked.indexOf(b.type));
+    if (sorted.length === 0) {
+        return null;
+    }
+    const lead = exports.eventArrangements[sorted[0].type];
+    return {
+        event: sorted[0].type,
+        texture: lead.texture,
+        tempoMultiplier: lead.tempoMultiplier,
+        dynamics: lead.dynamics,
+        effects: [...new Set(sorted.flatMap(event => exports.eventArrangements[event.type].effects))],
+        featuredPlanets: [...new Set(sorted.map(event => event.body))],
+        // Ingresses modulate into the element scale of the sign entered
+        modulations: sorted
+            .filter(event => event.type === 'ingress')
+            .map(event => ({ planet: event.body, sign: event.sign })),
+        description: lead.description,
+        events: sorted
+    };
+}
+// Musical reading of a chart's sky conditions: the Moon's light sets timbral
+// brightness, the planetary hour ruler takes the lead instrument, the sect's
+// light and benefic come forward and a void-of-course Moon leaves phrases
+// suspended. Null for charts without conditions, such as composites.
+function getConditionMappings(chartData, genre = 'electronic') {
+    const { lunar_phase, planetary_hour, sect, void_of_course } = chartData.metadata || {};
+    if (!lunar_phase || !planetary_hour || !sect || !void_of_course) {
+        return null;
+    }
+    const lead = exports.enhancedPlanetaryMappings[planetary_hour.hour_ruler];
+    return {
+        phase: lunar_phase.name,
+        brightness: 0.3 + 0.7 * lunar_phase.illumination,
+        leadPlanet: planetary_hour.hour_ruler,
+        leadInstrument: lead?.genreVariations?.[genre]?.instrument || lead?.instrument,
+        sect: sect.sect,
+        emphasizedPlanets: [sect.light, sect.benefic],
+        voidOfCourse: void_of_course.active
+    };
+}
+// Analysis attached when the chart was generated, or computed for charts that
+// never went through generation, such as composites
+function getChartAnalysis(chartData) {
+    return chartData.analysis || (0, analysis_1.analyzeChart)(chartData);
+}
+// Patterns with their musical treatment, largest figures first
+function getPatternMappings(patterns) {
+    const ranked = Object.keys(exports.patternMappings);
+    return [...patterns]
+        .sort((a, b) => ranked.indexOf(a.type) - ranked.indexOf(b.type))
+        .map(pattern => ({ ...pattern, ...exports.patternMappings[pattern.type] }));
+}
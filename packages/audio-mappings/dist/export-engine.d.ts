@@ -1,9 +1,43 @@
 import { MelodicAudioSession } from '@astradio/types';
+import { EnhancedComposition } from './enhanced-composition';
+import { AudioTags } from './tags';
+import { LoudnessMeasurement, MasteringReport } from './mastering';
+import { SoundFont, SamplerInstrument } from './soundfont';
+import { EffectsGraph } from './effects';
+export type AudioFormat = 'wav' | 'flac' | 'ogg' | 'mp3' | 'opus';
 export interface ExportOptions {
-    format: 'midi' | 'wav' | 'mp3' | 'narration' | 'markdown' | 'html' | 'pdf';
+    format: 'midi' | 'wav' | 'flac' | 'ogg' | 'mp3' | 'opus' | 'musicxml' | 'abc' | 'stems' | 'narration' | 'markdown' | 'html' | 'pdf';
+    /** Quality of the lossy formats: a Vorbis setting, or a bitrate of MP3 and Opus */
     quality?: 'low' | 'medium' | 'high';
+    /** MP3 or Opus bitrate in kbit/s over the quality's */
+    bitrate?: number;
     includeNarration?: boolean;
     filename?: string;
+    /** Sample rate of rendered audio, 44100 by default */
+    sampleRate?: number;
+    /** Window of the session to render, in seconds */
+    start?: number;
+    duration?: number;
+    /** Title written on notation exports and tagged on audio ones */
+    title?: string;
+    /** Display name of the listener, tagged as the artist of audio files */
+    artist?: string;
+    /** Tags for FLAC, Ogg and MP3 files, over the defaults from the session */
+    tags?: AudioTags;
+    /** Audio format of previews and stems, WAV by default */
+    audioFormat?: AudioFormat;
+    /** Set false to export the render without mastering */
+    master?: boolean;
+    /** Loudness target in LUFS over the genre preset's */
+    targetLoudness?: number;
+    /** Set false to round to 16 bits without dither */
+    dither?: boolean;
+    /** SF2 file, or a parsed one, to play named instruments from instead of the oscillators */
+    soundFont?: string | SoundFont;
+    /** Instrument names mapped to SoundFont presets over the genre defaults */
+    instruments?: Record<string, SamplerInstrument | null>;
+    /** Per-planet effect sends and an insert chain applied while rendering */
+    effects?: EffectsGraph;
 }
 export interface ExportResult {
     success: boolean;
@@ -12,22 +46,65 @@ export interface ExportResult {
     size?: number;
     error?: string;
 }
+export interface AudioExportData {
+    /** Contents of the audio file */
+    buffer: Buffer;
+    format: AudioFormat;
+    sampleRate: number;
+    /** 16 for WAV and FLAC; the lossy formats have none */
+    bitDepth?: 16;
+    /** Average bits per second of the file */
+    bitrate: number;
+    channels: number;
+    duration: number;
+    peak: number;
+    /** Measured loudness before and after mastering, null when not mastered */
+    mastering: MasteringReport | null;
+}
 export interface MIDIExportData {
-    header: {
-        format: number;
-        tracks: number;
-        timeDivision: number;
-    };
-    tracks: Array<{
-        name: string;
-        notes: Array<{
-            time: number;
-            duration: number;
-            note: number;
-            velocity: number;
-            channel: number;
-        }>;
-    }>;
+    /** Contents of the .mid file */
+    buffer: Buffer;
+    format: 1;
+    tracks: number;
+    /** Ticks per quarter note */
+    timeDivision: number;
+}
+export interface StemManifestEntry {
+    /** Path of the stem inside the zip */
+    file: string;
+    planet: string;
+    role: string;
+    instrument: string | null;
+    house: number | null;
+    sign: string | null;
+    voice?: 1 | 2;
+    notes: number;
+}
+export interface StemManifest {
+    session: string;
+    chartId: string;
+    tempo: number;
+    key: string;
+    timeSignature: string;
+    seed?: number;
+    sampleRate: number;
+    /** Length of the mix and of every stem in seconds */
+    duration: number;
+    mix: string;
+    /** Loudness of the mastered mix; stems share its normalization gain */
+    loudness: LoudnessMeasurement | null;
+    stems: StemManifestEntry[];
+}
+export interface StemBundleFile {
+    name: string;
+    type: AudioFormat | 'midi' | 'manifest' | 'narration';
+    size: number;
+}
+export interface StemExportData {
+    /** Contents of the .zip file */
+    buffer: Buffer;
+    files: StemBundleFile[];
+    manifest: StemManifest;
 }
 export interface NarrationExportData {
     markdown: string;
@@ -44,17 +121,59 @@ export interface NarrationExportData {
 }
 export declare class ExportEngine {
     /**
-     * Export melodic session to MIDI format
+     * Export melodic session to a type-1 Standard MIDI File
      */
     exportToMIDI(session: MelodicAudioSession, options?: ExportOptions): Promise<ExportResult>;
     /**
-     * Export melodic session to WAV format (simulated)
+     * Export melodic session to a 16-bit stereo WAV file rendered offline.
+     * Audio exports are mastered to the loudness target of the session's genre
+     * and report the measured loudness in `data.mastering`.
      */
     exportToWAV(session: MelodicAudioSession, options?: ExportOptions): Promise<ExportResult>;
     /**
-     * Export melodic session to MP3 format (simulated)
+     * Export melodic session to a lossless 16-bit FLAC file, tagged with the
+     * title, artist, chart date and genre
+     */
+    exportToFLAC(session: MelodicAudioSession, options?: ExportOptions): Promise<ExportResult>;
+    /**
+     * Export melodic session to an Ogg Vorbis file at `options.quality`, tagged
+     * like the FLAC export
+     */
+    exportToOgg(session: MelodicAudioSession, options?: ExportOptions): Promise<ExportResult>;
+    /**
+     * Short preview of a melodic session, 30 seconds from `options.start` by
+     * default, faded out at the end. WAV unless `options.audioFormat` says otherwise.
+     */
+    exportPreview(session: MelodicAudioSession, options?: Partial<ExportOptions>): Promise<ExportResult>;
+    /**
+     * Export melodic session to a constant-bitrate MP3 file at `options.bitrate`
+     * kbit/s, or the rate of `options.quality`, tagged with ID3v2
      */
     exportToMP3(session: MelodicAudioSession, options?: ExportOptions): Promise<ExportResult>;
+    /**
+     * Export melodic session to an Ogg Opus file at `options.bitrate` kbit/s,
+     * or the rate of `options.quality`, tagged like the FLAC export
+     */
+    exportToOpus(session: MelodicAudioSession, options?: ExportOptions): Promise<ExportResult>;
+    /**
+     * Export a melodic session or house composition as a MusicXML score
+     */
+    exportToMusicXML(source: MelodicAudioSession | EnhancedComposition, options?: Partial<ExportOptions>): Promise<ExportResult>;
+    /**
+     * Export a melodic session or house composition in ABC notation
+     */
+    exportToABC(source: MelodicAudioSession | EnhancedComposition, options?: Partial<ExportOptions>): Promise<ExportResult>;
+    /**
+     * Export a melodic session as a zip of time-aligned stems for remixing:
+     * one audio file per phrase, the full mix, the MIDI file, a JSON manifest of
+     * the stems' planets, roles, instruments, houses and signs, and the
+     * narration. Audio is in any of the audio formats, as `options.audioFormat` says.
+     * Every stem covers the same window as the mix so they line up in a DAW.
+     * Every note is rendered once into its stem and the mix is their sum; only
+     * the mix is mastered and the stems take its gain, so they add up to it
+     * before its compressor and limiter.
+     */
+    exportStems(session: MelodicAudioSession, chartData: any, options?: Partial<ExportOptions>): Promise<ExportResult>;
     /**
      * Export narration in various formats
      */
@@ -63,9 +182,12 @@ export declare class ExportEngine {
      * Batch export multiple sessions
      */
     batchExport(sessions: MelodicAudioSession[], chartData: any, options?: ExportOptions): Promise<ExportResult[]>;
-    private convertToMIDITime;
-    private frequencyToMIDINote;
-    private calculateTempo;
+    private exportAudio;
+    private master;
+    private encodeAudio;
+    private audioData;
+    private audioTags;
+    private exportNotation;
     private generateMarkdownNarration;
     private generateHTMLNarration;
     private generateMetadata;
@@ -2,49 +2,46 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.exportEngine = exports.ExportEngine = void 0;
 const narration_generator_1 = require("./narration-generator");
+const renderer_1 = require("./renderer");
+const midi_1 = require("./midi");
+const notation_1 = require("./notation");
+const zip_1 = require("./zip");
+const flac_1 = require("./flac");
+const vorbis_1 = require("./vorbis");
+const mp3_1 = require("./mp3");
+const opus_1 = require("./opus");
+const mastering_1 = require("./mastering");
+const PREVIEW_DURATION = 30;
+const PREVIEW_FADE_OUT = 2;
+const AUDIO_FORMATS = {
+    wav: { name: 'WAV', extension: 'wav' },
+    flac: { name: 'FLAC', extension: 'flac' },
+    ogg: { name: 'Ogg Vorbis', extension: 'ogg' },
+    mp3: { name: 'MP3', extension: 'mp3' },
+    opus: { name: 'Ogg Opus', extension: 'opus' }
+};
+// Lossy formats have no bit depth
+const LOSSY_FORMATS = ['ogg', 'mp3', 'opus'];
 class ExportEngine {
     /**
-     * Export melodic session to MIDI format
+     * Export melodic session to a type-1 Standard MIDI File
      */
     async exportToMIDI(session, options) {
         try {
             console.log(`🎵 Exporting session ${session.id} to MIDI format`);
-            const midiData = {
-                header: {
-                    format: 1, // Multi-track format
-                    tracks: session.phrases.length + 1, // +1 for tempo track
-                    timeDivision: 480 // PPQ (Pulses Per Quarter note)
-                },
-                tracks: []
-            };
-            // Add tempo track
-            const tempoTrack = {
-                name: 'Tempo',
-                notes: [],
-                tempo: this.calculateTempo(session.tempo)
-            };
-            midiData.tracks.push(tempoTrack);
-            // Convert each phrase to MIDI track
-            session.phrases.forEach((phrase, phraseIndex) => {
-                const track = {
-                    name: `${phrase.planet} - ${phrase.role}`,
-                    notes: phrase.notes.map(note => ({
-                        time: this.convertToMIDITime(note.timestamp, session.tempo),
-                        duration: this.convertToMIDITime(note.duration, session.tempo),
-                        note: this.frequencyToMIDINote(note.frequency),
-                        velocity: Math.floor(note.velocity * 127),
-                        channel: phraseIndex % 16 // Use different channels for different planets
-                    }))
-                };
-                midiData.tracks.push(track);
-            });
+            const midi = (0, midi_1.encodeMIDI)(session);
             const filename = options?.filename || `astroaudio-${session.id}.mid`;
-            console.log(`✅ MIDI export completed: ${midiData.tracks.length} tracks, ${midiData.tracks.reduce((sum, track) => sum + track.notes.length, 0)} notes`);
+            console.log(`✅ MIDI export completed: ${midi.tracks} tracks, ${midi.notes} notes`);
             return {
                 success: true,
-                data: midiData,
+                data: {
+                    buffer: midi.buffer,
+                    format: 1,
+                    tracks: midi.tracks,
+                    timeDivision: midi_1.MIDI_PPQ
+                },
                 filename,
-                size: JSON.stringify(midiData).length
+                size: midi.buffer.length
             };
         }
         catch (error) {
@@ -56,52 +53,55 @@ class ExportEngine {
         }
     }
     /**
-     * Export melodic session to WAV format (simulated)
+     * Export melodic session to a 16-bit stereo WAV file rendered offline.
+     * Audio exports are mastered to the loudness target of the session's genre
+     * and report the measured loudness in `data.mastering`.
      */
     async exportToWAV(session, options) {
+        return this.exportAudio(session, options, 'wav');
+    }
+    /**
+     * Export melodic session to a lossless 16-bit FLAC file, tagged with the
+     * title, artist, chart date and genre
+     */
+    async exportToFLAC(session, options) {
+        return this.exportAudio(session, options, 'flac');
+    }
+    /**
+     * Export melodic session to an Ogg Vorbis file at `options.quality`, tagged
+     * like the FLAC export
+     */
+    async exportToOgg(session, options) {
+        return this.exportAudio(session, options, 'ogg');
+    }
+    /**
+     * Short preview of a melodic session, 30 seconds from `options.start` by
+     * default, faded out at the end. WAV unless `options.audioFormat` says otherwise.
+     */
+    async exportPreview(session, options) {
         try {
-            console.log(`🎵 Exporting session ${session.id} to WAV format`);
-            // Simulate WAV generation (in real implementation, would use Tone.js or Web Audio API)
-            const sampleRate = 44100;
-            const bitDepth = 16;
-            const channels = 2; // Stereo
-            // Calculate total duration in samples
-            const totalDuration = Math.max(...session.phrases.flatMap(p => p.notes.map(n => n.timestamp + n.duration)));
-            const totalSamples = Math.ceil(totalDuration * sampleRate);
-            // Generate simulated audio data
-            const audioData = new Array(totalSamples).fill(0);
-            // Apply each note to the audio buffer
-            session.phrases.forEach(phrase => {
-                phrase.notes.forEach(note => {
-                    const startSample = Math.floor(note.timestamp * sampleRate);
-                    const endSample = Math.floor((note.timestamp + note.duration) * sampleRate);
-                    // Generate sine wave for the note
-                    for (let i = startSample; i < endSample && i < totalSamples; i++) {
-                        const time = (i - startSample) / sampleRate;
-                        const amplitude = note.velocity * Math.exp(-time * 2); // Decay
-                        const sample = amplitude * Math.sin(2 * Math.PI * note.frequency * time);
-                        audioData[i] = Math.max(-1, Math.min(1, audioData[i] + sample));
-                    }
-                });
+            console.log(`🎧 Rendering preview of session ${session.id}`);
+            const format = options?.audioFormat || 'wav';
+            const audio = renderer_1.offlineRenderer.render(session, {
+                sampleRate: options?.sampleRate,
+                start: options?.start,
+                duration: options?.duration ?? PREVIEW_DURATION,
+                fadeOut: PREVIEW_FADE_OUT,
+                soundFont: options?.soundFont,
+                instruments: options?.instruments,
+                effects: options?.effects
             });
-            const filename = options?.filename || `astroaudio-${session.id}.wav`;
-            const fileSize = totalSamples * channels * (bitDepth / 8);
-            console.log(`✅ WAV export completed: ${(totalDuration / 60).toFixed(2)} minutes, ${fileSize} bytes`);
+            const mastered = this.master(session, audio, options);
+            const buffer = this.encodeAudio(mastered, format, this.audioTags(session, options), options);
             return {
                 success: true,
-                data: {
-                    audioData,
-                    sampleRate,
-                    bitDepth,
-                    channels,
-                    duration: totalDuration
-                },
-                filename,
-                size: fileSize
+                data: this.audioData(mastered, format, buffer),
+                filename: options?.filename || `astroaudio-${session.id}-preview.${AUDIO_FORMATS[format].extension}`,
+                size: buffer.length
             };
         }
         catch (error) {
-            console.error('WAV export failed:', error);
+            console.error('Preview rendering failed:', error);
             return {
                 success: false,
                 error: error instanceof Error ? error.message : 'Unknown error'
@@ -109,41 +109,122 @@ class ExportEngine {
         }
     }
     /**
-     * Export melodic session to MP3 format (simulated)
+     * Export melodic session to a constant-bitrate MP3 file at `options.bitrate`
+     * kbit/s, or the rate of `options.quality`, tagged with ID3v2
      */
     async exportToMP3(session, options) {
+        return this.exportAudio(session, options, 'mp3');
+    }
+    /**
+     * Export melodic session to an Ogg Opus file at `options.bitrate` kbit/s,
+     * or the rate of `options.quality`, tagged like the FLAC export
+     */
+    async exportToOpus(session, options) {
+        return this.exportAudio(session, options, 'opus');
+    }
+    /**
+     * Export a melodic session or house composition as a MusicXML score
+     */
+    async exportToMusicXML(source, options) {
+        return this.exportNotation(source, options, 'MusicXML', 'musicxml', notation_1.toMusicXML);
+    }
+    /**
+     * Export a melodic session or house composition in ABC notation
+     */
+    async exportToABC(source, options) {
+        return this.exportNotation(source, options, 'ABC', 'abc', notation_1.toABC);
+    }
+    /**
+     * Export a melodic session as a zip of time-aligned stems for remixing:
+     * one audio file per phrase, the full mix, the MIDI file, a JSON manifest of
+     * the stems' planets, roles, instruments, houses and signs, and the
+     * narration. Audio is in any of the audio formats, as `options.audioFormat` says.
+     * Every stem covers the same window as the mix so they line up in a DAW.
+     * Every note is rendered once into its stem and the mix is their sum; only
+     * the mix is mastered and the stems take its gain, so they add up to it
+     * before its compressor and limiter.
+     */
+    async exportStems(session, chartData, options) {
         try {
-            console.log(`🎵 Exporting session ${session.id} to MP3 format`);
-            // Simulate MP3 compression (in real implementation, would use a proper MP3 encoder)
-            const quality = options?.quality || 'medium';
-            const compressionRatios = {
-                low: 0.1,
-                medium: 0.15,
-                high: 0.25
+            console.log(`🎚️ Exporting stems of session ${session.id}`);
+            const window = {
+                sampleRate: options?.sampleRate,
+                start: options?.start,
+                duration: options?.duration,
+                soundFont: options?.soundFont,
+                instruments: options?.instruments,
+                effects: options?.effects
             };
-            // First generate WAV data
-            const wavResult = await this.exportToWAV(session, options);
-            if (!wavResult.success) {
-                throw new Error('WAV generation failed');
+            const format = options?.audioFormat || 'wav';
+            const extension = AUDIO_FORMATS[format].extension;
+            const tags = this.audioTags(session, options);
+            // One pass renders every note into its stem; the mix is their sum. The
+            // mastering limiter takes the mix's peaks, so it is left unlimited before it.
+            const rendered = renderer_1.offlineRenderer.renderStems(session, { ...window, limiter: options?.master === false });
+            const mix = this.master(session, rendered.mix, options);
+            // Stems take the mix's normalization gain, not their own, so they keep their balance against it
+            const stemGain = mix.mastering ? Math.pow(10, mix.mastering.gain / 20) : 1;
+            const entries = [{ name: `mix.${extension}`, type: format, data: this.encodeAudio(mix, format, tags, options), compress: false }];
+            const stems = session.phrases.map((phrase, index) => {
+                const role = phrase.role.replace(/([a-z])([A-Z])/g, '$1-$2').toLowerCase();
+                const name = `stems/${String(index + 1).padStart(2, '0')}-${phrase.planet.toLowerCase()}-${role}${phrase.voice ? `-voice${phrase.voice}` : ''}.${extension}`;
+                const audio = rendered.stems[index];
+                const stem = { ...audio, left: audio.left.map(sample => sample * stemGain), right: audio.right.map(sample => sample * stemGain) };
+                const stemTags = { ...tags, title: `${tags.title} (${phrase.planet} ${phrase.role})` };
+                entries.push({ name, type: format, data: this.encodeAudio(stem, format, stemTags, options), compress: false });
+                // Placements come from the exported chart, which is the first voice of a duet
+                const placement = phrase.voice === 2 ? undefined : chartData?.planets?.[phrase.planet];
+                return {
+                    file: name,
+                    planet: phrase.planet,
+                    role: phrase.role,
+                    instrument: phrase.notes[0]?.instrument ?? null,
+                    house: placement?.house ?? null,
+                    sign: placement?.sign?.name ?? null,
+                    voice: phrase.voice,
+                    notes: audio.notes
+                };
+            });
+            const midi = (0, midi_1.encodeMIDI)(session);
+            entries.push({ name: `astroaudio-${session.id}.mid`, type: 'midi', data: midi.buffer });
+            const manifest = {
+                session: session.id,
+                chartId: session.chartId,
+                tempo: session.tempo,
+                key: session.key,
+                timeSignature: session.timeSignature,
+                seed: session.configuration?.seed,
+                sampleRate: mix.sampleRate,
+                duration: mix.duration,
+                mix: `mix.${extension}`,
+                loudness: mix.mastering?.output ?? null,
+                stems
+            };
+            entries.push({ name: 'manifest.json', type: 'manifest', data: JSON.stringify(manifest, null, 2) });
+            const narration = await this.exportNarration(session, chartData, { format: 'markdown' });
+            if (narration.success) {
+                entries.push({ name: 'narration.md', type: 'narration', data: narration.data.markdown });
             }
-            // Simulate MP3 compression
-            const compressedSize = Math.floor(wavResult.size * compressionRatios[quality]);
-            const filename = options?.filename || `astroaudio-${session.id}.mp3`;
-            console.log(`✅ MP3 export completed: ${compressedSize} bytes (${quality} quality)`);
+            const buffer = (0, zip_1.createZip)(entries);
+            const filename = options?.filename || `astroaudio-${session.id}-stems.zip`;
+            console.log(`✅ Stem export completed: ${stems.length} stems, ${entries.length} files, ${buffer.length} bytes`);
             return {
                 success: true,
                 data: {
-                    originalSize: wavResult.size,
-                    compressedSize,
-                    compressionRatio: compressionRatios[quality],
-                    quality
+                    buffer,
+                    files: entries.map(entry => ({
+                        name: entry.name,
+                        type: entry.type,
+                        size: typeof entry.data === 'string' ? Buffer.byteLength(entry.data, 'utf8') : entry.data.length
+                    })),
+                    manifest
                 },
                 filename,
-                size: compressedSize
+                size: buffer.length
             };
         }
         catch (error) {
-            console.error('MP3 export failed:', error);
+            console.error('Stem export failed:', error);
             return {
                 success: false,
                 error: error instanceof Error ? error.message : 'Unknown error'
@@ -229,9 +310,27 @@ class ExportEngine {
                     case 'wav':
                         result = await this.exportToWAV(session, options);
                         break;
+                    case 'flac':
+                        result = await this.exportToFLAC(session, options);
+                        break;
+                    case 'ogg':
+                        result = await this.exportToOgg(session, options);
+                        break;
                     case 'mp3':
                         result = await this.exportToMP3(session, options);
                         break;
+                    case 'opus':
+                        result = await this.exportToOpus(session, options);
+                        break;
+                    case 'musicxml':
+                        result = await this.exportToMusicXML(session, options);
+                        break;
+                    case 'abc':
+                        result = await this.exportToABC(session, options);
+                        break;
+                    case 'stems':
+                        result = await this.exportStems(session, chartData, options);
+                        break;
                     case 'narration':
                         result = await this.exportNarration(session, chartData, options);
                         break;
@@ -255,16 +354,112 @@ class ExportEngine {
         return results;
     }
     // Helper methods
-    convertToMIDITime(seconds, tempo) {
-        const beatsPerSecond = tempo / 60;
-        const beats = seconds * beatsPerSecond;
-        return Math.round(beats * 480); // 480 PPQ
+    async exportAudio(session, options, format) {
+        const { name, extension } = AUDIO_FORMATS[format];
+        try {
+            console.log(`🎵 Exporting session ${session.id} to ${name} format`);
+            const audio = renderer_1.offlineRenderer.render(session, {
+                sampleRate: options?.sampleRate,
+                start: options?.start,
+                duration: options?.duration,
+                soundFont: options?.soundFont,
+                instruments: options?.instruments,
+                effects: options?.effects
+            });
+            const mastered = this.master(session, audio, options);
+            const buffer = this.encodeAudio(mastered, format, this.audioTags(session, options), options);
+            const filename = options?.filename || `astroaudio-${session.id}.${extension}`;
+            const loudness = mastered.mastering ? `, ${mastered.mastering.output.integrated.toFixed(1)} LUFS` : '';
+            console.log(`✅ ${name} export completed: ${(audio.duration / 60).toFixed(2)} minutes, ${buffer.length} bytes${loudness}`);
+            return {
+                success: true,
+                data: this.audioData(mastered, format, buffer),
+                filename,
+                size: buffer.length
+            };
+        }
+        catch (error) {
+            console.error(`${name} export failed:`, error);
+            return {
+                success: false,
+                error: error instanceof Error ? error.message : 'Unknown error'
+            };
+        }
+    }
+    // Loudness-normalized, limited copy of rendered audio using the preset of
+    // the session's genre, unless mastering is turned off
+    master(session, audio, options) {
+        if (options?.master === false) {
+            return audio;
+        }
+        return (0, mastering_1.masterAudio)(audio, {
+            preset: session.configuration?.genre || 'electronic',
+            targetLoudness: options?.targetLoudness
+        });
     }
-    frequencyToMIDINote(frequency) {
-        return Math.round(12 * Math.log2(frequency / 440) + 69);
+    encodeAudio(audio, format, tags, options) {
+        // 16-bit formats are dithered unless asked not to be
+        const dither = options?.dither !== false;
+        switch (format) {
+            case 'flac':
+                return (0, flac_1.encodeFLAC)(audio, tags, { dither });
+            case 'ogg':
+                return (0, vorbis_1.encodeVorbis)(audio, { quality: options?.quality, tags });
+            case 'mp3':
+                return (0, mp3_1.encodeMP3)(audio, { bitrate: options?.bitrate ?? mp3_1.MP3_QUALITY[options?.quality || 'medium'], tags });
+            case 'opus':
+                return (0, opus_1.encodeOpus)(audio, { bitrate: options?.bitrate ?? opus_1.OPUS_QUALITY[options?.quality || 'medium'], tags });
+            default:
+                return renderer_1.offlineRenderer.toWAV(audio, { dither });
+        }
+    }
+    audioData(audio, format, buffer) {
+        return {
+            buffer,
+            format,
+            sampleRate: audio.sampleRate,
+            bitDepth: LOSSY_FORMATS.includes(format) ? undefined : 16,
+            bitrate: Math.round(buffer.length * 8 / Math.max(audio.duration, 1e-3)),
+            channels: audio.channels,
+            duration: audio.duration,
+            peak: audio.peak,
+            mastering: audio.mastering ?? null
+        };
+    }
+    // Title and genre come from the session, the chart datetime from its chart
+    // id and the artist from the listener's display name
+    audioTags(session, options) {
+        return {
+            title: options?.title || `AstroAudio Composition - ${session.chartId}`,
+            artist: options?.artist,
+            date: session.chartId,
+            genre: session.configuration?.genre || 'electronic',
+            ...options?.tags
+        };
     }
-    calculateTempo(tempo) {
-        return Math.round(60000000 / tempo); // Microseconds per quarter note
+    exportNotation(source, options, name, extension, write) {
+        try {
+            // House compositions have no session id, so they are named by seed
+            const id = 'houses' in source ? `houses-${source.seed}` : source.id;
+            console.log(`🎼 Exporting ${id} to ${name} notation`);
+            const score = (0, notation_1.buildScore)(source, { title: options?.title });
+            const text = write(score);
+            const filename = options?.filename || `astroaudio-${id}.${extension}`;
+            console.log(`✅ ${name} export completed: ${score.parts.length} parts, ${score.parts[0]?.measures.length ?? 0} measures`);
+            return {
+                success: true,
+                data: text,
+                filename,
+                size: Buffer.byteLength(text, 'utf8')
+            };
+        }
+        catch (error) {
+            console.error(`${name} export failed:`, error);
+            return {
+                success: false,
+                error: error instanceof Error ? error.message : 'Unknown error'
+            };
+        }
     }
     generateMarkdownNarration(narration, session, chartData) {
         return `# AstroAudio Composition: ${chartData.metadata.birth_datetime}
@@ -0,0 +1,8 @@
+import { MelodicAudioSession } from '@astradio/types';
+import { ExportOptions, ExportResult } from './export-engine';
+/**
+ * Export a melodic session as stems, like ExportEngine.exportStems, on a
+ * worker thread of its own. Options must be plain data: a SoundFont is given
+ * by path, and is parsed again by each worker.
+ */
+export declare function exportStemsInWorker(session: MelodicAudioSession, chartData: any, options?: Partial<ExportOptions>): Promise<ExportResult>;
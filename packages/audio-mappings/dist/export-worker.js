@@ -0,0 +1,42 @@
+"use strict";
+// Stem exports on a worker thread
+// A stems bundle renders every note and runs reverb and effects once per stem,
+// minutes of work for a long session, so it runs off the caller's event loop
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.exportStemsInWorker = exportStemsInWorker;
+const worker_threads_1 = require("worker_threads");
+const export_engine_1 = require("./export-engine");
+/**
+ * Export a melodic session as stems, like ExportEngine.exportStems, on a
+ * worker thread of its own. Options must be plain data: a SoundFont is given
+ * by path, and is parsed again by each worker.
+ */
+function exportStemsInWorker(session, chartData, options) {
+    return new Promise((resolve, reject) => {
+        const worker = new worker_threads_1.Worker(__filename, { workerData: { session, chartData, options } });
+        let settled = false;
+        worker.once('message', (result) => {
+            settled = true;
+            // Buffers arrive as plain Uint8Arrays
+            if (result.success) {
+                result.data.buffer = Buffer.from(result.data.buffer.buffer, result.data.buffer.byteOffset, result.data.buffer.byteLength);
+            }
+            resolve(result);
+        });
+        worker.once('error', error => {
+            settled = true;
+            reject(error);
+        });
+        worker.once('exit', code => {
+            if (!settled) {
+                reject(new Error(`Stem export worker exited with code ${code}`));
+            }
+        });
+    });
+}
+if (!worker_threads_1.isMainThread && worker_threads_1.workerData?.session) {
+    const { session, chartData, options } = worker_threads_1.workerData;
+    export_engine_1.exportEngine.exportStems(session, chartData, options).then(result => {
+        worker_threads_1.parentPort.postMessage(result);
+    });
+}
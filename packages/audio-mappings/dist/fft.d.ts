@@ -0,0 +1,8 @@
+/**
+ * In-place complex FFT; the length must be a power of two
+ */
+export declare function fft(re: Float64Array, im: Float64Array): void;
+/**
+ * In-place inverse of `fft`, scaled by 1/n so a round trip gives back the input
+ */
+export declare function ifft(re: Float64Array, im: Float64Array): void;
@@ -0,0 +1,70 @@
+"use strict";
+// Radix-2 FFT shared by the Vorbis MDCT and convolution reverb
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.fft = fft;
+exports.ifft = ifft;
+// Twiddle factors per transform size, computed on first use
+const twiddles = new Map();
+function twiddleTable(n) {
+    let table = twiddles.get(n);
+    if (!table) {
+        const half = n >> 1;
+        table = { cos: new Float64Array(half), sin: new Float64Array(half) };
+        for (let k = 0; k < half; k++) {
+            table.cos[k] = Math.cos(-2 * Math.PI * k / n);
+            table.sin[k] = Math.sin(-2 * Math.PI * k / n);
+        }
+        twiddles.set(n, table);
+    }
+    return table;
+}
+/**
+ * In-place complex FFT; the length must be a power of two
+ */
+function fft(re, im) {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) {
+            j ^= bit;
+        }
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    const table = twiddleTable(n);
+    for (let size = 2; size <= n; size <<= 1) {
+        const half = size >> 1;
+        const stride = n / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < half; k++) {
+                const wr = table.cos[k * stride];
+                const wi = table.sin[k * stride];
+                const a = start + k;
+                const b = a + half;
+                const xr = re[b] * wr - im[b] * wi;
+                const xi = re[b] * wi + im[b] * wr;
+                re[b] = re[a] - xr;
+                im[b] = im[a] - xi;
+                re[a] += xr;
+                im[a] += xi;
+            }
+        }
+    }
+}
+/**
+ * In-place inverse of `fft`, scaled by 1/n so a round trip gives back the input
+ */
+function ifft(re, im) {
+    const n = re.length;
+    for (let i = 0; i < n; i++) {
+        im[i] = -im[i];
+    }
+    fft(re, im);
+    for (let i = 0; i < n; i++) {
+        re[i] /= n;
+        im[i] = -im[i] / n;
+    }
+}
@@ -0,0 +1,14 @@
+import { RenderedAudio } from './renderer';
+import { AudioTags } from './tags';
+export declare const FLAC_BLOCK_SIZE = 4096;
+export interface FLACOptions {
+    /** Dither the conversion to 16 bits */
+    dither?: boolean;
+}
+/**
+ * Lossless FLAC file of rendered stereo audio at 16 bits, tagged with Vorbis
+ * comments. Each channel of a frame is coded with the best fixed predictor,
+ * and each frame picks the cheapest of left/right, left/side, right/side and
+ * mid/side stereo. `dither` adds triangular dither when converting to 16 bits.
+ */
+export declare function encodeFLAC(audio: RenderedAudio, tags?: AudioTags, options?: FLACOptions): Buffer;
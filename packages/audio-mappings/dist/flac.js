@@ -0,0 +1,329 @@
+"use strict";
+// FLAC encoder
+// Lossless 16-bit FLAC with fixed linear predictors, Rice-coded residuals and
+// stereo decorrelation, written in plain JS so no native encoder is needed
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.FLAC_BLOCK_SIZE = void 0;
+exports.encodeFLAC = encodeFLAC;
+const crypto_1 = require("crypto");
+const tags_1 = require("./tags");
+const mastering_1 = require("./mastering");
+// Samples per channel in each frame
+exports.FLAC_BLOCK_SIZE = 4096;
+const BITS_PER_SAMPLE = 16;
+const MAX_FIXED_ORDER = 4;
+const MAX_PARTITION_ORDER = 6;
+// Largest parameter of the 4-bit Rice coding method; 15 is the escape code
+const MAX_RICE_PARAMETER = 14;
+const METADATA_STREAMINFO = 0;
+const METADATA_VORBIS_COMMENT = 4;
+// Frame header codes of the sample rates that have one; others are read from STREAMINFO
+const SAMPLE_RATE_CODES = {
+    88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+    24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+};
+const CHANNELS_INDEPENDENT = 1;
+const CHANNELS_LEFT_SIDE = 8;
+const CHANNELS_RIGHT_SIDE = 9;
+const CHANNELS_MID_SIDE = 10;
+// Big-endian bit writer that grows as needed
+class BitWriter {
+    constructor(capacity) {
+        this.bytes = Buffer.alloc(capacity);
+        this.length = 0;
+        this.accumulator = 0;
+        this.pending = 0;
+    }
+    write(value, bits) {
+        while (bits > 16) {
+            bits -= 16;
+            this.write(Math.floor(value / Math.pow(2, bits)) & 0xffff, 16);
+        }
+        this.accumulator = (this.accumulator << bits) | (value & ((1 << bits) - 1));
+        this.pending += bits;
+        while (this.pending >= 8) {
+            this.pending -= 8;
+            if (this.length === this.bytes.length) {
+                const grown = Buffer.alloc(this.bytes.length * 2);
+                this.bytes.copy(grown);
+                this.bytes = grown;
+            }
+            this.bytes[this.length++] = (this.accumulator >>> this.pending) & 0xff;
+        }
+        this.accumulator &= (1 << this.pending) - 1;
+    }
+    writeSigned(value, bits) {
+        this.write(value < 0 ? value + Math.pow(2, bits) : value, bits);
+    }
+    // q zeros followed by a one
+    writeUnary(q) {
+        while (q >= 16) {
+            this.write(0, 16);
+            q -= 16;
+        }
+        this.write(1, q + 1);
+    }
+    alignToByte() {
+        if (this.pending > 0) {
+            this.write(0, 8 - this.pending);
+        }
+    }
+    toBuffer() {
+        return this.bytes.subarray(0, this.length);
+    }
+}
+const CRC8_TABLE = crcTable(8, 0x07);
+const CRC16_TABLE = crcTable(16, 0x8005);
+function crcTable(width, polynomial) {
+    const top = 1 << (width - 1);
+    const mask = (1 << width) - 1;
+    return Array.from({ length: 256 }, (_, byte) => {
+        let crc = byte << (width - 8);
+        for (let bit = 0; bit < 8; bit++) {
+            crc = crc & top ? ((crc << 1) ^ polynomial) & mask : (crc << 1) & mask;
+        }
+        return crc;
+    });
+}
+function crc8(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC8_TABLE[crc ^ bytes[i]];
+    }
+    return crc;
+}
+function crc16(bytes) {
+    let crc = 0;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = ((crc << 8) & 0xffff) ^ CRC16_TABLE[(crc >> 8) ^ bytes[i]];
+    }
+    return crc;
+}
+// Residual of the fixed polynomial predictor of an order, from sample `order` on
+function fixedResidual(samples, order) {
+    const residual = new Int32Array(samples.length - order);
+    const s = samples;
+    for (let i = order; i < s.length; i++) {
+        switch (order) {
+            case 0:
+                residual[i] = s[i];
+                break;
+            case 1:
+                residual[i - 1] = s[i] - s[i - 1];
+                break;
+            case 2:
+                residual[i - 2] = s[i] - 2 * s[i - 1] + s[i - 2];
+                break;
+            case 3:
+                residual[i - 3] = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3];
+                break;
+            default:
+                residual[i - 4] = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4];
+        }
+    }
+    return residual;
+}
+// Rice parameter and estimated size in bits of a partition from the sum of its
+// zigzag-folded residuals
+function riceCost(sum, count) {
+    if (count === 0) {
+        return { parameter: 0, bits: 0 };
+    }
+    const guess = Math.max(0, Math.floor(Math.log2(sum / count + 1)));
+    let best = { parameter: 0, bits: Infinity };
+    for (let k = Math.max(0, guess - 1); k <= Math.min(MAX_RICE_PARAMETER, guess + 1); k++) {
+        const bits = count * (k + 1) + Math.floor(sum / Math.pow(2, k));
+        if (bits < best.bits) {
+            best = { parameter: k, bits };
+        }
+    }
+    return best;
+}
+// Partition order and Rice parameters with the fewest estimated bits. Partition
+// sums of the finest order are added in pairs for each coarser one.
+function planResidual(residual, blockSize, order) {
+    let maxOrder = 0;
+    while (maxOrder < MAX_PARTITION_ORDER && blockSize % (2 << maxOrder) === 0 && (blockSize >> (maxOrder + 1)) > order) {
+        maxOrder++;
+    }
+    let sums = new Array(1 << maxOrder).fill(0);
+    let counts = new Array(1 << maxOrder).fill(0);
+    const partitionSize = blockSize >> maxOrder;
+    for (let partition = 0, i = 0; partition < sums.length; partition++) {
+        const end = (partition + 1) * partitionSize - order;
+        let sum = 0;
+        counts[partition] = end - i;
+        for (; i < end; i++) {
+            const value = residual[i];
+            sum += value < 0 ? -2 * value - 1 : 2 * value;
+        }
+        sums[partition] = sum;
+    }
+    let best = null;
+    for (let partitionOrder = maxOrder; partitionOrder >= 0; partitionOrder--) {
+        const costs = sums.map((sum, index) => riceCost(sum, counts[index]));
+        const bits = 2 + 4 + costs.reduce((total, cost) => total + 4 + cost.bits, 0);
+        if (!best || bits < best.bits) {
+            best = { partitionOrder, parameters: costs.map(cost => cost.parameter), bits };
+        }
+        sums = sums.filter((_, index) => index % 2 === 0).map((sum, index) => sum + sums[index * 2 + 1]);
+        counts = counts.filter((_, index) => index % 2 === 0).map((count, index) => count + counts[index * 2 + 1]);
+    }
+    return best;
+}
+// Cheapest subframe for one channel: constant, fixed predictor or verbatim
+function planSubframe(samples, bitsPerSample) {
+    const verbatim = { type: 'verbatim', bits: 8 + samples.length * bitsPerSample };
+    if (samples.every(sample => sample === samples[0])) {
+        return { type: 'constant', bits: 8 + bitsPerSample };
+    }
+    let best = verbatim;
+    for (let order = 0; order <= Math.min(MAX_FIXED_ORDER, samples.length - 1); order++) {
+        const residual = fixedResidual(samples, order);
+        const plan = planResidual(residual, samples.length, order);
+        const bits = 8 + order * bitsPerSample + plan.bits;
+        if (bits < best.bits) {
+            best = { type: 'fixed', order, residual, ...plan, bits };
+        }
+    }
+    return best;
+}
+function writeSubframe(writer, samples, bitsPerSample, plan) {
+    if (plan.type === 'constant') {
+        writer.write(0, 8);
+        writer.writeSigned(samples[0], bitsPerSample);
+        return;
+    }
+    if (plan.type === 'verbatim') {
+        writer.write(0x02, 8);
+        samples.forEach(sample => writer.writeSigned(sample, bitsPerSample));
+        return;
+    }
+    // Zero pad bit, type 001xxx with the predictor order, no wasted bits
+    writer.write((0x08 | plan.order) << 1, 8);
+    for (let i = 0; i < plan.order; i++) {
+        writer.writeSigned(samples[i], bitsPerSample);
+    }
+    writer.write(0, 2); // 4-bit Rice parameters
+    writer.write(plan.partitionOrder, 4);
+    const partitionSize = samples.length >> plan.partitionOrder;
+    let index = 0;
+    plan.parameters.forEach((parameter, partition) => {
+        writer.write(parameter, 4);
+        const end = (partition + 1) * partitionSize - plan.order;
+        const divisor = Math.pow(2, parameter);
+        for (; index < end; index++) {
+            const value = plan.residual[index];
+            const folded = value < 0 ? -2 * value - 1 : 2 * value;
+            writer.writeUnary(Math.floor(folded / divisor));
+            if (parameter > 0) {
+                writer.write(folded % divisor, parameter);
+            }
+        }
+    });
+}
+// Frame number in the extended UTF-8 coding FLAC uses for it
+function utf8Number(value) {
+    if (value < 0x80) {
+        return [value];
+    }
+    // An n-byte sequence carries 5n + 1 bits
+    let count = 2;
+    while (value >= Math.pow(2, 5 * count + 1)) {
+        count++;
+    }
+    const bytes = [];
+    for (let i = 1; i < count; i++) {
+        bytes.unshift(0x80 | (value & 0x3f));
+        value = Math.floor(value / 64);
+    }
+    return [((0xff << (8 - count)) & 0xff) | value, ...bytes];
+}
+function encodeFrame(channels, start, blockSize, frameNumber, sampleRate) {
+    const [left, right] = channels.map(channel => channel.subarray(start, start + blockSize));
+    // Stereo decorrelation: try the side channel against each of left, right and mid
+    const plans = { left: planSubframe(left, BITS_PER_SAMPLE), right: planSubframe(right, BITS_PER_SAMPLE) };
+    const side = new Int32Array(blockSize);
+    const mid = new Int32Array(blockSize);
+    for (let i = 0; i < blockSize; i++) {
+        side[i] = left[i] - right[i];
+        mid[i] = (left[i] + right[i]) >> 1;
+    }
+    plans.side = planSubframe(side, BITS_PER_SAMPLE + 1);
+    plans.mid = planSubframe(mid, BITS_PER_SAMPLE);
+    const layouts = [
+        { assignment: CHANNELS_INDEPENDENT, subframes: [[left, BITS_PER_SAMPLE, plans.left], [right, BITS_PER_SAMPLE, plans.right]] },
+        { assignment: CHANNELS_LEFT_SIDE, subframes: [[left, BITS_PER_SAMPLE, plans.left], [side, BITS_PER_SAMPLE + 1, plans.side]] },
+        { assignment: CHANNELS_RIGHT_SIDE, subframes: [[side, BITS_PER_SAMPLE + 1, plans.side], [right, BITS_PER_SAMPLE, plans.right]] },
+        { assignment: CHANNELS_MID_SIDE, subframes: [[mid, BITS_PER_SAMPLE, plans.mid], [side, BITS_PER_SAMPLE + 1, plans.side]] }
+    ];
+    const layout = layouts.reduce((best, candidate) => {
+        const bits = candidate.subframes.reduce((total, [, , plan]) => total + plan.bits, 0);
+        return bits < best.bits ? { ...candidate, bits } : best;
+    }, { bits: Infinity });
+    const writer = new BitWriter(blockSize * 8 + 64);
+    writer.write(0x3ffe, 14); // sync code
+    writer.write(0, 1);
+    writer.write(0, 1); // fixed block size stream
+    const sizeCode = blockSize === exports.FLAC_BLOCK_SIZE ? 12 : 7;
+    writer.write(sizeCode, 4);
+    writer.write(SAMPLE_RATE_CODES[sampleRate] || 0, 4);
+    writer.write(layout.assignment, 4);
+    writer.write(4, 3); // 16 bits per sample
+    writer.write(0, 1);
+    utf8Number(frameNumber).forEach(byte => writer.write(byte, 8));
+    if (sizeCode === 7) {
+        writer.write(blockSize - 1, 16);
+    }
+    writer.write(crc8(writer.toBuffer()), 8);
+    layout.subframes.forEach(([samples, bits, plan]) => writeSubframe(writer, samples, bits, plan));
+    writer.alignToByte();
+    writer.write(crc16(writer.toBuffer()), 16);
+    return writer.toBuffer();
+}
+function metadataBlock(type, data, last) {
+    const header = Buffer.alloc(4);
+    header.writeUInt32BE(data.length, 0);
+    header[0] = (last ? 0x80 : 0) | type;
+    return Buffer.concat([header, data]);
+}
+/**
+ * Lossless FLAC file of rendered stereo audio at 16 bits, tagged with Vorbis
+ * comments. Each channel of a frame is coded with the best fixed predictor,
+ * and each frame picks the cheapest of left/right, left/side, right/side and
+ * mid/side stereo. `dither` adds triangular dither when converting to 16 bits.
+ */
+function encodeFLAC(audio, tags = {}, options = {}) {
+    const channels = [
+        (0, mastering_1.toInt16)(audio.left, { dither: options.dither, seed: 1 }),
+        (0, mastering_1.toInt16)(audio.right, { dither: options.dither, seed: 2 })
+    ];
+    const frames = [];
+    for (let start = 0, frameNumber = 0; start < audio.length; start += exports.FLAC_BLOCK_SIZE, frameNumber++) {
+        frames.push(encodeFrame(channels, start, Math.min(exports.FLAC_BLOCK_SIZE, audio.length - start), frameNumber, audio.sampleRate));
+    }
+    // MD5 of the interleaved little-endian samples, which decoders check
+    const pcm = Buffer.alloc(audio.length * 4);
+    for (let i = 0; i < audio.length; i++) {
+        pcm.writeInt16LE(channels[0][i], i * 4);
+        pcm.writeInt16LE(channels[1][i], i * 4 + 2);
+    }
+    const md5 = (0, crypto_1.createHash)('md5').update(pcm).digest();
+    const frameSizes = frames.map(frame => frame.length);
+    const info = new BitWriter(34);
+    info.write(exports.FLAC_BLOCK_SIZE, 16); // minimum block size
+    info.write(exports.FLAC_BLOCK_SIZE, 16); // maximum block size
+    info.write(frames.length > 0 ? Math.min(...frameSizes) : 0, 24);
+    info.write(frames.length > 0 ? Math.max(...frameSizes) : 0, 24);
+    info.write(audio.sampleRate, 20);
+    info.write(audio.channels - 1, 3);
+    info.write(BITS_PER_SAMPLE - 1, 5);
+    info.write(Math.floor(audio.length / Math.pow(2, 32)), 4);
+    info.write(audio.length >>> 0, 32);
+    return Buffer.concat([
+        Buffer.from('fLaC', 'ascii'),
+        metadataBlock(METADATA_STREAMINFO, Buffer.concat([info.toBuffer(), md5]), false),
+        metadataBlock(METADATA_VORBIS_COMMENT, (0, tags_1.vorbisComment)(tags), true),
+        ...frames
+    ]);
+}
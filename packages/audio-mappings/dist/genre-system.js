@@ -13,6 +13,7 @@ exports.getScalesForGenre = getScalesForGenre;
 exports.getAllGenres = getAllGenres;
 exports.getAllMoods = getAllMoods;
 exports.generateGenreSpecificMelody = generateGenreSpecificMelody;
+const random_1 = require("./random");
 // ===== GENRE DEFINITIONS =====
 exports.GENRE_CONFIGS = {
     classical: {
@@ -371,14 +372,19 @@ function getGenreConfig(genre) {
 function getMoodMapping(mood) {
     return exports.MOOD_TO_GENRE_MAPPINGS[mood] || exports.MOOD_TO_GENRE_MAPPINGS.chill;
 }
-function getRandomGenre() {
+// Seeded picks repeat for the same seed; unseeded ones differ every call
+function pick(values, seed) {
+    const random = seed === undefined ? Math.random() : (0, random_1.createRandom)(seed)();
+    return values[Math.floor(random * values.length)];
+}
+function getRandomGenre(seed) {
     const genres = Object.keys(exports.GENRE_CONFIGS);
-    return genres[Math.floor(Math.random() * genres.length)];
+    return pick(genres, seed);
 }
-function getGenreFromMood(mood) {
+function getGenreFromMood(mood, seed) {
     const mapping = getMoodMapping(mood);
     const genres = mapping.genres;
-    return genres[Math.floor(Math.random() * genres.length)];
+    return pick(genres, seed);
 }
 function getInstrumentsForGenre(genre) {
     const config = getGenreConfig(genre);
@@ -407,166 +413,171 @@ function getAllMoods() {
     return Object.keys(exports.MOOD_TO_GENRE_MAPPINGS);
 }
 // ===== GENRE-SPECIFIC AUDIO GENERATION =====
-function generateGenreSpecificMelody(genre, chartData) {
+function generateGenreSpecificMelody(genre, chartData, seed) {
     const config = getGenreConfig(genre);
     const tempo = config.tempo.default;
     const scales = config.scales;
-    const instruments = config.instruments;
+    // The seed goes out with the melody so it can be generated again
+    const resolvedSeed = (0, random_1.resolveSeed)(seed);
+    const melody = genreMelody(genre, chartData, tempo, scales, (0, random_1.createRandom)(resolvedSeed));
+    return { ...melody, seed: resolvedSeed };
+}
+function genreMelody(genre, chartData, tempo, scales, random) {
     // Genre-specific melody generation logic
     switch (genre) {
         case 'classical':
-            return generateClassicalMelody(chartData, tempo, scales);
+            return generateClassicalMelody(chartData, tempo, scales, random);
         case 'house':
-            return generateHouseMelody(chartData, tempo, scales);
+            return generateHouseMelody(chartData, tempo, scales, random);
         case 'techno':
-            return generateTechnoMelody(chartData, tempo, scales);
+            return generateTechnoMelody(chartData, tempo, scales, random);
         case 'jazz':
-            return generateJazzMelody(chartData, tempo, scales);
+            return generateJazzMelody(chartData, tempo, scales, random);
         case 'pop':
-            return generatePopMelody(chartData, tempo, scales);
+            return generatePopMelody(chartData, tempo, scales, random);
         case 'blues':
-            return generateBluesMelody(chartData, tempo, scales);
+            return generateBluesMelody(chartData, tempo, scales, random);
         case 'folk':
-            return generateFolkMelody(chartData, tempo, scales);
+            return generateFolkMelody(chartData, tempo, scales, random);
         case 'ambient':
-            return generateAmbientMelody(chartData, tempo, scales);
+            return generateAmbientMelody(chartData, tempo, scales, random);
         case 'synthwave':
-            return generateSynthwaveMelody(chartData, tempo, scales);
+            return generateSynthwaveMelody(chartData, tempo, scales, random);
         case 'world_fusion':
-            return generateWorldFusionMelody(chartData, tempo, scales);
+            return generateWorldFusionMelody(chartData, tempo, scales, random);
         default:
-            return generateAmbientMelody(chartData, tempo, scales);
+            return generateAmbientMelody(chartData, tempo, scales, random);
     }
 }
 // Individual genre melody generators (placeholder implementations)
-function generateClassicalMelody(chartData, tempo, scales) {
+function generateClassicalMelody(chartData, tempo, scales, random) {
     return {
         genre: 'classical',
         tempo,
         scale: scales[0],
         instruments: ['strings', 'piano', 'orchestral_percussion', 'harp'],
-        notes: generateClassicalNotes(chartData, tempo, scales[0])
+        notes: generateClassicalNotes(chartData, tempo, scales[0], random)
     };
 }
-function generateHouseMelody(chartData, tempo, scales) {
+function generateHouseMelody(chartData, tempo, scales, random) {
     return {
         genre: 'house',
         tempo,
         scale: scales[0],
         instruments: ['kick_4_on_floor', 'clap', 'hi_hats', 'synth_bass'],
-        notes: generateHouseNotes(chartData, tempo, scales[0])
+        notes: generateHouseNotes(chartData, tempo, scales[0], random)
     };
 }
-function generateTechnoMelody(chartData, tempo, scales) {
+function generateTechnoMelody(chartData, tempo, scales, random) {
     return {
         genre: 'techno',
         tempo,
         scale: scales[0],
         instruments: ['analog_synths', 'distorted_kicks', 'metallic_percussion'],
-        notes: generateTechnoNotes(chartData, tempo, scales[0])
+        notes: generateTechnoNotes(chartData, tempo, scales[0], random)
     };
 }
-function generateJazzMelody(chartData, tempo, scales) {
+function generateJazzMelody(chartData, tempo, scales, random) {
     return {
         genre: 'jazz',
         tempo,
         scale: scales[0],
         instruments: ['upright_bass', 'brushed_drums', 'saxophone', 'piano'],
-        notes: generateJazzNotes(chartData, tempo, scales[0])
+        notes: generateJazzNotes(chartData, tempo, scales[0], random)
     };
 }
-function generatePopMelody(chartData, tempo, scales) {
+function generatePopMelody(chartData, tempo, scales, random) {
     return {
         genre: 'pop',
         tempo,
         scale: scales[0],
         instruments: ['synth_pads', 'claps', 'layered_vocals', 'arpeggios'],
-        notes: generatePopNotes(chartData, tempo, scales[0])
+        notes: generatePopNotes(chartData, tempo, scales[0], random)
     };
 }
-function generateBluesMelody(chartData, tempo, scales) {
+function generateBluesMelody(chartData, tempo, scales, random) {
     return {
         genre: 'blues',
         tempo,
         scale: scales[0],
         instruments: ['electric_guitar', 'harmonica', 'kick_snare', 'bass'],
-        notes: generateBluesNotes(chartData, tempo, scales[0])
+        notes: generateBluesNotes(chartData, tempo, scales[0], random)
     };
 }
-function generateFolkMelody(chartData, tempo, scales) {
+function generateFolkMelody(chartData, tempo, scales, random) {
     return {
         genre: 'folk',
         tempo,
         scale: scales[0],
         instruments: ['acoustic_guitar', 'banjo', 'fiddle', 'soft_percussion'],
-        notes: generateFolkNotes(chartData, tempo, scales[0])
+        notes: generateFolkNotes(chartData, tempo, scales[0], random)
     };
 }
-function generateAmbientMelody(chartData, tempo, scales) {
+function generateAmbientMelody(chartData, tempo, scales, random) {
     return {
         genre: 'ambient',
         tempo,
         scale: scales[0],
         instruments: ['pads', 'drones', 'reverb_heavy_tones', 'sub_bass'],
-        notes: generateAmbientNotes(chartData, tempo, scales[0])
+        notes: generateAmbientNotes(chartData, tempo, scales[0], random)
     };
 }
-function generateSynthwaveMelody(chartData, tempo, scales) {
+function generateSynthwaveMelody(chartData, tempo, scales, random) {
     return {
         genre: 'synthwave',
         tempo,
         scale: scales[0],
         instruments: ['retro_arpeggiators', 'gated_snares', 'fm_synths'],
-        notes: generateSynthwaveNotes(chartData, tempo, scales[0])
+        notes: generateSynthwaveNotes(chartData, tempo, scales[0], random)
     };
 }
-function generateWorldFusionMelody(chartData, tempo, scales) {
+function generateWorldFusionMelody(chartData, tempo, scales, random) {
     return {
         genre: 'world_fusion',
         tempo,
         scale: scales[0],
         instruments: ['sitar', 'djembes', 'pan_flutes', 'ocarinas'],
-        notes: generateWorldFusionNotes(chartData, tempo, scales[0])
+        notes: generateWorldFusionNotes(chartData, tempo, scales[0], random)
     };
 }
 // Placeholder note generation functions
-function generateClassicalNotes(chartData, tempo, scale) {
+function generateClassicalNotes(chartData, tempo, scale, random) {
     // Implementation for classical note generation
     return [];
 }
-function generateHouseNotes(chartData, tempo, scale) {
+function generateHouseNotes(chartData, tempo, scale, random) {
     // Implementation for house note generation
     return [];
 }
-function generateTechnoNotes(chartData, tempo, scale) {
+function generateTechnoNotes(chartData, tempo, scale, random) {
     // Implementation for techno note generation
     return [];
 }
-function generateJazzNotes(chartData, tempo, scale) {
+function generateJazzNotes(chartData, tempo, scale, random) {
     // Implementation for jazz note generation
     return [];
 }
-function generatePopNotes(chartData, tempo, scale) {
+function generatePopNotes(chartData, tempo, scale, random) {
     // Implementation for pop note generation
     return [];
 }
-function generateBluesNotes(chartData, tempo, scale) {
+function generateBluesNotes(chartData, tempo, scale, random) {
     // Implementation for blues note generation
     return [];
 }
-function generateFolkNotes(chartData, tempo, scale) {
+function generateFolkNotes(chartData, tempo, scale, random) {
     // Implementation for folk note generation
     return [];
 }
-function generateAmbientNotes(chartData, tempo, scale) {
+function generateAmbientNotes(chartData, tempo, scale, random) {
     // Implementation for ambient note generation
     return [];
 }
-function generateSynthwaveNotes(chartData, tempo, scale) {
+function generateSynthwaveNotes(chartData, tempo, scale, random) {
     // Implementation for synthwave note generation
     return [];
 }
-function generateWorldFusionNotes(chartData, tempo, scale) {
+function generateWorldFusionNotes(chartData, tempo, scale, random) {
     // Implementation for world fusion note generation
     return [];
 }
@@ -1,18 +1,49 @@
 import { AstroChart, AudioSession, AudioConfiguration, MelodicAudioSession } from '@astradio/types';
+import { AstroEvent } from '../../astro-core/dist/events';
+import { Seed } from './random';
 import { melodicGenerator } from './melodic-generator';
-import { generateMusicNarration, generateModeSpecificNarration, generateDualChartNarration } from './narration-generator';
+import { generateMusicNarration, generateModeSpecificNarration, generateDualChartNarration, generateTransitNarration, generateCompatibilityNarration, generateEventNarration } from './narration-generator';
 import { exportEngine } from './export-engine';
 import { advancedPlaybackEngine } from './advanced-playback';
 import { GENRE_CONFIGS, MOOD_TO_GENRE_MAPPINGS, getRandomGenre, getGenreFromMood, getAllGenres, getAllMoods } from './genre-system';
-export { generateMusicNarration, generateModeSpecificNarration, generateDualChartNarration };
+export { generateMusicNarration, generateModeSpecificNarration, generateDualChartNarration, generateTransitNarration, generateCompatibilityNarration, generateEventNarration };
+export type { TransitNarration, CompatibilityNarration, EventNarration } from './narration-generator';
 export { exportEngine };
+export type { AudioFormat, ExportOptions, ExportResult } from './export-engine';
+export { exportStemsInWorker } from './export-worker';
+export { offlineRenderer, OfflineRenderer } from './renderer';
+export type { RenderOptions, RenderedAudio, VoicePreset } from './renderer';
+export { encodeMIDI } from './midi';
+export type { MIDIOptions, EncodedMIDI } from './midi';
+export { buildScore, toMusicXML, toABC } from './notation';
+export type { Score, ScorePart, ScoreNote, ScoreKey, NotationOptions } from './notation';
+export { encodeFLAC } from './flac';
+export { encodeVorbis } from './vorbis';
+export type { VorbisOptions, VorbisQuality } from './vorbis';
+export { encodeMP3 } from './mp3';
+export type { MP3Options } from './mp3';
+export { encodeOpus } from './opus';
+export type { OpusOptions } from './opus';
+export type { AudioTags } from './tags';
+export { masterAudio, masterChannels, measureLoudness, MASTERING_PRESETS } from './mastering';
+export type { MasteringOptions, MasteringPreset, MasteringReport, LoudnessMeasurement } from './mastering';
+export { loadSoundFont, parseSoundFont, SAMPLER_INSTRUMENTS, GENRE_SAMPLER_INSTRUMENTS, resolveSamplerInstrument } from './soundfont';
+export type { SoundFont, SoundFontPreset, SampleZone, SamplerInstrument } from './soundfont';
 export { advancedPlaybackEngine };
+export { timeStretch, pitchShift } from './time-stretch';
+export type { StretchOptions } from './time-stretch';
+export { processEffects, validateEffectsChain, validateEffectsGraph, impulseResponse, IMPULSE_RESPONSES, EFFECT_DEFAULTS } from './effects';
+export type { EffectNode, EffectType, EffectSend, EffectsGraph, FilterMode, ImpulseName } from './effects';
 export { melodicGenerator };
 export { GENRE_CONFIGS, MOOD_TO_GENRE_MAPPINGS, getRandomGenre, getGenreFromMood, getAllGenres, getAllMoods };
 export { AudioGenerator } from './audioGenerator';
 export { generateEnhancedInterpretation, CELESTIAL_INTERPRETATIONS } from './enhanced-interpreter';
 export { enhancedCompositionEngine, EnhancedCompositionEngine } from './enhanced-composition';
 export type { HouseComposition, HouseMelody, HouseTransition, CompositionConfig, EnhancedComposition } from './enhanced-composition';
+export { getEventArrangement, getConditionMappings } from './enhanced-mappings';
+export type { EventArrangement, ConditionMappings } from './enhanced-mappings';
+export { createRandom, resolveSeed, deriveSeed, MAX_SEED } from './random';
+export type { Seed, RandomSource } from './random';
 export * from './genre-system';
 export * from './genre-narration';
 export declare const planetaryMappings: {
@@ -181,13 +212,13 @@ export declare class UniversalAudioEngine {
     private calculateFrequency;
     private calculateDuration;
     private calculateVolume;
-    generateSequential(chartData: AstroChart): Promise<AudioSession>;
-    generateLayered(chartData: AstroChart): Promise<AudioSession>;
+    generateSequential(chartData: AstroChart, seed?: number): Promise<AudioSession>;
+    generateLayered(chartData: AstroChart, seed?: number): Promise<AudioSession>;
     generateOverlay(chart1: AstroChart, chart2: AstroChart, config?: AudioConfiguration): Promise<AudioSession>;
-    generatePreview(chartData: AstroChart, duration?: number): Promise<AudioSession>;
+    generatePreview(chartData: AstroChart, duration?: number, seed?: number): Promise<AudioSession>;
     generateMelodic(chartData: AstroChart, config?: AudioConfiguration): Promise<MelodicAudioSession>;
     stopAll(): void;
     getCurrentSession(): AudioSession | null;
-    getAudioConfig(chartData: AstroChart): any;
+    getAudioConfig(chartData: AstroChart, events?: AstroEvent[], seed?: Seed): any;
 }
 export declare const audioEngine: UniversalAudioEngine;
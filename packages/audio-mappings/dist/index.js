@@ -14,17 +14,60 @@ var __exportStar = (this && this.__exportStar) || function(m, exports) {
     for (var p in m) if (p !== "default" && !Object.prototype.hasOwnProperty.call(exports, p)) __createBinding(exports, m, p);
 };
 Object.defineProperty(exports, "__esModule", { value: true });
-exports.audioEngine = exports.UniversalAudioEngine = exports.planetaryMappings = exports.EnhancedCompositionEngine = exports.enhancedCompositionEngine = exports.CELESTIAL_INTERPRETATIONS = exports.generateEnhancedInterpretation = exports.AudioGenerator = exports.getAllMoods = exports.getAllGenres = exports.getGenreFromMood = exports.getRandomGenre = exports.MOOD_TO_GENRE_MAPPINGS = exports.GENRE_CONFIGS = exports.melodicGenerator = exports.advancedPlaybackEngine = exports.exportEngine = exports.generateDualChartNarration = exports.generateModeSpecificNarration = exports.generateMusicNarration = void 0;
+exports.audioEngine = exports.UniversalAudioEngine = exports.planetaryMappings = exports.MAX_SEED = exports.deriveSeed = exports.resolveSeed = exports.createRandom = exports.getConditionMappings = exports.getEventArrangement = exports.EnhancedCompositionEngine = exports.enhancedCompositionEngine = exports.CELESTIAL_INTERPRETATIONS = exports.generateEnhancedInterpretation = exports.AudioGenerator = exports.getAllMoods = exports.getAllGenres = exports.getGenreFromMood = exports.getRandomGenre = exports.MOOD_TO_GENRE_MAPPINGS = exports.GENRE_CONFIGS = exports.melodicGenerator = exports.EFFECT_DEFAULTS = exports.IMPULSE_RESPONSES = exports.impulseResponse = exports.validateEffectsGraph = exports.validateEffectsChain = exports.processEffects = exports.pitchShift = exports.timeStretch = exports.advancedPlaybackEngine = exports.resolveSamplerInstrument = exports.GENRE_SAMPLER_INSTRUMENTS = exports.SAMPLER_INSTRUMENTS = exports.parseSoundFont = exports.loadSoundFont = exports.MASTERING_PRESETS = exports.measureLoudness = exports.masterChannels = exports.masterAudio = exports.encodeOpus = exports.encodeMP3 = exports.encodeVorbis = exports.encodeFLAC = exports.toABC = exports.toMusicXML = exports.buildScore = exports.encodeMIDI = exports.OfflineRenderer = exports.offlineRenderer = exports.exportStemsInWorker = exports.exportEngine = exports.generateEventNarration = exports.generateCompatibilityNarration = exports.generateTransitNarration = exports.generateDualChartNarration = exports.generateModeSpecificNarration = exports.generateMusicNarration = void 0;
 const melodic_generator_1 = require("./melodic-generator");
 Object.defineProperty(exports, "melodicGenerator", { enumerable: true, get: function () { return melodic_generator_1.melodicGenerator; } });
 const narration_generator_1 = require("./narration-generator");
 Object.defineProperty(exports, "generateMusicNarration", { enumerable: true, get: function () { return narration_generator_1.generateMusicNarration; } });
 Object.defineProperty(exports, "generateModeSpecificNarration", { enumerable: true, get: function () { return narration_generator_1.generateModeSpecificNarration; } });
 Object.defineProperty(exports, "generateDualChartNarration", { enumerable: true, get: function () { return narration_generator_1.generateDualChartNarration; } });
+Object.defineProperty(exports, "generateTransitNarration", { enumerable: true, get: function () { return narration_generator_1.generateTransitNarration; } });
+Object.defineProperty(exports, "generateCompatibilityNarration", { enumerable: true, get: function () { return narration_generator_1.generateCompatibilityNarration; } });
+Object.defineProperty(exports, "generateEventNarration", { enumerable: true, get: function () { return narration_generator_1.generateEventNarration; } });
 const export_engine_1 = require("./export-engine");
 Object.defineProperty(exports, "exportEngine", { enumerable: true, get: function () { return export_engine_1.exportEngine; } });
+const export_worker_1 = require("./export-worker");
+Object.defineProperty(exports, "exportStemsInWorker", { enumerable: true, get: function () { return export_worker_1.exportStemsInWorker; } });
+const renderer_1 = require("./renderer");
+Object.defineProperty(exports, "offlineRenderer", { enumerable: true, get: function () { return renderer_1.offlineRenderer; } });
+Object.defineProperty(exports, "OfflineRenderer", { enumerable: true, get: function () { return renderer_1.OfflineRenderer; } });
+const midi_1 = require("./midi");
+Object.defineProperty(exports, "encodeMIDI", { enumerable: true, get: function () { return midi_1.encodeMIDI; } });
+const notation_1 = require("./notation");
+Object.defineProperty(exports, "buildScore", { enumerable: true, get: function () { return notation_1.buildScore; } });
+Object.defineProperty(exports, "toMusicXML", { enumerable: true, get: function () { return notation_1.toMusicXML; } });
+Object.defineProperty(exports, "toABC", { enumerable: true, get: function () { return notation_1.toABC; } });
+const flac_1 = require("./flac");
+Object.defineProperty(exports, "encodeFLAC", { enumerable: true, get: function () { return flac_1.encodeFLAC; } });
+const vorbis_1 = require("./vorbis");
+Object.defineProperty(exports, "encodeVorbis", { enumerable: true, get: function () { return vorbis_1.encodeVorbis; } });
+const mp3_1 = require("./mp3");
+Object.defineProperty(exports, "encodeMP3", { enumerable: true, get: function () { return mp3_1.encodeMP3; } });
+const opus_1 = require("./opus");
+Object.defineProperty(exports, "encodeOpus", { enumerable: true, get: function () { return opus_1.encodeOpus; } });
+const mastering_1 = require("./mastering");
+Object.defineProperty(exports, "masterAudio", { enumerable: true, get: function () { return mastering_1.masterAudio; } });
+Object.defineProperty(exports, "masterChannels", { enumerable: true, get: function () { return mastering_1.masterChannels; } });
+Object.defineProperty(exports, "measureLoudness", { enumerable: true, get: function () { return mastering_1.measureLoudness; } });
+Object.defineProperty(exports, "MASTERING_PRESETS", { enumerable: true, get: function () { return mastering_1.MASTERING_PRESETS; } });
+const soundfont_1 = require("./soundfont");
+Object.defineProperty(exports, "loadSoundFont", { enumerable: true, get: function () { return soundfont_1.loadSoundFont; } });
+Object.defineProperty(exports, "parseSoundFont", { enumerable: true, get: function () { return soundfont_1.parseSoundFont; } });
+Object.defineProperty(exports, "SAMPLER_INSTRUMENTS", { enumerable: true, get: function () { return soundfont_1.SAMPLER_INSTRUMENTS; } });
+Object.defineProperty(exports, "GENRE_SAMPLER_INSTRUMENTS", { enumerable: true, get: function () { return soundfont_1.GENRE_SAMPLER_INSTRUMENTS; } });
+Object.defineProperty(exports, "resolveSamplerInstrument", { enumerable: true, get: function () { return soundfont_1.resolveSamplerInstrument; } });
 const advanced_playback_1 = require("./advanced-playback");
 Object.defineProperty(exports, "advancedPlaybackEngine", { enumerable: true, get: function () { return advanced_playback_1.advancedPlaybackEngine; } });
+const time_stretch_1 = require("./time-stretch");
+Object.defineProperty(exports, "timeStretch", { enumerable: true, get: function () { return time_stretch_1.timeStretch; } });
+Object.defineProperty(exports, "pitchShift", { enumerable: true, get: function () { return time_stretch_1.pitchShift; } });
+const effects_1 = require("./effects");
+Object.defineProperty(exports, "processEffects", { enumerable: true, get: function () { return effects_1.processEffects; } });
+Object.defineProperty(exports, "validateEffectsChain", { enumerable: true, get: function () { return effects_1.validateEffectsChain; } });
+Object.defineProperty(exports, "validateEffectsGraph", { enumerable: true, get: function () { return effects_1.validateEffectsGraph; } });
+Object.defineProperty(exports, "impulseResponse", { enumerable: true, get: function () { return effects_1.impulseResponse; } });
+Object.defineProperty(exports, "IMPULSE_RESPONSES", { enumerable: true, get: function () { return effects_1.IMPULSE_RESPONSES; } });
+Object.defineProperty(exports, "EFFECT_DEFAULTS", { enumerable: true, get: function () { return effects_1.EFFECT_DEFAULTS; } });
 const genre_system_1 = require("./genre-system");
 Object.defineProperty(exports, "GENRE_CONFIGS", { enumerable: true, get: function () { return genre_system_1.GENRE_CONFIGS; } });
 Object.defineProperty(exports, "MOOD_TO_GENRE_MAPPINGS", { enumerable: true, get: function () { return genre_system_1.MOOD_TO_GENRE_MAPPINGS; } });
@@ -43,6 +86,16 @@ Object.defineProperty(exports, "CELESTIAL_INTERPRETATIONS", { enumerable: true,
 var enhanced_composition_1 = require("./enhanced-composition");
 Object.defineProperty(exports, "enhancedCompositionEngine", { enumerable: true, get: function () { return enhanced_composition_1.enhancedCompositionEngine; } });
 Object.defineProperty(exports, "EnhancedCompositionEngine", { enumerable: true, get: function () { return enhanced_composition_1.EnhancedCompositionEngine; } });
+// Export event arrangements
+const enhanced_mappings_1 = require("./enhanced-mappings");
+Object.defineProperty(exports, "getEventArrangement", { enumerable: true, get: function () { return enhanced_mappings_1.getEventArrangement; } });
+Object.defineProperty(exports, "getConditionMappings", { enumerable: true, get: function () { return enhanced_mappings_1.getConditionMappings; } });
+// Seeded randomness for reproducible compositions
+const random_1 = require("./random");
+Object.defineProperty(exports, "createRandom", { enumerable: true, get: function () { return random_1.createRandom; } });
+Object.defineProperty(exports, "resolveSeed", { enumerable: true, get: function () { return random_1.resolveSeed; } });
+Object.defineProperty(exports, "deriveSeed", { enumerable: true, get: function () { return random_1.deriveSeed; } });
+Object.defineProperty(exports, "MAX_SEED", { enumerable: true, get: function () { return random_1.MAX_SEED; } });
 // Genre System
 __exportStar(require("./genre-system"), exports);
 __exportStar(require("./genre-narration"), exports);
@@ -299,16 +352,16 @@ class UniversalAudioEngine {
         const houseGain = (house - 1) * 2; // Higher houses slightly louder
         return baseVolume + energyGain + houseGain;
     }
-    async generateSequential(chartData) {
+    async generateSequential(chartData, seed) {
         await this.initialize();
         // Clear any existing scheduled events
         this.scheduledEvents.forEach(event => event.dispose());
         this.scheduledEvents = [];
-        const sessionId = `seq_${Date.now()}`;
+        const sessionSeed = (0, random_1.resolveSeed)(seed);
         this.currentSession = {
-            id: sessionId,
+            id: (0, random_1.sessionId)('seq', [chartData], sessionSeed),
             chartId: chartData.metadata.birth_datetime,
-            configuration: { mode: 'sequential', duration: 96 },
+            configuration: { mode: 'sequential', duration: 96, seed: sessionSeed },
             isPlaying: true,
             startTime: Date.now()
         };
@@ -346,16 +399,16 @@ class UniversalAudioEngine {
         }, totalDuration * 1000);
         return this.currentSession;
     }
-    async generateLayered(chartData) {
+    async generateLayered(chartData, seed) {
         await this.initialize();
         // Clear any existing scheduled events
         this.scheduledEvents.forEach(event => event.dispose());
         this.scheduledEvents = [];
-        const sessionId = `layered_${Date.now()}`;
+        const sessionSeed = (0, random_1.resolveSeed)(seed);
         this.currentSession = {
-            id: sessionId,
+            id: (0, random_1.sessionId)('layered', [chartData], sessionSeed),
             chartId: chartData.metadata.birth_datetime,
-            configuration: { mode: 'layered', duration: 60 },
+            configuration: { mode: 'layered', duration: 60, seed: sessionSeed },
             isPlaying: true,
             startTime: Date.now()
         };
@@ -393,17 +446,18 @@ class UniversalAudioEngine {
         // Clear any existing scheduled events
         this.scheduledEvents.forEach(event => event.dispose());
         this.scheduledEvents = [];
-        const sessionId = `overlay_${Date.now()}`;
+        const seed = (0, random_1.resolveSeed)(config?.seed);
         const duration = config?.duration || 120;
         const tempo = config?.tempo || 120;
         this.currentSession = {
-            id: sessionId,
+            id: (0, random_1.sessionId)('overlay', [chart1, chart2], seed),
             chartId: `${chart1.metadata.birth_datetime}_${chart2.metadata.birth_datetime}`,
             configuration: {
                 mode: 'overlay',
                 duration,
                 tempo,
-                ...config
+                ...config,
+                seed
             },
             isPlaying: true,
             startTime: Date.now()
@@ -472,17 +526,17 @@ class UniversalAudioEngine {
         return this.currentSession;
     }
     // NEW: Preview audio generation (Phase 7)
-    async generatePreview(chartData, duration = 60) {
+    async generatePreview(chartData, duration = 60, seed) {
         await this.initialize();
         // Clear any existing scheduled events
         this.scheduledEvents.forEach(event => event.dispose());
         this.scheduledEvents = [];
-        const sessionId = `preview_${Date.now()}`;
+        const sessionSeed = (0, random_1.resolveSeed)(seed);
         const secondsPerHouse = duration / 12;
         this.currentSession = {
-            id: sessionId,
+            id: (0, random_1.sessionId)('preview', [chartData], sessionSeed),
             chartId: chartData.metadata.birth_datetime,
-            configuration: { mode: 'preview', duration },
+            configuration: { mode: 'preview', duration, seed: sessionSeed },
             isPlaying: true,
             startTime: Date.now()
         };
@@ -542,16 +596,29 @@ class UniversalAudioEngine {
         return this.currentSession || melodic_generator_1.melodicGenerator.getCurrentSession() || null;
     }
     // Get audio configuration for a chart
-    getAudioConfig(chartData) {
+    getAudioConfig(chartData, events = [], seed) {
         const planets = Object.keys(chartData.planets);
         const totalDuration = planets.length * 2; // Rough estimate
-        return {
+        const config = {
             mode: 'sequential',
             duration: totalDuration,
             planets,
             elements: [...new Set(planets.map(p => exports.planetaryMappings[p]?.element))],
-            totalHouses: Object.keys(chartData.houses).length
+            totalHouses: Object.keys(chartData.houses).length,
+            // Stored with the config so the same composition can be generated again
+            seed: (0, random_1.resolveSeed)(seed)
         };
+        // Days with a lunation, eclipse, station or ingress get their own arrangement
+        const arrangement = (0, enhanced_mappings_1.getEventArrangement)(events);
+        if (arrangement) {
+            config.arrangement = arrangement;
+        }
+        // Lunar phase brightness, hour ruler lead, sect and void-of-course Moon
+        const conditions = (0, enhanced_mappings_1.getConditionMappings)(chartData);
+        if (conditions) {
+            config.conditions = conditions;
+        }
+        return config;
     }
 }
 exports.UniversalAudioEngine = UniversalAudioEngine;
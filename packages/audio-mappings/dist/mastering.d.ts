@@ -0,0 +1,86 @@
+import { RenderedAudio } from './renderer';
+export interface CompressorBand {
+    /** Level in dBFS above which the band is turned down */
+    threshold: number;
+    ratio: number;
+    /** Detector times in seconds */
+    attack: number;
+    release: number;
+}
+export interface MultibandSettings {
+    /** Crossover frequencies in Hz between the low, mid and high bands */
+    crossovers: [number, number];
+    bands: [CompressorBand, CompressorBand, CompressorBand];
+}
+export interface MasteringPreset {
+    /** Integrated loudness target in LUFS */
+    targetLoudness: number;
+    /** True-peak ceiling in dBTP */
+    truePeakCeiling: number;
+    /** Multiband compressor, or null to keep the dynamics */
+    multiband: MultibandSettings | null;
+}
+export declare const MASTERING_PRESETS: Record<string, MasteringPreset>;
+export interface LoudnessMeasurement {
+    /** Integrated loudness in LUFS */
+    integrated: number;
+    /** Loudness range in LU */
+    range: number;
+    /** Peaks in dBTP and dBFS */
+    truePeak: number;
+    samplePeak: number;
+}
+export interface MasteringOptions {
+    /** Genre whose preset to use, electronic when unknown */
+    preset?: string;
+    targetLoudness?: number;
+    truePeakCeiling?: number;
+    /** Set false to skip the preset's multiband compressor */
+    multiband?: boolean;
+}
+export interface MasteringReport {
+    preset: string;
+    target: number;
+    truePeakCeiling: number;
+    input: LoudnessMeasurement;
+    output: LoudnessMeasurement;
+    /** Gain applied to reach the target, in dB */
+    gain: number;
+    /** Deepest multiband and limiter gain reductions in dB */
+    compression: number;
+    limiting: number;
+}
+export interface Int16Options {
+    dither?: boolean;
+    /** Seed of the dither noise, so output repeats */
+    seed?: number;
+}
+/**
+ * Integrated loudness and loudness range per EBU R128, with the true and
+ * sample peaks. Silent audio measures -Infinity LUFS.
+ */
+export declare function measureLoudness(channels: Float32Array[], sampleRate: number): LoudnessMeasurement;
+/**
+ * True peak of the channels as linear amplitude, read from 4x oversampled audio
+ */
+export declare function truePeak(channels: Float32Array[]): number;
+/**
+ * Master channels of audio: normalize to the preset's loudness target, run
+ * its multiband compressor if it has one and normalize again, then hold the
+ * true peak under the ceiling. Returns new channels and a report of the
+ * loudness before and after.
+ */
+export declare function masterChannels(channels: Float32Array[], sampleRate: number, options?: MasteringOptions): {
+    channels: Float32Array[];
+    report: MasteringReport;
+};
+/**
+ * Mastered copy of rendered audio, with the loudness report in `mastering`
+ */
+export declare function masterAudio(audio: RenderedAudio, options?: MasteringOptions): RenderedAudio;
+/**
+ * Float samples as 16-bit integers clipped to full scale. With `dither`,
+ * triangular noise of one step is added before rounding so quiet passages
+ * fade into noise instead of distorting; it is seeded, so output repeats.
+ */
+export declare function toInt16(samples: ArrayLike<number>, options?: Int16Options): Int32Array;
@@ -0,0 +1,376 @@
+"use strict";
+// Mastering chain for rendered audio
+// EBU R128 loudness measurement, normalization to a per-genre target, optional
+// multiband compression, a true-peak limiter and dithered 16-bit conversion
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MASTERING_PRESETS = void 0;
+exports.measureLoudness = measureLoudness;
+exports.truePeak = truePeak;
+exports.masterChannels = masterChannels;
+exports.masterAudio = masterAudio;
+exports.toInt16 = toInt16;
+const random_1 = require("./random");
+// Dense genres are mastered loud and compressed, acoustic and ambient ones
+// are left their dynamics. Targets follow the common streaming levels.
+const DENSE_MULTIBAND = {
+    crossovers: [200, 3000],
+    bands: [
+        { threshold: -24, ratio: 3, attack: 0.02, release: 0.25 },
+        { threshold: -22, ratio: 2, attack: 0.01, release: 0.15 },
+        { threshold: -26, ratio: 2.5, attack: 0.005, release: 0.1 }
+    ]
+};
+const GENTLE_MULTIBAND = {
+    crossovers: [250, 4000],
+    bands: [
+        { threshold: -26, ratio: 1.8, attack: 0.03, release: 0.3 },
+        { threshold: -24, ratio: 1.5, attack: 0.02, release: 0.25 },
+        { threshold: -28, ratio: 1.6, attack: 0.01, release: 0.2 }
+    ]
+};
+exports.MASTERING_PRESETS = {
+    electronic: { targetLoudness: -14, truePeakCeiling: -1, multiband: DENSE_MULTIBAND },
+    house: { targetLoudness: -12, truePeakCeiling: -1, multiband: DENSE_MULTIBAND },
+    techno: { targetLoudness: -12, truePeakCeiling: -1, multiband: DENSE_MULTIBAND },
+    synthwave: { targetLoudness: -14, truePeakCeiling: -1, multiband: DENSE_MULTIBAND },
+    pop: { targetLoudness: -14, truePeakCeiling: -1, multiband: DENSE_MULTIBAND },
+    blues: { targetLoudness: -15, truePeakCeiling: -1, multiband: GENTLE_MULTIBAND },
+    world_fusion: { targetLoudness: -15, truePeakCeiling: -1, multiband: GENTLE_MULTIBAND },
+    jazz: { targetLoudness: -16, truePeakCeiling: -1, multiband: null },
+    folk: { targetLoudness: -16, truePeakCeiling: -1, multiband: null },
+    ambient: { targetLoudness: -18, truePeakCeiling: -1, multiband: null },
+    classical: { targetLoudness: -18, truePeakCeiling: -1, multiband: null }
+};
+const DEFAULT_PRESET = 'electronic';
+// Quiet renders are not pulled up further than this to reach the target
+const MAX_NORMALIZATION_GAIN = 20;
+// Gating from ITU-R BS.1770-4 and EBU Tech 3342
+const ABSOLUTE_GATE = -70;
+const RELATIVE_GATE = -10;
+const RANGE_RELATIVE_GATE = -20;
+const SEGMENT = 0.1;
+const MOMENTARY_SEGMENTS = 4;
+const SHORT_TERM_SEGMENTS = 30;
+// True peak is read from 4x oversampled audio, as BS.1770 asks for at 48 kHz
+const OVERSAMPLING = 4;
+const INTERPOLATION_TAPS = 12;
+const INTERPOLATION_PHASES = Array.from({ length: OVERSAMPLING - 1 }, (_, index) => {
+    const fraction = (index + 1) / OVERSAMPLING;
+    return Float64Array.from({ length: INTERPOLATION_TAPS }, (_, tap) => {
+        const x = tap - INTERPOLATION_TAPS / 2 + 1 - fraction;
+        const window = 0.5 + 0.5 * Math.cos(Math.PI * x / (INTERPOLATION_TAPS / 2));
+        return Math.abs(x) < 1e-12 ? 1 : Math.sin(Math.PI * x) / (Math.PI * x) * window;
+    });
+});
+function toDecibels(gain) {
+    return 20 * Math.log10(gain);
+}
+function fromDecibels(decibels) {
+    return Math.pow(10, decibels / 20);
+}
+// Direct form I biquad over a whole signal
+function biquad(samples, [b0, b1, b2, a1, a2]) {
+    const output = new Float64Array(samples.length);
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < samples.length; i++) {
+        const x = samples[i];
+        const y = b0 * x + b1 * x1 + b2 * x2 - a1 * y1 - a2 * y2;
+        x2 = x1;
+        x1 = x;
+        y2 = y1;
+        y1 = y;
+        output[i] = y;
+    }
+    return output;
+}
+// K-weighting of BS.1770: a high shelf for the head, then a high-pass,
+// designed for any sample rate
+function kWeighting(sampleRate) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = [
+        (Vh + Vb * K / Q + K * K) / a0, 2 * (K * K - Vh) / a0, (Vh - Vb * K / Q + K * K) / a0,
+        2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0
+    ];
+    K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = [1, -2, 1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0];
+    return [shelf, highPass];
+}
+// Butterworth low- or high-pass section (RBJ cookbook, Q = 1/sqrt(2))
+function butterworth(cutoff, sampleRate, type) {
+    const w = 2 * Math.PI * cutoff / sampleRate;
+    const alpha = Math.sin(w) / Math.SQRT2;
+    const cos = Math.cos(w);
+    const a0 = 1 + alpha;
+    const b = type === 'lowpass' ? (1 - cos) / 2 : (1 + cos) / 2;
+    return [b / a0, (type === 'lowpass' ? 1 - cos : -(1 + cos)) / a0, b / a0, -2 * cos / a0, (1 - alpha) / a0];
+}
+// Linkwitz-Riley 4th order: two Butterworth sections, so the bands sum flat
+function linkwitzRiley(samples, cutoff, sampleRate, type) {
+    const section = butterworth(cutoff, sampleRate, type);
+    return biquad(biquad(samples, section), section);
+}
+function loudness(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+function gatedMean(blocks, gate) {
+    const kept = blocks.filter(power => loudness(power) > gate);
+    return kept.length > 0 ? kept.reduce((sum, power) => sum + power, 0) / kept.length : 0;
+}
+// Mean power over windows of `size` segments, stepping one segment at a time
+function windowPowers(segments, size) {
+    if (segments.length < size) {
+        return segments.length > 0 ? [segments.reduce((sum, power) => sum + power, 0) / segments.length] : [];
+    }
+    const powers = [];
+    let sum = segments.slice(0, size).reduce((total, power) => total + power, 0);
+    powers.push(sum / size);
+    for (let i = size; i < segments.length; i++) {
+        sum += segments[i] - segments[i - size];
+        powers.push(sum / size);
+    }
+    return powers;
+}
+// Mean K-weighted power of each 100 ms segment, summed over the channels
+function segmentPowers(channels, sampleRate) {
+    const filters = kWeighting(sampleRate);
+    const segmentLength = Math.round(SEGMENT * sampleRate);
+    const length = channels[0]?.length ?? 0;
+    const segments = new Array(Math.ceil(length / segmentLength)).fill(0);
+    channels.forEach(samples => {
+        const weighted = filters.reduce((signal, filter) => biquad(signal, filter), samples);
+        for (let segment = 0; segment < segments.length; segment++) {
+            let energy = 0;
+            for (let i = segment * segmentLength; i < Math.min(length, (segment + 1) * segmentLength); i++) {
+                energy += weighted[i] * weighted[i];
+            }
+            segments[segment] += energy;
+        }
+    });
+    // The last segment is usually short, so divide by what it holds
+    segments.forEach((energy, index) => {
+        segments[index] = energy / Math.min(segmentLength, length - index * segmentLength);
+    });
+    return segments;
+}
+// Gated loudness of the 400 ms blocks: above -70 LUFS, then within 10 LU of those
+function integratedLoudness(momentary) {
+    const absolute = gatedMean(momentary, ABSOLUTE_GATE);
+    return loudness(gatedMean(momentary, loudness(absolute) + RELATIVE_GATE));
+}
+/**
+ * Integrated loudness and loudness range per EBU R128, with the true and
+ * sample peaks. Silent audio measures -Infinity LUFS.
+ */
+function measureLoudness(channels, sampleRate) {
+    const segments = segmentPowers(channels, sampleRate);
+    const integrated = integratedLoudness(windowPowers(segments, MOMENTARY_SEGMENTS));
+    // Loudness range: spread of the short-term loudness from the 10th to the 95th percentile
+    const shortTerm = windowPowers(segments, SHORT_TERM_SEGMENTS);
+    const rangeGate = loudness(gatedMean(shortTerm, ABSOLUTE_GATE)) + RANGE_RELATIVE_GATE;
+    const levels = shortTerm.map(loudness).filter(level => level > ABSOLUTE_GATE && level > rangeGate).sort((a, b) => a - b);
+    const percentile = (p) => levels[Math.min(levels.length - 1, Math.round(p * (levels.length - 1)))];
+    let samplePeak = 0;
+    channels.forEach(samples => {
+        for (let i = 0; i < samples.length; i++) {
+            samplePeak = Math.max(samplePeak, Math.abs(samples[i]));
+        }
+    });
+    return {
+        integrated,
+        range: levels.length > 1 ? percentile(0.95) - percentile(0.1) : 0,
+        truePeak: toDecibels(truePeak(channels)),
+        samplePeak: toDecibels(samplePeak)
+    };
+}
+// Largest magnitude between each sample and the next, from the oversampled signal
+function interSamplePeaks(samples) {
+    const peaks = new Float64Array(samples.length);
+    const offset = INTERPOLATION_TAPS / 2 - 1;
+    for (let i = 0; i < samples.length; i++) {
+        let peak = Math.abs(samples[i]);
+        const from = Math.max(0, offset - i);
+        const to = Math.min(INTERPOLATION_TAPS, samples.length - i + offset);
+        for (let phase = 0; phase < INTERPOLATION_PHASES.length; phase++) {
+            const kernel = INTERPOLATION_PHASES[phase];
+            let value = 0;
+            for (let tap = from; tap < to; tap++) {
+                value += samples[i + tap - offset] * kernel[tap];
+            }
+            peak = Math.max(peak, Math.abs(value));
+        }
+        peaks[i] = peak;
+    }
+    return peaks;
+}
+/**
+ * True peak of the channels as linear amplitude, read from 4x oversampled audio
+ */
+function truePeak(channels) {
+    let peak = 0;
+    channels.forEach(samples => {
+        const peaks = interSamplePeaks(samples);
+        for (let i = 0; i < peaks.length; i++) {
+            peak = Math.max(peak, peaks[i]);
+        }
+    });
+    return peak;
+}
+// Downward compression of each band between the crossovers, with the level
+// detected on all channels together so the stereo image holds
+function compressMultiband(channels, sampleRate, { crossovers, bands }) {
+    const split = channels.map(samples => {
+        const [low, high] = crossovers;
+        const lower = linkwitzRiley(samples, low, sampleRate, 'lowpass');
+        const rest = linkwitzRiley(samples, low, sampleRate, 'highpass');
+        // The low band goes through the upper crossover's all-pass so the phases match on summing
+        const lowBand = linkwitzRiley(lower, high, sampleRate, 'lowpass');
+        const lowAllPass = linkwitzRiley(lower, high, sampleRate, 'highpass');
+        for (let i = 0; i < lowBand.length; i++) {
+            lowBand[i] += lowAllPass[i];
+        }
+        return [lowBand, linkwitzRiley(rest, high, sampleRate, 'lowpass'), linkwitzRiley(rest, high, sampleRate, 'highpass')];
+    });
+    const length = channels[0].length;
+    const output = channels.map(() => new Float32Array(length));
+    let deepest = 0;
+    bands.forEach((band, index) => {
+        const attack = Math.exp(-1 / (band.attack * sampleRate));
+        const release = Math.exp(-1 / (band.release * sampleRate));
+        const signals = split.map(channelBands => channelBands[index]);
+        const threshold = Math.pow(10, band.threshold / 10);
+        let envelope = 0;
+        for (let i = 0; i < length; i++) {
+            let power = 0;
+            for (let channel = 0; channel < signals.length; channel++) {
+                power = Math.max(power, signals[channel][i] * signals[channel][i]);
+            }
+            const coefficient = power > envelope ? attack : release;
+            envelope = coefficient * envelope + (1 - coefficient) * power;
+            let gain = 1;
+            if (envelope > threshold) {
+                const reduction = 10 * Math.log10(envelope / threshold) * (1 - 1 / band.ratio);
+                deepest = Math.max(deepest, reduction);
+                gain = fromDecibels(-reduction);
+            }
+            for (let channel = 0; channel < signals.length; channel++) {
+                output[channel][i] += signals[channel][i] * gain;
+            }
+        }
+    });
+    return { channels: output, reduction: deepest };
+}
+// Look-ahead limiter on the oversampled peaks, so the output stays under the
+// ceiling between samples too. Returns the deepest reduction in dB.
+function limitTruePeak(channels, sampleRate, ceiling) {
+    const length = channels[0].length;
+    const peaks = channels.map(interSamplePeaks);
+    const gain = new Float64Array(length);
+    const lookahead = Math.max(1, Math.round(0.005 * sampleRate));
+    const releaseCoefficient = Math.exp(-1 / (0.1 * sampleRate));
+    let next = 1;
+    for (let i = length - 1; i >= 0; i--) {
+        // An inter-sample peak depends on the samples either side of it
+        let peak = 0;
+        for (let channel = 0; channel < peaks.length; channel++) {
+            peak = Math.max(peak, peaks[channel][i], i > 0 ? peaks[channel][i - 1] : 0);
+        }
+        const required = peak > ceiling ? ceiling / peak : 1;
+        next = Math.min(required, next + 1 / lookahead);
+        gain[i] = next;
+    }
+    let current = 1;
+    let minimum = 1;
+    for (let i = 0; i < length; i++) {
+        current = Math.min(gain[i], 1 - (1 - current) * releaseCoefficient);
+        minimum = Math.min(minimum, current);
+        for (let channel = 0; channel < channels.length; channel++) {
+            channels[channel][i] *= current;
+        }
+    }
+    // Interpolation error can leave a peak a hair over; trim it with plain gain
+    const remaining = truePeak(channels);
+    if (remaining > ceiling) {
+        channels.forEach(samples => samples.forEach((sample, i) => {
+            samples[i] = sample * ceiling / remaining;
+        }));
+        minimum *= ceiling / remaining;
+    }
+    return minimum < 1 ? toDecibels(minimum) : 0;
+}
+function applyGain(channels, decibels) {
+    const gain = fromDecibels(decibels);
+    return channels.map(samples => samples.map(sample => sample * gain));
+}
+function normalizationGain(measured, target) {
+    return isFinite(measured) ? Math.min(MAX_NORMALIZATION_GAIN, target - measured) : 0;
+}
+/**
+ * Master channels of audio: normalize to the preset's loudness target, run
+ * its multiband compressor if it has one and normalize again, then hold the
+ * true peak under the ceiling. Returns new channels and a report of the
+ * loudness before and after.
+ */
+function masterChannels(channels, sampleRate, options = {}) {
+    const presetName = options.preset && exports.MASTERING_PRESETS[options.preset] ? options.preset : DEFAULT_PRESET;
+    const preset = exports.MASTERING_PRESETS[presetName];
+    const target = options.targetLoudness ?? preset.targetLoudness;
+    const ceiling = options.truePeakCeiling ?? preset.truePeakCeiling;
+    const input = measureLoudness(channels, sampleRate);
+    let gain = normalizationGain(input.integrated, target);
+    let output = applyGain(channels, gain);
+    let compression = 0;
+    if (preset.multiband && options.multiband !== false) {
+        const compressed = compressMultiband(output, sampleRate, preset.multiband);
+        compression = compressed.reduction;
+        // Compression takes loudness away, so make it up before limiting
+        const measured = integratedLoudness(windowPowers(segmentPowers(compressed.channels, sampleRate), MOMENTARY_SEGMENTS));
+        const makeup = normalizationGain(measured, target);
+        output = applyGain(compressed.channels, makeup);
+        gain += makeup;
+    }
+    const limiting = limitTruePeak(output, sampleRate, fromDecibels(ceiling));
+    return {
+        channels: output,
+        report: {
+            preset: presetName,
+            target,
+            truePeakCeiling: ceiling,
+            input,
+            output: measureLoudness(output, sampleRate),
+            gain,
+            compression,
+            limiting
+        }
+    };
+}
+/**
+ * Mastered copy of rendered audio, with the loudness report in `mastering`
+ */
+function masterAudio(audio, options = {}) {
+    const { channels: [left, right], report } = masterChannels([audio.left, audio.right], audio.sampleRate, options);
+    let peak = 0;
+    for (let i = 0; i < audio.length; i++) {
+        peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+    }
+    return { ...audio, left, right, peak, mastering: report };
+}
+/**
+ * Float samples as 16-bit integers clipped to full scale. With `dither`,
+ * triangular noise of one step is added before rounding so quiet passages
+ * fade into noise instead of distorting; it is seeded, so output repeats.
+ */
+function toInt16(samples, options = {}) {
+    const random = options.dither ? (0, random_1.createRandom)(options.seed ?? 0) : null;
+    const pcm = new Int32Array(samples.length);
+    for (let i = 0; i < samples.length; i++) {
+        const noise = random ? random() - random() : 0;
+        pcm[i] = Math.max(-32768, Math.min(32767, Math.round(Math.max(-1, Math.min(1, samples[i])) * 32767 + noise)));
+    }
+    return pcm;
+}
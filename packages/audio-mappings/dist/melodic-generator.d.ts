@@ -1,4 +1,7 @@
 import { AstroChart, AudioConfiguration, AudioSession } from '@astradio/types';
+import { TransitAspect } from '../../astro-core/dist/transits';
+import { ChartAspect } from '../../astro-core/dist/aspects';
+import { ConditionMappings, PatternMapping } from './enhanced-mappings';
 export declare const planetRoles: {
     Sun: string;
     Moon: string;
@@ -20,6 +23,8 @@ export interface MelodicPhrase {
     duration: number;
     intensity: number;
     variation: number;
+    /** Which chart of a dual composition the phrase belongs to */
+    voice?: 1 | 2;
 }
 export interface MelodicNote {
     frequency: number;
@@ -28,6 +33,8 @@ export interface MelodicNote {
     instrument: string;
     timestamp: number;
     effects?: string[];
+    /** Timbral brightness 0-1, following the lunar phase */
+    brightness?: number;
 }
 export interface MelodicAudioSession extends AudioSession {
     mode: 'melodic';
@@ -36,11 +43,26 @@ export interface MelodicAudioSession extends AudioSession {
     key: string;
     tempo: number;
     timeSignature: string;
+    /** Transits that modulated a transit composition */
+    transits?: TransitAspect[];
+    /** 2 for a dual composition of two charts */
+    voices?: number;
+    /** Sky conditions of the chart moment that shaped the composition */
+    conditions?: ConditionMappings;
+    /** Aspect patterns of the chart and how they were voiced */
+    patterns?: PatternMapping[];
 }
 export declare class MelodicGenerator {
     private currentSession;
     private aspects;
     private musicalConfig;
+    private conditions;
+    private random;
+    /**
+     * Melodic composition of a chart. The same chart and `config.seed` always
+     * give the same composition; without a seed a fresh one is drawn and kept
+     * in the session configuration so the composition can be rendered again.
+     */
     generateMelodicChart(chartData: AstroChart, config?: AudioConfiguration): Promise<MelodicAudioSession>;
     private generatePlanetaryPhrases;
     private generatePhraseNotes;
@@ -53,7 +75,22 @@ export declare class MelodicGenerator {
     private calculateVariation;
     private calculatePhraseLength;
     private calculateNoteCount;
+    /**
+     * Natal melody modulated by the day's transits: each transit bends the phrase
+     * of the natal planet it touches toward the transit's interval
+     */
+    generateTransitComposition(natalChart: AstroChart, transits: TransitAspect[], config?: AudioConfiguration): Promise<MelodicAudioSession>;
+    /**
+     * Two-voice composition of a pair of charts played together: the second
+     * chart's phrases answer the first's at the intervals of the cross-aspects.
+     * Each voice draws from its own stream of the one seed.
+     */
+    generateDualComposition(chart1: AstroChart, chart2: AstroChart, crossAspects: ChartAspect[], config?: AudioConfiguration): Promise<MelodicAudioSession>;
     private applyHarmonicRelationships;
+    private harmonizeAspects;
+    private applyTransitModulation;
+    private applyAspectPatterns;
+    private applyChartConditions;
     private applyRhythmicPatterns;
     getCurrentSession(): MelodicAudioSession | null;
     stopAll(): void;
@@ -2,6 +2,7 @@
 Object.defineProperty(exports, "__esModule", { value: true });
 exports.melodicGenerator = exports.MelodicGenerator = exports.planetRoles = void 0;
 const enhanced_mappings_1 = require("./enhanced-mappings");
+const random_1 = require("./random");
 // Planet role assignments for melodic composition
 exports.planetRoles = {
     Sun: "leadMelody",
@@ -22,22 +23,33 @@ const scaleDefinitions = {
     Air: ['C', 'D', 'E', 'F', 'G', 'A', 'Bb'], // Mixolydian
     Water: ['C', 'D', 'Eb', 'F', 'G', 'Ab', 'Bb'] // Aeolian
 };
-// Frequency mapping for notes
+// Frequency mapping for notes, with the flats used by the Dorian and Aeolian scales
 const noteFrequencies = {
     'C': 261.63, 'C#': 277.18, 'D': 293.66, 'D#': 311.13,
     'E': 329.63, 'F': 349.23, 'F#': 369.99, 'G': 392.00,
-    'G#': 415.30, 'A': 440.00, 'A#': 466.16, 'B': 493.88
+    'G#': 415.30, 'A': 440.00, 'A#': 466.16, 'B': 493.88,
+    'Db': 277.18, 'Eb': 311.13, 'Gb': 369.99, 'Ab': 415.30, 'Bb': 466.16
 };
 class MelodicGenerator {
     constructor() {
         this.currentSession = null;
         this.aspects = [];
+        this.conditions = null;
     }
+    /**
+     * Melodic composition of a chart. The same chart and `config.seed` always
+     * give the same composition; without a seed a fresh one is drawn and kept
+     * in the session configuration so the composition can be rendered again.
+     */
     async generateMelodicChart(chartData, config) {
         // Calculate aspects and get musical configuration
-        this.aspects = (0, enhanced_mappings_1.calculateAspects)(chartData);
+        this.aspects = (0, enhanced_mappings_1.calculateAspects)(chartData, { aspects: 'all' });
         this.musicalConfig = (0, enhanced_mappings_1.getMusicalConfig)(chartData, config?.genre || 'electronic');
-        const sessionId = `melodic_${Date.now()}`;
+        this.conditions = (0, enhanced_mappings_1.getConditionMappings)(chartData, config?.genre || 'electronic');
+        // Note choices are drawn from a seeded generator so the same seed gives the same composition
+        const seed = (0, random_1.resolveSeed)(config?.seed);
+        this.random = (0, random_1.createRandom)(seed);
+        const sessionId = (0, random_1.sessionId)('melodic', [chartData], seed);
         const tempo = config?.tempo || 120;
         const duration = config?.duration || 120;
         this.currentSession = {
@@ -47,7 +59,8 @@ class MelodicGenerator {
                 mode: 'melodic',
                 tempo,
                 duration,
-                ...config
+                ...config,
+                seed
             },
             isPlaying: true,
             startTime: Date.now(),
@@ -61,6 +74,7 @@ class MelodicGenerator {
         console.log('🎵 Generating melodic chart composition...');
         console.log(`   Scale: ${this.musicalConfig.scale.join(', ')}`);
         console.log(`   Tempo: ${tempo} BPM`);
+        console.log(`   Seed: ${seed}`);
         console.log(`   Aspects: ${this.aspects.length} planetary relationships`);
         // Generate phrases for each planet
         const phrases = this.generatePlanetaryPhrases(chartData, config);
@@ -69,6 +83,18 @@ class MelodicGenerator {
         this.applyHarmonicRelationships(phrases);
         // Generate rhythmic patterns based on modalities
         this.applyRhythmicPatterns(phrases, chartData);
+        // Colour the planets that form aspect patterns
+        const patterns = (0, enhanced_mappings_1.getPatternMappings)(this.musicalConfig.analysis.patterns);
+        this.applyAspectPatterns(phrases, patterns);
+        this.currentSession.patterns = patterns;
+        if (this.conditions) {
+            this.applyChartConditions(phrases, this.conditions);
+            this.currentSession.conditions = this.conditions;
+            console.log(`   Conditions: ${this.conditions.phase}, ${this.conditions.leadPlanet} hour, ${this.conditions.sect} chart`);
+        }
+        if (patterns.length > 0) {
+            console.log(`   Patterns: ${patterns.map(p => p.type).join(', ')}`);
+        }
         console.log(`✅ Generated ${phrases.length} melodic phrases`);
         console.log(`   Total notes: ${phrases.reduce((sum, p) => sum + p.notes.length, 0)}`);
         return this.currentSession;
@@ -121,11 +147,12 @@ class MelodicGenerator {
             // Calculate note duration based on role and modality
             const noteDuration = this.calculateNoteDuration(role, mapping.modality, phraseLength / noteCount);
             // Calculate velocity based on planet energy and dignity
-            const velocity = this.calculateVelocity(mapping.energy, planetData.house);
+            const dignity = this.musicalConfig.analysis.dignities[planetName]?.dignity;
+            const velocity = this.calculateVelocity(mapping.energy, planetData.house, dignity);
             // Determine instrument based on role and genre
             const instrument = this.getInstrumentForRole(role, config?.genre || 'electronic');
             // Add effects based on planet characteristics
-            const effects = this.calculateEffects(planetName, planetData, mapping);
+            const effects = this.calculateEffects(planetName, planetData, mapping, dignity);
             const note = {
                 frequency,
                 duration: noteDuration,
@@ -151,7 +178,7 @@ class MelodicGenerator {
         const totalWeight = weights.reduce((sum, w) => sum + w, 0);
         const normalizedWeights = weights.map(w => w / totalWeight);
         // Weighted random selection
-        const random = Math.random();
+        const random = this.random();
         let cumulativeWeight = 0;
         for (let i = 0; i < normalizedWeights.length; i++) {
             cumulativeWeight += normalizedWeights[i];
@@ -159,7 +186,7 @@ class MelodicGenerator {
                 return i;
             }
         }
-        return Math.floor(Math.random() * scale.length);
+        return Math.floor(this.random() * scale.length);
     }
     calculateOctave(planetName, role, mapping) {
         const baseOctave = mapping.genreVariations?.electronic?.octave || 4;
@@ -191,16 +218,18 @@ class MelodicGenerator {
             default: return baseDuration;
         }
     }
-    calculateVelocity(energy, house) {
+    calculateVelocity(energy, house, dignity) {
         // Velocity ranges from 0.3 to 1.0
         const energyVelocity = 0.3 + (energy * 0.7);
         const houseVelocity = 0.8 + (house / 12) * 0.2;
-        return Math.min(1.0, (energyVelocity + houseVelocity) / 2);
+        // Dignified planets sound out, debilitated ones are held back
+        const dignityVolume = (0, enhanced_mappings_1.getTonalQuality)(dignity).volume;
+        return Math.min(1.0, dignityVolume * (energyVelocity + houseVelocity) / 2);
     }
     getInstrumentForRole(role, genre) {
         const instruments = this.musicalConfig.instruments;
         switch (role) {
-            case 'leadMelody': return instruments.melody[0];
+            case 'leadMelody': return this.conditions?.leadInstrument || instruments.melody[0];
             case 'counterMelody': return instruments.melody[1] || instruments.melody[0];
             case 'harmony': return instruments.harmony[0];
             case 'bassline': return instruments.bass[0];
@@ -211,8 +240,11 @@ class MelodicGenerator {
             default: return instruments.melody[0];
         }
     }
-    calculateEffects(planetName, planetData, mapping) {
+    calculateEffects(planetName, planetData, mapping, dignity) {
         const effects = [];
+        const dignityEffect = (0, enhanced_mappings_1.getTonalQuality)(dignity).effect;
+        if (dignityEffect)
+            effects.push(dignityEffect);
         // Add effects based on planet characteristics
         if (planetName === 'Uranus')
             effects.push('distortion');
@@ -266,19 +298,117 @@ class MelodicGenerator {
         return Math.max(1, Math.floor(baseCount * roleMultiplier[role] * energy));
     }
     applyHarmonicRelationships(phrases) {
-        // Apply harmonic intervals based on aspects
-        this.aspects.forEach(aspect => {
-            const phrase1 = phrases.find(p => p.planet === aspect.planet1);
-            const phrase2 = phrases.find(p => p.planet === aspect.planet2);
+        this.harmonizeAspects(this.aspects, phrases, phrases);
+    }
+    harmonizeAspects(aspects, leadPhrases, followPhrases) {
+        // Apply harmonic intervals based on aspects. Tighter aspects harmonize more
+        // of the paired notes; an applying aspect builds toward the end of the
+        // phrase and a separating one starts locked and drifts apart.
+        aspects.forEach(aspect => {
+            const phrase1 = leadPhrases.find(p => p.planet === aspect.planet1);
+            const phrase2 = followPhrases.find(p => p.planet === aspect.planet2);
             if (phrase1 && phrase2) {
-                // Apply harmonic interval to corresponding notes
-                phrase1.notes.forEach((note, index) => {
-                    if (phrase2.notes[index]) {
-                        const harmonicFreq = (0, enhanced_mappings_1.calculateHarmonicInterval)(note.frequency, aspect.type);
-                        phrase2.notes[index].frequency = harmonicFreq;
+                const paired = Math.min(phrase1.notes.length, phrase2.notes.length);
+                const harmonized = Math.ceil(paired * (aspect.exactness ?? 1));
+                const start = aspect.applying ? paired - harmonized : 0;
+                for (let index = start; index < start + harmonized; index++) {
+                    const harmonicFreq = (0, enhanced_mappings_1.calculateHarmonicInterval)(phrase1.notes[index].frequency, aspect.type);
+                    phrase2.notes[index].frequency = harmonicFreq;
+                }
+            }
+        });
+    }
+    /**
+     * Natal melody modulated by the day's transits: each transit bends the phrase
+     * of the natal planet it touches toward the transit's interval
+     */
+    async generateTransitComposition(natalChart, transits, config) {
+        const session = await this.generateMelodicChart(natalChart, config);
+        this.applyTransitModulation(session.phrases, transits);
+        session.transits = transits;
+        console.log(`   Transits: ${transits.length} active aspects to the natal chart`);
+        return session;
+    }
+    /**
+     * Two-voice composition of a pair of charts played together: the second
+     * chart's phrases answer the first's at the intervals of the cross-aspects.
+     * Each voice draws from its own stream of the one seed.
+     */
+    async generateDualComposition(chart1, chart2, crossAspects, config) {
+        const seed = (0, random_1.resolveSeed)(config?.seed);
+        const first = await this.generateMelodicChart(chart1, { ...config, seed });
+        const second = await this.generateMelodicChart(chart2, { ...config, seed: (0, random_1.deriveSeed)(seed, 2) });
+        first.phrases.forEach(phrase => {
+            phrase.id = `voice1_${phrase.id}`;
+            phrase.voice = 1;
+        });
+        second.phrases.forEach(phrase => {
+            phrase.id = `voice2_${phrase.id}`;
+            phrase.voice = 2;
+        });
+        this.harmonizeAspects(crossAspects, first.phrases, second.phrases);
+        this.currentSession = {
+            ...first,
+            id: (0, random_1.sessionId)('dual', [chart1, chart2], seed),
+            chartId: `${chart1.metadata.birth_datetime}_${chart2.metadata.birth_datetime}`,
+            configuration: { ...first.configuration, mode: 'overlay' },
+            phrases: [...first.phrases, ...second.phrases],
+            voices: 2
+        };
+        console.log(`   Cross-aspects: ${crossAspects.length} between the two voices`);
+        return this.currentSession;
+    }
+    applyTransitModulation(phrases, transits) {
+        transits.forEach(transit => {
+            const phrase = phrases.find(p => p.planet === transit.planet2);
+            if (!phrase) {
+                return;
+            }
+            // Like natal aspects, tighter transits reach more of the phrase and an
+            // applying transit builds toward its end
+            const modulated = Math.ceil(phrase.notes.length * transit.exactness);
+            const start = transit.applying ? phrase.notes.length - modulated : 0;
+            for (let index = start; index < start + modulated; index++) {
+                const note = phrase.notes[index];
+                note.frequency = (0, enhanced_mappings_1.calculateHarmonicInterval)(note.frequency, transit.type);
+                note.velocity = Math.min(1.0, note.velocity * (1 + 0.3 * transit.exactness));
+                note.effects = [...(note.effects || []), `transit_${transit.planet1.toLowerCase()}`];
+            }
+        });
+    }
+    applyAspectPatterns(phrases, patterns) {
+        patterns.forEach(pattern => {
+            phrases
+                .filter(phrase => pattern.planets.includes(phrase.planet))
+                .forEach(phrase => {
+                const emphasis = phrase.planet === pattern.apex ? pattern.apexEmphasis : 1.0;
+                phrase.intensity = Math.min(1.0, phrase.intensity * emphasis);
+                phrase.notes.forEach(note => {
+                    note.velocity = Math.min(1.0, note.velocity * emphasis);
+                    if (!(note.effects || []).includes(pattern.effect)) {
+                        note.effects = [...(note.effects || []), pattern.effect];
                     }
                 });
-            }
+            });
+        });
+    }
+    applyChartConditions(phrases, conditions) {
+        phrases.forEach(phrase => {
+            const emphasis = phrase.planet === conditions.leadPlanet ? 1.15
+                : conditions.emphasizedPlanets.includes(phrase.planet) ? 1.1 : 1.0;
+            phrase.notes.forEach(note => {
+                note.brightness = conditions.brightness;
+                note.velocity = Math.min(1.0, note.velocity * emphasis);
+                const effects = note.effects || [];
+                // Dark phases close the filter; a void Moon lets every phrase trail off
+                if (conditions.brightness < 0.5 && !effects.includes('lowpass')) {
+                    effects.push('lowpass');
+                }
+                if (conditions.voidOfCourse && !effects.includes('delay')) {
+                    effects.push('delay');
+                }
+                note.effects = effects;
+            });
         });
     }
     applyRhythmicPatterns(phrases, chartData) {
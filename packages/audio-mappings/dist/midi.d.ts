@@ -0,0 +1,35 @@
+import { MelodicAudioSession } from './melodic-generator';
+export declare const MIDI_PPQ = 480;
+export declare const GM_PROGRAMS: Record<string, number>;
+export declare const GM_DRUM_NOTES: Record<string, number>;
+export interface KeySignature {
+    /** Sharps as a positive count, flats as a negative one */
+    accidentals: number;
+    minor: boolean;
+}
+export interface MIDIOptions {
+    /** Name of the conductor track, which DAWs show as the song title */
+    title?: string;
+}
+export interface EncodedMIDI {
+    buffer: Buffer;
+    /** Conductor track plus one track per planet */
+    tracks: number;
+    notes: number;
+}
+/**
+ * Nearest MIDI note number of a frequency, A4 = 440 Hz = 69
+ */
+export declare function frequencyToMIDINote(frequency: number): number;
+/**
+ * Key signature of a scale as sharps (positive) or flats (negative) and
+ * whether it has a minor third above the tonic
+ */
+export declare function keySignature(scale: string[]): KeySignature;
+/**
+ * Type-1 Standard MIDI File of a melodic session. Track 1 carries the tempo,
+ * time signature and key signature; every planet (and voice, in a duet) gets
+ * a named track on its own channel with a General MIDI program change.
+ * Note timestamps and durations are in seconds, as in the other exports.
+ */
+export declare function encodeMIDI(session: MelodicAudioSession, options?: MIDIOptions): EncodedMIDI;
@@ -0,0 +1,164 @@
+"use strict";
+// Standard MIDI File (SMF) writer
+// Encodes a melodic session as a type-1 .mid file that DAWs open directly
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.GM_DRUM_NOTES = exports.GM_PROGRAMS = exports.MIDI_PPQ = void 0;
+exports.frequencyToMIDINote = frequencyToMIDINote;
+exports.keySignature = keySignature;
+exports.encodeMIDI = encodeMIDI;
+// Ticks per quarter note
+exports.MIDI_PPQ = 480;
+// General MIDI program of each genre instrument, numbered 1-128 as in the GM
+// sound set. Waveform names use the synth leads and pads closest to them.
+exports.GM_PROGRAMS = {
+    piano: 1, vibraphone: 12, bell: 15, chime: 113,
+    guitar: 25, bass: 33,
+    violin: 41, viola: 42, cello: 43, double_bass: 44, harp: 47, timpani: 48, strings: 49,
+    trumpet: 57, trombone: 58, tuba: 59, french_horn: 61, brass: 62,
+    saxophone: 66, oboe: 69, bassoon: 71, clarinet: 72, piccolo: 73, flute: 74, woodwinds: 74,
+    sine: 80, square: 81, sawtooth: 82, triangle: 83,
+    pad: 89, chord: 90, drone: 92, reverb: 95, filter: 96, delay: 103, noise: 123
+};
+// Percussion instruments play a fixed key on channel 10 instead of a pitch
+exports.GM_DRUM_NOTES = {
+    kick: 36, snare: 38, drums: 38, percussion: 39, hihat: 42
+};
+const DRUM_CHANNEL = 9;
+const NOTE_SEMITONES = {
+    'C': 0, 'C#': 1, 'Db': 1, 'D': 2, 'D#': 3, 'Eb': 3, 'E': 4, 'F': 5, 'F#': 6,
+    'Gb': 6, 'G': 7, 'G#': 8, 'Ab': 8, 'A': 9, 'A#': 10, 'Bb': 10, 'B': 11
+};
+// Big-endian variable-length quantity used for delta times and meta lengths
+function variableLength(value) {
+    const bytes = [value & 0x7f];
+    let rest = value >>> 7;
+    while (rest > 0) {
+        bytes.unshift((rest & 0x7f) | 0x80);
+        rest >>>= 7;
+    }
+    return bytes;
+}
+function metaEvent(type, data) {
+    return [0xff, type, ...variableLength(data.length), ...data];
+}
+function textEvent(type, text) {
+    return metaEvent(type, [...Buffer.from(text, 'utf8')]);
+}
+function chunk(id, data) {
+    const header = Buffer.alloc(8);
+    header.write(id, 0, 'ascii');
+    header.writeUInt32BE(data.length, 4);
+    return Buffer.concat([header, Buffer.from(data)]);
+}
+// Absolute-time events to a track chunk body with delta times and an end of track
+function trackData(events) {
+    const bytes = [];
+    let previous = 0;
+    events.forEach(event => {
+        bytes.push(...variableLength(event.tick - previous), ...event.data);
+        previous = event.tick;
+    });
+    bytes.push(0x00, ...metaEvent(0x2f, []));
+    return bytes;
+}
+/**
+ * Nearest MIDI note number of a frequency, A4 = 440 Hz = 69
+ */
+function frequencyToMIDINote(frequency) {
+    return Math.max(0, Math.min(127, Math.round(12 * Math.log2(frequency / 440) + 69)));
+}
+/**
+ * Key signature of a scale as sharps (positive) or flats (negative) and
+ * whether it has a minor third above the tonic
+ */
+function keySignature(scale) {
+    const sharps = scale.filter(note => note.endsWith('#')).length;
+    const flats = scale.filter(note => /^[A-G]b$/.test(note)).length;
+    const third = (NOTE_SEMITONES[scale[2]] - NOTE_SEMITONES[scale[0]] + 12) % 12;
+    return {
+        accidentals: sharps > 0 ? sharps : -flats,
+        minor: third === 3
+    };
+}
+/**
+ * Type-1 Standard MIDI File of a melodic session. Track 1 carries the tempo,
+ * time signature and key signature; every planet (and voice, in a duet) gets
+ * a named track on its own channel with a General MIDI program change.
+ * Note timestamps and durations are in seconds, as in the other exports.
+ */
+function encodeMIDI(session, options = {}) {
+    const tempo = session.tempo || 120;
+    const ticksPerSecond = exports.MIDI_PPQ * tempo / 60;
+    const toTicks = (seconds) => Math.max(0, Math.round(seconds * ticksPerSecond));
+    const [numerator, denominator] = (session.timeSignature || '4/4').split('/').map(Number);
+    const key = keySignature(session.scale || []);
+    const microsecondsPerQuarter = Math.round(60000000 / tempo);
+    const conductor = [
+        { tick: 0, data: textEvent(0x03, options.title || `Astradio ${session.chartId}`) },
+        { tick: 0, data: metaEvent(0x51, [(microsecondsPerQuarter >> 16) & 0xff, (microsecondsPerQuarter >> 8) & 0xff, microsecondsPerQuarter & 0xff]) },
+        { tick: 0, data: metaEvent(0x58, [numerator, Math.log2(denominator), 24, 8]) },
+        { tick: 0, data: metaEvent(0x59, [key.accidentals & 0xff, key.minor ? 1 : 0]) }
+    ];
+    // One track per planet and voice, in order of first appearance
+    const groups = new Map();
+    session.phrases.forEach(phrase => {
+        const name = phrase.voice ? `${phrase.planet} (voice ${phrase.voice})` : phrase.planet;
+        groups.set(name, [...(groups.get(name) || []), phrase]);
+    });
+    const tracks = [];
+    let noteCount = 0;
+    [...groups.entries()].forEach(([name, phrases], index) => {
+        // Channel 10 is kept for drums, so melodic tracks skip it
+        const channel = index % 15 < DRUM_CHANNEL ? index % 15 : index % 15 + 1;
+        const notes = phrases
+            .flatMap(phrase => phrase.notes)
+            .filter(note => isFinite(note.frequency) && isFinite(note.timestamp) && isFinite(note.duration))
+            .sort((a, b) => a.timestamp - b.timestamp);
+        const events = [{ tick: 0, data: textEvent(0x03, name) }];
+        if (notes.length > 0) {
+            events.push({ tick: 0, data: textEvent(0x04, notes[0].instrument) });
+        }
+        let program = null;
+        const sounding = new Map();
+        notes.forEach(note => {
+            const drum = exports.GM_DRUM_NOTES[note.instrument];
+            const noteChannel = drum === undefined ? channel : DRUM_CHANNEL;
+            const pitch = drum ?? frequencyToMIDINote(note.frequency);
+            const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+            const start = toTicks(note.timestamp);
+            const end = Math.max(start + 1, toTicks(note.timestamp + note.duration));
+            const noteProgram = exports.GM_PROGRAMS[note.instrument] ?? exports.GM_PROGRAMS.sawtooth;
+            if (drum === undefined && noteProgram !== program) {
+                program = noteProgram;
+                events.push({ tick: start, order: 0, data: [0xc0 | channel, program - 1] });
+            }
+            // A pitch struck again while still sounding is released first
+            const previous = sounding.get(`${noteChannel}:${pitch}`);
+            if (previous && previous.tick > start) {
+                previous.tick = start;
+            }
+            const noteOff = { tick: end, order: 1, data: [0x80 | noteChannel, pitch, 0] };
+            sounding.set(`${noteChannel}:${pitch}`, noteOff);
+            events.push({ tick: start, order: 2, data: [0x90 | noteChannel, pitch, velocity] });
+            events.push(noteOff);
+            noteCount++;
+        });
+        // At the same tick program changes come first, then note offs, so a
+        // repeated pitch is released before it is struck again
+        events.sort((a, b) => a.tick - b.tick || (a.order ?? 0) - (b.order ?? 0));
+        tracks.push(trackData(events));
+    });
+    const header = Buffer.alloc(6);
+    header.writeUInt16BE(1, 0); // format 1: simultaneous tracks
+    header.writeUInt16BE(tracks.length + 1, 2);
+    header.writeUInt16BE(exports.MIDI_PPQ, 4);
+    return {
+        buffer: Buffer.concat([
+            chunk('MThd', [...header]),
+            chunk('MTrk', trackData(conductor)),
+            ...tracks.map(track => chunk('MTrk', track))
+        ]),
+        tracks: tracks.length + 1,
+        notes: noteCount
+    };
+}
@@ -0,0 +1,13 @@
+export declare const WINDOW_PROTOTYPE: number[];
+export declare const SCALEFACTOR_BANDS: Record<number, number[]>;
+export interface HuffmanTable {
+    /** Values per dimension, so codes are indexed by x * size + y */
+    size: number;
+    codes: number[];
+    lengths: number[];
+}
+export declare const HUFFMAN_TABLES: Record<number, HuffmanTable>;
+export declare const COUNT1_TABLES: {
+    codes: number[];
+    lengths: number[];
+}[];
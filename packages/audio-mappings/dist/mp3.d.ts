@@ -0,0 +1,21 @@
+import { RenderedAudio } from './renderer';
+import { AudioTags } from './tags';
+export declare const MP3_BITRATES: number[];
+export declare const MP3_SAMPLE_RATES: number[];
+export declare const MP3_QUALITY: Record<'low' | 'medium' | 'high', number>;
+/** Samples a decoder outputs before the first input sample */
+export declare const MP3_ENCODER_DELAY = 1057;
+export interface MP3Options {
+    /** Constant bitrate in kbit/s, one of `MP3_BITRATES` */
+    bitrate?: number;
+    tags?: AudioTags;
+}
+/**
+ * MP3 file of rendered stereo audio: MPEG-1 Layer III frames at a constant
+ * `bitrate` in kbit/s from `MP3_BITRATES`, 192 by default, after an ID3v2 tag.
+ * Audio at a rate MPEG-1 has no code for is resampled to 44.1 kHz. Decoders
+ * start `MP3_ENCODER_DELAY` samples late and the last frame is padded with silence.
+ * There is no psychoacoustic model: quantization noise is spread evenly over
+ * the spectrum, so low bitrates sound worse than a tuned encoder's.
+ */
+export declare function encodeMP3(audio: RenderedAudio, options?: MP3Options): Buffer;
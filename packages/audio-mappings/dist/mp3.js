@@ -0,0 +1,415 @@
+"use strict";
+// MP3 encoder
+// MPEG-1 Layer III in plain JS: the standard's polyphase filterbank, long-block
+// MDCTs with alias reduction, and a rate loop that picks the finest global gain
+// whose Huffman-coded spectrum fits each granule's share of a constant-bitrate frame
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MP3_ENCODER_DELAY = exports.MP3_QUALITY = exports.MP3_SAMPLE_RATES = exports.MP3_BITRATES = void 0;
+exports.encodeMP3 = encodeMP3;
+const tags_1 = require("./tags");
+const time_stretch_1 = require("./time-stretch");
+const mp3_tables_1 = require("./mp3-tables");
+// Bitrates in kbit/s that a frame header can name, by bitrate index 1-14
+exports.MP3_BITRATES = [32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+// MPEG-1 sample rates by header code; audio at other rates is resampled to the first
+exports.MP3_SAMPLE_RATES = [44100, 48000, 32000];
+// Bitrate in kbit/s for each export quality
+exports.MP3_QUALITY = {
+    low: 128,
+    medium: 192,
+    high: 256
+};
+// Samples a decoder outputs before the first input sample: 481 of analysis
+// filterbank and a granule of MDCT overlap
+exports.MP3_ENCODER_DELAY = 1057;
+const GRANULE = 576;
+const GRANULES = 2;
+const SUBBANDS = 32;
+const SUBBAND_SAMPLES = 18;
+const CHANNELS = 2;
+const HEADER_BITS = 32;
+// Stereo side information: main_data_begin, private bits, scfsi and 59 bits a granule per channel
+const SIDE_INFO_BITS = 256;
+// part2_3_length is a 12-bit field
+const MAX_GRANULE_BITS = 4095;
+// Largest quantized value: 15 plus 13 linbits
+const MAX_QUANTIZED = 15 + 8191;
+const MAX_GLOBAL_GAIN = 255;
+// Rounding offset of the quantizer, which rounds |x|^3/4 slightly down
+const QUANTIZER_ROUNDING = 0.4054;
+// Gain applied before the filterbank so full-scale input decodes at full scale
+const INPUT_SCALE = 1 / 9;
+// Analysis window C of the standard: the prototype with the synthesis
+// window's sign pattern, a 32nd of the synthesis window
+const ANALYSIS_WINDOW = (() => {
+    const window = new Float64Array(512);
+    for (let i = 0; i < 512; i++) {
+        const tap = mp3_tables_1.WINDOW_PROTOTYPE[i <= 256 ? i : 512 - i];
+        window[i] = (Math.floor(i / 64) % 2 === 1 ? -tap : tap) / 65536 / 32;
+    }
+    return window;
+})();
+// Filterbank matrixing, M[k][i] = cos((2k + 1)(i - 16)π / 64)
+const MATRIX = (() => {
+    const matrix = new Float64Array(SUBBANDS * 64);
+    for (let k = 0; k < SUBBANDS; k++) {
+        for (let i = 0; i < 64; i++) {
+            matrix[k * 64 + i] = Math.cos((2 * k + 1) * (i - 16) * Math.PI / 64);
+        }
+    }
+    return matrix;
+})();
+// 36-point MDCT of a long block with its sine window folded in
+const MDCT = (() => {
+    const table = new Float64Array(SUBBAND_SAMPLES * 36);
+    for (let k = 0; k < SUBBAND_SAMPLES; k++) {
+        for (let n = 0; n < 36; n++) {
+            table[k * 36 + n] = Math.sin(Math.PI / 36 * (n + 0.5)) * Math.cos(Math.PI / 72 * (2 * n + 19) * (2 * k + 1));
+        }
+    }
+    return table;
+})();
+// Alias reduction butterflies between neighbouring subbands
+const ALIAS_COEFFICIENTS = [-0.6, -0.535, -0.33, -0.185, -0.095, -0.041, -0.0142, -0.0037];
+const ALIAS_CS = ALIAS_COEFFICIENTS.map(c => 1 / Math.sqrt(1 + c * c));
+const ALIAS_CA = ALIAS_COEFFICIENTS.map(c => c / Math.sqrt(1 + c * c));
+// Big value tables grouped by the values they code; a region is coded with the
+// cheapest table of the smallest group that holds its largest value
+const TABLE_GROUPS = [[1], [2, 3], [5, 6], [7, 8, 9], [10, 11, 12], [13, 15]];
+// Linbits of tables 16-23 and 24-31
+const LINBITS = [
+    [16, 1], [17, 2], [18, 3], [19, 4], [20, 6], [21, 8], [22, 10], [23, 13],
+    [24, 4], [25, 5], [26, 6], [27, 7], [28, 8], [29, 9], [30, 11], [31, 13]
+];
+// Region boundaries tried for each count of scalefactor bands the big values span
+const REGION_SPLITS = [
+    [0, 0], [0, 0], [0, 0], [0, 0], [0, 0], [0, 1], [1, 1], [1, 1], [1, 2], [2, 2], [2, 3], [2, 3],
+    [3, 4], [3, 4], [3, 4], [4, 5], [4, 5], [4, 6], [5, 6], [5, 6], [5, 7], [6, 7], [6, 7]
+];
+// Big-endian bits into a zeroed frame buffer
+class FrameWriter {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.position = 0;
+    }
+    write(value, bits) {
+        for (let i = bits - 1; i >= 0; i--, this.position++) {
+            if ((value >>> i) & 1) {
+                this.buffer[this.position >> 3] |= 0x80 >> (this.position & 7);
+            }
+        }
+    }
+}
+function codeTable(table) {
+    const base = table >= 24 ? 24 : table >= 16 ? 16 : table;
+    return mp3_tables_1.HUFFMAN_TABLES[base];
+}
+function linbitsOf(table) {
+    return table >= 16 ? LINBITS[table - 16][1] : 0;
+}
+// Subband samples of one granule: 18 runs of the filterbank over 32 new samples each.
+// `fifo` holds the last 512 input samples, newest first.
+function analyse(input, start, fifo, subbands) {
+    const y = new Float64Array(64);
+    for (let t = 0; t < SUBBAND_SAMPLES; t++) {
+        fifo.copyWithin(32, 0, 480);
+        for (let i = 0; i < 32; i++) {
+            const index = start + t * 32 + 31 - i;
+            fifo[i] = index < input.length ? input[index] * INPUT_SCALE : 0;
+        }
+        y.fill(0);
+        for (let i = 0; i < 512; i++) {
+            y[i & 63] += fifo[i] * ANALYSIS_WINDOW[i];
+        }
+        for (let k = 0; k < SUBBANDS; k++) {
+            let sum = 0;
+            for (let i = 0; i < 64; i++) {
+                sum += MATRIX[k * 64 + i] * y[i];
+            }
+            // The decoder inverts every other sample of the odd subbands
+            subbands[k * SUBBAND_SAMPLES + t] = k % 2 === 1 && t % 2 === 1 ? -sum : sum;
+        }
+    }
+}
+// Spectrum of one granule from its subband samples and the previous granule's,
+// 18 lines per subband with the aliasing between subbands reduced
+function transform(previous, current) {
+    const spectrum = new Float64Array(GRANULE);
+    const block = new Float64Array(36);
+    for (let sb = 0; sb < SUBBANDS; sb++) {
+        block.set(previous.subarray(sb * SUBBAND_SAMPLES, (sb + 1) * SUBBAND_SAMPLES), 0);
+        block.set(current.subarray(sb * SUBBAND_SAMPLES, (sb + 1) * SUBBAND_SAMPLES), SUBBAND_SAMPLES);
+        for (let k = 0; k < SUBBAND_SAMPLES; k++) {
+            let sum = 0;
+            for (let n = 0; n < 36; n++) {
+                sum += MDCT[k * 36 + n] * block[n];
+            }
+            spectrum[sb * SUBBAND_SAMPLES + k] = sum;
+        }
+    }
+    for (let sb = 1; sb < SUBBANDS; sb++) {
+        for (let i = 0; i < 8; i++) {
+            const lower = sb * SUBBAND_SAMPLES - 1 - i;
+            const upper = sb * SUBBAND_SAMPLES + i;
+            const a = spectrum[lower];
+            const b = spectrum[upper];
+            spectrum[lower] = a * ALIAS_CS[i] + b * ALIAS_CA[i];
+            spectrum[upper] = b * ALIAS_CS[i] - a * ALIAS_CA[i];
+        }
+    }
+    return spectrum;
+}
+function quantize(magnitudes, globalGain, values) {
+    const step = Math.pow(2, -0.1875 * (globalGain - 210));
+    let largest = 0;
+    for (let i = 0; i < GRANULE; i++) {
+        const value = Math.floor(magnitudes[i] * step + QUANTIZER_ROUNDING);
+        values[i] = value;
+        largest = Math.max(largest, value);
+    }
+    return largest;
+}
+function pairBits(table, values, from, to) {
+    const codes = codeTable(table);
+    const linbits = linbitsOf(table);
+    let bits = 0;
+    for (let i = from; i < to; i += 2) {
+        const x = values[i];
+        const y = values[i + 1];
+        bits += codes.lengths[Math.min(x, 15) * codes.size + Math.min(y, 15)];
+        if (x > 0) {
+            bits += 1 + (linbits > 0 && x >= 15 ? linbits : 0);
+        }
+        if (y > 0) {
+            bits += 1 + (linbits > 0 && y >= 15 ? linbits : 0);
+        }
+    }
+    return bits;
+}
+// Cheapest table for the pairs in [from, to)
+function chooseTable(values, from, to) {
+    let largest = 0;
+    for (let i = from; i < to; i++) {
+        largest = Math.max(largest, values[i]);
+    }
+    if (largest === 0) {
+        return { table: 0, bits: 0 };
+    }
+    const candidates = largest < 16
+        ? TABLE_GROUPS.find(group => codeTable(group[0]).size > largest)
+        // The fewest linbits that reach the largest value, from each family
+        : [16, 24].map(family => LINBITS.find(([table, linbits]) => table >= family && 15 + (1 << linbits) - 1 >= largest)?.[0])
+            .filter(table => table !== undefined);
+    let best = { table: candidates[0], bits: Infinity };
+    candidates.forEach(table => {
+        const bits = pairBits(table, values, from, to);
+        if (bits < best.bits) {
+            best = { table, bits };
+        }
+    });
+    return best;
+}
+function quadIndex(values, i) {
+    return values[i] * 8 + values[i + 1] * 4 + values[i + 2] * 2 + values[i + 3];
+}
+// Regions, tables and size in bits of a granule's quantized spectrum
+function planGranule(values, bands) {
+    // Pairs of zeros at the top are not coded, quadruples of values up to 1 below them go in count1
+    let end = GRANULE;
+    while (end > 1 && values[end - 1] === 0 && values[end - 2] === 0) {
+        end -= 2;
+    }
+    let count1 = 0;
+    while (end > 3 && values[end - 1] <= 1 && values[end - 2] <= 1 && values[end - 3] <= 1 && values[end - 4] <= 1) {
+        end -= 4;
+        count1++;
+    }
+    const bigValues = end / 2;
+    // Regions end on scalefactor band boundaries, as the decoder derives them
+    let region0 = 0;
+    let region1 = 0;
+    if (end > 0) {
+        let spanned = 0;
+        while (bands[spanned] < end) {
+            spanned++;
+        }
+        const [region0Limit, region1Limit] = REGION_SPLITS[spanned];
+        region0 = region0Limit;
+        while (region0 > 0 && bands[region0 + 1] > end) {
+            region0--;
+        }
+        region1 = region1Limit;
+        while (region1 > 0 && bands[region0 + region1 + 2] > end) {
+            region1--;
+        }
+    }
+    const region1Start = Math.min(end, bands[region0 + 1]);
+    const region2Start = Math.min(end, bands[region0 + region1 + 2]);
+    const regions = [
+        chooseTable(values, 0, region1Start),
+        chooseTable(values, region1Start, region2Start),
+        chooseTable(values, region2Start, end)
+    ];
+    // Count1 table A codes each quadruple by its pattern, table B in four plain bits
+    let bitsA = 0;
+    let bitsB = 0;
+    for (let i = end; i < end + count1 * 4; i += 4) {
+        const signs = values[i] + values[i + 1] + values[i + 2] + values[i + 3];
+        bitsA += mp3_tables_1.COUNT1_TABLES[0].lengths[quadIndex(values, i)] + signs;
+        bitsB += 4 + signs;
+    }
+    return {
+        bigValues,
+        count1,
+        region0,
+        region1,
+        region1Start,
+        region2Start,
+        tables: regions.map(region => region.table),
+        count1Table: bitsB < bitsA ? 1 : 0,
+        bits: regions.reduce((total, region) => total + region.bits, 0) + Math.min(bitsA, bitsB)
+    };
+}
+// Finest global gain whose coded spectrum fits in `budget` bits, by bisection;
+// coarser gains never take more bits
+function rateLoop(spectrum, bands, budget) {
+    const magnitudes = spectrum.map(value => Math.pow(Math.abs(value), 0.75));
+    const values = new Int32Array(GRANULE);
+    const fits = globalGain => quantize(magnitudes, globalGain, values) <= MAX_QUANTIZED && planGranule(values, bands).bits <= budget;
+    let low = 0;
+    let high = MAX_GLOBAL_GAIN;
+    while (low < high) {
+        const middle = (low + high) >> 1;
+        if (fits(middle)) {
+            high = middle;
+        }
+        else {
+            low = middle + 1;
+        }
+    }
+    quantize(magnitudes, low, values);
+    return { globalGain: low, values, signs: spectrum.map(value => value < 0 ? 1 : 0), plan: planGranule(values, bands) };
+}
+function writeSideInfo(writer, granules) {
+    writer.write(0, 9); // main_data_begin: no bit reservoir
+    writer.write(0, 3); // private bits
+    writer.write(0, 4 * CHANNELS); // scfsi
+    granules.forEach(channels => channels.forEach(({ globalGain, plan }) => {
+        writer.write(plan.bits, 12); // part2_3_length, no scalefactor bits
+        writer.write(plan.bigValues, 9);
+        writer.write(globalGain, 8);
+        writer.write(0, 4); // scalefac_compress: no scalefactors
+        writer.write(0, 1); // window_switching_flag: long blocks
+        plan.tables.forEach(table => writer.write(table, 5));
+        writer.write(plan.region0, 4);
+        writer.write(plan.region1, 3);
+        writer.write(0, 1); // preflag
+        writer.write(0, 1); // scalefac_scale
+        writer.write(plan.count1Table, 1);
+    }));
+}
+function writeHuffman(writer, { values, signs, plan }) {
+    for (let i = 0; i < plan.bigValues * 2; i += 2) {
+        const table = plan.tables[i < plan.region1Start ? 0 : i < plan.region2Start ? 1 : 2];
+        if (table === 0) {
+            continue;
+        }
+        const codes = codeTable(table);
+        const linbits = linbitsOf(table);
+        const x = values[i];
+        const y = values[i + 1];
+        const index = Math.min(x, 15) * codes.size + Math.min(y, 15);
+        writer.write(codes.codes[index], codes.lengths[index]);
+        [[x, signs[i]], [y, signs[i + 1]]].forEach(([value, sign]) => {
+            if (linbits > 0 && value >= 15) {
+                writer.write(value - 15, linbits);
+            }
+            if (value > 0) {
+                writer.write(sign, 1);
+            }
+        });
+    }
+    const count1 = mp3_tables_1.COUNT1_TABLES[plan.count1Table];
+    for (let q = 0, i = plan.bigValues * 2; q < plan.count1; q++, i += 4) {
+        const index = quadIndex(values, i);
+        writer.write(count1.codes[index], count1.lengths[index]);
+        for (let k = i; k < i + 4; k++) {
+            if (values[k] > 0) {
+                writer.write(signs[k], 1);
+            }
+        }
+    }
+}
+/**
+ * MP3 file of rendered stereo audio: MPEG-1 Layer III frames at a constant
+ * `bitrate` in kbit/s from `MP3_BITRATES`, 192 by default, after an ID3v2 tag.
+ * Audio at a rate MPEG-1 has no code for is resampled to 44.1 kHz. Decoders
+ * start `MP3_ENCODER_DELAY` samples late and the last frame is padded with silence.
+ * There is no psychoacoustic model: quantization noise is spread evenly over
+ * the spectrum, so low bitrates sound worse than a tuned encoder's.
+ */
+function encodeMP3(audio, options = {}) {
+    const bitrate = options.bitrate ?? exports.MP3_QUALITY.medium;
+    const bitrateIndex = exports.MP3_BITRATES.indexOf(bitrate) + 1;
+    if (bitrateIndex === 0) {
+        throw new Error(`Unsupported MP3 bitrate: ${bitrate} kbit/s`);
+    }
+    let sampleRate = audio.sampleRate;
+    let inputs = [audio.left, audio.right];
+    if (!exports.MP3_SAMPLE_RATES.includes(sampleRate)) {
+        const ratio = sampleRate / exports.MP3_SAMPLE_RATES[0];
+        inputs = inputs.map(input => (0, time_stretch_1.resample)(input, ratio, Math.floor(input.length / ratio)));
+        sampleRate = exports.MP3_SAMPLE_RATES[0];
+    }
+    const bands = mp3_tables_1.SCALEFACTOR_BANDS[sampleRate];
+    const length = inputs[0].length;
+    const frameCount = Math.ceil((length + exports.MP3_ENCODER_DELAY) / (GRANULES * GRANULE));
+    // Frames average 144 bytes per kbit/s over the sample rate; a padding byte makes up the fraction
+    const frameBytes = 144000 * bitrate / sampleRate;
+    const frameStart = frame => Math.floor(frame * frameBytes);
+    const tag = (0, tags_1.id3v2)(options.tags);
+    const output = Buffer.alloc(tag.length + frameStart(frameCount));
+    tag.copy(output, 0);
+    const states = inputs.map(() => ({
+        fifo: new Float64Array(512),
+        previous: new Float64Array(GRANULE),
+        current: new Float64Array(GRANULE)
+    }));
+    for (let frame = 0; frame < frameCount; frame++) {
+        const bytes = frameStart(frame + 1) - frameStart(frame);
+        const writer = new FrameWriter(output.subarray(tag.length + frameStart(frame), tag.length + frameStart(frame + 1)));
+        // Header: sync, MPEG-1, Layer III, no CRC, bitrate, sample rate, padding, stereo
+        writer.write(0x7ff, 11);
+        writer.write(3, 2);
+        writer.write(1, 2);
+        writer.write(1, 1);
+        writer.write(bitrateIndex, 4);
+        writer.write(exports.MP3_SAMPLE_RATES.indexOf(sampleRate), 2);
+        writer.write(bytes > Math.floor(frameBytes) ? 1 : 0, 1);
+        writer.write(0, 1); // private
+        writer.write(0, 2); // stereo
+        writer.write(0, 2); // mode extension
+        writer.write(0, 1); // copyright
+        writer.write(1, 1); // original
+        writer.write(0, 2); // emphasis
+        // Each granule of each channel gets an even share of what the earlier ones left
+        let remaining = bytes * 8 - HEADER_BITS - SIDE_INFO_BITS;
+        let shares = GRANULES * CHANNELS;
+        const granules = [];
+        for (let gr = 0; gr < GRANULES; gr++) {
+            granules.push(states.map((state, ch) => {
+                analyse(inputs[ch], (frame * GRANULES + gr) * GRANULE, state.fifo, state.current);
+                const spectrum = transform(state.previous, state.current);
+                [state.previous, state.current] = [state.current, state.previous];
+                const granule = rateLoop(spectrum, bands, Math.min(MAX_GRANULE_BITS, Math.floor(remaining / shares)));
+                remaining -= granule.plan.bits;
+                shares--;
+                return granule;
+            }));
+        }
+        writeSideInfo(writer, granules);
+        // Main data follows directly; unused bits at the end are ancillary data
+        granules.forEach(channels => channels.forEach(granule => writeHuffman(writer, granule)));
+    }
+    return output;
+}
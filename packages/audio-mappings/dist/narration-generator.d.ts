@@ -1,10 +1,35 @@
 import { AstroChart, AudioConfiguration } from '@astradio/types';
+import { TransitAspect } from '../../astro-core/dist/transits';
+import { ChartAspect } from '../../astro-core/dist/aspects';
+import { AstroEvent } from '../../astro-core/dist/events';
 export interface MusicNarration {
     musicalMood: string;
     planetaryExpression: string;
+    /** Dignities, aspect patterns and element balance */
+    chartAnalysis: string;
     interpretiveSummary: string;
     fullNarration: string;
 }
 export declare function generateMusicNarration(chartData: AstroChart, config?: AudioConfiguration): MusicNarration;
 export declare function generateModeSpecificNarration(chartData: AstroChart, mode: string, config?: AudioConfiguration): string;
 export declare function generateDualChartNarration(chart1: AstroChart, chart2: AstroChart, config?: AudioConfiguration): string;
+export interface TransitNarration {
+    activeTransits: string;
+    interpretiveSummary: string;
+    fullNarration: string;
+}
+export declare function generateTransitNarration(transits: TransitAspect[], config?: AudioConfiguration): TransitNarration;
+export interface CompatibilityNarration {
+    /** 0-100 share of the cross-aspect weight that is harmonious */
+    harmonyScore: number;
+    keyConnections: string;
+    interpretiveSummary: string;
+    fullNarration: string;
+}
+export declare function generateCompatibilityNarration(crossAspects: ChartAspect[], config?: AudioConfiguration): CompatibilityNarration;
+export interface EventNarration {
+    skyEvents: string;
+    arrangement: string;
+    fullNarration: string;
+}
+export declare function generateEventNarration(events: AstroEvent[], config?: AudioConfiguration): EventNarration;
@@ -3,6 +3,10 @@ Object.defineProperty(exports, "__esModule", { value: true });
 exports.generateMusicNarration = generateMusicNarration;
 exports.generateModeSpecificNarration = generateModeSpecificNarration;
 exports.generateDualChartNarration = generateDualChartNarration;
+exports.generateTransitNarration = generateTransitNarration;
+exports.generateCompatibilityNarration = generateCompatibilityNarration;
+exports.generateEventNarration = generateEventNarration;
+const events_1 = require("../../astro-core/dist/events");
 const enhanced_mappings_1 = require("./enhanced-mappings");
 // Element-based mood descriptions
 const elementMoods = {
@@ -128,6 +132,31 @@ const aspectRelationships = {
         description: "seeks balance",
         effect: "completes and integrates",
         harmony: "octave relationships"
+    },
+    quincunx: {
+        description: "asks for adjustment",
+        effect: "unsettles and refines",
+        harmony: "unresolved major seventh relationships"
+    },
+    semi_sextile: {
+        description: "rubs gently",
+        effect: "nudges and sharpens",
+        harmony: "close minor second colour"
+    },
+    semi_square: {
+        description: "stirs restlessness",
+        effect: "irritates and spurs",
+        harmony: "major second steps"
+    },
+    sesquiquadrate: {
+        description: "builds friction",
+        effect: "agitates and releases",
+        harmony: "minor seventh tension"
+    },
+    quintile: {
+        description: "sparks creativity",
+        effect: "inspires and shapes",
+        harmony: "bright major sixth harmonies"
     }
 };
 // Dignity-based tonal descriptions
@@ -173,13 +202,16 @@ function generateMusicNarration(chartData, config) {
     const musicalMood = generateMusicalMood(chartData, musicalConfig, elementMood, modalityRhythm, config);
     // Generate planetary expression section
     const planetaryExpression = generatePlanetaryExpression(chartData, aspects, musicalConfig, config);
+    // Generate dignities, patterns and balance section
+    const chartAnalysis = generateChartAnalysis(chartData, musicalConfig.analysis);
     // Generate interpretive summary
     const interpretiveSummary = generateInterpretiveSummary(chartData, elementMood, aspects, config);
     // Combine into full narration
-    const fullNarration = `${musicalMood}\n\n${planetaryExpression}\n\n${interpretiveSummary}`;
+    const fullNarration = `${musicalMood}\n\n${planetaryExpression}\n\n${chartAnalysis}\n\n${interpretiveSummary}`;
     return {
         musicalMood,
         planetaryExpression,
+        chartAnalysis,
         interpretiveSummary,
         fullNarration
     };
@@ -242,6 +274,33 @@ function generatePlanetaryExpression(chartData, aspects, musicalConfig, config)
     }
     return expression;
 }
+function generateChartAnalysis(chartData, analysis) {
+    const listPlanets = (planets) => planets.length > 1
+        ? `${planets.slice(0, -1).join(', ')} and ${planets[planets.length - 1]}`
+        : planets[0];
+    // Strongest dignities first, then the debilities
+    const dignified = Object.entries(analysis.dignities)
+        .filter(([, dignity]) => dignity.dignity)
+        .sort(([, a], [, b]) => b.score - a.score)
+        .slice(0, 3);
+    const dignities = dignified.length > 0
+        ? dignified.map(([planetName, dignity]) => {
+            const tone = dignityTones[dignity.dignity];
+            return `${planetName} in ${dignity.sign} is in ${dignity.dignity}, sounding ${tone.quality}: it ${tone.effect}.`;
+        }).join(' ')
+        : 'No planet holds a sign of rulership or exaltation, so every voice finds its tone through the others.';
+    const patterns = (0, enhanced_mappings_1.getPatternMappings)(analysis.patterns).slice(0, 3).map(pattern => {
+        const place = pattern.sign ? ` in ${pattern.sign}` : pattern.house ? ` in the ${pattern.house}${ordinalSuffix(pattern.house)} house` : '';
+        return `${pattern.description}: ${listPlanets(pattern.planets)}${place}.`;
+    });
+    const { balance } = analysis;
+    const missing = balance.missing_elements.length > 0
+        ? `, while ${listPlanets(balance.missing_elements)} ${balance.missing_elements.length === 1 ? 'is' : 'are'} absent`
+        : '';
+    const balanceText = `${balance.dominant_element} leads the elemental balance with ${balance.elements[balance.dominant_element]} planets and ${balance.dominant_modality.toLowerCase()} signs set the pace${missing}.`;
+    return `🏛️ **Chart Analysis**
+${[dignities, ...patterns, balanceText].join('\n\n')}`;
+}
 function generateInterpretiveSummary(chartData, elementMood, aspects, config) {
     const mode = config?.mode || 'moments';
     const genre = config?.genre || 'electronic';
@@ -323,3 +382,124 @@ This overlay composition creates a musical conversation between two distinct ast
 **Interpretive Summary**
 The dual composition reflects the complexity of relationships and the beautiful dance between different souls, offering insight into both individual nature and the art of cosmic collaboration.`;
 }
+// Generate narration explaining the transits active against a natal chart
+function generateTransitNarration(transits, config) {
+    const genre = config?.genre || 'electronic';
+    const active = transits.slice(0, 5);
+    let activeTransits = '🪐 **Active Transits**\n';
+    if (active.length === 0) {
+        activeTransits += 'The sky is quiet against your chart today: no transiting planet is close to an exact aspect, so your natal melody plays unaltered.';
+    }
+    active.forEach(transit => {
+        const relationship = aspectRelationships[transit.type];
+        const role = planetRoles[transit.planet2];
+        const phase = transit.applying === null
+            ? 'in orb'
+            : transit.applying ? 'applying, its influence building' : 'separating, its influence fading';
+        const house = transit.transit_house ? ` through your ${transit.transit_house}${ordinalSuffix(transit.transit_house)} house` : '';
+        activeTransits += `\n• Transiting ${transit.planet1}${house} ${transit.type.replace('_', '-')} your natal ${transit.planet2} (orb ${transit.orb.toFixed(1)}°, ${phase}): ${relationship.description}, colouring the voice that ${role ? role.significance : 'shapes your chart'}, heard as ${relationship.harmony}.`;
+    });
+    const strongest = active[0];
+    const interpretiveSummary = strongest
+        ? `🌌 **Interpretive Summary**
+Today's ${genre} piece is your natal melody re-voiced by the sky. The ${strongest.planet1}-${strongest.planet2} ${strongest.type.replace('_', '-')} is the tightest contact and shapes the ${strongest.planet2} line most; looser transits bend only part of their phrases.`
+        : `🌌 **Interpretive Summary**
+Today's ${genre} piece is your natal melody as it is, a day to hear your own chart without outside pressure.`;
+    return {
+        activeTransits,
+        interpretiveSummary,
+        fullNarration: `${activeTransits}\n\n${interpretiveSummary}`
+    };
+}
+// How much each aspect type eases (+) or strains (-) a relationship
+const compatibilityWeights = {
+    conjunction: 0.6,
+    trine: 1,
+    sextile: 0.8,
+    quintile: 0.4,
+    semi_sextile: 0.2,
+    square: -0.8,
+    opposition: -0.5,
+    quincunx: -0.4,
+    semi_square: -0.3,
+    sesquiquadrate: -0.3
+};
+// Generate a compatibility narration from the aspects between two charts
+function generateCompatibilityNarration(crossAspects, config) {
+    const genre = config?.genre || 'electronic';
+    let ease = 0;
+    let strain = 0;
+    crossAspects.forEach(aspect => {
+        const weight = (compatibilityWeights[aspect.type] || 0) * (aspect.exactness ?? 1);
+        if (weight > 0) {
+            ease += weight;
+        }
+        else {
+            strain -= weight;
+        }
+    });
+    // Share of the aspect weight that is easy, so a quiet pairing reads as neutral
+    const harmonyScore = ease + strain > 0 ? Math.round(100 * ease / (ease + strain)) : 50;
+    let keyConnections = '💞 **Key Connections**\n';
+    const strongest = crossAspects.slice(0, 5);
+    if (strongest.length === 0) {
+        keyConnections += 'These charts touch lightly: no planet of one is close to an aspect with the other, so the two voices move independently.';
+    }
+    strongest.forEach(aspect => {
+        const relationship = aspectRelationships[aspect.type];
+        keyConnections += `\n• Chart 1's ${aspect.planet1} ${aspect.type.replace('_', '-')} Chart 2's ${aspect.planet2} (orb ${aspect.orb.toFixed(1)}°): ${relationship.description}, heard as ${relationship.harmony}.`;
+    });
+    let dynamic = '';
+    if (harmonyScore >= 70) {
+        dynamic = 'an easy, flowing partnership whose voices settle naturally into consonance';
+    }
+    else if (harmonyScore >= 45) {
+        dynamic = 'a balanced partnership where moments of ease and productive friction alternate';
+    }
+    else {
+        dynamic = 'a charged partnership that grows through tension, its voices pulling against each other before resolving';
+    }
+    const interpretiveSummary = `🌌 **Interpretive Summary**
+With a harmony score of ${harmonyScore}/100 across ${crossAspects.length} connections, this ${genre} duet describes ${dynamic}. Each chart keeps its own melody; where they aspect each other, the second voice answers the first at the interval of their aspect.`;
+    return {
+        harmonyScore,
+        keyConnections,
+        interpretiveSummary,
+        fullNarration: `${keyConnections}\n\n${interpretiveSummary}`
+    };
+}
+// What each kind of astronomical event brings to the day
+const eventMeanings = {
+    new_moon: 'a fresh start, the moment to plant intentions',
+    full_moon: 'culmination and release, when what was begun comes to light',
+    solar_eclipse: 'a charged new beginning that can arrive suddenly',
+    lunar_eclipse: 'a turning point in feelings, endings that clear the way',
+    station_retrograde: 'a pause to review and revisit what this planet rules',
+    station_direct: 'forward motion returning after a period of review',
+    ingress: 'a change of tone as a planet takes on a new sign'
+};
+// Generate narration for a daily chart that falls on astronomical events
+function generateEventNarration(events, config) {
+    const genre = config?.genre || 'electronic';
+    const arrangement = (0, enhanced_mappings_1.getEventArrangement)(events);
+    let skyEvents = '✨ **Sky Events**\n';
+    events.forEach(event => {
+        const time = event.datetime.slice(11, 16);
+        skyEvents += `\n• ${(0, events_1.eventTitle)(event)} at ${time} UTC: ${eventMeanings[event.type]}.`;
+    });
+    const arrangementNote = arrangement
+        ? `🎛️ **Special Arrangement**
+${arrangement.description}. Today's ${genre} arrangement features ${arrangement.featuredPlanets.join(', ')}.`
+        : '';
+    return {
+        skyEvents,
+        arrangement: arrangementNote,
+        fullNarration: [skyEvents, arrangementNote].filter(Boolean).join('\n\n')
+    };
+}
+function ordinalSuffix(n) {
+    if (n % 100 >= 11 && n % 100 <= 13) {
+        return 'th';
+    }
+    return { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th';
+}
@@ -0,0 +1,69 @@
+import { MelodicAudioSession } from './melodic-generator';
+import { EnhancedComposition } from './enhanced-composition';
+export declare const DIVISIONS = 4;
+export declare const ROLE_NAMES: Record<string, string>;
+export type ScoreMode = 'ionian' | 'dorian' | 'phrygian' | 'lydian' | 'mixolydian' | 'aeolian' | 'locrian';
+export interface SpelledPitch {
+    step: string;
+    /** Semitones above (positive) or below (negative) the natural step */
+    alter: number;
+}
+export interface ScoreKey {
+    tonic: string;
+    mode: ScoreMode;
+    /** Sharps as a positive count, flats as a negative one */
+    fifths: number;
+    /** Written step and alteration of each pitch class 0-11 */
+    spelling: Record<number, SpelledPitch>;
+}
+export interface ScoreNote {
+    /** MIDI note numbers, empty for a rest, more than one for a chord */
+    pitches: number[];
+    /** Length in sixteenth notes */
+    duration: number;
+    type: 'whole' | 'half' | 'quarter' | 'eighth' | '16th' | null;
+    dots: number;
+    measureRest?: boolean;
+    tieStart: boolean;
+    tieStop: boolean;
+}
+export interface ScorePart {
+    id: string;
+    name: string;
+    clef: 'G' | 'F';
+    measures: ScoreNote[][];
+}
+export interface Score {
+    title: string;
+    tempo: number;
+    beats: number;
+    beatType: number;
+    /** Sixteenth notes per measure */
+    measureLength: number;
+    /** Opening key */
+    key: ScoreKey;
+    /** Keys modulated to, by measure index */
+    keyChanges: Record<number, ScoreKey>;
+    parts: ScorePart[];
+    /** Rehearsal marks by measure index */
+    marks: Record<number, string[]>;
+}
+export interface NotationOptions {
+    /** Work title, "Astradio <chart id>" by default */
+    title?: string;
+}
+/**
+ * Quantized score of a melodic session or enhanced house composition.
+ * Timings in seconds are converted to beats at the composition tempo and
+ * rounded to sixteenth notes; pitches are spelled in the composition key.
+ */
+export declare function buildScore(source: MelodicAudioSession | EnhancedComposition, options?: NotationOptions): Score;
+/**
+ * MusicXML 4.0 partwise document of a score
+ */
+export declare function toMusicXML(score: Score): string;
+/**
+ * ABC notation (2.1) of a score with one voice per part, in sixteenth-note
+ * units so every written value is a whole number
+ */
+export declare function toABC(score: Score): string;
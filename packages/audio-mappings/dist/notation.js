@@ -0,0 +1,409 @@
+"use strict";
+// Score notation
+// Quantizes compositions to a grid of sixteenth notes and writes them as MusicXML or ABC
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ROLE_NAMES = exports.DIVISIONS = void 0;
+exports.buildScore = buildScore;
+exports.toMusicXML = toMusicXML;
+exports.toABC = toABC;
+const midi_1 = require("./midi");
+// Grid units (sixteenth notes) per quarter note, also the MusicXML divisions
+exports.DIVISIONS = 4;
+// Part names of the melodic roles, in score order from the top
+exports.ROLE_NAMES = {
+    leadMelody: 'Lead Melody',
+    counterMelody: 'Counter Melody',
+    harmony: 'Harmony',
+    effects: 'Effects',
+    modulation: 'Modulation',
+    ambientPad: 'Ambient Pad',
+    rhythm: 'Rhythm',
+    bassline: 'Bassline'
+};
+const MODES = {
+    ionian: [0, 2, 4, 5, 7, 9, 11],
+    dorian: [0, 2, 3, 5, 7, 9, 10],
+    phrygian: [0, 1, 3, 5, 7, 8, 10],
+    lydian: [0, 2, 4, 6, 7, 9, 11],
+    mixolydian: [0, 2, 4, 5, 7, 9, 10],
+    aeolian: [0, 2, 3, 5, 7, 8, 10],
+    locrian: [0, 1, 3, 5, 6, 8, 10]
+};
+// Mode names as written in an ABC key field
+const ABC_MODES = {
+    ionian: '', dorian: ' dor', phrygian: ' phr', lydian: ' lyd', mixolydian: ' mix', aeolian: 'm', locrian: ' loc'
+};
+// Written note values in sixteenths, longest first, with their MusicXML type and dots
+const NOTE_VALUES = [
+    [16, 'whole', 0], [12, 'half', 1], [8, 'half', 0], [6, 'quarter', 1],
+    [4, 'quarter', 0], [3, 'eighth', 1], [2, 'eighth', 0], [1, '16th', 0]
+];
+const STEPS = ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+const STEP_SEMITONES = { C: 0, D: 2, E: 4, F: 5, G: 7, A: 9, B: 11 };
+const SHARP_ORDER = ['F', 'C', 'G', 'D', 'A', 'E', 'B'];
+// Key signature of the major key on each pitch class, flats preferred over six sharps
+const MAJOR_FIFTHS = [0, -5, 2, -3, 4, -1, 6, 1, -4, 3, -2, 5];
+const ALTER_NAMES = { '#': 1, 'b': -1 };
+function parseNoteName(name) {
+    const step = name[0];
+    const alter = ALTER_NAMES[name[1]] || 0;
+    return { step, alter, pitchClass: (STEP_SEMITONES[step] + alter + 12) % 12 };
+}
+// Alteration of each step under a key signature
+function signatureAlters(fifths) {
+    const alters = { C: 0, D: 0, E: 0, F: 0, G: 0, A: 0, B: 0 };
+    const order = fifths >= 0 ? SHARP_ORDER : [...SHARP_ORDER].reverse();
+    order.slice(0, Math.abs(fifths)).forEach(step => {
+        alters[step] = fifths >= 0 ? 1 : -1;
+    });
+    return alters;
+}
+// Spelling of all twelve pitch classes: scale notes as named, the rest as in
+// the key signature, naturals, or sharps in sharp keys and flats in flat keys
+function buildSpelling(fifths, scaleNames) {
+    const spelling = {};
+    const alters = signatureAlters(fifths);
+    STEPS.forEach(step => {
+        spelling[(STEP_SEMITONES[step] + alters[step] + 12) % 12] = { step, alter: alters[step] };
+    });
+    scaleNames.forEach(name => {
+        const { step, alter, pitchClass } = parseNoteName(name);
+        spelling[pitchClass] = { step, alter };
+    });
+    for (let pitchClass = 0; pitchClass < 12; pitchClass++) {
+        if (spelling[pitchClass]) {
+            continue;
+        }
+        const natural = STEPS.find(step => STEP_SEMITONES[step] === pitchClass);
+        if (natural) {
+            spelling[pitchClass] = { step: natural, alter: 0 };
+        }
+        else if (fifths >= 0) {
+            spelling[pitchClass] = { step: STEPS.find(step => STEP_SEMITONES[step] === pitchClass - 1), alter: 1 };
+        }
+        else {
+            spelling[pitchClass] = { step: STEPS.find(step => STEP_SEMITONES[step] === (pitchClass + 1) % 12), alter: -1 };
+        }
+    }
+    return spelling;
+}
+function spellPitch(midiNote, spelling) {
+    const { step, alter } = spelling[midiNote % 12];
+    // Cb and B# belong to the octave on the other side of the C
+    let octave = Math.floor(midiNote / 12) - 1;
+    if (step === 'C' && alter < 0) {
+        octave++;
+    }
+    if (step === 'B' && alter > 0) {
+        octave--;
+    }
+    return { step, alter, octave };
+}
+// Mode of a seven-note scale from its intervals above the tonic
+function scaleMode(scale) {
+    const tonic = parseNoteName(scale[0]).pitchClass;
+    const intervals = scale.map(name => (parseNoteName(name).pitchClass - tonic + 12) % 12);
+    const mode = Object.keys(MODES).find(name => MODES[name].every((interval, index) => intervals[index] === interval));
+    return mode || 'ionian';
+}
+// Split a part's notes into measures of notes, chords and rests, tying
+// anything that crosses a barline or needs more than one written value
+function layoutPart(events, measureLength, measureCount) {
+    // Notes starting together become a chord; one still sounding when the next starts is cut there
+    const merged = [];
+    [...events].sort((a, b) => a.start - b.start).forEach(event => {
+        const last = merged[merged.length - 1];
+        if (last && last.start === event.start) {
+            last.pitches = [...new Set([...last.pitches, ...event.pitches])].sort((a, b) => a - b);
+            last.end = Math.max(last.end, event.end);
+            return;
+        }
+        if (last && last.end > event.start) {
+            last.end = event.start;
+        }
+        merged.push({ start: event.start, end: event.end, pitches: [...event.pitches] });
+    });
+    const segments = [];
+    let time = 0;
+    merged.forEach(event => {
+        if (event.start > time) {
+            segments.push({ start: time, end: event.start, pitches: [] });
+        }
+        segments.push(event);
+        time = event.end;
+    });
+    if (time < measureCount * measureLength) {
+        segments.push({ start: time, end: measureCount * measureLength, pitches: [] });
+    }
+    const measures = Array.from({ length: measureCount }, () => []);
+    segments.forEach(segment => {
+        let position = segment.start;
+        while (position < segment.end) {
+            const index = Math.floor(position / measureLength);
+            const barEnd = Math.min(segment.end, (index + 1) * measureLength);
+            const [duration, type, dots] = NOTE_VALUES.find(([value]) => value <= barEnd - position);
+            const sounding = segment.pitches.length > 0;
+            measures[index].push({
+                pitches: segment.pitches,
+                duration,
+                type,
+                dots,
+                tieStart: sounding && position + duration < segment.end,
+                tieStop: sounding && position > segment.start
+            });
+            position += duration;
+        }
+    });
+    // A bar of silence is written as a single whole-measure rest
+    return measures.map(measure => measure.every(note => note.pitches.length === 0)
+        ? [{ pitches: [], duration: measureLength, type: null, dots: 0, measureRest: true, tieStart: false, tieStop: false }]
+        : measure);
+}
+// Major key on a pitch class; the composition engine names keys with sharps,
+// so the tonic is spelled as in its signature instead
+function majorKey(pitchClass) {
+    const fifths = MAJOR_FIFTHS[pitchClass];
+    const spelling = buildSpelling(fifths, []);
+    const { step, alter } = spelling[pitchClass];
+    return { tonic: step + (alter > 0 ? '#' : alter < 0 ? 'b' : ''), mode: 'ionian', fifths, spelling };
+}
+function finishScore(title, tempo, timeSignature, keys, parts, marks) {
+    const [beats, beatType] = timeSignature.split('/').map(Number);
+    const measureLength = beats * 16 / beatType;
+    const end = Math.max(1, ...parts.flatMap(part => part.events.map(event => event.end)));
+    const measureCount = Math.ceil(end / measureLength);
+    const measureMarks = {};
+    marks.forEach(mark => {
+        const index = Math.floor(mark.tick / measureLength);
+        measureMarks[index] = [...(measureMarks[index] || []), mark.text];
+    });
+    const keyChanges = {};
+    keys.slice(1).forEach(change => {
+        keyChanges[Math.floor(change.tick / measureLength)] = change.key;
+    });
+    return {
+        title,
+        tempo,
+        beats,
+        beatType,
+        measureLength,
+        key: keys[0].key,
+        keyChanges,
+        parts: parts.map((part, index) => {
+            const pitches = part.events.flatMap(event => event.pitches);
+            const average = pitches.reduce((sum, pitch) => sum + pitch, 0) / pitches.length;
+            return {
+                id: `P${index + 1}`,
+                name: part.name,
+                // Parts that sit mostly below G3 read better in the bass clef
+                clef: average < 55 ? 'F' : 'G',
+                measures: layoutPart(part.events, measureLength, measureCount)
+            };
+        }),
+        marks: measureMarks
+    };
+}
+function melodicScore(session, options) {
+    const tempo = session.tempo || 120;
+    const toTicks = (seconds) => Math.round(seconds * tempo / 60 * exports.DIVISIONS);
+    const scale = session.scale && session.scale.length === 7 ? session.scale : ['C', 'D', 'E', 'F', 'G', 'A', 'B'];
+    const mode = scaleMode(scale);
+    const fifths = (0, midi_1.keySignature)(scale).accidentals;
+    // One part per role, and per voice in a duet
+    const groups = new Map();
+    session.phrases.forEach(phrase => {
+        const id = `${phrase.role}:${phrase.voice || 0}`;
+        const group = groups.get(id) || { role: phrase.role, voice: phrase.voice, planets: [], events: [] };
+        if (!group.planets.includes(phrase.planet)) {
+            group.planets.push(phrase.planet);
+        }
+        phrase.notes
+            .filter(note => isFinite(note.frequency) && isFinite(note.timestamp) && isFinite(note.duration))
+            .forEach(note => {
+            const start = toTicks(note.timestamp);
+            group.events.push({
+                start,
+                end: Math.max(start + 1, toTicks(note.timestamp + note.duration)),
+                pitches: [(0, midi_1.frequencyToMIDINote)(note.frequency)]
+            });
+        });
+        groups.set(id, group);
+    });
+    const roles = Object.keys(exports.ROLE_NAMES);
+    const parts = [...groups.values()]
+        .filter(group => group.events.length > 0)
+        .sort((a, b) => (a.voice || 0) - (b.voice || 0) || roles.indexOf(a.role) - roles.indexOf(b.role))
+        .map(group => ({
+        name: `${exports.ROLE_NAMES[group.role] || group.role}: ${group.planets.join(', ')}${group.voice ? ` (voice ${group.voice})` : ''}`,
+        events: group.events
+    }));
+    const key = { tonic: scale[0], mode, fifths, spelling: buildSpelling(fifths, scale) };
+    return finishScore(options.title || `Astradio ${session.chartId}`, tempo, session.timeSignature || '4/4', [{ tick: 0, key }], parts, []);
+}
+function enhancedScore(composition, options) {
+    const tempo = composition.tempo || 120;
+    const toTicks = (seconds) => Math.max(1, Math.round(seconds * tempo / 60 * exports.DIVISIONS));
+    const measureLength = 16;
+    const melody = [];
+    const harmony = [];
+    const marks = [];
+    const keys = [{ tick: 0, key: majorKey(0) }];
+    // Houses start in C and modulate by each transition's key change, which
+    // the note numbers (semitones above middle C) already include
+    let currentKey = 0;
+    let tick = 0;
+    composition.houses.forEach((house, index) => {
+        // Each house opens a new bar, marked with the transition that led into it
+        const previous = composition.houses[index - 1];
+        if (previous && previous.transition.keyChange) {
+            currentKey = (currentKey + previous.transition.keyChange) % 12;
+            keys.push({ tick, key: majorKey(currentKey) });
+        }
+        marks.push({ tick, text: previous ? `House ${house.houseNumber} (${previous.transition.type})` : `House ${house.houseNumber}` });
+        let time = tick;
+        house.melody.notes.forEach((note, noteIndex) => {
+            const length = toTicks(house.melody.rhythm[noteIndex] ?? 0.5);
+            melody.push({ start: time, end: time + length, pitches: [60 + note] });
+            time += length;
+        });
+        const houseEnd = Math.max(time, tick + toTicks(house.duration));
+        if (house.melody.harmony.length > 0) {
+            harmony.push({ start: tick, end: houseEnd, pitches: house.melody.harmony.map(note => 60 + note) });
+        }
+        tick = Math.ceil(houseEnd / measureLength) * measureLength;
+    });
+    const parts = [{ name: 'Melody', events: melody }, { name: 'Harmony', events: harmony }].filter(part => part.events.length > 0);
+    return finishScore(options.title || 'Astradio House Composition', tempo, '4/4', keys, parts, marks);
+}
+/**
+ * Quantized score of a melodic session or enhanced house composition.
+ * Timings in seconds are converted to beats at the composition tempo and
+ * rounded to sixteenth notes; pitches are spelled in the composition key.
+ */
+function buildScore(source, options = {}) {
+    return 'houses' in source ? enhancedScore(source, options) : melodicScore(source, options);
+}
+function escapeXML(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+/**
+ * MusicXML 4.0 partwise document of a score
+ */
+function toMusicXML(score) {
+    const lines = [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+        '<score-partwise version="4.0">',
+        `  <work><work-title>${escapeXML(score.title)}</work-title></work>`,
+        '  <identification><encoding><software>Astradio</software></encoding></identification>',
+        '  <part-list>',
+        ...score.parts.map(part => `    <score-part id="${part.id}"><part-name>${escapeXML(part.name)}</part-name></score-part>`),
+        '  </part-list>'
+    ];
+    const keyXML = (key) => `<key><fifths>${key.fifths}</fifths><mode>${key.mode}</mode></key>`;
+    score.parts.forEach((part, partIndex) => {
+        lines.push(`  <part id="${part.id}">`);
+        let key = score.key;
+        part.measures.forEach((measure, index) => {
+            lines.push(`    <measure number="${index + 1}">`);
+            if (score.keyChanges[index]) {
+                key = score.keyChanges[index];
+                lines.push(`      <attributes>${keyXML(key)}</attributes>`);
+            }
+            if (index === 0) {
+                lines.push('      <attributes>', `        <divisions>${exports.DIVISIONS}</divisions>`, `        ${keyXML(key)}`, `        <time><beats>${score.beats}</beats><beat-type>${score.beatType}</beat-type></time>`, `        <clef><sign>${part.clef}</sign><line>${part.clef === 'F' ? 4 : 2}</line></clef>`, '      </attributes>');
+                if (partIndex === 0) {
+                    lines.push(`      <direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${score.tempo}</per-minute></metronome></direction-type><sound tempo="${score.tempo}"/></direction>`);
+                }
+            }
+            if (partIndex === 0) {
+                (score.marks[index] || []).forEach(text => {
+                    lines.push(`      <direction placement="above"><direction-type><rehearsal>${escapeXML(text)}</rehearsal></direction-type></direction>`);
+                });
+            }
+            measure.forEach(note => {
+                if (note.measureRest) {
+                    lines.push(`      <note><rest measure="yes"/><duration>${note.duration}</duration><voice>1</voice></note>`);
+                    return;
+                }
+                const value = `<voice>1</voice><type>${note.type}</type>${'<dot/>'.repeat(note.dots)}`;
+                if (note.pitches.length === 0) {
+                    lines.push(`      <note><rest/><duration>${note.duration}</duration>${value}</note>`);
+                    return;
+                }
+                const ties = (note.tieStop ? '<tie type="stop"/>' : '') + (note.tieStart ? '<tie type="start"/>' : '');
+                const tied = (note.tieStop ? '<tied type="stop"/>' : '') + (note.tieStart ? '<tied type="start"/>' : '');
+                note.pitches.forEach((midiNote, chordIndex) => {
+                    const { step, alter, octave } = spellPitch(midiNote, key.spelling);
+                    const pitch = `<pitch><step>${step}</step>${alter ? `<alter>${alter}</alter>` : ''}<octave>${octave}</octave></pitch>`;
+                    lines.push(`      <note>${chordIndex > 0 ? '<chord/>' : ''}${pitch}<duration>${note.duration}</duration>${ties}${value}${tied ? `<notations>${tied}</notations>` : ''}</note>`);
+                });
+            });
+            lines.push('    </measure>');
+        });
+        lines.push('  </part>');
+    });
+    lines.push('</score-partwise>');
+    return lines.join('\n') + '\n';
+}
+// ABC pitch with octave marks and an accidental when the bar so far or the
+// key signature would otherwise sound a different note
+function abcPitch(midiNote, spelling, barAlters, keyAlters) {
+    const { step, alter, octave } = spellPitch(midiNote, spelling);
+    const id = `${step}${octave}`;
+    const current = barAlters[id] ?? keyAlters[step];
+    const accidental = alter === current ? '' : alter === 0 ? '=' : alter > 0 ? '^'.repeat(alter) : '_'.repeat(-alter);
+    barAlters[id] = alter;
+    const letter = octave >= 5 ? step.toLowerCase() + "'".repeat(octave - 5) : step + ','.repeat(Math.max(0, 4 - octave));
+    return accidental + letter;
+}
+/**
+ * ABC notation (2.1) of a score with one voice per part, in sixteenth-note
+ * units so every written value is a whole number
+ */
+function toABC(score) {
+    const keyField = (key) => `${key.tonic}${ABC_MODES[key.mode]}`;
+    const lines = [
+        'X:1',
+        `T:${score.title}`,
+        'C:Astradio',
+        `M:${score.beats}/${score.beatType}`,
+        'L:1/16',
+        `Q:1/4=${score.tempo}`,
+        `K:${keyField(score.key)}`
+    ];
+    score.parts.forEach((part, partIndex) => {
+        lines.push(`V:${part.id} name="${part.name.replace(/"/g, "'")}" clef=${part.clef === 'F' ? 'bass' : 'treble'}`);
+        let line = '';
+        let key = score.key;
+        let keyAlters = signatureAlters(key.fifths);
+        part.measures.forEach((measure, index) => {
+            const barAlters = {};
+            const marks = partIndex === 0 ? (score.marks[index] || []).map(text => `[P:${text}]`) : [];
+            if (score.keyChanges[index]) {
+                key = score.keyChanges[index];
+                keyAlters = signatureAlters(key.fifths);
+                marks.push(`[K:${keyField(key)}]`);
+            }
+            const notes = measure.map(note => {
+                const length = note.duration === 1 ? '' : String(note.duration);
+                if (note.pitches.length === 0) {
+                    return `z${length}`;
+                }
+                const pitches = note.pitches.map(midiNote => abcPitch(midiNote, key.spelling, barAlters, keyAlters));
+                const written = pitches.length > 1 ? `[${pitches.join('')}]` : pitches[0];
+                return `${written}${length}${note.tieStart ? '-' : ''}`;
+            });
+            line += `${[...marks, ...notes].join(' ')} |`;
+            // Four bars to a line
+            if ((index + 1) % 4 === 0 || index === part.measures.length - 1) {
+                lines.push(index === part.measures.length - 1 ? `${line}]` : line);
+                line = '';
+            }
+            else {
+                line += ' ';
+            }
+        });
+    });
+    return lines.join('\n') + '\n';
+}
@@ -0,0 +1,18 @@
+export interface OggPacket {
+    data: Buffer;
+    /** Codec-defined position at the end of the packet, e.g. samples decoded so far */
+    granule: number;
+    /** Close the page after this packet */
+    flush?: boolean;
+}
+/**
+ * Checksum of a page, computed with its CRC field zeroed
+ */
+export declare function oggCRC(page: Buffer): number;
+/**
+ * Logical Ogg bitstream of a codec's packets. Each packet's granule position
+ * is stamped on the page where it ends; `flush` closes the page after a
+ * packet, which codecs need after their headers. A packet that fills a page
+ * continues on the next one.
+ */
+export declare function writeOggStream(packets: OggPacket[], serial: number): Buffer;
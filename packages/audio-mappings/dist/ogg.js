@@ -0,0 +1,93 @@
+"use strict";
+// Ogg container
+// Lays codec packets out in Ogg pages with lacing, granule positions and CRCs
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.oggCRC = oggCRC;
+exports.writeOggStream = writeOggStream;
+// Ogg's CRC-32 is unreflected with polynomial 0x04c11db7, unlike the zip one
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n << 24;
+        for (let k = 0; k < 8; k++) {
+            c = c & 0x80000000 ? (c << 1) ^ 0x04c11db7 : c << 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+const FLAG_CONTINUED = 0x01;
+const FLAG_FIRST = 0x02;
+const FLAG_LAST = 0x04;
+const MAX_SEGMENTS = 255;
+// Pages are closed once they hold this much, as the reference encoders do
+const PAGE_TARGET = 4096;
+/**
+ * Checksum of a page, computed with its CRC field zeroed
+ */
+function oggCRC(page) {
+    let crc = 0;
+    for (let i = 0; i < page.length; i++) {
+        crc = ((crc << 8) ^ CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0;
+    }
+    return crc;
+}
+function page(segments, flags, granule, serial, sequence) {
+    const header = Buffer.alloc(27 + segments.length);
+    header.write('OggS', 0, 'ascii');
+    header[4] = 0; // stream structure version
+    header[5] = flags;
+    // A page on which no packet ends has granule position -1
+    header.writeBigInt64LE(BigInt(granule), 6);
+    header.writeUInt32LE(serial, 14);
+    header.writeUInt32LE(sequence, 18);
+    header[26] = segments.length;
+    segments.forEach((segment, index) => {
+        header[27 + index] = segment.length;
+    });
+    const data = Buffer.concat([header, ...segments]);
+    data.writeUInt32LE(oggCRC(data), 22);
+    return data;
+}
+/**
+ * Logical Ogg bitstream of a codec's packets. Each packet's granule position
+ * is stamped on the page where it ends; `flush` closes the page after a
+ * packet, which codecs need after their headers. A packet that fills a page
+ * continues on the next one.
+ */
+function writeOggStream(packets, serial) {
+    const pages = [];
+    let segments = [];
+    let size = 0;
+    let granule = -1;
+    let continued = false;
+    const closePage = (last) => {
+        const flags = (continued ? FLAG_CONTINUED : 0) | (pages.length === 0 ? FLAG_FIRST : 0) | (last ? FLAG_LAST : 0);
+        pages.push(page(segments, flags, granule, serial, pages.length));
+        segments = [];
+        size = 0;
+        granule = -1;
+    };
+    packets.forEach((packet, index) => {
+        // Lacing: 255-byte segments, ended by a shorter (possibly empty) one
+        for (let offset = 0; offset <= packet.data.length; offset += MAX_SEGMENTS) {
+            if (segments.length === MAX_SEGMENTS) {
+                closePage(false);
+                continued = offset > 0;
+            }
+            const segment = packet.data.subarray(offset, offset + MAX_SEGMENTS);
+            segments.push(segment);
+            size += segment.length;
+            if (segment.length < MAX_SEGMENTS) {
+                break;
+            }
+        }
+        granule = packet.granule;
+        const last = index === packets.length - 1;
+        if (last || packet.flush || size >= PAGE_TARGET) {
+            closePage(last);
+            continued = false;
+        }
+    });
+    return Buffer.concat(pages);
+}
@@ -0,0 +1,20 @@
+import { RenderedAudio } from './renderer';
+import { AudioTags } from './tags';
+export declare const OPUS_SAMPLE_RATE = 48000;
+export declare const OPUS_QUALITY: Record<'low' | 'medium' | 'high', number>;
+/** Samples of encoder lookahead at 48 kHz that players drop from the start */
+export declare const OPUS_PRE_SKIP = 312;
+export interface OpusOptions {
+    /** Bitrate in kbit/s, 6 to 510 */
+    bitrate?: number;
+    tags?: AudioTags;
+    /** Ogg stream serial number */
+    serial?: number;
+}
+/**
+ * Ogg Opus file of rendered stereo audio at a `bitrate` in kbit/s, 96 by
+ * default, tagged with Vorbis comments. The last page's granule position
+ * trims the padding of the final frame, so decoders return exactly the
+ * input's length.
+ */
+export declare function encodeOpus(audio: RenderedAudio, options?: OpusOptions): Buffer;
@@ -0,0 +1,93 @@
+"use strict";
+// Ogg Opus encoder
+// libopus (through its WebAssembly build) codes 20 ms frames at 48 kHz; the
+// headers and Ogg framing of RFC 7845 are written here
+var __importDefault = (this && this.__importDefault) || function (mod) {
+    return (mod && mod.__esModule) ? mod : { "default": mod };
+};
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.OPUS_PRE_SKIP = exports.OPUS_QUALITY = exports.OPUS_SAMPLE_RATE = void 0;
+exports.encodeOpus = encodeOpus;
+const opusscript_1 = __importDefault(require("opusscript"));
+const ogg_1 = require("./ogg");
+const tags_1 = require("./tags");
+const time_stretch_1 = require("./time-stretch");
+// Opus always decodes at 48 kHz; other rates are resampled before encoding
+exports.OPUS_SAMPLE_RATE = 48000;
+// Bitrate in kbit/s for each export quality
+exports.OPUS_QUALITY = {
+    low: 64,
+    medium: 96,
+    high: 160
+};
+// Samples of encoder lookahead at 48 kHz that players drop from the start
+exports.OPUS_PRE_SKIP = 312;
+const FRAME_SIZE = 960;
+const CHANNELS = 2;
+// Bitrates libopus accepts, in kbit/s
+const MIN_BITRATE = 6;
+const MAX_BITRATE = 510;
+// 'Astr'
+const DEFAULT_SERIAL = 0x41737472;
+function identificationHeader(inputSampleRate) {
+    const header = Buffer.alloc(19);
+    header.write('OpusHead', 0, 'latin1');
+    header.writeUInt8(1, 8); // version
+    header.writeUInt8(CHANNELS, 9);
+    header.writeUInt16LE(exports.OPUS_PRE_SKIP, 10);
+    header.writeUInt32LE(inputSampleRate, 12);
+    header.writeInt16LE(0, 16); // output gain
+    header.writeUInt8(0, 18); // mapping family: mono or stereo
+    return header;
+}
+function commentHeader(tags) {
+    return Buffer.concat([Buffer.from('OpusTags', 'latin1'), (0, tags_1.vorbisComment)(tags)]);
+}
+/**
+ * Ogg Opus file of rendered stereo audio at a `bitrate` in kbit/s, 96 by
+ * default, tagged with Vorbis comments. The last page's granule position
+ * trims the padding of the final frame, so decoders return exactly the
+ * input's length.
+ */
+function encodeOpus(audio, options = {}) {
+    const bitrate = options.bitrate ?? exports.OPUS_QUALITY.medium;
+    if (!Number.isFinite(bitrate) || bitrate < MIN_BITRATE || bitrate > MAX_BITRATE) {
+        throw new Error(`Unsupported Opus bitrate: ${bitrate} kbit/s`);
+    }
+    let inputs = [audio.left, audio.right];
+    if (audio.sampleRate !== exports.OPUS_SAMPLE_RATE) {
+        const ratio = audio.sampleRate / exports.OPUS_SAMPLE_RATE;
+        inputs = inputs.map(input => (0, time_stretch_1.resample)(input, ratio, Math.floor(input.length / ratio)));
+    }
+    const length = inputs[0].length;
+    const total = exports.OPUS_PRE_SKIP + length;
+    // Pad so the lookahead's worth of input at the end is flushed out too
+    const frameCount = Math.ceil(total / FRAME_SIZE);
+    const encoder = new opusscript_1.default(exports.OPUS_SAMPLE_RATE, CHANNELS, opusscript_1.default.Application.AUDIO);
+    const packets = [];
+    try {
+        encoder.setBitrate(bitrate * 1000);
+        const pcm = Buffer.alloc(FRAME_SIZE * CHANNELS * 2);
+        for (let frame = 0; frame < frameCount; frame++) {
+            for (let i = 0; i < FRAME_SIZE; i++) {
+                const index = frame * FRAME_SIZE + i;
+                for (let ch = 0; ch < CHANNELS; ch++) {
+                    const sample = index < length ? inputs[ch][index] : 0;
+                    pcm.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample)) * 32767), (i * CHANNELS + ch) * 2);
+                }
+            }
+            packets.push({
+                data: encoder.encode(pcm, FRAME_SIZE),
+                granule: Math.min((frame + 1) * FRAME_SIZE, total)
+            });
+        }
+    }
+    finally {
+        encoder.delete();
+    }
+    return (0, ogg_1.writeOggStream)([
+        { data: identificationHeader(audio.sampleRate), granule: 0, flush: true },
+        { data: commentHeader(options.tags), granule: 0, flush: true },
+        ...packets
+    ], options.serial ?? DEFAULT_SERIAL);
+}
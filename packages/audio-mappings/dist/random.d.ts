@@ -0,0 +1,40 @@
+import { AstroChart } from '@astradio/types';
+export type Seed = number | string;
+export type RandomSource = () => number;
+export declare const MAX_SEED = 4294967295;
+/**
+ * FNV-1a hash of a string as an unsigned 32-bit integer, so string seeds such
+ * as a date map to a stable number
+ */
+export declare function hashString(value: string): number;
+/**
+ * Seed as an unsigned 32-bit integer. Strings are hashed, numbers truncated.
+ */
+export declare function normalizeSeed(seed: Seed): number;
+/**
+ * Fresh seed for a composition that was not given one
+ */
+export declare function randomSeed(): number;
+/**
+ * The given seed normalized, or a fresh one when it is missing
+ */
+export declare function resolveSeed(seed?: Seed | null): number;
+/**
+ * Independent seed for a part of a composition, e.g. the second voice of a duet
+ */
+export declare function deriveSeed(seed: Seed, stream: string | number): number;
+/**
+ * Mulberry32 generator: a drop-in for Math.random returning values in [0, 1)
+ * that repeat exactly for the same seed
+ */
+export declare function createRandom(seed: Seed): RandomSource;
+/**
+ * Hash of a chart's positions and birth moment in hex
+ */
+export declare function chartHash(chartData: AstroChart): string;
+/**
+ * Session id from the charts and seed a session was generated from, e.g.
+ * `melodic_1a2b3c4d_42`. The same charts and seed always give the same id and
+ * sessions of different charts never share one.
+ */
+export declare function sessionId(kind: string, charts: AstroChart[], seed: Seed): string;
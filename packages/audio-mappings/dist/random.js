@@ -0,0 +1,81 @@
+"use strict";
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.MAX_SEED = void 0;
+exports.hashString = hashString;
+exports.normalizeSeed = normalizeSeed;
+exports.randomSeed = randomSeed;
+exports.resolveSeed = resolveSeed;
+exports.deriveSeed = deriveSeed;
+exports.createRandom = createRandom;
+exports.chartHash = chartHash;
+exports.sessionId = sessionId;
+// Seeds are unsigned 32-bit integers so they survive a JSON round trip unchanged
+exports.MAX_SEED = 0xffffffff;
+/**
+ * FNV-1a hash of a string as an unsigned 32-bit integer, so string seeds such
+ * as a date map to a stable number
+ */
+function hashString(value) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < value.length; i++) {
+        hash ^= value.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+/**
+ * Seed as an unsigned 32-bit integer. Strings are hashed, numbers truncated.
+ */
+function normalizeSeed(seed) {
+    return typeof seed === 'string' ? hashString(seed) : Math.trunc(seed) >>> 0;
+}
+/**
+ * Fresh seed for a composition that was not given one
+ */
+function randomSeed() {
+    return Math.floor(Math.random() * (exports.MAX_SEED + 1));
+}
+/**
+ * The given seed normalized, or a fresh one when it is missing
+ */
+function resolveSeed(seed) {
+    return seed === undefined || seed === null ? randomSeed() : normalizeSeed(seed);
+}
+/**
+ * Independent seed for a part of a composition, e.g. the second voice of a duet
+ */
+function deriveSeed(seed, stream) {
+    return hashString(`${normalizeSeed(seed)}:${stream}`);
+}
+/**
+ * Mulberry32 generator: a drop-in for Math.random returning values in [0, 1)
+ * that repeat exactly for the same seed
+ */
+function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+/**
+ * Hash of a chart's positions and birth moment in hex
+ */
+function chartHash(chartData) {
+    const planets = Object.entries(chartData.planets || {})
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([name, planet]) => `${name}:${planet.longitude}`);
+    const ascendant = chartData.angles?.ascendant?.longitude ?? '';
+    return hashString(`${chartData.metadata?.birth_datetime}|${ascendant}|${planets.join(',')}`).toString(16).padStart(8, '0');
+}
+/**
+ * Session id from the charts and seed a session was generated from, e.g.
+ * `melodic_1a2b3c4d_42`. The same charts and seed always give the same id and
+ * sessions of different charts never share one.
+ */
+function sessionId(kind, charts, seed) {
+    return `${kind}_${charts.map(chartHash).join('_')}_${normalizeSeed(seed)}`;
+}
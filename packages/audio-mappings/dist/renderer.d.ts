@@ -0,0 +1,121 @@
+import { MelodicAudioSession } from './melodic-generator';
+import { MasteringReport } from './mastering';
+import { SoundFont, SamplerInstrument } from './soundfont';
+import { EffectsGraph } from './effects';
+/** 'sample' marks a voice played from a SoundFont */
+export type Waveform = 'sine' | 'triangle' | 'sawtooth' | 'square' | 'noise' | 'sample';
+export interface VoicePreset {
+    waveform: Waveform;
+    /** Envelope times in seconds */
+    attack: number;
+    decay: number;
+    /** Sustain level 0-1 */
+    sustain: number;
+    release: number;
+    /** Level of a full-velocity note */
+    gain: number;
+}
+export type VoiceName = 'lead' | 'bowed' | 'wind' | 'brass' | 'keys' | 'pluck' | 'bell' | 'pad' | 'drone' | 'bass' | 'percussion';
+export interface RenderOptions {
+    sampleRate?: number;
+    /** Start of the rendered window in seconds */
+    start?: number;
+    /** Length of the rendered window in seconds, the whole session by default */
+    duration?: number;
+    /** Notes that may sound at once before the oldest is cut short */
+    maxPolyphony?: number;
+    /** Seconds rendered after the last note for releases and reverb */
+    tail?: number;
+    /** Seconds faded out at the end, e.g. for previews */
+    fadeOut?: number;
+    masterGain?: number;
+    /** Limiter ceiling as linear amplitude, -1 dBFS by default */
+    ceiling?: number;
+    /** False leaves the output unlimited, e.g. for stems that should sum to the mix */
+    limiter?: boolean;
+    /** SF2 file, or a parsed one, to play named instruments from */
+    soundFont?: string | SoundFont;
+    /** Instrument names mapped to SoundFont presets over the genre and General MIDI defaults; null synthesizes the name */
+    instruments?: Record<string, SamplerInstrument | null>;
+    /**
+     * Per-planet send buses and an insert chain on the mix, before the master gain
+     * and limiter. Replaces the built-in reverb send, so reverb comes only from the graph.
+     */
+    effects?: EffectsGraph;
+}
+export interface RenderedAudio {
+    sampleRate: number;
+    channels: 2;
+    /** Samples per channel */
+    length: number;
+    duration: number;
+    left: Float32Array;
+    right: Float32Array;
+    peak: number;
+    /** Deepest limiter gain reduction in dB, 0 when the limiter never engaged */
+    gainReduction: number;
+    /** Notes that sounded in the rendered window */
+    notes: number;
+    /** Notes played from the SoundFont rather than the oscillators */
+    sampledNotes: number;
+    /** Notes cut short by the polyphony limit */
+    stolenVoices: number;
+    /** Loudness before and after mastering, on mastered audio */
+    mastering?: MasteringReport;
+}
+export interface StemsRender {
+    /** Sum of the stems, limited when `limiter` is on */
+    mix: RenderedAudio;
+    /** One unlimited render per phrase, in phrase order */
+    stems: RenderedAudio[];
+}
+export interface WAVOptions {
+    /** Add triangular dither when converting to 16 bits */
+    dither?: boolean;
+}
+export declare const VOICE_PRESETS: Record<VoiceName, VoicePreset>;
+export declare const INSTRUMENT_VOICES: Record<string, VoiceName>;
+export declare const PLANET_PAN: Record<string, number>;
+export declare class OfflineRenderer {
+    /**
+     * Render a melodic session to stereo Float32 audio. Note timestamps and
+     * durations are in seconds, as in the exports. `start` and `duration`
+     * render a window of the session; by default all of it plus a tail for
+     * releases and reverb.
+     */
+    render(session: MelodicAudioSession, options?: RenderOptions): RenderedAudio;
+    /**
+     * Render the mix of a session together with one stem per phrase. Every note
+     * is rendered once, from one noise stream, into its phrase's stem and the
+     * stems are summed into the mix, so before the mix's limiter they add up to
+     * it exactly. Reverb and the effects graph run on each stem; nonlinear
+     * insert effects such as distortion therefore act per stem. Stems are never
+     * limited; `limiter` applies to the mix only.
+     */
+    renderStems(session: MelodicAudioSession, options?: RenderOptions): StemsRender;
+    /**
+     * Left and right channels interleaved into one buffer
+     */
+    interleave(audio: RenderedAudio): Float32Array;
+    /**
+     * 16-bit stereo PCM WAV file of rendered audio, dithered with `dither`
+     */
+    toWAV(audio: RenderedAudio, options?: WAVOptions): Buffer;
+    private resolveSettings;
+    private renderVoices;
+    private rendered;
+    private scheduleNotes;
+    private resolveVoice;
+    private resolveSampler;
+    private renderNote;
+    private playSamples;
+    private oscillate;
+    private envelope;
+    private onePole;
+    private mix;
+    private applyReverb;
+    private applyEffects;
+    private limit;
+    private fadeOut;
+}
+export declare const offlineRenderer: OfflineRenderer;
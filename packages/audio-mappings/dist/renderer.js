@@ -0,0 +1,573 @@
+"use strict";
+// Offline renderer for Node.js
+// Turns a melodic session into stereo PCM without Tone.js or an audio context
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.offlineRenderer = exports.OfflineRenderer = exports.PLANET_PAN = exports.INSTRUMENT_VOICES = exports.VOICE_PRESETS = void 0;
+const random_1 = require("./random");
+const mastering_1 = require("./mastering");
+const soundfont_1 = require("./soundfont");
+const effects_1 = require("./effects");
+// Oscillator, ADSR envelope (seconds, sustain level 0-1) and level of each kind
+// of voice. A sustain of 0 lets the note ring out through its decay.
+exports.VOICE_PRESETS = {
+    lead: { waveform: 'sawtooth', attack: 0.01, decay: 0.15, sustain: 0.6, release: 0.2, gain: 0.3 },
+    bowed: { waveform: 'sawtooth', attack: 0.08, decay: 0.2, sustain: 0.8, release: 0.3, gain: 0.25 },
+    wind: { waveform: 'triangle', attack: 0.05, decay: 0.1, sustain: 0.85, release: 0.15, gain: 0.45 },
+    brass: { waveform: 'square', attack: 0.04, decay: 0.2, sustain: 0.7, release: 0.2, gain: 0.25 },
+    keys: { waveform: 'triangle', attack: 0.005, decay: 0.6, sustain: 0.3, release: 0.3, gain: 0.45 },
+    pluck: { waveform: 'triangle', attack: 0.002, decay: 0.4, sustain: 0, release: 0.15, gain: 0.5 },
+    bell: { waveform: 'sine', attack: 0.001, decay: 1.2, sustain: 0, release: 0.8, gain: 0.45 },
+    pad: { waveform: 'triangle', attack: 0.4, decay: 0.5, sustain: 0.8, release: 1.0, gain: 0.35 },
+    drone: { waveform: 'sine', attack: 1.0, decay: 0.5, sustain: 0.9, release: 1.5, gain: 0.4 },
+    bass: { waveform: 'square', attack: 0.005, decay: 0.2, sustain: 0.7, release: 0.1, gain: 0.35 },
+    percussion: { waveform: 'noise', attack: 0.001, decay: 0.12, sustain: 0, release: 0.05, gain: 0.4 }
+};
+// Voice for each instrument name used by the genre mappings. Waveform names
+// play as a lead with that oscillator; anything else falls back to the lead.
+exports.INSTRUMENT_VOICES = {
+    violin: 'bowed', viola: 'bowed', cello: 'bowed', strings: 'bowed',
+    flute: 'wind', oboe: 'wind', clarinet: 'wind', piccolo: 'wind', woodwinds: 'wind', saxophone: 'wind',
+    trumpet: 'brass', trombone: 'brass', french_horn: 'brass', brass: 'brass',
+    piano: 'keys', vibraphone: 'keys',
+    guitar: 'pluck', harp: 'pluck',
+    bell: 'bell', chime: 'bell',
+    pad: 'pad', chord: 'pad', filter: 'pad', delay: 'pad', reverb: 'pad',
+    drone: 'drone',
+    bass: 'bass', double_bass: 'bass', tuba: 'bass', bassoon: 'bass',
+    drums: 'percussion', kick: 'percussion', snare: 'percussion', hihat: 'percussion',
+    timpani: 'percussion', percussion: 'percussion'
+};
+// Stereo position of each planet from -1 (left) to 1 (right). The luminaries
+// and the slow bass planets stay near the centre, the outer planets spread wide.
+exports.PLANET_PAN = {
+    Sun: 0, Moon: -0.2, Mercury: 0.3, Venus: -0.3, Mars: 0.45,
+    Jupiter: -0.15, Saturn: 0.15, Uranus: 0.7, Neptune: -0.7, Pluto: -0.45
+};
+const WAVEFORMS = ['sine', 'triangle', 'sawtooth', 'square', 'noise'];
+// Fade given to a note whose voice is taken by a newer one, short enough not to smear
+const STEAL_FADE = 0.01;
+// Level of a full-velocity sampled note; recordings are near full scale
+const SAMPLER_GAIN = 0.5;
+const DEFAULT_OPTIONS = {
+    sampleRate: 44100,
+    start: 0,
+    maxPolyphony: 32,
+    tail: 2,
+    fadeOut: 0,
+    masterGain: 0.8,
+    // -1 dBFS
+    ceiling: 0.891,
+    limiter: true
+};
+// Band-limiting correction for the discontinuities of sawtooth and square waves
+function polyBlep(t, dt) {
+    if (t < dt) {
+        const x = t / dt;
+        return x + x - x * x - 1;
+    }
+    if (t > 1 - dt) {
+        const x = (t - 1) / dt;
+        return x * x + x + x + 1;
+    }
+    return 0;
+}
+class OfflineRenderer {
+    /**
+     * Render a melodic session to stereo Float32 audio. Note timestamps and
+     * durations are in seconds, as in the exports. `start` and `duration`
+     * render a window of the session; by default all of it plus a tail for
+     * releases and reverb.
+     */
+    render(session, options) {
+        const settings = this.resolveSettings(options);
+        const { sampleRate } = settings;
+        const pass = this.renderVoices(session, settings, () => 0, 1);
+        const [{ left, right }] = pass.groups;
+        const length = left.length;
+        for (let i = 0; i < length; i++) {
+            left[i] *= settings.masterGain;
+            right[i] *= settings.masterGain;
+        }
+        const gainReduction = settings.limiter ? this.limit(left, right, sampleRate, settings.ceiling) : 0;
+        if (settings.fadeOut > 0) {
+            this.fadeOut(left, right, Math.min(length, Math.round(settings.fadeOut * sampleRate)));
+        }
+        return this.rendered(left, right, sampleRate, gainReduction, pass.counts[0]);
+    }
+    /**
+     * Render the mix of a session together with one stem per phrase. Every note
+     * is rendered once, from one noise stream, into its phrase's stem and the
+     * stems are summed into the mix, so before the mix's limiter they add up to
+     * it exactly. Reverb and the effects graph run on each stem; nonlinear
+     * insert effects such as distortion therefore act per stem. Stems are never
+     * limited; `limiter` applies to the mix only.
+     */
+    renderStems(session, options) {
+        const settings = this.resolveSettings(options);
+        const { sampleRate } = settings;
+        const pass = this.renderVoices(session, settings, event => event.phrase, session.phrases.length);
+        const length = pass.length;
+        const left = new Float32Array(length);
+        const right = new Float32Array(length);
+        const fade = Math.min(length, Math.round(settings.fadeOut * sampleRate));
+        const stems = pass.groups.map((group, index) => {
+            for (let i = 0; i < length; i++) {
+                group.left[i] *= settings.masterGain;
+                group.right[i] *= settings.masterGain;
+                left[i] += group.left[i];
+                right[i] += group.right[i];
+            }
+            if (fade > 0) {
+                this.fadeOut(group.left, group.right, fade);
+            }
+            return this.rendered(group.left, group.right, sampleRate, 0, pass.counts[index]);
+        });
+        const gainReduction = settings.limiter ? this.limit(left, right, sampleRate, settings.ceiling) : 0;
+        if (fade > 0) {
+            this.fadeOut(left, right, fade);
+        }
+        const total = pass.counts.reduce((sum, counts) => ({
+            notes: sum.notes + counts.notes,
+            sampled: sum.sampled + counts.sampled,
+            stolen: sum.stolen + counts.stolen
+        }), { notes: 0, sampled: 0, stolen: 0 });
+        return { mix: this.rendered(left, right, sampleRate, gainReduction, total), stems };
+    }
+    /**
+     * Left and right channels interleaved into one buffer
+     */
+    interleave(audio) {
+        const samples = new Float32Array(audio.length * 2);
+        for (let i = 0; i < audio.length; i++) {
+            samples[i * 2] = audio.left[i];
+            samples[i * 2 + 1] = audio.right[i];
+        }
+        return samples;
+    }
+    /**
+     * 16-bit stereo PCM WAV file of rendered audio, dithered with `dither`
+     */
+    toWAV(audio, options) {
+        const left = (0, mastering_1.toInt16)(audio.left, { dither: options?.dither, seed: 1 });
+        const right = (0, mastering_1.toInt16)(audio.right, { dither: options?.dither, seed: 2 });
+        const dataLength = audio.length * 4;
+        const buffer = Buffer.alloc(44 + dataLength);
+        buffer.write('RIFF', 0);
+        buffer.writeUInt32LE(36 + dataLength, 4);
+        buffer.write('WAVE', 8);
+        buffer.write('fmt ', 12);
+        buffer.writeUInt32LE(16, 16); // fmt chunk size
+        buffer.writeUInt16LE(1, 20); // PCM format
+        buffer.writeUInt16LE(2, 22); // stereo
+        buffer.writeUInt32LE(audio.sampleRate, 24);
+        buffer.writeUInt32LE(audio.sampleRate * 4, 28); // byte rate
+        buffer.writeUInt16LE(4, 32); // block align
+        buffer.writeUInt16LE(16, 34); // bits per sample
+        buffer.write('data', 36);
+        buffer.writeUInt32LE(dataLength, 40);
+        for (let i = 0; i < audio.length; i++) {
+            buffer.writeInt16LE(left[i], 44 + i * 4);
+            buffer.writeInt16LE(right[i], 46 + i * 4);
+        }
+        return buffer;
+    }
+    // Defaults with the given options over them; options passed through as
+    // undefined keep their defaults
+    resolveSettings(options) {
+        const settings = { ...DEFAULT_OPTIONS };
+        Object.entries(options || {}).forEach(([key, value]) => {
+            if (value !== undefined) {
+                settings[key] = value;
+            }
+        });
+        if (settings.effects) {
+            (0, effects_1.validateEffectsGraph)(settings.effects);
+        }
+        return settings;
+    }
+    // Every note rendered once and mixed, with its echoes, reverb send and
+    // effects graph sends, into the buffers of its group; `groupOf` picks the
+    // group of a note. Reverb and the effects graph are applied per group.
+    renderVoices(session, settings, groupOf, groupCount) {
+        const { sampleRate } = settings;
+        // Noise voices draw from the session seed so a render repeats exactly
+        const random = (0, random_1.createRandom)(session.configuration?.seed ?? 0);
+        // Named instruments play from the SoundFont when one is given
+        const sampling = settings.soundFont ? {
+            soundFont: typeof settings.soundFont === 'string' ? (0, soundfont_1.loadSoundFont)(settings.soundFont) : settings.soundFont,
+            genre: session.configuration?.genre,
+            instruments: settings.instruments
+        } : null;
+        const events = this.scheduleNotes(session, settings.maxPolyphony, sampling);
+        const end = events.reduce((latest, event) => Math.max(latest, event.start + event.held + event.voice.release), 0);
+        const duration = settings.duration ?? Math.max(0, end - settings.start + settings.tail);
+        const length = Math.ceil(duration * sampleRate);
+        // An effects graph replaces the built-in reverb send rather than adding a second reverb
+        const reverb = !settings.effects;
+        const groups = Array.from({ length: groupCount }, () => ({
+            left: new Float32Array(length),
+            right: new Float32Array(length),
+            sendLeft: new Float32Array(reverb ? length : 0),
+            sendRight: new Float32Array(reverb ? length : 0),
+            // Effects graph buses, fed by each planet at its own level
+            buses: (settings.effects?.sends || []).map(send => ({
+                send,
+                left: new Float32Array(length),
+                right: new Float32Array(length)
+            }))
+        }));
+        const counts = groups.map(() => ({ notes: 0, sampled: 0, stolen: 0 }));
+        const offset = Math.round(settings.start * sampleRate);
+        // Notes tagged with delay echo a dotted eighth apart at the session tempo
+        const echo = Math.round(0.75 * 60 / (session.tempo || 120) * sampleRate);
+        events.forEach(event => {
+            const first = Math.round(event.start * sampleRate) - offset;
+            // Rendered even outside the window so the noise stream stays in step
+            const samples = this.renderNote(event, sampleRate, random);
+            const index = groupOf(event);
+            if (event.stolen) {
+                counts[index].stolen++;
+            }
+            if (first + samples.length <= 0 || first >= length) {
+                return;
+            }
+            const group = groups[index];
+            counts[index].notes++;
+            if (event.sampler) {
+                counts[index].sampled++;
+            }
+            const taps = event.effects.includes('delay') ? 4 : 1;
+            for (let tap = 0; tap < taps; tap++) {
+                // Echoes bounce between the sides
+                const pan = tap % 2 === 0 ? event.pan : -event.pan;
+                const gain = Math.pow(0.45, tap);
+                const at = first + tap * echo;
+                this.mix(samples, at, pan, gain, group.left, group.right);
+                if (reverb) {
+                    this.mix(samples, at, pan, gain * event.reverbSend, group.sendLeft, group.sendRight);
+                }
+                group.buses.forEach(bus => {
+                    const level = bus.send.levels?.[event.planet] ?? bus.send.level ?? 0;
+                    if (level > 0) {
+                        this.mix(samples, at, pan, gain * level, bus.left, bus.right);
+                    }
+                });
+            }
+        });
+        groups.forEach(group => {
+            if (reverb) {
+                this.applyReverb(group.sendLeft, group.sendRight, group.left, group.right, sampleRate);
+            }
+            this.applyEffects(settings.effects, group.buses, group.left, group.right, sampleRate);
+        });
+        return { groups, counts, length };
+    }
+    rendered(left, right, sampleRate, gainReduction, counts) {
+        let peak = 0;
+        for (let i = 0; i < left.length; i++) {
+            peak = Math.max(peak, Math.abs(left[i]), Math.abs(right[i]));
+        }
+        return {
+            sampleRate,
+            channels: 2,
+            length: left.length,
+            duration: left.length / sampleRate,
+            left,
+            right,
+            peak,
+            gainReduction,
+            notes: counts.notes,
+            sampledNotes: counts.sampled,
+            stolenVoices: counts.stolen
+        };
+    }
+    // Notes in start order with their voice, pan and how long they are held.
+    // Past the polyphony limit the oldest sounding note is cut short.
+    scheduleNotes(session, maxPolyphony, sampling) {
+        const events = session.phrases.flatMap((phrase, index) => {
+            const pan = exports.PLANET_PAN[phrase.planet] ?? 0;
+            // Notes without a playable pitch or length are left out rather than filling the mix with NaN
+            const playable = phrase.notes.filter(note => isFinite(note.frequency) && isFinite(note.timestamp) && isFinite(note.duration));
+            return playable.map(note => {
+                const effects = note.effects || [];
+                const sampler = this.resolveSampler(note, sampling);
+                return {
+                    note,
+                    voice: sampler ? sampler.voice : this.resolveVoice(note.instrument),
+                    sampler,
+                    start: note.timestamp,
+                    held: Math.max(0, note.duration),
+                    // The second chart of a duet mirrors the first across the stereo field
+                    pan: phrase.voice === 2 ? -pan : pan,
+                    planet: phrase.planet,
+                    phrase: index,
+                    effects,
+                    reverbSend: effects.includes('long_reverb') ? 0.6
+                        : effects.some(effect => effect === 'reverb' || effect === 'shimmer') ? 0.35 : 0.08,
+                    stolen: false
+                };
+            });
+        });
+        events.sort((a, b) => a.start - b.start);
+        let active = [];
+        events.forEach(event => {
+            active = active.filter(other => other.start + other.held + other.voice.release > event.start);
+            if (active.length >= maxPolyphony) {
+                const oldest = active.shift();
+                oldest.held = Math.max(0, event.start - oldest.start);
+                oldest.voice = { ...oldest.voice, release: STEAL_FADE };
+                oldest.stolen = true;
+            }
+            active.push(event);
+        });
+        return events;
+    }
+    resolveVoice(instrument) {
+        const preset = exports.INSTRUMENT_VOICES[instrument];
+        if (preset) {
+            return exports.VOICE_PRESETS[preset];
+        }
+        if (WAVEFORMS.includes(instrument)) {
+            return { ...exports.VOICE_PRESETS.lead, waveform: instrument };
+        }
+        return exports.VOICE_PRESETS.lead;
+    }
+    // Sample zones and envelope of a note whose instrument the SoundFont has,
+    // or null to synthesize it
+    resolveSampler(note, sampling) {
+        if (!sampling) {
+            return null;
+        }
+        const instrument = (0, soundfont_1.resolveSamplerInstrument)(note.instrument, sampling.genre, sampling.instruments);
+        const preset = instrument && (0, soundfont_1.findPreset)(sampling.soundFont, instrument.bank ?? 0, instrument.program);
+        if (!preset) {
+            return null;
+        }
+        // Drums play their key of the kit whatever the note's pitch
+        const key = instrument.key ?? 69 + 12 * Math.log2(note.frequency / 440);
+        const velocity = Math.max(1, Math.min(127, Math.round(note.velocity * 127)));
+        const zones = (0, soundfont_1.findZones)(preset, Math.max(0, Math.min(127, Math.round(key))), velocity);
+        if (zones.length === 0) {
+            return null;
+        }
+        const [zone] = zones;
+        return {
+            data: sampling.soundFont.data,
+            key,
+            zones,
+            voice: {
+                waveform: 'sample',
+                attack: zone.attack,
+                decay: zone.decay,
+                sustain: zone.sustain,
+                release: Math.max(STEAL_FADE, zone.release),
+                gain: SAMPLER_GAIN
+            }
+        };
+    }
+    // Mono samples of one note: oscillator or sampler, envelope and the per-note effects
+    renderNote(event, sampleRate, random) {
+        const { note, voice, held, effects, sampler } = event;
+        const length = Math.ceil((held + voice.release) * sampleRate);
+        const samples = new Float32Array(length);
+        const amplitude = voice.gain * note.velocity;
+        // Chorus adds a second oscillator a few cents sharp
+        const detunes = effects.includes('chorus') ? [1, Math.pow(2, 8 / 1200)] : [1];
+        const phases = detunes.map(() => 0);
+        const source = sampler ? this.playSamples(sampler, detunes, held, length, sampleRate) : null;
+        const releaseLevel = this.envelope(voice, held, held);
+        for (let i = 0; i < length; i++) {
+            const t = i / sampleRate;
+            const level = t < held
+                ? this.envelope(voice, t, held)
+                : releaseLevel * Math.max(0, 1 - (t - held) / voice.release);
+            let sample = 0;
+            if (source) {
+                sample = source[i];
+            }
+            else {
+                detunes.forEach((detune, index) => {
+                    const dt = note.frequency * detune / sampleRate;
+                    sample += this.oscillate(voice.waveform, phases[index], dt, random);
+                    phases[index] = (phases[index] + dt) % 1;
+                });
+                sample /= detunes.length;
+            }
+            samples[i] = sample * level * amplitude;
+        }
+        if (amplitude > 0 && (effects.includes('drive') || effects.includes('distortion'))) {
+            const drive = effects.includes('distortion') ? 6 : 3;
+            const norm = Math.tanh(drive);
+            for (let i = 0; i < length; i++) {
+                samples[i] = Math.tanh(samples[i] * drive / amplitude) / norm * amplitude;
+            }
+        }
+        if (effects.some(effect => effect === 'lowpass' || effect === 'filter' || effect === 'lowpass_sweep')) {
+            // Darker phases of the Moon close the filter further
+            this.onePole(samples, 400 + 5600 * (note.brightness ?? 0.5), sampleRate, 'lowpass');
+        }
+        if (effects.includes('highpass')) {
+            this.onePole(samples, 300, sampleRate, 'highpass');
+        }
+        return samples;
+    }
+    // Zones of a sampled note resampled to the output rate with linear
+    // interpolation, looping while the note is held if the zone loops
+    playSamples(sampler, detunes, held, length, sampleRate) {
+        const { data } = sampler;
+        const output = new Float32Array(length);
+        const heldSamples = held * sampleRate;
+        sampler.zones.forEach(zone => detunes.forEach(detune => {
+            const step = Math.pow(2, ((sampler.key - zone.rootKey) * zone.scaleTuning + zone.tune) / 1200)
+                * detune * zone.sampleRate / sampleRate;
+            const loopLength = zone.loopEnd - zone.loopStart;
+            const gain = zone.gain / detunes.length / 32768;
+            let position = zone.start;
+            for (let i = 0; i < length; i++) {
+                const looping = loopLength > 0 && (zone.loopMode === 1 || (zone.loopMode === 3 && i < heldSamples));
+                while (looping && position >= zone.loopEnd) {
+                    position -= loopLength;
+                }
+                if (position >= zone.end - 1) {
+                    break;
+                }
+                const index = Math.floor(position);
+                const fraction = position - index;
+                output[i] += (data[index] + (data[index + 1] - data[index]) * fraction) * gain;
+                position += step;
+            }
+        }));
+        return output;
+    }
+    oscillate(waveform, phase, dt, random) {
+        switch (waveform) {
+            case 'sine':
+                return Math.sin(2 * Math.PI * phase);
+            case 'triangle':
+                return 1 - 4 * Math.abs(phase - 0.5);
+            case 'square':
+                return (phase < 0.5 ? 1 : -1) + polyBlep(phase, dt) - polyBlep((phase + 0.5) % 1, dt);
+            case 'noise':
+                return random() * 2 - 1;
+            default:
+                return 2 * phase - 1 - polyBlep(phase, dt);
+        }
+    }
+    // ADSR level at `t` seconds into a note held for `held` seconds
+    envelope(voice, t, held) {
+        if (t < voice.attack) {
+            return t / voice.attack;
+        }
+        if (t < voice.attack + voice.decay) {
+            return 1 - (1 - voice.sustain) * (t - voice.attack) / voice.decay;
+        }
+        return voice.sustain;
+    }
+    onePole(samples, cutoff, sampleRate, type) {
+        const coefficient = Math.exp(-2 * Math.PI * cutoff / sampleRate);
+        let state = 0;
+        for (let i = 0; i < samples.length; i++) {
+            state = (1 - coefficient) * samples[i] + coefficient * state;
+            samples[i] = type === 'lowpass' ? state : samples[i] - state;
+        }
+    }
+    // Constant-power pan of a mono note into a stereo pair of buffers
+    mix(samples, first, pan, gain, left, right) {
+        const angle = (pan + 1) * Math.PI / 4;
+        const leftGain = Math.cos(angle) * gain;
+        const rightGain = Math.sin(angle) * gain;
+        const from = Math.max(0, -first);
+        const to = Math.min(samples.length, left.length - first);
+        for (let i = from; i < to; i++) {
+            left[first + i] += samples[i] * leftGain;
+            right[first + i] += samples[i] * rightGain;
+        }
+    }
+    // Schroeder reverb on the send buses: parallel damped combs into series
+    // allpasses, with slightly longer delays on the right for width
+    applyReverb(sendLeft, sendRight, left, right, sampleRate) {
+        const scale = sampleRate / 44100;
+        [[sendLeft, left, 0], [sendRight, right, 23]].forEach(([send, out, spread]) => {
+            const wet = new Float32Array(send.length);
+            [1116, 1188, 1277, 1356].forEach(delay => {
+                const size = Math.round((delay + spread) * scale);
+                const line = new Float32Array(size);
+                let index = 0;
+                let damped = 0;
+                for (let i = 0; i < send.length; i++) {
+                    const delayed = line[index];
+                    damped = delayed * 0.8 + damped * 0.2;
+                    line[index] = send[i] + damped * 0.84;
+                    wet[i] += delayed * 0.25;
+                    index = (index + 1) % size;
+                }
+            });
+            [556, 441].forEach(delay => {
+                const size = Math.round((delay + spread) * scale);
+                const line = new Float32Array(size);
+                let index = 0;
+                for (let i = 0; i < wet.length; i++) {
+                    const delayed = line[index];
+                    line[index] = wet[i] + delayed * 0.5;
+                    wet[i] = delayed - wet[i];
+                    index = (index + 1) % size;
+                }
+            });
+            for (let i = 0; i < out.length; i++) {
+                out[i] += wet[i];
+            }
+        });
+    }
+    // Send buses of the effects graph processed and returned into the mix,
+    // then its insert chain over the whole mix
+    applyEffects(graph, buses, left, right, sampleRate) {
+        buses.forEach(bus => {
+            const nodes = bus.send.nodes.map(node => ({ ...node, mix: 1 }));
+            const [wetLeft, wetRight] = (0, effects_1.processEffects)([bus.left, bus.right], sampleRate, nodes);
+            for (let i = 0; i < left.length; i++) {
+                left[i] += wetLeft[i];
+                right[i] += wetRight[i];
+            }
+        });
+        if (graph?.chain?.length) {
+            const [chainLeft, chainRight] = (0, effects_1.processEffects)([left, right], sampleRate, graph.chain);
+            left.set(chainLeft);
+            right.set(chainRight);
+        }
+    }
+    // Look-ahead peak limiter holding both channels under the ceiling. Gain
+    // ramps down over 5 ms ahead of a peak and recovers over about 100 ms.
+    // Returns the deepest reduction in dB.
+    limit(left, right, sampleRate, ceiling) {
+        const length = left.length;
+        const gain = new Float32Array(length);
+        const lookahead = Math.max(1, Math.round(0.005 * sampleRate));
+        const releaseCoefficient = Math.exp(-1 / (0.1 * sampleRate));
+        let next = 1;
+        for (let i = length - 1; i >= 0; i--) {
+            const peak = Math.max(Math.abs(left[i]), Math.abs(right[i]));
+            const required = peak > ceiling ? ceiling / peak : 1;
+            next = Math.min(required, next + 1 / lookahead);
+            gain[i] = next;
+        }
+        let current = 1;
+        let minimum = 1;
+        for (let i = 0; i < length; i++) {
+            current = Math.min(gain[i], 1 - (1 - current) * releaseCoefficient);
+            minimum = Math.min(minimum, current);
+            left[i] = Math.max(-ceiling, Math.min(ceiling, left[i] * current));
+            right[i] = Math.max(-ceiling, Math.min(ceiling, right[i] * current));
+        }
+        return minimum < 1 ? 20 * Math.log10(minimum) : 0;
+    }
+    fadeOut(left, right, samples) {
+        const length = left.length;
+        for (let i = 0; i < samples; i++) {
+            const level = i / samples;
+            left[length - 1 - i] *= level;
+            right[length - 1 - i] *= level;
+        }
+    }
+}
+exports.OfflineRenderer = OfflineRenderer;
+exports.offlineRenderer = new OfflineRenderer();
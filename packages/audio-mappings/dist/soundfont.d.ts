@@ -0,0 +1,70 @@
+export declare const DRUM_BANK = 128;
+/** Preset a named instrument plays; `key` fixes the drum of a percussion kit */
+export interface SamplerInstrument {
+    /** Bank 0 unless given; DRUM_BANK for percussion */
+    bank?: number;
+    /** General MIDI program, 0-based */
+    program: number;
+    key?: number;
+}
+export declare const SAMPLER_INSTRUMENTS: Record<string, SamplerInstrument>;
+export declare const GENRE_SAMPLER_INSTRUMENTS: Record<string, Record<string, SamplerInstrument | null>>;
+/** One sample with the key and velocity ranges it plays, in the font's sample frames */
+export interface SampleZone {
+    keyRange: [number, number];
+    velocityRange: [number, number];
+    start: number;
+    end: number;
+    loopStart: number;
+    loopEnd: number;
+    /** 0 plays once, 1 loops, 3 loops until release then plays out */
+    loopMode: number;
+    sampleRate: number;
+    rootKey: number;
+    /** Cents added to the pitch, and cents per key away from the root */
+    tune: number;
+    scaleTuning: number;
+    /** Linear gain from the zone's attenuation */
+    gain: number;
+    /** Volume envelope times in seconds, sustain as linear level */
+    attack: number;
+    decay: number;
+    sustain: number;
+    release: number;
+}
+export interface SoundFontPreset {
+    name: string;
+    bank: number;
+    program: number;
+    zones: SampleZone[];
+}
+export interface SoundFont {
+    name: string;
+    /** All samples of the file; zones index into it */
+    data: Int16Array;
+    presets: SoundFontPreset[];
+}
+/**
+ * Parse an SF2 file: its presets, with each zone resolved to the sample it
+ * plays and the summed generators of its preset and instrument zones
+ */
+export declare function parseSoundFont(buffer: Buffer): SoundFont;
+/**
+ * SoundFont at a path, parsed once and kept for later renders
+ */
+export declare function loadSoundFont(path: string): SoundFont;
+/**
+ * Preset for a bank and program. Drum kits missing from the file fall back
+ * to the standard kit, program 0.
+ */
+export declare function findPreset(soundFont: SoundFont, bank: number, program: number): SoundFontPreset | undefined;
+/**
+ * Zones of a preset that sound for a MIDI key and velocity; layered and
+ * stereo presets have more than one
+ */
+export declare function findZones(preset: SoundFontPreset, key: number, velocity: number): SampleZone[];
+/**
+ * Sampler instrument for an instrument name: an explicit override first,
+ * then the genre's choice, then General MIDI. Null means use the oscillators.
+ */
+export declare function resolveSamplerInstrument(name: string, genre?: string, overrides?: Record<string, SamplerInstrument | null>): SamplerInstrument | null;
@@ -0,0 +1,284 @@
+"use strict";
+// SoundFont 2 loader
+// Reads presets, instruments and 16-bit samples from an SF2 file and finds the
+// sample zones that play a key, for the renderer's sampler voice
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.GENRE_SAMPLER_INSTRUMENTS = exports.SAMPLER_INSTRUMENTS = exports.DRUM_BANK = void 0;
+exports.parseSoundFont = parseSoundFont;
+exports.loadSoundFont = loadSoundFont;
+exports.findPreset = findPreset;
+exports.findZones = findZones;
+exports.resolveSamplerInstrument = resolveSamplerInstrument;
+const fs_1 = require("fs");
+// General MIDI percussion lives in bank 128, where each key is a different drum
+exports.DRUM_BANK = 128;
+const drum = (key, program = 0) => ({ bank: exports.DRUM_BANK, program, key });
+// General MIDI program (0-based) of each instrument name used by the genre
+// configurations and mappings. Drums play a fixed key of a drum kit.
+// Oscillator names such as 'sine' are not listed and stay synthesized.
+exports.SAMPLER_INSTRUMENTS = {
+    piano: { program: 0 }, vibraphone: { program: 11 }, bell: { program: 14 }, chime: { program: 112 },
+    organ: { program: 16 }, accordion: { program: 21 }, harmonica: { program: 22 },
+    guitar: { program: 24 }, acoustic_guitar: { program: 25 }, mandolin: { program: 25 },
+    electric_guitar: { program: 27 }, slide_guitar: { program: 26 },
+    upright_bass: { program: 32 }, bass: { program: 33 }, synth_bass: { program: 38 },
+    sub_bass: { program: 38 }, analog_bass: { program: 39 },
+    violin: { program: 40 }, viola: { program: 41 }, cello: { program: 42 }, double_bass: { program: 43 },
+    harp: { program: 46 }, kora: { program: 46 }, timpani: { program: 47 }, orchestral_percussion: { program: 47 },
+    strings: { program: 48 }, layered_vocals: { program: 52 },
+    trumpet: { program: 56 }, trombone: { program: 57 }, tuba: { program: 58 }, french_horn: { program: 60 },
+    brass: { program: 61 }, stabs: { program: 62 },
+    saxophone: { program: 65 }, oboe: { program: 68 }, duduk: { program: 69 }, bassoon: { program: 70 },
+    clarinet: { program: 71 }, woodwinds: { program: 71 }, piccolo: { program: 72 }, flute: { program: 73 },
+    pan_flutes: { program: 75 }, shakuhachi: { program: 77 }, ocarinas: { program: 79 },
+    analog_synths: { program: 81 }, fm_synths: { program: 81 }, arpeggios: { program: 81 },
+    retro_arpeggiators: { program: 81 }, acid_synth: { program: 87 }, acid_lines: { program: 87 },
+    pad: { program: 89 }, pads: { program: 89 }, chord: { program: 89 }, synth_pads: { program: 89 },
+    pad_synths: { program: 90 }, reverb_heavy_tones: { program: 88 }, drone: { program: 95 },
+    drones: { program: 95 }, atmospheric_sounds: { program: 99 }, textures: { program: 99 },
+    sitar: { program: 104 }, banjo: { program: 105 }, fiddle: { program: 110 },
+    field_recordings: { program: 122 },
+    kick: drum(36), kick_4_on_floor: drum(36), distorted_kicks: drum(36), kick_snare: drum(36),
+    drums: drum(36), drum_machines: drum(36), bodhran: drum(41),
+    snare: drum(38), brushed_drums: drum(38), gated_snares: drum(40), percussion: drum(38),
+    clap: drum(39), claps: drum(39), hihat: drum(42), hi_hats: drum(42), open_hats: drum(46),
+    metallic_percussion: drum(53), cowbells: drum(56), djembes: drum(63), tabla: drum(60),
+    shakers: drum(70), soft_percussion: drum(75)
+};
+// Genre overrides of the General MIDI choices; null keeps a name on the oscillators
+exports.GENRE_SAMPLER_INSTRUMENTS = {
+    classical: { bass: { program: 43 }, percussion: { program: 47 } },
+    jazz: { bass: { program: 32 }, guitar: { program: 26 }, drums: drum(38, 40), snare: drum(38, 40) },
+    electronic: { bass: { program: 38 }, pad: { program: 90 }, bell: { program: 98 } },
+    house: { bass: { program: 38 }, drums: drum(36, 25) },
+    techno: { bass: { program: 39 }, drums: drum(36, 25) },
+    synthwave: { bass: { program: 39 }, drums: drum(36, 25), gated_snares: drum(40, 25) },
+    ambient: { bell: { program: 14 }, pad: { program: 88 } }
+};
+// Generator operators used here (SF2 2.04 section 8.1.2)
+const GEN = {
+    startAddrsOffset: 0,
+    endAddrsOffset: 1,
+    startloopAddrsOffset: 2,
+    endloopAddrsOffset: 3,
+    startAddrsCoarseOffset: 4,
+    endAddrsCoarseOffset: 12,
+    attackVolEnv: 34,
+    decayVolEnv: 36,
+    sustainVolEnv: 37,
+    releaseVolEnv: 38,
+    instrument: 41,
+    keyRange: 43,
+    velRange: 44,
+    startloopAddrsCoarseOffset: 45,
+    initialAttenuation: 48,
+    endloopAddrsCoarseOffset: 50,
+    coarseTune: 51,
+    fineTune: 52,
+    sampleID: 53,
+    sampleModes: 54,
+    scaleTuning: 56,
+    overridingRootKey: 58
+};
+// Values of generators a zone leaves out; envelope times are in timecents
+const GEN_DEFAULTS = {
+    [GEN.attackVolEnv]: -12000,
+    [GEN.decayVolEnv]: -12000,
+    [GEN.releaseVolEnv]: -12000,
+    [GEN.scaleTuning]: 100,
+    [GEN.overridingRootKey]: -1
+};
+// Generators only meaningful at instrument level, which presets cannot offset
+const INSTRUMENT_ONLY = [
+    GEN.startAddrsOffset, GEN.endAddrsOffset, GEN.startloopAddrsOffset, GEN.endloopAddrsOffset,
+    GEN.startAddrsCoarseOffset, GEN.endAddrsCoarseOffset, GEN.startloopAddrsCoarseOffset,
+    GEN.endloopAddrsCoarseOffset, GEN.sampleModes, GEN.overridingRootKey, GEN.sampleID
+];
+const cache = new Map();
+function readString(buffer, offset, length) {
+    const raw = buffer.toString('latin1', offset, offset + length);
+    const end = raw.indexOf('\0');
+    return end >= 0 ? raw.slice(0, end) : raw;
+}
+// Sub-chunks of a RIFF list, by id
+function readChunks(buffer, start, end) {
+    const chunks = {};
+    for (let offset = start; offset + 8 <= end;) {
+        const id = buffer.toString('latin1', offset, offset + 4);
+        const size = buffer.readUInt32LE(offset + 4);
+        const dataStart = offset + 8;
+        if (id === 'LIST') {
+            chunks[buffer.toString('latin1', dataStart, dataStart + 4)] = readChunks(buffer, dataStart + 4, dataStart + size);
+        }
+        else {
+            chunks[id] = buffer.subarray(dataStart, Math.min(end, dataStart + size));
+        }
+        // Chunks are padded to an even length
+        offset = dataStart + size + (size % 2);
+    }
+    return chunks;
+}
+function records(chunk, size, read) {
+    if (!chunk) {
+        throw new Error('SoundFont is missing a preset data chunk');
+    }
+    return Array.from({ length: Math.floor(chunk.length / size) }, (_, index) => read(chunk, index * size));
+}
+// Zones of presets or instruments: each bag's generators, with the leading
+// global zone (one not ending in `terminal`) kept apart as defaults
+function readZones(headers, bags, generators, terminal) {
+    // The last header only terminates the list
+    return headers.slice(0, -1).map((header, index) => {
+        const zones = [];
+        let global = {};
+        for (let bag = header.bag; bag < headers[index + 1].bag; bag++) {
+            const values = {};
+            let last = -1;
+            for (let gen = bags[bag]; gen < bags[bag + 1]; gen++) {
+                const { operator, amount, low, high } = generators[gen];
+                values[operator] = operator === GEN.keyRange || operator === GEN.velRange ? [low, high] : amount;
+                last = operator;
+            }
+            if (last === terminal) {
+                zones.push(values);
+            }
+            else if (bag === header.bag) {
+                global = values;
+            }
+        }
+        return { header, global, zones };
+    });
+}
+/**
+ * Parse an SF2 file: its presets, with each zone resolved to the sample it
+ * plays and the summed generators of its preset and instrument zones
+ */
+function parseSoundFont(buffer) {
+    if (buffer.toString('latin1', 0, 4) !== 'RIFF' || buffer.toString('latin1', 8, 12) !== 'sfbk') {
+        throw new Error('Not a SoundFont 2 file');
+    }
+    const chunks = readChunks(buffer, 12, Math.min(buffer.length, 8 + buffer.readUInt32LE(4)));
+    const pdta = chunks.pdta || {};
+    const smpl = chunks.sdta?.smpl;
+    if (!smpl) {
+        throw new Error('SoundFont has no sample data');
+    }
+    // Copy so the 16-bit view is aligned whatever the chunk offset
+    const data = new Int16Array(smpl.length >> 1);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = smpl.readInt16LE(i * 2);
+    }
+    const readGenerators = (chunk) => records(chunk, 4, (c, o) => ({
+        operator: c.readUInt16LE(o), amount: c.readInt16LE(o + 2), low: c[o + 2], high: c[o + 3]
+    }));
+    const readBags = (chunk) => records(chunk, 4, (c, o) => c.readUInt16LE(o));
+    const samples = records(pdta.shdr, 46, (c, o) => ({
+        name: readString(c, o, 20),
+        start: c.readUInt32LE(o + 20),
+        end: c.readUInt32LE(o + 24),
+        loopStart: c.readUInt32LE(o + 28),
+        loopEnd: c.readUInt32LE(o + 32),
+        sampleRate: c.readUInt32LE(o + 36),
+        originalPitch: c[o + 40],
+        pitchCorrection: c.readInt8(o + 41)
+    }));
+    const instruments = readZones(records(pdta.inst, 22, (c, o) => ({ name: readString(c, o, 20), bag: c.readUInt16LE(o + 20) })), readBags(pdta.ibag), readGenerators(pdta.igen), GEN.sampleID);
+    const presets = readZones(records(pdta.phdr, 38, (c, o) => ({
+        name: readString(c, o, 20), program: c.readUInt16LE(o + 20), bank: c.readUInt16LE(o + 22), bag: c.readUInt16LE(o + 24)
+    })), readBags(pdta.pbag), readGenerators(pdta.pgen), GEN.instrument);
+    return {
+        name: chunks.INFO?.INAM ? readString(chunks.INFO.INAM, 0, chunks.INFO.INAM.length) : '',
+        data,
+        presets: presets.map(({ header, global, zones }) => ({
+            name: header.name,
+            bank: header.bank,
+            program: header.program,
+            zones: zones.flatMap(presetZone => {
+                const preset = { ...global, ...presetZone };
+                const instrument = instruments[preset[GEN.instrument]];
+                if (!instrument) {
+                    return [];
+                }
+                return instrument.zones.map(instrumentZone => resolveZone(preset, { ...instrument.global, ...instrumentZone }, samples)).filter(zone => zone);
+            })
+        }))
+    };
+}
+function intersect(a = [0, 127], b = [0, 127]) {
+    return [Math.max(a[0], b[0]), Math.min(a[1], b[1])];
+}
+// One playable zone: instrument values with the preset's offsets added
+function resolveZone(preset, instrument, samples) {
+    const sample = samples[instrument[GEN.sampleID]];
+    const keyRange = intersect(preset[GEN.keyRange], instrument[GEN.keyRange]);
+    const velocityRange = intersect(preset[GEN.velRange], instrument[GEN.velRange]);
+    if (!sample || keyRange[0] > keyRange[1] || velocityRange[0] > velocityRange[1]) {
+        return null;
+    }
+    const value = (operator) => (instrument[operator] ?? GEN_DEFAULTS[operator] ?? 0)
+        + (INSTRUMENT_ONLY.includes(operator) ? 0 : preset[operator] ?? 0);
+    const address = (fine, coarse) => value(fine) + value(coarse) * 32768;
+    const timecents = (operator) => Math.pow(2, value(operator) / 1200);
+    const rootKey = value(GEN.overridingRootKey);
+    return {
+        keyRange,
+        velocityRange,
+        start: sample.start + address(GEN.startAddrsOffset, GEN.startAddrsCoarseOffset),
+        end: sample.end + address(GEN.endAddrsOffset, GEN.endAddrsCoarseOffset),
+        loopStart: sample.loopStart + address(GEN.startloopAddrsOffset, GEN.startloopAddrsCoarseOffset),
+        loopEnd: sample.loopEnd + address(GEN.endloopAddrsOffset, GEN.endloopAddrsCoarseOffset),
+        // 0 plays once, 1 loops, 3 loops until release then plays out
+        loopMode: value(GEN.sampleModes) & 3,
+        sampleRate: sample.sampleRate,
+        rootKey: rootKey >= 0 ? rootKey : sample.originalPitch,
+        // Cents added to the pitch, and cents per key away from the root
+        tune: value(GEN.coarseTune) * 100 + value(GEN.fineTune) + sample.pitchCorrection,
+        scaleTuning: value(GEN.scaleTuning),
+        // Attenuation is in centibels
+        gain: Math.pow(10, -Math.max(0, value(GEN.initialAttenuation)) / 200),
+        attack: timecents(GEN.attackVolEnv),
+        decay: timecents(GEN.decayVolEnv),
+        sustain: Math.pow(10, -Math.max(0, value(GEN.sustainVolEnv)) / 200),
+        release: timecents(GEN.releaseVolEnv)
+    };
+}
+/**
+ * SoundFont at a path, parsed once and kept for later renders
+ */
+function loadSoundFont(path) {
+    let soundFont = cache.get(path);
+    if (!soundFont) {
+        soundFont = parseSoundFont((0, fs_1.readFileSync)(path));
+        cache.set(path, soundFont);
+        console.log(`🎹 Loaded SoundFont ${soundFont.name || path}: ${soundFont.presets.length} presets`);
+    }
+    return soundFont;
+}
+/**
+ * Preset for a bank and program. Drum kits missing from the file fall back
+ * to the standard kit, program 0.
+ */
+function findPreset(soundFont, bank, program) {
+    return soundFont.presets.find(preset => preset.bank === bank && preset.program === program)
+        || (bank === exports.DRUM_BANK ? soundFont.presets.find(preset => preset.bank === bank && preset.program === 0) : undefined);
+}
+/**
+ * Zones of a preset that sound for a MIDI key and velocity; layered and
+ * stereo presets have more than one
+ */
+function findZones(preset, key, velocity) {
+    return preset.zones.filter(zone => key >= zone.keyRange[0] && key <= zone.keyRange[1]
+        && velocity >= zone.velocityRange[0] && velocity <= zone.velocityRange[1]);
+}
+/**
+ * Sampler instrument for an instrument name: an explicit override first,
+ * then the genre's choice, then General MIDI. Null means use the oscillators.
+ */
+function resolveSamplerInstrument(name, genre, overrides) {
+    for (const mapping of [overrides, genre ? exports.GENRE_SAMPLER_INSTRUMENTS[genre] : undefined, exports.SAMPLER_INSTRUMENTS]) {
+        if (mapping && name in mapping) {
+            return mapping[name];
+        }
+    }
+    return null;
+}
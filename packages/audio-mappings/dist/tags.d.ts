@@ -0,0 +1,25 @@
+export interface AudioTags {
+    title?: string;
+    /** Display name of the listener the chart belongs to */
+    artist?: string;
+    /** Chart date and time */
+    date?: string;
+    genre?: string;
+}
+export declare const ENCODER_VENDOR = "Astradio";
+/**
+ * Tags as Vorbis comment fields, e.g. `TITLE=Natal chart`, leaving out empty ones
+ */
+export declare function tagFields(tags?: AudioTags): string[];
+/**
+ * Vorbis comment structure: vendor string and fields, each prefixed by its
+ * little-endian byte length. FLAC stores it as a metadata block; Vorbis adds
+ * a packet header and framing bit.
+ */
+export declare function vorbisComment(tags?: AudioTags): Buffer;
+/**
+ * ID3v2.4 tag of UTF-8 text frames: title, artist, date, genre and the
+ * encoder. Dates are cut to the timestamp ID3 allows and left out when they
+ * do not start with one.
+ */
+export declare function id3v2(tags?: AudioTags): Buffer;
@@ -0,0 +1,80 @@
+"use strict";
+// Audio file tags
+// Vorbis comments shared by the FLAC, Ogg Vorbis and Ogg Opus encoders, and
+// the ID3v2 tag at the start of MP3 files
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.ENCODER_VENDOR = void 0;
+exports.tagFields = tagFields;
+exports.vorbisComment = vorbisComment;
+exports.id3v2 = id3v2;
+exports.ENCODER_VENDOR = 'Astradio';
+const FIELD_NAMES = {
+    title: 'TITLE',
+    artist: 'ARTIST',
+    date: 'DATE',
+    genre: 'GENRE'
+};
+const ID3_FRAMES = {
+    title: 'TIT2',
+    artist: 'TPE1',
+    date: 'TDRC',
+    genre: 'TCON'
+};
+// Leading part of a date that is an ID3v2.4 timestamp, which has no time zone
+const ID3_TIMESTAMP = /^\d{4}(-\d{2}(-\d{2}(T\d{2}(:\d{2}(:\d{2})?)?)?)?)?/;
+/**
+ * Tags as Vorbis comment fields, e.g. `TITLE=Natal chart`, leaving out empty ones
+ */
+function tagFields(tags = {}) {
+    return Object.keys(FIELD_NAMES)
+        .filter(key => tags[key])
+        .map(key => `${FIELD_NAMES[key]}=${tags[key]}`);
+}
+/**
+ * Vorbis comment structure: vendor string and fields, each prefixed by its
+ * little-endian byte length. FLAC stores it as a metadata block; Vorbis adds
+ * a packet header and framing bit.
+ */
+function vorbisComment(tags = {}) {
+    const strings = [exports.ENCODER_VENDOR, ...tagFields(tags)].map(text => Buffer.from(text, 'utf8'));
+    const parts = [];
+    strings.forEach((text, index) => {
+        const length = Buffer.alloc(4);
+        length.writeUInt32LE(text.length, 0);
+        parts.push(length, text);
+        // The field count follows the vendor string
+        if (index === 0) {
+            const count = Buffer.alloc(4);
+            count.writeUInt32LE(strings.length - 1, 0);
+            parts.push(count);
+        }
+    });
+    return Buffer.concat(parts);
+}
+// ID3v2 sizes are 28-bit "synchsafe" integers, seven bits to a byte
+function synchsafe(value) {
+    const bytes = Buffer.alloc(4);
+    for (let i = 0; i < 4; i++) {
+        bytes[3 - i] = (value >>> (7 * i)) & 0x7f;
+    }
+    return bytes;
+}
+/**
+ * ID3v2.4 tag of UTF-8 text frames: title, artist, date, genre and the
+ * encoder. Dates are cut to the timestamp ID3 allows and left out when they
+ * do not start with one.
+ */
+function id3v2(tags = {}) {
+    const fields = Object.keys(ID3_FRAMES)
+        .map(key => [ID3_FRAMES[key], key === 'date' ? tags.date?.match(ID3_TIMESTAMP)?.[0] : tags[key]])
+        .filter(([, text]) => text);
+    fields.push(['TSSE', exports.ENCODER_VENDOR]);
+    const frames = fields.map(([id, text]) => {
+        // Encoding byte 3 is UTF-8
+        const body = Buffer.concat([Buffer.from([3]), Buffer.from(text, 'utf8')]);
+        return Buffer.concat([Buffer.from(id, 'ascii'), synchsafe(body.length), Buffer.alloc(2), body]);
+    });
+    const size = frames.reduce((total, frame) => total + frame.length, 0);
+    // Version 4.0, no flags
+    return Buffer.concat([Buffer.from('ID3', 'ascii'), Buffer.from([4, 0, 0]), synchsafe(size), ...frames]);
+}
@@ -0,0 +1,31 @@
+export interface StretchOptions {
+    /** Duration multiplier, 1 leaves it */
+    stretch?: number;
+    /** Pitch change in semitones, 0 leaves it */
+    semitones?: number;
+}
+/**
+ * Read a signal at `ratio` input samples per output sample, low-passed with
+ * its transition band finished by the new Nyquist frequency when that is
+ * lower, so aliases stay below -80 dB. Above 1 the result is shorter and
+ * higher when played at the same rate.
+ */
+export declare function resample(samples: ArrayLike<number>, ratio: number, length?: number): Float32Array;
+/**
+ * Change the duration of channels by `factor` keeping their pitch. Each output
+ * frame is taken near its nominal place in the input, shifted to where the
+ * waveform best continues the previous frame, and overlap-added under a Hann
+ * window. Channels share the shifts, found on their sum, so the stereo image
+ * holds.
+ */
+export declare function timeStretch(channels: ArrayLike<number>[], sampleRate: number, factor: number): Float32Array[];
+/**
+ * Move channels by a number of semitones keeping their duration: stretched
+ * by the pitch ratio, then resampled back to the original length
+ */
+export declare function pitchShift(channels: ArrayLike<number>[], sampleRate: number, semitones: number): Float32Array[];
+/**
+ * Change duration and pitch independently in one pass, so a tempo and key
+ * change together are stretched and resampled only once
+ */
+export declare function stretchAndShift(channels: ArrayLike<number>[], sampleRate: number, options?: StretchOptions): Float32Array[];
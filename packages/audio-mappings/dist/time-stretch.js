@@ -0,0 +1,176 @@
+"use strict";
+// Time stretching and pitch shifting
+// WSOLA (waveform similarity overlap-add) changes duration without touching
+// pitch; band-limited resampling of a stretched signal changes pitch without
+// touching duration
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.resample = resample;
+exports.timeStretch = timeStretch;
+exports.pitchShift = pitchShift;
+exports.stretchAndShift = stretchAndShift;
+// Zero crossings of the resampling kernel each side of its centre
+const KERNEL_ZEROS = 32;
+// Kernel table entries per zero crossing, interpolated between
+const KERNEL_RESOLUTION = 512;
+// Kaiser window shape, trading a wider transition for stopband attenuation
+// below -80 dB
+const KAISER_BETA = 8;
+// Fraction of the new Nyquist frequency the kernel cuts at, leaving room for
+// its transition band below it
+const CUTOFF_GUARD = 0.9;
+// WSOLA frames of 50 ms overlapping by half, each moved up to 10 ms to line up
+// with the waveform of the previous one
+const FRAME_SECONDS = 0.05;
+const TOLERANCE_SECONDS = 0.01;
+// Decimation of the coarse similarity search, refined at full resolution after
+const SEARCH_STEP = 4;
+// Zeroth-order modified Bessel function of the first kind, by its power series
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    for (let k = 1; term > 1e-12 * sum; k++) {
+        term *= (x / (2 * k)) * (x / (2 * k));
+        sum += term;
+    }
+    return sum;
+}
+// Kaiser-windowed sinc over its positive half, sampled once for all calls
+const KERNEL = (() => {
+    const size = KERNEL_ZEROS * KERNEL_RESOLUTION + 1;
+    const table = new Float64Array(size + 1);
+    const norm = besselI0(KAISER_BETA);
+    for (let i = 0; i < size; i++) {
+        const t = i / KERNEL_RESOLUTION;
+        const x = t / KERNEL_ZEROS;
+        const window = besselI0(KAISER_BETA * Math.sqrt(Math.max(0, 1 - x * x))) / norm;
+        table[i] = (t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t)) * window;
+    }
+    return table;
+})();
+/**
+ * Read a signal at `ratio` input samples per output sample, low-passed with
+ * its transition band finished by the new Nyquist frequency when that is
+ * lower, so aliases stay below -80 dB. Above 1 the result is shorter and
+ * higher when played at the same rate.
+ */
+function resample(samples, ratio, length = Math.floor(samples.length / ratio)) {
+    const output = new Float32Array(length);
+    // Kernel widens as the cutoff drops so it keeps its zero crossings
+    const cutoff = CUTOFF_GUARD * Math.min(1, 1 / ratio);
+    const reach = Math.ceil(KERNEL_ZEROS / cutoff);
+    const scale = cutoff * KERNEL_RESOLUTION;
+    for (let i = 0; i < length; i++) {
+        const position = i * ratio;
+        const centre = Math.floor(position);
+        const first = Math.max(0, centre - reach + 1);
+        const last = Math.min(samples.length - 1, centre + reach);
+        let sum = 0;
+        for (let k = first; k <= last; k++) {
+            const t = Math.abs(position - k) * scale;
+            const index = Math.floor(t);
+            if (index < KERNEL.length - 2) {
+                const fraction = t - index;
+                sum += samples[k] * (KERNEL[index] + (KERNEL[index + 1] - KERNEL[index]) * fraction);
+            }
+        }
+        output[i] = sum * cutoff;
+    }
+    return output;
+}
+// Channels with `pad` zeros before and after, so frames can read past the ends
+function padChannels(channels, pad) {
+    return channels.map(channel => {
+        const padded = new Float32Array(channel.length + 2 * pad);
+        padded.set(channel, pad);
+        return padded;
+    });
+}
+// Offset within ±tolerance, in steps of `step`, where `guide` from `start`
+// looks most like it does from `target`, over `length` samples
+function bestOffset(guide, target, start, length, from, to, step) {
+    let best = 0;
+    let bestScore = -Infinity;
+    for (let offset = from; offset <= to; offset += step) {
+        let score = 0;
+        for (let n = 0; n < length; n += step) {
+            score += guide[target + n] * guide[start + offset + n];
+        }
+        if (score > bestScore) {
+            bestScore = score;
+            best = offset;
+        }
+    }
+    return best;
+}
+/**
+ * Change the duration of channels by `factor` keeping their pitch. Each output
+ * frame is taken near its nominal place in the input, shifted to where the
+ * waveform best continues the previous frame, and overlap-added under a Hann
+ * window. Channels share the shifts, found on their sum, so the stereo image
+ * holds.
+ */
+function timeStretch(channels, sampleRate, factor) {
+    const inputLength = channels[0]?.length ?? 0;
+    const outputLength = Math.round(inputLength * factor);
+    if (factor === 1 || inputLength === 0) {
+        return channels.map(channel => Float32Array.from(channel));
+    }
+    const hop = Math.max(1, Math.round(FRAME_SECONDS * sampleRate / 2));
+    const frame = 2 * hop;
+    const tolerance = Math.round(TOLERANCE_SECONDS * sampleRate);
+    const analysisHop = hop / factor;
+    const pad = frame + 2 * tolerance;
+    const padded = padChannels(channels, pad);
+    const guide = new Float32Array(padded[0].length);
+    padded.forEach(channel => channel.forEach((sample, i) => {
+        guide[i] += sample;
+    }));
+    const window = Float32Array.from({ length: frame }, (_, n) => 0.5 - 0.5 * Math.cos(2 * Math.PI * n / frame));
+    const outputs = channels.map(() => new Float32Array(outputLength));
+    // Frames start half a frame early so the windows already sum to one at the
+    // first output sample
+    let previous = pad - hop;
+    for (let k = 0; k * hop - hop < outputLength; k++) {
+        const nominal = pad + Math.round(k * analysisHop) - hop;
+        let start = nominal;
+        if (k > 0) {
+            // Match the overlapping half against what followed the previous frame
+            const target = previous + hop;
+            const from = Math.max(-tolerance, -nominal);
+            const to = Math.min(tolerance, guide.length - frame - nominal);
+            const coarse = bestOffset(guide, target, nominal, hop, from, to, SEARCH_STEP);
+            start = nominal + bestOffset(guide, target, nominal, hop, Math.max(from, coarse - SEARCH_STEP + 1), Math.min(to, coarse + SEARCH_STEP - 1), 1);
+        }
+        const outputStart = k * hop - hop;
+        const first = Math.max(0, -outputStart);
+        const last = Math.min(frame, outputLength - outputStart);
+        padded.forEach((channel, c) => {
+            const output = outputs[c];
+            for (let n = first; n < last; n++) {
+                output[outputStart + n] += channel[start + n] * window[n];
+            }
+        });
+        previous = start;
+    }
+    return outputs;
+}
+/**
+ * Move channels by a number of semitones keeping their duration: stretched
+ * by the pitch ratio, then resampled back to the original length
+ */
+function pitchShift(channels, sampleRate, semitones) {
+    return stretchAndShift(channels, sampleRate, { semitones });
+}
+/**
+ * Change duration and pitch independently in one pass, so a tempo and key
+ * change together are stretched and resampled only once
+ */
+function stretchAndShift(channels, sampleRate, options = {}) {
+    const stretch = options.stretch ?? 1;
+    const ratio = Math.pow(2, (options.semitones ?? 0) / 12);
+    if (ratio === 1) {
+        return timeStretch(channels, sampleRate, stretch);
+    }
+    const length = Math.round((channels[0]?.length ?? 0) * stretch);
+    return timeStretch(channels, sampleRate, stretch * ratio).map(channel => resample(channel, ratio, length));
+}
@@ -0,0 +1,16 @@
+import { RenderedAudio } from './renderer';
+import { AudioTags } from './tags';
+export type VorbisQuality = 'low' | 'medium' | 'high';
+export declare const VORBIS_QUALITY: Record<VorbisQuality, number>;
+export interface VorbisOptions {
+    quality?: VorbisQuality;
+    tags?: AudioTags;
+    /** Ogg stream serial number */
+    serial?: number;
+}
+/**
+ * Ogg Vorbis file of rendered audio at a quality from `VORBIS_QUALITY`,
+ * tagged with Vorbis comments. Codebooks are built from the file's own
+ * symbol counts in a first pass, so no trained tables are needed.
+ */
+export declare function encodeVorbis(audio: RenderedAudio, options?: VorbisOptions): Buffer;
@@ -0,0 +1,538 @@
+"use strict";
+// Ogg Vorbis encoder
+// Lossy Vorbis I in plain JS: long-block MDCT, a floor 1 spectral envelope set
+// a fixed signal-to-noise ratio below the signal, and residues coded with
+// codebooks trained on the file itself, carried in the setup header
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.VORBIS_QUALITY = void 0;
+exports.encodeVorbis = encodeVorbis;
+const fft_1 = require("./fft");
+const ogg_1 = require("./ogg");
+const tags_1 = require("./tags");
+// Signal-to-noise ratio in dB that each quality keeps in every band
+exports.VORBIS_QUALITY = {
+    low: 10,
+    medium: 16,
+    high: 24
+};
+const SHORT_BLOCK_EXPONENT = 8;
+const LONG_BLOCK_EXPONENT = 11;
+const BLOCK_SIZE = 1 << LONG_BLOCK_EXPONENT;
+const HALF_BLOCK = BLOCK_SIZE / 2;
+const QUARTER_BLOCK = BLOCK_SIZE / 4;
+// Floor 1 points between the implicit ends at bins 0 and 1024, in ascending
+// order; about 21.5 Hz per bin at 44.1 kHz
+const FLOOR_POINTS = [
+    2, 4, 6, 8, 11, 14, 18, 23, 28, 35, 42, 51, 61, 73, 87,
+    103, 122, 144, 170, 200, 235, 276, 323, 378, 442, 516, 602, 702, 818, 952
+];
+const FLOOR_RANGE_BITS = 10;
+const FLOOR_PARTITION_SIZE = 3;
+const FLOOR_RANGE = 256;
+// Ratio between steps of the decoder's floor1_inverse_dB_table, which runs
+// from 1.0649863e-07 at 0 to 1 at 255
+const FLOOR_STEP = 1.0649863;
+// Spectral lines below this are inaudible once quantized to 16 bits
+const ABSOLUTE_THRESHOLD = 3e-5;
+const RESIDUE_PARTITION_SIZE = 16;
+const RESIDUE_PARTITIONS = HALF_BLOCK / RESIDUE_PARTITION_SIZE;
+const RESIDUE_DIMENSIONS = 2;
+// Residue classes: silent, fine values only, coarse plus fine
+const CLASS_SILENT = 0;
+const CLASS_FINE = 1;
+const CLASS_COARSE = 2;
+const CLASSIFICATIONS = 3;
+const FINE_LIMIT = 7;
+const COARSE_STEP = 2 * FINE_LIMIT + 1;
+const RESIDUE_LIMIT = FINE_LIMIT * COARSE_STEP + FINE_LIMIT;
+const LATTICE_VALUES = 2 * FINE_LIMIT + 1;
+const LATTICE_ENTRIES = LATTICE_VALUES * LATTICE_VALUES;
+// Codebook numbers in the setup header
+const BOOK_FLOOR = 0;
+const BOOK_CLASS = 1;
+const BOOK_FINE = 2;
+const BOOK_COARSE = 3;
+const MAX_CODEWORD_LENGTH = 24;
+const DEFAULT_SERIAL = 0x41737472;
+// Floor points in the order they are coded: a coarse-to-fine bisection, so
+// each point is predicted from neighbours on both sides
+const FLOOR_ORDER = (() => {
+    const order = [];
+    const bisect = (low, high) => {
+        if (high - low < 2) {
+            return;
+        }
+        const middle = (low + high) >> 1;
+        order.push(FLOOR_POINTS[middle]);
+        bisect(low, middle);
+        bisect(middle, high);
+    };
+    bisect(-1, FLOOR_POINTS.length);
+    return order;
+})();
+// X list as the decoder holds it: the two ends, then the coded points
+const FLOOR_X = [0, HALF_BLOCK, ...FLOOR_ORDER];
+const WINDOW = Float64Array.from({ length: BLOCK_SIZE }, (_, n) => Math.sin(Math.PI / 2 * Math.pow(Math.sin(Math.PI * (n + 0.5) / BLOCK_SIZE), 2)));
+const FLOOR_TABLE = Float64Array.from({ length: FLOOR_RANGE }, (_, y) => Math.pow(FLOOR_STEP, y - 255));
+// Least-significant-bit-first packer used by every Vorbis packet
+class BitPacker {
+    constructor() {
+        this.bytes = [];
+        this.current = 0;
+        this.used = 0;
+    }
+    write(value, bits) {
+        for (let i = 0; i < bits; i++) {
+            if (Math.floor(value / Math.pow(2, i)) % 2 === 1) {
+                this.current |= 1 << this.used;
+            }
+            if (++this.used === 8) {
+                this.bytes.push(this.current);
+                this.current = 0;
+                this.used = 0;
+            }
+        }
+    }
+    writeString(text) {
+        Buffer.from(text, 'ascii').forEach(byte => this.write(byte, 8));
+    }
+    get bits() {
+        return this.bytes.length * 8 + this.used;
+    }
+    toBuffer() {
+        return Buffer.from(this.used > 0 ? [...this.bytes, this.current] : this.bytes);
+    }
+}
+// Number of bits needed to hold a value
+function ilog(value) {
+    let bits = 0;
+    while (value > 0) {
+        bits++;
+        value >>>= 1;
+    }
+    return bits;
+}
+// Vorbis float32: 21-bit mantissa, 10-bit exponent biased by 788, sign bit
+function packFloat(value) {
+    if (value === 0) {
+        return 0;
+    }
+    const exponent = Math.floor(Math.log2(Math.abs(value))) - 20;
+    const mantissa = Math.round(Math.abs(value) / Math.pow(2, exponent));
+    return (value < 0 ? 0x80000000 : 0) + (exponent + 788) * 0x200000 + mantissa;
+}
+// Codeword lengths of a Huffman code for symbol counts. Rare symbols are
+// flattened until no codeword is longer than the limit.
+function huffmanLengths(counts) {
+    let weights = counts.map(count => count + 1);
+    for (;;) {
+        const lengths = new Array(counts.length).fill(0);
+        let nodes = weights.map((weight, symbol) => ({ weight, symbols: [symbol] }));
+        while (nodes.length > 1) {
+            nodes.sort((a, b) => a.weight - b.weight || a.symbols[0] - b.symbols[0]);
+            const [first, second] = nodes.splice(0, 2);
+            first.symbols.concat(second.symbols).forEach(symbol => lengths[symbol]++);
+            nodes.push({ weight: first.weight + second.weight, symbols: first.symbols.concat(second.symbols) });
+        }
+        if (Math.max(...lengths) <= MAX_CODEWORD_LENGTH) {
+            return lengths;
+        }
+        weights = weights.map(weight => Math.ceil(weight / 2));
+    }
+}
+// Codewords as the decoder assigns them: entries in order, each taking the
+// leftmost free codeword of its length. Returned bit-reversed, ready for the
+// least-significant-bit-first packer.
+function assignCodewords(lengths) {
+    const root = { leaves: 0, children: [null, null] };
+    const take = (node, depth, length) => {
+        if (node.leaf || (depth === length && node.leaves > 0)) {
+            return null;
+        }
+        if (depth === length) {
+            node.leaf = true;
+            node.leaves = 1;
+            return 0;
+        }
+        for (let bit = 0; bit < 2; bit++) {
+            node.children[bit] = node.children[bit] || { leaves: 0, children: [null, null] };
+            const code = take(node.children[bit], depth + 1, length);
+            if (code !== null) {
+                node.leaves++;
+                // Build the reversed code: the first bit read ends up lowest
+                return (code << 1) | bit;
+            }
+        }
+        return null;
+    };
+    return lengths.map(length => {
+        const code = take(root, 0, length);
+        if (code === null) {
+            throw new Error('Codeword lengths overfill the Huffman tree');
+        }
+        return code;
+    });
+}
+function codebook(dimensions, counts, lattice) {
+    const lengths = huffmanLengths(counts);
+    return { dimensions, lengths, codewords: assignCodewords(lengths), lattice };
+}
+function writeCodebook(packer, book) {
+    packer.write(0x564342, 24);
+    packer.write(book.dimensions, 16);
+    packer.write(book.lengths.length, 24);
+    packer.write(0, 1); // not ordered
+    packer.write(0, 1); // not sparse
+    book.lengths.forEach(length => packer.write(length - 1, 5));
+    if (!book.lattice) {
+        packer.write(0, 4);
+        return;
+    }
+    // Lookup type 1: entry values are a lattice of LATTICE_VALUES steps per dimension
+    packer.write(1, 4);
+    packer.write(packFloat(book.lattice.minimum), 32);
+    packer.write(packFloat(book.lattice.delta), 32);
+    packer.write(ilog(LATTICE_VALUES - 1) - 1, 4);
+    packer.write(0, 1); // not sequence_p
+    for (let value = 0; value < LATTICE_VALUES; value++) {
+        packer.write(value, ilog(LATTICE_VALUES - 1));
+    }
+}
+function writeEntry(packer, book, entry) {
+    packer.write(book.codewords[entry], book.lengths[entry]);
+}
+// MDCT of a windowed block through a quarter-length complex FFT, scaled by
+// 4/N so the decoder's unscaled inverse gives back the input
+function mdct(block) {
+    const M = HALF_BLOCK;
+    const H = M / 2;
+    const folded = new Float64Array(M);
+    for (let n = 0; n < H; n++) {
+        folded[n] = -block[3 * H - 1 - n] - block[3 * H + n];
+        folded[H + n] = block[n] - block[M - 1 - n];
+    }
+    const re = new Float64Array(H);
+    const im = new Float64Array(H);
+    for (let n = 0; n < H; n++) {
+        const angle = -Math.PI * (n + 0.25) / M;
+        const a = folded[2 * n];
+        const b = folded[M - 1 - 2 * n];
+        re[n] = a * Math.cos(angle) - b * Math.sin(angle);
+        im[n] = a * Math.sin(angle) + b * Math.cos(angle);
+    }
+    (0, fft_1.fft)(re, im);
+    const spectrum = new Float64Array(M);
+    const scale = 4 / BLOCK_SIZE;
+    for (let k = 0; k < H; k++) {
+        const angle = -Math.PI * k / M;
+        spectrum[2 * k] = (re[k] * Math.cos(angle) - im[k] * Math.sin(angle)) * scale;
+        spectrum[M - 1 - 2 * k] = -(re[k] * Math.sin(angle) + im[k] * Math.cos(angle)) * scale;
+    }
+    return spectrum;
+}
+// Point of the line between two floor points, as the decoder predicts it
+function renderPoint(x0, y0, x1, y1, x) {
+    const dy = y1 - y0;
+    const offset = Math.floor(Math.abs(dy) * (x - x0) / (x1 - x0));
+    return dy < 0 ? y0 - offset : y0 + offset;
+}
+function renderLine(x0, y0, x1, y1, curve) {
+    const dy = y1 - y0;
+    const adx = x1 - x0;
+    const base = Math.trunc(dy / adx);
+    const sy = dy < 0 ? base - 1 : base + 1;
+    const ady = Math.abs(dy) - Math.abs(base) * adx;
+    let y = y0;
+    let err = 0;
+    curve[x0] = y;
+    for (let x = x0 + 1; x < x1; x++) {
+        err += ady;
+        if (err >= adx) {
+            err -= adx;
+            y += sy;
+        }
+        else {
+            y += base;
+        }
+        curve[x] = y;
+    }
+}
+// Floor 1 of a channel: the coded values of each point in list order and the
+// curve the decoder will draw through them
+function encodeFloor(targets) {
+    const count = FLOOR_X.length;
+    const final = [targets[0], targets[1]];
+    const used = [true, true];
+    const values = [targets[0], targets[1]];
+    for (let i = 2; i < count; i++) {
+        let low = 0;
+        let high = 1;
+        for (let j = 0; j < i; j++) {
+            if (FLOOR_X[j] < FLOOR_X[i] && FLOOR_X[j] > FLOOR_X[low]) {
+                low = j;
+            }
+            if (FLOOR_X[j] > FLOOR_X[i] && FLOOR_X[j] < FLOOR_X[high]) {
+                high = j;
+            }
+        }
+        const predicted = renderPoint(FLOOR_X[low], final[low], FLOOR_X[high], final[high], FLOOR_X[i]);
+        const highRoom = FLOOR_RANGE - predicted;
+        const lowRoom = predicted;
+        const room = Math.min(highRoom, lowRoom) * 2;
+        const difference = targets[i] - predicted;
+        let value;
+        if (difference === 0) {
+            value = 0;
+        }
+        else if (difference > 0 && difference * 2 < room) {
+            value = difference * 2;
+        }
+        else if (difference < 0 && -difference * 2 - 1 < room) {
+            value = -difference * 2 - 1;
+        }
+        else if (highRoom > lowRoom) {
+            value = difference + lowRoom;
+        }
+        else {
+            value = highRoom - 1 - difference;
+        }
+        values.push(value);
+        final.push(targets[i]);
+        used.push(value !== 0);
+        if (value !== 0) {
+            used[low] = true;
+            used[high] = true;
+        }
+    }
+    const curve = new Int32Array(HALF_BLOCK);
+    const points = FLOOR_X.map((x, index) => ({ x, y: final[index], used: used[index] }))
+        .sort((a, b) => a.x - b.x)
+        .filter(point => point.used);
+    for (let i = 1; i < points.length; i++) {
+        renderLine(points[i - 1].x, points[i - 1].y, points[i].x, points[i].y, curve);
+    }
+    return { values, curve };
+}
+// Quantized residue of one channel of a block, or null for a silent one
+function analyseChannel(spectrum, snr) {
+    let peak = 0;
+    for (let k = 0; k < HALF_BLOCK; k++) {
+        peak = Math.max(peak, Math.abs(spectrum[k]));
+    }
+    if (peak < ABSOLUTE_THRESHOLD) {
+        return null;
+    }
+    // Quantization step in each band: the band level less the target
+    // signal-to-noise ratio, as uniform quantization noise is step / sqrt(12)
+    const noiseRatio = Math.sqrt(12) * Math.pow(10, -snr / 20);
+    const sorted = [...FLOOR_X].sort((a, b) => a - b);
+    const targets = FLOOR_X.map(x => {
+        const index = sorted.indexOf(x);
+        const from = index === 0 ? 0 : Math.ceil((sorted[index - 1] + x) / 2);
+        const to = index === sorted.length - 1 ? HALF_BLOCK : Math.ceil((x + sorted[index + 1]) / 2);
+        let energy = 0;
+        for (let k = from; k < Math.max(from + 1, to) && k < HALF_BLOCK; k++) {
+            energy += spectrum[k] * spectrum[k];
+        }
+        const level = Math.max(ABSOLUTE_THRESHOLD, Math.sqrt(energy / Math.max(1, to - from)) * noiseRatio);
+        return Math.max(0, Math.min(FLOOR_RANGE - 1, Math.round(255 + Math.log(level) / Math.log(FLOOR_STEP))));
+    });
+    const floor = encodeFloor(targets);
+    const residue = new Int8Array(HALF_BLOCK);
+    const classes = new Uint8Array(RESIDUE_PARTITIONS);
+    for (let partition = 0; partition < RESIDUE_PARTITIONS; partition++) {
+        let largest = 0;
+        for (let k = partition * RESIDUE_PARTITION_SIZE; k < (partition + 1) * RESIDUE_PARTITION_SIZE; k++) {
+            const value = Math.round(spectrum[k] / FLOOR_TABLE[floor.curve[k]]);
+            residue[k] = Math.max(-RESIDUE_LIMIT, Math.min(RESIDUE_LIMIT, value));
+            largest = Math.max(largest, Math.abs(residue[k]));
+        }
+        classes[partition] = largest === 0 ? CLASS_SILENT : largest <= FINE_LIMIT ? CLASS_FINE : CLASS_COARSE;
+    }
+    return { floor: floor.values, residue, classes };
+}
+function latticeEntry(a, b, step) {
+    return (a / step + FINE_LIMIT) + (b / step + FINE_LIMIT) * LATTICE_VALUES;
+}
+function coarsePart(value) {
+    return Math.max(-FINE_LIMIT, Math.min(FINE_LIMIT, Math.round(value / COARSE_STEP))) * COARSE_STEP;
+}
+// Contents of a block in the order the decoder reads them: codebook entries
+// go to `emit(book, entry)` and plain bits to `raw(value, bits)`. Run once to
+// count symbols and once to write them.
+function walkBlock(channels, emit, raw) {
+    channels.forEach(channel => {
+        raw(channel ? 1 : 0, 1);
+        if (!channel) {
+            return;
+        }
+        // Floor 1: the ends as plain 8-bit values, then the coded points
+        raw(channel.floor[0], ilog(FLOOR_RANGE - 1));
+        raw(channel.floor[1], ilog(FLOOR_RANGE - 1));
+        channel.floor.slice(2).forEach(value => emit(BOOK_FLOOR, value));
+    });
+    const active = channels.filter(channel => channel);
+    // Residue type 1: two passes over the partitions, class words first
+    for (let pass = 0; pass < 2; pass++) {
+        for (let partition = 0; partition < RESIDUE_PARTITIONS; partition += RESIDUE_DIMENSIONS) {
+            if (pass === 0) {
+                active.forEach(channel => emit(BOOK_CLASS, channel.classes[partition] * CLASSIFICATIONS + channel.classes[partition + 1]));
+            }
+            for (let i = partition; i < partition + RESIDUE_DIMENSIONS && i < RESIDUE_PARTITIONS; i++) {
+                active.forEach(channel => {
+                    const cls = channel.classes[i];
+                    if (cls === CLASS_SILENT || (cls === CLASS_FINE && pass === 1)) {
+                        return;
+                    }
+                    const coarse = cls === CLASS_COARSE && pass === 0;
+                    for (let k = i * RESIDUE_PARTITION_SIZE; k < (i + 1) * RESIDUE_PARTITION_SIZE; k += 2) {
+                        const [a, b] = [channel.residue[k], channel.residue[k + 1]];
+                        if (coarse) {
+                            emit(BOOK_COARSE, latticeEntry(coarsePart(a), coarsePart(b), COARSE_STEP));
+                        }
+                        else if (cls === CLASS_COARSE) {
+                            emit(BOOK_FINE, latticeEntry(a - coarsePart(a), b - coarsePart(b), 1));
+                        }
+                        else {
+                            emit(BOOK_FINE, latticeEntry(a, b, 1));
+                        }
+                    }
+                });
+            }
+        }
+    }
+}
+function identificationHeader(channels, sampleRate, nominalBitrate) {
+    const packer = new BitPacker();
+    packer.write(1, 8);
+    packer.writeString('vorbis');
+    packer.write(0, 32); // version
+    packer.write(channels, 8);
+    packer.write(sampleRate, 32);
+    packer.write(0, 32); // no maximum bitrate
+    packer.write(nominalBitrate, 32);
+    packer.write(0, 32); // no minimum bitrate
+    packer.write(SHORT_BLOCK_EXPONENT, 4);
+    packer.write(LONG_BLOCK_EXPONENT, 4);
+    packer.write(1, 1); // framing
+    return packer.toBuffer();
+}
+function commentHeader(tags) {
+    const packer = new BitPacker();
+    packer.write(3, 8);
+    packer.writeString('vorbis');
+    (0, tags_1.vorbisComment)(tags).forEach(byte => packer.write(byte, 8));
+    packer.write(1, 1); // framing
+    return packer.toBuffer();
+}
+function setupHeader(books) {
+    const packer = new BitPacker();
+    packer.write(5, 8);
+    packer.writeString('vorbis');
+    packer.write(books.length - 1, 8);
+    books.forEach(book => writeCodebook(packer, book));
+    // One placeholder time-domain transform
+    packer.write(0, 6);
+    packer.write(0, 16);
+    // Floor 1: partitions of FLOOR_PARTITION_SIZE points, all of class 0
+    packer.write(0, 6);
+    packer.write(1, 16);
+    const partitions = (FLOOR_X.length - 2) / FLOOR_PARTITION_SIZE;
+    packer.write(partitions, 5);
+    for (let i = 0; i < partitions; i++) {
+        packer.write(0, 4);
+    }
+    packer.write(FLOOR_PARTITION_SIZE - 1, 3);
+    packer.write(0, 2); // no subclasses
+    packer.write(BOOK_FLOOR + 1, 8);
+    packer.write(0, 2); // multiplier 1
+    packer.write(FLOOR_RANGE_BITS, 4);
+    FLOOR_X.slice(2).forEach(x => packer.write(x, FLOOR_RANGE_BITS));
+    // Residue type 1 over the whole spectrum
+    packer.write(0, 6);
+    packer.write(1, 16);
+    packer.write(0, 24);
+    packer.write(HALF_BLOCK, 24);
+    packer.write(RESIDUE_PARTITION_SIZE - 1, 24);
+    packer.write(CLASSIFICATIONS - 1, 6);
+    packer.write(BOOK_CLASS, 8);
+    const cascades = [0b00, 0b01, 0b11];
+    cascades.forEach(cascade => {
+        packer.write(cascade, 3);
+        packer.write(0, 1);
+    });
+    packer.write(BOOK_FINE, 8);
+    packer.write(BOOK_COARSE, 8);
+    packer.write(BOOK_FINE, 8);
+    // Mapping 0: one submap, no coupling
+    packer.write(0, 6);
+    packer.write(0, 16);
+    packer.write(0, 1);
+    packer.write(0, 1);
+    packer.write(0, 2);
+    packer.write(0, 8);
+    packer.write(0, 8); // floor 0
+    packer.write(0, 8); // residue 0
+    // A single mode of long blocks
+    packer.write(0, 6);
+    packer.write(1, 1);
+    packer.write(0, 16);
+    packer.write(0, 16);
+    packer.write(0, 8);
+    packer.write(1, 1); // framing
+    return packer.toBuffer();
+}
+/**
+ * Ogg Vorbis file of rendered audio at a quality from `VORBIS_QUALITY`,
+ * tagged with Vorbis comments. Codebooks are built from the file's own
+ * symbol counts in a first pass, so no trained tables are needed.
+ */
+function encodeVorbis(audio, options = {}) {
+    const snr = exports.VORBIS_QUALITY[options.quality || 'medium'];
+    const inputs = [audio.left, audio.right];
+    // Block p spans [(p - 1) * 1024, (p + 1) * 1024), so decoding packet p
+    // returns samples [(p - 1) * 1024, p * 1024)
+    const blockCount = Math.ceil(audio.length / HALF_BLOCK) + 1;
+    const blocks = [];
+    const block = new Float64Array(BLOCK_SIZE);
+    for (let p = 0; p < blockCount; p++) {
+        blocks.push(inputs.map(input => {
+            const start = (p - 1) * HALF_BLOCK;
+            for (let n = 0; n < BLOCK_SIZE; n++) {
+                const index = start + n;
+                block[n] = index >= 0 && index < audio.length ? input[index] * WINDOW[n] : 0;
+            }
+            return analyseChannel(mdct(block), snr);
+        }));
+    }
+    const counts = [
+        new Array(FLOOR_RANGE).fill(0),
+        new Array(CLASSIFICATIONS * CLASSIFICATIONS).fill(0),
+        new Array(LATTICE_ENTRIES).fill(0),
+        new Array(LATTICE_ENTRIES).fill(0)
+    ];
+    blocks.forEach(channels => walkBlock(channels, (book, entry) => counts[book][entry]++, () => { }));
+    const books = [
+        codebook(1, counts[BOOK_FLOOR], null),
+        codebook(RESIDUE_DIMENSIONS, counts[BOOK_CLASS], null),
+        codebook(RESIDUE_DIMENSIONS, counts[BOOK_FINE], { minimum: -FINE_LIMIT, delta: 1 }),
+        codebook(RESIDUE_DIMENSIONS, counts[BOOK_COARSE], { minimum: -FINE_LIMIT * COARSE_STEP, delta: COARSE_STEP })
+    ];
+    const packets = blocks.map((channels, p) => {
+        const packer = new BitPacker();
+        packer.write(0, 1); // audio packet
+        // One mode needs no mode bits; long blocks on both sides
+        packer.write(1, 1);
+        packer.write(1, 1);
+        walkBlock(channels, (book, entry) => writeEntry(packer, books[book], entry), (value, bits) => packer.write(value, bits));
+        return { data: packer.toBuffer(), granule: Math.min(p * HALF_BLOCK, audio.length) };
+    });
+    const bytes = packets.reduce((total, packet) => total + packet.data.length, 0);
+    const nominalBitrate = Math.round(bytes * 8 / Math.max(audio.duration, 1e-3));
+    return (0, ogg_1.writeOggStream)([
+        { data: identificationHeader(audio.channels, audio.sampleRate, nominalBitrate), granule: 0, flush: true },
+        { data: commentHeader(options.tags), granule: 0 },
+        { data: setupHeader(books), granule: 0, flush: true },
+        ...packets
+    ], options.serial ?? DEFAULT_SERIAL);
+}
@@ -0,0 +1,18 @@
+export interface ZipEntry {
+    /** Path inside the archive, with forward slashes */
+    name: string;
+    data: Buffer | string;
+    /** False to store the entry without deflating it */
+    compress?: boolean;
+    modified?: Date;
+}
+/**
+ * CRC-32 checksum of a buffer, as stored in ZIP and PNG files
+ */
+export declare function crc32(data: Buffer): number;
+/**
+ * ZIP archive of the given files. Entries are deflated unless `compress` is
+ * false, which suits audio that deflate barely shrinks; an entry is also
+ * stored when deflating would make it larger.
+ */
+export declare function createZip(entries: ZipEntry[]): Buffer;
@@ -0,0 +1,96 @@
+"use strict";
+// ZIP archive writer
+// Bundles export files into one .zip download without an archiver dependency
+Object.defineProperty(exports, "__esModule", { value: true });
+exports.crc32 = crc32;
+exports.createZip = createZip;
+const zlib_1 = require("zlib");
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+// General purpose flag bit 11: names are UTF-8
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+/**
+ * CRC-32 checksum of a buffer, as stored in ZIP and PNG files
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+// MS-DOS date and time fields, in local time with two-second resolution
+function dosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+/**
+ * ZIP archive of the given files. Entries are deflated unless `compress` is
+ * false, which suits audio that deflate barely shrinks; an entry is also
+ * stored when deflating would make it larger.
+ */
+function createZip(entries) {
+    const parts = [];
+    const central = [];
+    let offset = 0;
+    entries.forEach(entry => {
+        const data = typeof entry.data === 'string' ? Buffer.from(entry.data, 'utf8') : entry.data;
+        const name = Buffer.from(entry.name, 'utf8');
+        const deflated = entry.compress === false ? null : (0, zlib_1.deflateRawSync)(data);
+        const method = deflated && deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+        const body = method === METHOD_DEFLATE ? deflated : data;
+        const checksum = crc32(data);
+        const { time, date } = dosDateTime(entry.modified || new Date());
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4); // version needed: 2.0
+        local.writeUInt16LE(UTF8_FLAG, 6);
+        local.writeUInt16LE(method, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(checksum, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28); // extra field length
+        const header = Buffer.alloc(46);
+        header.writeUInt32LE(0x02014b50, 0);
+        header.writeUInt16LE(20, 4); // version made by
+        header.writeUInt16LE(20, 6); // version needed
+        header.writeUInt16LE(UTF8_FLAG, 8);
+        header.writeUInt16LE(method, 10);
+        header.writeUInt16LE(time, 12);
+        header.writeUInt16LE(date, 14);
+        header.writeUInt32LE(checksum, 16);
+        header.writeUInt32LE(body.length, 20);
+        header.writeUInt32LE(data.length, 24);
+        header.writeUInt16LE(name.length, 28);
+        // Extra field, comment, disk number and attributes stay zero
+        header.writeUInt32LE(offset, 42);
+        parts.push(local, name, body);
+        central.push(header, name);
+        offset += local.length + name.length + body.length;
+    });
+    const directory = Buffer.concat(central);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...parts, directory, end]);
+}
@@ -0,0 +1,74 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { processEffects, validateEffectsChain, validateEffectsGraph } = require("../dist/effects");
+const { AdvancedPlaybackEngine } = require("../dist/advanced-playback");
+const { OfflineRenderer } = require("../dist/renderer");
+const SAMPLE_RATE = 8000;
+function impulse(seconds) {
+    const channel = new Float32Array(Math.round(seconds * SAMPLE_RATE));
+    channel[0] = 1;
+    return channel;
+}
+function peak(channels, from = 0) {
+    return Math.max(...channels.map(channel => channel.subarray(from).reduce((max, sample) => Math.max(max, Math.abs(sample)), 0)));
+}
+test('delay feedback is clamped so echoes die away', () => {
+    const [left, right] = processEffects([impulse(10), impulse(10)], SAMPLE_RATE, [{ type: 'delay', time: 0.05, feedback: 1.5, mix: 1 }]);
+    assert.ok(peak([left, right]) <= 1);
+    assert.ok(peak([left, right], 9 * SAMPLE_RATE) < 0.1);
+});
+test('flanger feedback is clamped so it stays stable', () => {
+    const [left] = processEffects([impulse(5)], SAMPLE_RATE, [{ type: 'flanger', feedback: -3, mix: 1 }]);
+    assert.ok(left.every(Number.isFinite));
+    assert.ok(peak([left], 4 * SAMPLE_RATE) < 0.1);
+});
+test('chains with unknown types or out-of-range parameters are rejected', () => {
+    assert.throws(() => validateEffectsChain([{ type: 'wah' }]), /unknown type wah/);
+    assert.throws(() => validateEffectsChain([{ type: 'delay', feedback: 1.5 }]), /feedback must be between -0.95 and 0.95/);
+    assert.throws(() => validateEffectsChain([{ type: 'delay', mix: Number.NaN }]), /mix must be between 0 and 1/);
+    assert.throws(() => validateEffectsChain([{ type: 'filter', mode: 'notch' }]), /mode must be one of/);
+    assert.throws(() => validateEffectsChain([{ type: 'reverb', impulse: 'cave' }]), /impulse must be one of/);
+    assert.throws(() => validateEffectsChain([{ type: 'filter', mix: 0.5 }]), /unknown parameter mix/);
+    assert.throws(() => validateEffectsChain([{ type: 'distortion', bypass: 'yes' }]), /bypass must be true or false/);
+    assert.throws(() => validateEffectsGraph({ sends: [{ nodes: [], levels: { Sun: 2 } }] }), /levels must be between 0 and 1/);
+});
+test('valid chains and the knob presets pass', () => {
+    validateEffectsChain([
+        { type: 'filter', mode: 'highshelf', frequency: 6000, gain: -3 },
+        { type: 'delay', time: 0.3, feedback: 0.95, mix: 0.3 },
+        { type: 'reverb', impulse: 'plate', bypass: true }
+    ]);
+    validateEffectsGraph({ sends: [{ nodes: [{ type: 'reverb' }], levels: { Moon: 0.5 } }], chain: [] });
+    Object.values(new AdvancedPlaybackEngine().getEffectsChainPresets()).forEach(validateEffectsChain);
+});
+test('setEffectsChain rejects an invalid chain and keeps the previous one', () => {
+    const engine = new AdvancedPlaybackEngine();
+    const chain = [{ type: 'delay', feedback: 0.5 }];
+    engine.setEffectsChain(chain);
+    assert.throws(() => engine.setEffectsChain([{ type: 'delay', feedback: 1.5 }]));
+    assert.deepEqual(engine.getEffectsChain(), chain);
+});
+function echoSession(tempo) {
+    return {
+        tempo,
+        configuration: { mode: 'melodic', seed: 1 },
+        phrases: [{ planet: 'Sun', notes: [{ frequency: 440, duration: 0.05, velocity: 1, instrument: 'sine', timestamp: 0, effects: ['delay'] }] }]
+    };
+}
+function between(audio, from, to) {
+    return [audio.left.subarray(from * SAMPLE_RATE, to * SAMPLE_RATE), audio.right.subarray(from * SAMPLE_RATE, to * SAMPLE_RATE)];
+}
+test('delay echoes fall a dotted eighth apart at the session tempo', () => {
+    // A dotted eighth is 0.75 s at 60 BPM; the note and its release last 0.25 s
+    const audio = new OfflineRenderer().render(echoSession(60), { sampleRate: SAMPLE_RATE, effects: { chain: [] }, limiter: false });
+    assert.ok(peak(between(audio, 0.3, 0.74)) < 1e-6);
+    assert.ok(peak(between(audio, 0.75, 0.8)) > 0.01);
+});
+test('an effects graph replaces the built-in reverb send', () => {
+    const renderer = new OfflineRenderer();
+    const dry = renderer.render(echoSession(60), { sampleRate: SAMPLE_RATE, effects: { sends: [], chain: [] }, limiter: false });
+    const wet = renderer.render(echoSession(60), { sampleRate: SAMPLE_RATE, limiter: false });
+    assert.ok(peak(between(dry, 0.3, 0.74)) < 1e-6);
+    assert.ok(peak(between(wet, 0.3, 0.74)) > 1e-4);
+});
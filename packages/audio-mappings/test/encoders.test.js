@@ -0,0 +1,276 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createHash } = require("crypto");
+const OpusScript = require("opusscript");
+const { encodeFLAC } = require("../dist/flac");
+const { encodeVorbis } = require("../dist/vorbis");
+const { encodeMP3, MP3_BITRATES, MP3_ENCODER_DELAY } = require("../dist/mp3");
+const { encodeOpus, OPUS_PRE_SKIP } = require("../dist/opus");
+const { oggCRC } = require("../dist/ogg");
+const { toInt16 } = require("../dist/mastering");
+const TAGS = { title: 'Natal chart', artist: 'Ana Lua', date: '1990-01-15T14:30:00-05:00', genre: 'ambient' };
+// Tones on each side with a burst of noise, silence in the second FLAC block
+// and the same tone on both sides in the third
+function signal(sampleRate, seconds) {
+    const length = Math.round(sampleRate * seconds);
+    const left = new Float32Array(length);
+    const right = new Float32Array(length);
+    let seed = 1;
+    for (let i = 0; i < length; i++) {
+        seed = (seed * 1103515245 + 12345) >>> 0;
+        const silent = i >= 4096 && i < 8192;
+        left[i] = silent ? 0 : 0.4 * Math.sin(2 * Math.PI * 440 * i / sampleRate) + (i < 2000 ? 0.2 * (seed / 2 ** 32 - 0.5) : 0);
+        right[i] = silent ? 0 : i < 8192 ? 0.3 * Math.sin(2 * Math.PI * 660 * i / sampleRate) : left[i] * 0.9;
+    }
+    return { sampleRate, channels: 2, length, duration: length / sampleRate, left, right, peak: 0.5, gainReduction: 0, notes: 0, sampledNotes: 0, stolenVoices: 0 };
+}
+class BitReader {
+    constructor(bytes, offset = 0) {
+        this.bytes = bytes;
+        this.position = offset * 8;
+    }
+    read(bits) {
+        let value = 0;
+        for (let i = 0; i < bits; i++, this.position++) {
+            value = value * 2 + ((this.bytes[this.position >> 3] >> (7 - (this.position & 7))) & 1);
+        }
+        return value;
+    }
+    readSigned(bits) {
+        const value = this.read(bits);
+        return value >= 2 ** (bits - 1) ? value - 2 ** bits : value;
+    }
+    readUnary() {
+        let q = 0;
+        while (this.read(1) === 0) {
+            q++;
+        }
+        return q;
+    }
+    align() {
+        this.position = Math.ceil(this.position / 8) * 8;
+    }
+}
+// Constant, verbatim and fixed-predictor subframes, as the FLAC format defines them
+function decodeSubframe(reader, blockSize, bits) {
+    reader.read(1);
+    const type = reader.read(6);
+    assert.equal(reader.read(1), 0, 'no wasted bits');
+    const samples = new Int32Array(blockSize);
+    if (type === 0) {
+        return samples.fill(reader.readSigned(bits));
+    }
+    if (type === 1) {
+        return samples.map(() => reader.readSigned(bits));
+    }
+    assert.ok(type >= 8 && type <= 12, `fixed subframe, not type ${type}`);
+    const order = type - 8;
+    for (let i = 0; i < order; i++) {
+        samples[i] = reader.readSigned(bits);
+    }
+    assert.equal(reader.read(2), 0);
+    const partitionOrder = reader.read(4);
+    let index = order;
+    for (let partition = 0; partition < 1 << partitionOrder; partition++) {
+        const parameter = reader.read(4);
+        const count = (blockSize >> partitionOrder) - (partition === 0 ? order : 0);
+        for (let i = 0; i < count; i++, index++) {
+            const folded = reader.readUnary() * 2 ** parameter + reader.read(parameter);
+            const residual = folded % 2 ? -(folded + 1) / 2 : folded / 2;
+            const s = samples;
+            const n = index;
+            const prediction = [0, s[n - 1], 2 * s[n - 1] - s[n - 2], 3 * s[n - 1] - 3 * s[n - 2] + s[n - 3], 4 * s[n - 1] - 6 * s[n - 2] + 4 * s[n - 3] - s[n - 4]][order];
+            samples[n] = prediction + residual;
+        }
+    }
+    return samples;
+}
+function decodeFLAC(file) {
+    assert.equal(file.toString('latin1', 0, 4), 'fLaC');
+    let offset = 4;
+    let last = false;
+    const blocks = {};
+    while (!last) {
+        last = (file[offset] & 0x80) !== 0;
+        const length = file.readUInt32BE(offset) & 0xffffff;
+        blocks[file[offset] & 0x7f] = file.subarray(offset + 4, offset + 4 + length);
+        offset += 4 + length;
+    }
+    const info = new BitReader(blocks[0]);
+    info.read(16 + 16 + 24 + 24);
+    const stream = { sampleRate: info.read(20), channels: info.read(3) + 1, bitsPerSample: info.read(5) + 1, total: info.read(36), md5: blocks[0].subarray(18, 34), comment: blocks[4] };
+    const left = new Int32Array(stream.total);
+    const right = new Int32Array(stream.total);
+    const reader = new BitReader(file, offset);
+    const assignments = new Set();
+    for (let start = 0; start < stream.total;) {
+        assert.equal(reader.read(14), 0x3ffe, `frame sync at sample ${start}`);
+        reader.read(2);
+        const sizeCode = reader.read(4);
+        reader.read(4);
+        const assignment = reader.read(4);
+        reader.read(4);
+        // Frame number in UTF-8's variable-length coding
+        const first = reader.read(8);
+        for (let extra = 1; extra < 8 && first & (0x80 >> extra) && first & 0x80; extra++) {
+            reader.read(8);
+        }
+        const blockSize = sizeCode === 12 ? 4096 : reader.read(16) + 1;
+        reader.read(8);
+        // The side channel of left/side, side/right and mid/side takes a bit more
+        const side = { 8: 1, 9: 0, 10: 1 }[assignment];
+        const [a, b] = [0, 1].map(channel => decodeSubframe(reader, blockSize, channel === side ? 17 : 16));
+        assignments.add(assignment);
+        reader.align();
+        reader.read(16);
+        for (let i = 0; i < blockSize; i++) {
+            switch (assignment) {
+                case 8:
+                    [left[start + i], right[start + i]] = [a[i], a[i] - b[i]];
+                    break;
+                case 9:
+                    [left[start + i], right[start + i]] = [a[i] + b[i], b[i]];
+                    break;
+                case 10: {
+                    const mid = a[i] * 2 + (b[i] & 1);
+                    [left[start + i], right[start + i]] = [(mid + b[i]) >> 1, (mid - b[i]) >> 1];
+                    break;
+                }
+                default:
+                    [left[start + i], right[start + i]] = [a[i], b[i]];
+            }
+        }
+        start += blockSize;
+    }
+    return { ...stream, left, right, assignments };
+}
+// Pages of an Ogg stream, each checked against its CRC, and the packets they carry
+function readOgg(file) {
+    const pages = [];
+    const packets = [];
+    let pending = [];
+    for (let offset = 0; offset < file.length;) {
+        assert.equal(file.toString('latin1', offset, offset + 4), 'OggS');
+        const segments = file[offset + 26];
+        const lacing = [...file.subarray(offset + 27, offset + 27 + segments)];
+        const size = 27 + segments + lacing.reduce((total, value) => total + value, 0);
+        const page = Buffer.from(file.subarray(offset, offset + size));
+        const crc = page.readUInt32LE(22);
+        page.writeUInt32LE(0, 22);
+        assert.equal(oggCRC(page), crc);
+        pages.push({ flags: file[offset + 5], granule: Number(file.readBigInt64LE(offset + 6)) });
+        let data = offset + 27 + segments;
+        for (const value of lacing) {
+            pending.push(file.subarray(data, data + value));
+            data += value;
+            if (value < 255) {
+                packets.push(Buffer.concat(pending));
+                pending = [];
+            }
+        }
+        offset += size;
+    }
+    return { pages, packets };
+}
+test('FLAC decodes back to the exact 16-bit samples, with a matching MD5', () => {
+    const audio = signal(44100, 0.25);
+    const flac = encodeFLAC(audio, TAGS, { dither: false });
+    const decoded = decodeFLAC(flac);
+    assert.deepEqual([decoded.sampleRate, decoded.channels, decoded.bitsPerSample, decoded.total], [44100, 2, 16, audio.length]);
+    assert.deepEqual(decoded.left, toInt16(audio.left, { dither: false }));
+    assert.deepEqual(decoded.right, toInt16(audio.right, { dither: false }));
+    const pcm = Buffer.alloc(audio.length * 4);
+    for (let i = 0; i < audio.length; i++) {
+        pcm.writeInt16LE(decoded.left[i], i * 4);
+        pcm.writeInt16LE(decoded.right[i], i * 4 + 2);
+    }
+    assert.deepEqual(createHash('md5').update(pcm).digest(), decoded.md5);
+    // The correlated block is coded as a side channel
+    assert.ok([8, 9, 10].some(assignment => decoded.assignments.has(assignment)), `stereo coding ${[...decoded.assignments]}`);
+    assert.ok(decoded.comment.includes('ARTIST=Ana Lua'));
+});
+test('MP3 files are an ID3v2 tag and constant-bitrate Layer III frames within budget', () => {
+    const audio = signal(44100, 1);
+    const mp3 = encodeMP3(audio, { bitrate: 128, tags: TAGS });
+    assert.equal(mp3.toString('latin1', 0, 3), 'ID3');
+    assert.equal(mp3[3], 4);
+    const tagLength = 10 + ((mp3[6] << 21) | (mp3[7] << 14) | (mp3[8] << 7) | mp3[9]);
+    const tag = mp3.subarray(0, tagLength);
+    for (const text of ['TIT2', 'Natal chart', 'TPE1', 'Ana Lua', 'TDRC', '1990-01-15T14:30:00', 'TCON', 'ambient']) {
+        assert.ok(tag.includes(text), text);
+    }
+    let frames = 0;
+    let offset = tagLength;
+    while (offset < mp3.length) {
+        const reader = new BitReader(mp3, offset);
+        // Sync, MPEG-1, Layer III, no CRC
+        assert.deepEqual([reader.read(11), reader.read(2), reader.read(2), reader.read(1)], [0x7ff, 3, 1, 1]);
+        assert.equal(MP3_BITRATES[reader.read(4) - 1], 128);
+        assert.equal(reader.read(2), 0);
+        const size = Math.floor(144000 * 128 / 44100) + reader.read(1);
+        reader.read(9);
+        // Side info: no reservoir, so each frame's granules fit inside it
+        assert.equal(reader.read(9), 0);
+        reader.read(3 + 8);
+        let dataBits = 0;
+        for (let granule = 0; granule < 4; granule++) {
+            dataBits += reader.read(12);
+            reader.read(47);
+        }
+        assert.ok(dataBits <= (size - 4 - 32) * 8);
+        offset += size;
+        frames++;
+    }
+    assert.equal(offset, mp3.length);
+    assert.equal(frames, Math.ceil((audio.length + MP3_ENCODER_DELAY) / 1152));
+});
+test('MP3 resamples rates MPEG-1 has no code for and rejects bitrates it has none for', () => {
+    const mp3 = encodeMP3(signal(22050, 0.2), { bitrate: 64 });
+    const tagLength = 10 + ((mp3[6] << 21) | (mp3[7] << 14) | (mp3[8] << 7) | mp3[9]);
+    assert.equal((mp3[tagLength + 2] >> 2) & 3, 0, '44.1 kHz');
+    assert.throws(() => encodeMP3(signal(44100, 0.1), { bitrate: 100 }), /Unsupported MP3 bitrate: 100 kbit\/s/);
+});
+test('Ogg Opus decodes back to the input after the pre-skip', () => {
+    const audio = signal(48000, 1);
+    const { pages, packets } = readOgg(encodeOpus(audio, { bitrate: 128, tags: TAGS }));
+    const [head, comments, ...frames] = packets;
+    assert.equal(head.toString('latin1', 0, 8), 'OpusHead');
+    assert.deepEqual([head[8], head[9], head.readUInt16LE(10), head.readUInt32LE(12)], [1, 2, OPUS_PRE_SKIP, 48000]);
+    assert.equal(comments.toString('latin1', 0, 8), 'OpusTags');
+    assert.ok(comments.includes('ARTIST=Ana Lua'));
+    // The last page ends the stream and trims the final frame's padding
+    assert.equal(pages[pages.length - 1].flags & 0x04, 0x04);
+    assert.equal(pages[pages.length - 1].granule, OPUS_PRE_SKIP + audio.length);
+    const decoder = new OpusScript(48000, 2);
+    const pcm = Buffer.concat(frames.map(frame => decoder.decode(frame)));
+    decoder.delete();
+    let signalPower = 0;
+    let noisePower = 0;
+    for (let i = 12000; i < 36000; i++) {
+        for (const [channel, input] of [[0, audio.left], [1, audio.right]]) {
+            const output = pcm.readInt16LE(((i + OPUS_PRE_SKIP) * 2 + channel) * 2) / 32767;
+            signalPower += input[i] ** 2;
+            noisePower += (output - input[i]) ** 2;
+        }
+    }
+    assert.ok(10 * Math.log10(signalPower / noisePower) > 15);
+});
+test('Ogg Opus records the input rate and resamples to 48 kHz', () => {
+    const audio = signal(44100, 0.5);
+    const { pages, packets } = readOgg(encodeOpus(audio));
+    assert.equal(packets[0].readUInt32LE(12), 44100);
+    assert.equal(pages[pages.length - 1].granule, OPUS_PRE_SKIP + Math.floor(audio.length * 48000 / 44100));
+    assert.throws(() => encodeOpus(audio, { bitrate: 600 }), /Unsupported Opus bitrate: 600 kbit\/s/);
+});
+test('Ogg Vorbis streams carry the headers and end at the input length', () => {
+    const audio = signal(44100, 0.5);
+    const { pages, packets } = readOgg(encodeVorbis(audio, { tags: TAGS }));
+    assert.equal(packets[0].toString('latin1', 0, 7), '\x01vorbis');
+    assert.equal(packets[0].readUInt32LE(12), 44100);
+    assert.equal(packets[1].toString('latin1', 0, 7), '\x03vorbis');
+    assert.ok(packets[1].includes('ARTIST=Ana Lua'));
+    assert.equal(packets[2].toString('latin1', 0, 7), '\x05vorbis');
+    assert.equal(pages[pages.length - 1].flags & 0x04, 0x04);
+    assert.equal(pages[pages.length - 1].granule, audio.length);
+});
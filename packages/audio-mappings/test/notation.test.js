@@ -0,0 +1,71 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { buildScore, toMusicXML, toABC } = require("../dist/notation");
+function note(midiNote, timestamp, duration) {
+    return { frequency: 440 * Math.pow(2, (midiNote - 69) / 12), timestamp, duration, velocity: 0.8, instrument: 'piano', effects: [] };
+}
+// F major in 3/4 at 120 BPM: a bar lasts 1.5 s. The bass is listed first but
+// scored below the melody, and the last melody note crosses the bar line.
+const session = {
+    id: 'session',
+    chartId: 'chart',
+    mode: 'melodic',
+    tempo: 120,
+    timeSignature: '3/4',
+    key: 'F',
+    scale: ['F', 'G', 'A', 'Bb', 'C', 'D', 'E'],
+    phrases: [
+        { planet: 'Saturn', role: 'bassline', notes: [note(48, 0, 3)] },
+        { planet: 'Sun', role: 'leadMelody', notes: [note(65, 0, 0.5), note(70, 0.5, 0.75), note(69, 1.25, 0.5)] }
+    ]
+};
+// Two houses in C, the second modulating up a fifth to G
+const composition = {
+    tempo: 120,
+    seed: 1,
+    houses: [
+        { houseNumber: 1, duration: 2, melody: { notes: [0, 4, 7, 12], rhythm: [0.5, 0.5, 0.5, 0.5], harmony: [0, 4, 7] }, transition: { type: 'modulation', keyChange: 7 } },
+        { houseNumber: 2, duration: 2, melody: { notes: [7, 11, 14, 18], rhythm: [0.5, 0.5, 0.5, 0.5], harmony: [] }, transition: { type: 'fade', keyChange: 0 } }
+    ]
+};
+test('melodic sessions are quantized to the time signature and spelled in their key', () => {
+    assert.equal(toABC(buildScore(session, { title: 'Natal chart' })), [
+        'X:1',
+        'T:Natal chart',
+        'C:Astradio',
+        'M:3/4',
+        'L:1/16',
+        'Q:1/4=120',
+        'K:F',
+        'V:P1 name="Lead Melody: Sun" clef=treble',
+        'F4 B6 A2- | A2 z8 z2 |]',
+        'V:P2 name="Bassline: Saturn" clef=bass',
+        'C,12- | C,12 |]',
+        ''
+    ].join('\n'));
+});
+test('MusicXML carries the key, meter, dotted values and ties across bar lines', () => {
+    const xml = toMusicXML(buildScore(session, { title: 'Sun & Saturn' }));
+    assert.match(xml, /<work-title>Sun &amp; Saturn<\/work-title>/);
+    assert.equal(xml.match(/<key><fifths>-1<\/fifths><mode>ionian<\/mode><\/key>/g).length, 2);
+    assert.equal(xml.match(/<time><beats>3<\/beats><beat-type>4<\/beat-type><\/time>/g).length, 2);
+    assert.match(xml, /<step>B<\/step><alter>-1<\/alter><octave>4<\/octave><\/pitch><duration>6<\/duration><voice>1<\/voice><type>quarter<\/type><dot\/>/);
+    assert.match(xml, /<step>A<\/step><octave>4<\/octave><\/pitch><duration>2<\/duration><tie type="start"\/>/);
+    assert.match(xml, /<measure number="2">\n {6}<note><pitch><step>A<\/step><octave>4<\/octave><\/pitch><duration>2<\/duration><tie type="stop"\/>/);
+    assert.match(xml, /<clef><sign>F<\/sign><line>4<\/line><\/clef>/);
+});
+test('house transitions become rehearsal marks and key changes', () => {
+    const score = buildScore(composition);
+    assert.equal(toABC(score).split('\n').slice(6, 11).join('\n'), [
+        'K:C',
+        'V:P1 name="Melody" clef=treble',
+        '[P:House 1] C4 E4 G4 c4 | [P:House 2 (modulation)] [K:G] G4 B4 d4 f4 |]',
+        'V:P2 name="Harmony" clef=treble',
+        '[CEG]16 | [K:G] z16 |]'
+    ].join('\n'));
+    const xml = toMusicXML(score);
+    assert.deepEqual([...xml.matchAll(/<rehearsal>(.*?)<\/rehearsal>/g)].map(match => match[1]), ['House 1', 'House 2 (modulation)']);
+    assert.match(xml, /<measure number="2">\n {6}<attributes><key><fifths>1<\/fifths><mode>ionian<\/mode><\/key><\/attributes>/);
+    assert.match(xml, /<step>F<\/step><alter>1<\/alter><octave>5<\/octave>/);
+});
@@ -0,0 +1,38 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { OfflineRenderer } = require("../dist/renderer");
+const SAMPLE_RATE = 8000;
+// Two phrases, one with a noise voice, so the stems only sum to the mix when
+// they share the noise stream
+const session = {
+    tempo: 90,
+    configuration: { mode: 'melodic', seed: 7 },
+    phrases: [
+        { planet: 'Sun', role: 'leadMelody', notes: [0, 0.5, 1].map(timestamp => ({ frequency: 440, duration: 0.3, velocity: 0.8, instrument: 'violin', timestamp, effects: ['delay', 'reverb'] })) },
+        { planet: 'Mars', role: 'rhythm', notes: [0.25, 0.75].map(timestamp => ({ frequency: 100, duration: 0.1, velocity: 1, instrument: 'snare', timestamp, effects: [] })) }
+    ]
+};
+function maxError(stems, mix) {
+    let error = 0;
+    for (let i = 0; i < mix.length; i++) {
+        error = Math.max(error,
+            Math.abs(stems.reduce((sum, stem) => sum + stem.left[i], 0) - mix.left[i]),
+            Math.abs(stems.reduce((sum, stem) => sum + stem.right[i], 0) - mix.right[i]));
+    }
+    return error;
+}
+test('stems sum to the unlimited mix', () => {
+    const { mix, stems } = new OfflineRenderer().renderStems(session, { sampleRate: SAMPLE_RATE, limiter: false });
+    assert.equal(stems.length, 2);
+    assert.ok(stems.every(stem => stem.length === mix.length));
+    assert.deepEqual(stems.map(stem => stem.notes), [3, 2]);
+    assert.ok(maxError(stems, mix) < 1e-6);
+});
+test('the stems mix matches a plain render of the session', () => {
+    const renderer = new OfflineRenderer();
+    const { mix } = renderer.renderStems(session, { sampleRate: SAMPLE_RATE, limiter: false });
+    const single = renderer.render(session, { sampleRate: SAMPLE_RATE, limiter: false });
+    assert.equal(mix.length, single.length);
+    assert.ok(maxError([single], mix) < 1e-6);
+});
@@ -0,0 +1,54 @@
+"use strict";
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { resample, timeStretch, pitchShift, stretchAndShift } = require("../dist/time-stretch");
+const SAMPLE_RATE = 44100;
+function tone(frequency, seconds, amplitude = 0.5) {
+    return Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE));
+}
+// Middle half of a signal, away from the filter and window edges
+function middle(samples) {
+    return samples.subarray(Math.floor(samples.length / 4), Math.floor(samples.length * 3 / 4));
+}
+function rms(samples) {
+    return Math.sqrt(samples.reduce((sum, sample) => sum + sample * sample, 0) / samples.length);
+}
+// Share of a signal's power at one frequency
+function powerAt(samples, frequency) {
+    let re = 0;
+    let im = 0;
+    for (let i = 0; i < samples.length; i++) {
+        re += samples[i] * Math.cos(2 * Math.PI * frequency * i / SAMPLE_RATE);
+        im += samples[i] * Math.sin(2 * Math.PI * frequency * i / SAMPLE_RATE);
+    }
+    return 2 * (re * re + im * im) / samples.length / samples.length / rms(samples) ** 2;
+}
+test('resampling down an octave keeps tones below the new Nyquist frequency', () => {
+    const output = resample(tone(1000, 1), 2);
+    assert.equal(output.length, SAMPLE_RATE / 2);
+    assert.ok(Math.abs(20 * Math.log10(rms(middle(output)) / rms(middle(tone(1000, 1))))) < 0.1);
+    assert.ok(powerAt(middle(output), 2000) > 0.99);
+});
+test('resampling down an octave filters out tones above the new Nyquist frequency', () => {
+    // 17.64 kHz would alias to 4.41 kHz
+    const output = resample(tone(17640, 1), 2);
+    assert.ok(20 * Math.log10(rms(middle(output)) / 0.5) < -80);
+});
+test('time stretch changes the duration and keeps the pitch', () => {
+    const [output] = timeStretch([tone(440, 1)], SAMPLE_RATE, 1.5);
+    assert.equal(output.length, Math.round(1.5 * SAMPLE_RATE));
+    assert.ok(powerAt(middle(output), 440) > 0.95);
+});
+test('pitch shift changes the pitch and keeps the duration', () => {
+    const [output] = pitchShift([tone(440, 1)], SAMPLE_RATE, 12);
+    assert.equal(output.length, SAMPLE_RATE);
+    assert.ok(powerAt(middle(output), 880) > 0.95);
+});
+test('tempo and key change together independently', () => {
+    const [left, right] = stretchAndShift([tone(440, 1), tone(440, 1, 0.25)], SAMPLE_RATE, { stretch: 0.8, semitones: -5 });
+    assert.equal(left.length, Math.round(0.8 * SAMPLE_RATE));
+    assert.equal(right.length, left.length);
+    assert.ok(powerAt(middle(left), 440 * Math.pow(2, -5 / 12)) > 0.95);
+    // Shared shifts keep the channels in step
+    assert.ok(Math.abs(rms(middle(left)) / rms(middle(right)) - 2) < 0.05);
+});
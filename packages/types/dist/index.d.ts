@@ -2,43 +2,199 @@ export interface AstroChart {
     metadata: ChartMetadata;
     planets: Record<string, PlanetData>;
     houses: Record<string, HouseData>;
+    angles?: {
+        ascendant: ChartAngle;
+        mc: ChartAngle;
+        descendant: ChartAngle;
+        ic: ChartAngle;
+    };
+    /** Dignities, element balance and aspect patterns, attached when the chart is generated */
+    analysis?: ChartAnalysis;
 }
 export interface ChartMetadata {
     conversion_method: string;
     ayanamsa_correction: number;
     birth_datetime: string;
     coordinate_system: 'tropical' | 'sidereal';
+    ayanamsa?: 'lahiri' | 'raman' | 'krishnamurti' | 'fagan_bradley';
+    provider?: string;
+    degraded?: boolean;
+    house_system?: 'placidus' | 'koch' | 'whole_sign' | 'equal' | 'porphyry';
+    /** Set when `house_system` is a substitute: the system the caller asked for */
+    requested_house_system?: 'placidus' | 'koch' | 'whole_sign' | 'equal' | 'porphyry';
+    /** Why the requested house system could not be used, e.g. Placidus inside the polar circles */
+    fallback_reason?: string;
+    time_zone?: TimeZoneResolution;
+    predictive?: PredictiveMetadata;
+    lunar_phase?: LunarPhaseData;
+    void_of_course?: VoidOfCourseData;
+    planetary_hour?: PlanetaryHourData;
+    sect?: SectData;
+}
+export interface ChartConditions {
+    lunar_phase: LunarPhaseData;
+    void_of_course: VoidOfCourseData;
+    planetary_hour: PlanetaryHourData;
+    sect: SectData;
+}
+export interface LunarPhaseData {
+    /** Moon-Sun elongation in degrees, 0 at new moon and 180 at full */
+    angle: number;
+    name: 'new_moon' | 'waxing_crescent' | 'first_quarter' | 'waxing_gibbous' | 'full_moon' | 'waning_gibbous' | 'last_quarter' | 'waning_crescent';
+    /** Lit fraction of the Moon's disc, 0-1 */
+    illumination: number;
+    waxing: boolean;
+}
+export interface VoidOfCourseData {
+    /** Whether the chart moment falls inside the window */
+    active: boolean;
+    /** UTC moment of the Moon's last aspect in its sign, or its ingress if it made none */
+    start: string;
+    /** UTC moment the Moon enters the next sign */
+    end: string;
+    sign: string;
+    next_sign: string;
+    last_aspect: {
+        body: string;
+        type: 'conjunction' | 'sextile' | 'square' | 'trine' | 'opposition';
+        datetime: string;
+    } | null;
+}
+export interface PlanetaryHourData {
+    /** Ruler of the planetary day, which begins at sunrise */
+    day_ruler: string;
+    hour_ruler: string;
+    /** 1-12 from sunrise, 13-24 from sunset */
+    hour: number;
+    daytime: boolean;
+    start: string;
+    end: string;
+    /** `equal` where the Sun does not rise or set and 60-minute hours are used */
+    method: 'seasonal' | 'equal';
+}
+export interface SectData {
+    sect: 'day' | 'night';
+    /** Luminary of the sect */
+    light: 'Sun' | 'Moon';
+    benefic: 'Jupiter' | 'Venus';
+    malefic: 'Saturn' | 'Mars';
+    sun_altitude: number;
+}
+export interface PredictiveMetadata {
+    technique: 'progressed' | 'solar_arc' | 'solar_return' | 'lunar_return';
+    target_date: string;
+    /** UTC moment the chart was cast for: the progressed moment or the exact return */
+    moment: string;
+    /** Solar arc in degrees added to every natal position */
+    arc?: number;
+}
+export interface ChartAnalysis {
+    dignities: Record<string, DignityData>;
+    balance: ElementBalance;
+    patterns: ChartPattern[];
+}
+export interface DignityData {
+    sign: string;
+    domicile: boolean;
+    exaltation: boolean;
+    /** Triplicity ruler for the chart's sect */
+    triplicity: boolean;
+    term: boolean;
+    face: boolean;
+    detriment: boolean;
+    fall: boolean;
+    /** No domicile, exaltation, triplicity, term or face */
+    peregrine: boolean;
+    /** Lilly's essential dignity points */
+    score: number;
+    /** Strongest of the major dignities and debilities, if any */
+    dignity: 'rulership' | 'exaltation' | 'detriment' | 'fall' | null;
+    /** Rulers of the position by each dignity */
+    rulers: {
+        domicile: string[];
+        exaltation: string | null;
+        triplicity: string;
+        term: string;
+        face: string;
+    };
+}
+export interface ElementBalance {
+    elements: Record<SignData['element'], number>;
+    modalities: Record<SignData['modality'], number>;
+    dominant_element: SignData['element'];
+    dominant_modality: SignData['modality'];
+    missing_elements: Array<SignData['element']>;
+}
+export interface ChartPattern {
+    type: 'grand_cross' | 'grand_trine' | 't_square' | 'yod' | 'stellium';
+    planets: string[];
+    /** Focal planet of a T-Square or Yod */
+    apex?: string;
+    /** Element shared by a Grand Trine */
+    element?: SignData['element'];
+    /** Modality shared by a T-Square or Grand Cross */
+    modality?: SignData['modality'];
+    /** Sign or house a stellium occupies */
+    sign?: string;
+    house?: number;
+}
+export interface TimeZoneResolution {
+    zone: string;
+    offset_minutes: number;
+    utc_offset: string;
+    utc: string;
+    /** `ambiguous` and `nonexistent` flag wall times inside a DST transition */
+    status: 'valid' | 'ambiguous' | 'nonexistent';
+    /** The later occurrence's offset when `status` is `ambiguous` */
+    alternative_utc_offset?: string;
 }
 export interface PlanetData {
     longitude: number;
     sign: SignData;
     house: number;
     retrograde: boolean;
+    speed?: number;
 }
 export interface HouseData {
     cusp_longitude: number;
     sign: SignData;
 }
+export interface ChartAngle {
+    longitude: number;
+    sign: SignData;
+}
 export interface SignData {
     name: string;
     element: 'Fire' | 'Earth' | 'Air' | 'Water';
     modality: 'Cardinal' | 'Fixed' | 'Mutable';
     degree: number;
 }
+export type AspectType = 'conjunction' | 'sextile' | 'square' | 'trine' | 'opposition' | 'quincunx' | 'semi_sextile' | 'semi_square' | 'sesquiquadrate' | 'quintile';
 export interface AspectData {
     planet1: string;
     planet2: string;
-    type: 'conjunction' | 'sextile' | 'square' | 'trine' | 'opposition';
+    type: AspectType;
+    /** Actual separation in degrees, 0-180 */
     angle: number;
     harmonic: string;
+    /** Distance from the exact aspect angle in degrees */
+    orb?: number;
+    /** 1 when exact, falling to 0 at the edge of the allowed orb */
+    exactness?: number;
+    /** Moving toward exactness; null when a planet speed is unknown */
+    applying?: boolean | null;
 }
 export interface BirthData {
     date: string;
+    /** Local clock time, 'HH:MM' or 'HH:MM:SS' with optional fractional seconds */
     time: string;
     latitude: number;
     longitude: number;
-    timezone: number;
+    /** UTC offset in hours, or an IANA zone name such as 'Asia/Kolkata' */
+    timezone: number | string;
     location?: string;
+    /** Gazetteer place ID; fills in coordinates and time zone when those are omitted */
+    place_id?: string;
 }
 export interface AudioConfiguration {
     mode: 'sequential' | 'layered' | 'overlay' | 'sandbox' | 'melodic' | 'preview';
@@ -47,6 +203,8 @@ export interface AudioConfiguration {
     key?: string;
     genre?: GenreType;
     mood?: MoodType;
+    /** Seed of the composition; the same chart and seed always sound the same */
+    seed?: number;
 }
 export type GenreType = 'ambient' | 'folk' | 'jazz' | 'classical' | 'electronic' | 'rock' | 'blues' | 'world' | 'techno' | 'chill' | 'house' | 'pop' | 'synthwave' | 'world_fusion';
 export type MoodType = 'contemplative' | 'energetic' | 'melancholic' | 'uplifting' | 'mysterious' | 'peaceful' | 'passionate' | 'grounded';
@@ -94,6 +252,10 @@ export interface AudioSession {
     configuration: AudioConfiguration;
     isPlaying: boolean;
     currentHouse?: number;
+    /**
+     * Wall-clock time playback started, in ms since the epoch. Metadata only: it is
+     * not derived from the chart or seed and differs between otherwise identical sessions.
+     */
     startTime?: number;
     duration?: number;
     genre?: GenreType;
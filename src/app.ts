@@ -1,13 +1,21 @@
 import express from 'express';
 import cors from 'cors';
+import { createApiRouter, listRoutes, API_V1_PREFIX, STRIPE_WEBHOOK_PATH } from './routes';
+import { errorHandler, speedLimiter } from './middleware/security';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 
 // Middleware
 app.use(cors());
+// Raw body for the Stripe webhook's signature check; express.json skips a body already read
+app.use(`${API_V1_PREFIX}${STRIPE_WEBHOOK_PATH}`, express.raw({ type: 'application/json' }));
 app.use(express.json());
 
+// Versioned REST API
+const apiRouter = createApiRouter();
+app.use(API_V1_PREFIX, speedLimiter, apiRouter);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -33,10 +41,14 @@ app.get('/', (req, res) => {
     endpoints: {
       health: '/health',
       test: '/api/test'
-    }
+    },
+    routes: listRoutes(apiRouter, API_V1_PREFIX)
   });
 });
 
+// Error handler must be registered after all routes
+app.use(errorHandler);
+
 // Start server
 app.listen(PORT, () => {
   console.log(`🚀 Astradio API running on port ${PORT}`);
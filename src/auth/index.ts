@@ -31,6 +31,11 @@ export interface AuthRequest extends Request {
 
 const JWT_SECRET = process.env.JWT_SECRET || 'astroaudio-secret-key-change-in-production';
 const JWT_EXPIRES_IN = '7d';
+// Comma-separated emails of the accounts allowed on admin endpoints
+const ADMIN_EMAILS = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(email => email.trim().toLowerCase())
+  .filter(email => email.length > 0);
 
 export class AuthService {
   /**
@@ -342,6 +347,24 @@ export class AuthService {
     }
   }
 
+  /**
+   * Whether a user may use admin endpoints
+   */
+  static isAdmin(user: User): boolean {
+    return ADMIN_EMAILS.includes(user.email.toLowerCase());
+  }
+
+  /**
+   * Middleware for admin endpoints; runs after authenticateToken
+   */
+  static async requireAdmin(req: AuthRequest, res: any, next: any): Promise<void> {
+    if (!req.user || !this.isAdmin(req.user)) {
+      return res.status(403).json({ success: false, error: 'Admin access required' });
+    }
+
+    next();
+  }
+
   /**
    * Optional authentication middleware
    */
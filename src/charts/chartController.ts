@@ -0,0 +1,74 @@
+import { Request, Response } from 'express';
+import { astroCore } from '../../packages/astro-core/dist';
+
+export class ChartController {
+  /**
+   * Generate a natal chart
+   * POST /charts
+   */
+  static async generateChart(req: Request, res: Response): Promise<void> {
+    try {
+      const { birth_data, options } = req.body;
+
+      const chart = await astroCore.generateChart(birth_data, {
+        houseSystem: options.house_system,
+        bodies: options.bodies,
+        zodiac: options.zodiac,
+        ayanamsa: options.ayanamsa
+      });
+
+      res.json({
+        success: true,
+        data: chart
+      });
+    } catch (error) {
+      console.error('Chart generation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate chart'
+      });
+    }
+  }
+
+  /**
+   * Generate a progressed, solar arc, solar return or lunar return chart
+   * POST /charts/predictive
+   */
+  static async generatePredictiveChart(req: Request, res: Response): Promise<void> {
+    try {
+      const { birth_data, technique, target_date, location, options } = req.body;
+      const chartOptions = {
+        houseSystem: options.house_system,
+        bodies: options.bodies,
+        zodiac: options.zodiac,
+        ayanamsa: options.ayanamsa
+      };
+
+      let chart;
+      switch (technique) {
+        case 'progressed':
+          chart = await astroCore.generateProgressedChart(birth_data, target_date, chartOptions);
+          break;
+        case 'solar_arc':
+          chart = await astroCore.generateSolarArcChart(birth_data, target_date, chartOptions);
+          break;
+        case 'solar_return':
+          chart = await astroCore.generateSolarReturn(birth_data, target_date, { ...chartOptions, location });
+          break;
+        default:
+          chart = await astroCore.generateLunarReturn(birth_data, target_date, { ...chartOptions, location });
+      }
+
+      res.json({
+        success: true,
+        data: chart
+      });
+    } catch (error) {
+      console.error(`Predictive chart generation failed (${req.body.technique}):`, error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate chart'
+      });
+    }
+  }
+}
@@ -90,8 +90,8 @@ CREATE TABLE IF NOT EXISTS user_exports (
     id TEXT PRIMARY KEY,
     user_id TEXT NOT NULL,
     session_id TEXT,
-    export_type TEXT NOT NULL, -- 'midi', 'mp3', 'wav', 'pdf', 'narration'
-    file_path TEXT,
+    export_type TEXT NOT NULL, -- 'midi', 'mp3', 'wav', 'flac', 'ogg', 'opus', 'pdf', 'narration', 'manifest'
+    file_path TEXT, -- '<archive>.zip/<entry>' for files bundled in a zip
     file_size INTEGER,
     download_count INTEGER DEFAULT 0,
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
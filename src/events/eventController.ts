@@ -0,0 +1,133 @@
+import { Request, Response } from 'express';
+import { EventService } from '../services/eventService';
+import {
+  EVENT_TYPES,
+  ZODIACS,
+  AYANAMSAS,
+  AstroEventType,
+  EventOptions
+} from '../../packages/astro-core/dist';
+
+const DAY_MS = 86400000;
+
+// Calculation is synchronous, so requests are held to a little over a year
+const MAX_RANGE_DAYS = 400;
+
+type ParsedQuery = { from: string; to: string; options: EventOptions } | { error: string };
+
+const isoDate = (time: number) => new Date(time).toISOString().split('T')[0];
+
+export class EventController {
+  /**
+   * Sky events between two dates, 30 days from `from` by default
+   * GET /events?from=YYYY-MM-DD&to=YYYY-MM-DD&types=&zodiac=&ayanamsa=
+   */
+  static async getEvents(req: Request, res: Response) {
+    const parsed = EventController.parseQuery(req, 0, 30);
+    if ('error' in parsed) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    try {
+      const events = EventService.getEvents(parsed.from, parsed.to, parsed.options);
+
+      res.json({
+        success: true,
+        data: {
+          from: parsed.from,
+          to: parsed.to,
+          events
+        }
+      });
+    } catch (error) {
+      console.error('Event calculation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to calculate events'
+      });
+    }
+  }
+
+  /**
+   * iCalendar feed of sky events, from 30 days ago to a year ahead by default
+   * GET /events.ics?from=&to=&types=&zodiac=&ayanamsa=
+   */
+  static async getCalendar(req: Request, res: Response) {
+    const parsed = EventController.parseQuery(req, -30, 365);
+    if ('error' in parsed) {
+      return res.status(400).json({
+        success: false,
+        error: parsed.error
+      });
+    }
+
+    try {
+      const events = EventService.getEvents(parsed.from, parsed.to, parsed.options);
+      const calendar = EventService.toICalendar(events);
+
+      res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+      res.setHeader('Content-Disposition', 'inline; filename="astradio-events.ics"');
+      res.send(calendar);
+    } catch (error) {
+      console.error('Event calendar generation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate event calendar'
+      });
+    }
+  }
+
+  /**
+   * Date range and event options from the query string. Missing dates default
+   * to offsets from today (`from`) and from `from` (`to`).
+   */
+  private static parseQuery(req: Request, fromOffsetDays: number, rangeDays: number): ParsedQuery {
+    const { from: fromParam, to: toParam, types, zodiac, ayanamsa } = req.query;
+
+    for (const value of [fromParam, toParam]) {
+      if (value !== undefined && (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value) || isNaN(Date.parse(value)))) {
+        return { error: 'Dates must be in YYYY-MM-DD format' };
+      }
+    }
+
+    const from = (fromParam as string | undefined) || isoDate(Date.now() + fromOffsetDays * DAY_MS);
+    const to = (toParam as string | undefined) || isoDate(Date.parse(from) + rangeDays * DAY_MS);
+    const days = (Date.parse(to) - Date.parse(from)) / DAY_MS;
+    if (days < 0) {
+      return { error: '`to` must not be before `from`' };
+    }
+    if (days > MAX_RANGE_DAYS) {
+      return { error: `Date range cannot exceed ${MAX_RANGE_DAYS} days` };
+    }
+
+    const options: EventOptions = {};
+
+    if (types !== undefined) {
+      const requested = typeof types === 'string' ? types.split(',').map(type => type.trim()) : [];
+      const unknown = requested.filter(type => !EVENT_TYPES.includes(type as AstroEventType));
+      if (requested.length === 0 || unknown.length > 0) {
+        return { error: `Unknown event type: ${unknown.join(', ') || types}. Valid types: ${EVENT_TYPES.join(', ')}` };
+      }
+      options.types = requested as AstroEventType[];
+    }
+
+    if (zodiac !== undefined) {
+      if (!ZODIACS.includes(zodiac as any)) {
+        return { error: `Zodiac must be one of: ${ZODIACS.join(', ')}` };
+      }
+      options.zodiac = zodiac as EventOptions['zodiac'];
+    }
+
+    if (ayanamsa !== undefined) {
+      if (!AYANAMSAS.includes(ayanamsa as any)) {
+        return { error: `Ayanamsa must be one of: ${AYANAMSAS.join(', ')}` };
+      }
+      options.ayanamsa = ayanamsa as EventOptions['ayanamsa'];
+    }
+
+    return { from, to, options };
+  }
+}
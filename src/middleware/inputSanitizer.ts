@@ -1,5 +1,7 @@
 import { Request, Response, NextFunction } from 'express';
 import { z } from 'zod';
+import { isValidTimeZone } from '../../packages/astro-core/dist/timezone';
+import { getPlace } from '../../packages/astro-core/dist/places';
 
 // Input sanitization utilities
 export const sanitizeString = (input: string): string => {
@@ -15,18 +17,22 @@ export const sanitizeString = (input: string): string => {
     .slice(0, 1000); // Limit length
 };
 
-// Sanitize birth data
+// Sanitize birth data. A known place_id fills in coordinates, timezone and
+// location that were left out.
 export const sanitizeBirthData = (data: any) => {
+  const place = typeof data.place_id === 'string' ? getPlace(sanitizeString(data.place_id)) : undefined;
   return {
     date: sanitizeString(data.date || ''),
     time: sanitizeString(data.time || ''),
-    location: sanitizeString(data.location || ''),
+    location: sanitizeString(data.location || (place ? `${place.name}, ${place.country}` : '')),
     latitude: typeof data.latitude === 'number' ? 
-      Math.max(-90, Math.min(90, data.latitude)) : 0,
+      Math.max(-90, Math.min(90, data.latitude)) : place ? place.latitude : 0,
     longitude: typeof data.longitude === 'number' ? 
-      Math.max(-180, Math.min(180, data.longitude)) : 0,
+      Math.max(-180, Math.min(180, data.longitude)) : place ? place.longitude : 0,
     timezone: typeof data.timezone === 'number' ? 
-      Math.max(-12, Math.min(14, data.timezone)) : 0
+      Math.max(-12, Math.min(14, data.timezone)) :
+      isValidTimeZone(data.timezone) ? data.timezone : place ? place.timezone : 0,
+    ...(place ? { place_id: place.id } : {})
   };
 };
 
@@ -54,10 +60,17 @@ export const enhancedBirthDataSchema = z.object({
   time: z.string()
     .regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/, 'Time must be in HH:MM format'),
   location: z.string().max(200, 'Location too long'),
-  latitude: z.number().min(-90).max(90),
-  longitude: z.number().min(-180).max(180),
-  timezone: z.number().min(-12).max(14).optional().default(0)
-});
+  latitude: z.number().min(-90).max(90).optional(),
+  longitude: z.number().min(-180).max(180).optional(),
+  timezone: z.union([
+    z.number().min(-12).max(14),
+    z.string().refine(isValidTimeZone, 'Unknown time zone')
+  ]).optional(),
+  place_id: z.string().max(200).refine(id => getPlace(id) !== undefined, 'Unknown place').optional()
+}).refine(
+  data => data.place_id !== undefined || (data.latitude !== undefined && data.longitude !== undefined),
+  { message: 'Provide latitude and longitude or a place_id', path: ['latitude'] }
+);
 
 export const enhancedChartGenerationSchema = z.object({
   birth_data: enhancedBirthDataSchema,
@@ -3,6 +3,10 @@ import slowDown from 'express-slow-down';
 import helmet from 'helmet';
 import { Request, Response, NextFunction } from 'express';
 import { z } from 'zod';
+import { isValidTimeZone } from '../../packages/astro-core/dist/timezone';
+import { getPlace } from '../../packages/astro-core/dist/places';
+import { getAllGenres } from '../../packages/audio-mappings/dist/genre-system';
+import { MAX_SEED } from '../../packages/audio-mappings/dist/random';
 
 // Rate limiting configuration
 export const createRateLimit = (windowMs: number = 15 * 60 * 1000, max: number = 100) => {
@@ -66,14 +70,71 @@ export const enhancedHelmet = helmet({
 export const birthDataSchema = z.object({
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
   time: z.string().regex(/^\d{2}:\d{2}$/, 'Time must be in HH:MM format'),
-  latitude: z.number().min(-90).max(90),
-  longitude: z.number().min(-180).max(180),
-  timezone: z.number().optional().default(0)
+  latitude: z.number().min(-90).max(90).optional(),
+  longitude: z.number().min(-180).max(180).optional(),
+  // Numeric UTC offset in hours or an IANA zone name resolved with DST for the birth date
+  timezone: z.union([
+    z.number(),
+    z.string().refine(isValidTimeZone, 'Unknown time zone')
+  ]).optional(),
+  // Gazetteer place from /places/search, in place of coordinates and timezone
+  place_id: z.string().max(200).refine(id => getPlace(id) !== undefined, 'Unknown place').optional()
+}).refine(
+  data => data.place_id !== undefined || (data.latitude !== undefined && data.longitude !== undefined),
+  { message: 'Provide latitude and longitude or a place_id', path: ['latitude'] }
+);
+
+// Bodies that can be requested individually through `options.bodies`
+const CHART_BODIES = [
+  'Sun', 'Moon', 'Mercury', 'Venus', 'Mars', 'Jupiter', 'Saturn', 'Uranus', 'Neptune', 'Pluto',
+  'NorthNode', 'SouthNode', 'Lilith', 'Chiron', 'Ceres', 'Pallas', 'Juno', 'Vesta', 'Eris'
+] as const;
+
+export const chartOptionsSchema = z.object({
+  house_system: z.enum(['placidus', 'koch', 'whole_sign', 'equal', 'porphyry']).optional().default('placidus'),
+  bodies: z.union([
+    z.enum(['classical', 'modern', 'extended', 'full']),
+    z.array(z.enum(CHART_BODIES)).min(1)
+  ]).optional().default('modern'),
+  zodiac: z.enum(['tropical', 'sidereal']).optional().default('tropical'),
+  ayanamsa: z.enum(['lahiri', 'raman', 'krishnamurti', 'fagan_bradley']).optional().default('lahiri')
 });
 
 export const chartGenerationSchema = z.object({
   birth_data: birthDataSchema,
-  mode: z.enum(['moments', 'overlay', 'sandbox']).optional().default('moments')
+  mode: z.enum(['moments', 'overlay', 'sandbox']).optional().default('moments'),
+  options: chartOptionsSchema.optional().default({})
+});
+
+export const predictiveChartSchema = z.object({
+  birth_data: birthDataSchema,
+  technique: z.enum(['progressed', 'solar_arc', 'solar_return', 'lunar_return']),
+  // Progressions and directions are for this date; returns are the first on or after it
+  target_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
+  // Where solar and lunar returns are cast, defaulting to the birth place
+  location: z.union([
+    z.object({
+      latitude: z.number().min(-90).max(90),
+      longitude: z.number().min(-180).max(180)
+    }),
+    z.object({
+      place_id: z.string().max(200).refine(id => getPlace(id) !== undefined, 'Unknown place')
+    })
+  ]).optional(),
+  options: chartOptionsSchema.optional().default({})
+});
+
+// One side of a relationship chart: birth data, or a user whose stored birth chart is used
+const chartSubjectSchema = z.union([
+  z.object({ birth_data: birthDataSchema }),
+  z.object({ user_id: z.string().min(1) })
+]);
+
+export const relationshipSchema = z.object({
+  charts: z.array(chartSubjectSchema).length(2, 'Provide exactly two charts'),
+  options: chartOptionsSchema.optional().default({}),
+  genre: z.string().refine(genre => (getAllGenres() as string[]).includes(genre), 'Unknown genre').optional(),
+  seed: z.number().int().min(0).max(MAX_SEED).optional()
 });
 
 export const audioGenerationSchema = z.object({
@@ -94,6 +155,12 @@ export const authSchema = z.object({
   displayName: z.string().optional()
 });
 
+// Login checks shape only; existing passwords may predate the length rule above
+export const loginSchema = z.object({
+  email: z.string().email('Invalid email format'),
+  password: z.string().min(1, 'Password is required').max(128, 'Password too long')
+});
+
 export const sessionSchema = z.object({
   title: z.string().max(100, 'Title too long'),
   description: z.string().max(500, 'Description too long').optional(),
@@ -0,0 +1,57 @@
+import { Request, Response } from 'express';
+import { searchPlaces, getPlace } from '../../packages/astro-core/dist/places';
+
+export class PlaceController {
+  /**
+   * Search the bundled gazetteer by name
+   * GET /places/search?q=&country=&limit=
+   */
+  static async search(req: Request, res: Response) {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+
+    if (query.length < 2) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query must be at least 2 characters'
+      });
+    }
+
+    try {
+      const places = searchPlaces(query, {
+        limit: Number(req.query.limit) || undefined,
+        country: typeof req.query.country === 'string' ? req.query.country : undefined
+      });
+
+      res.json({
+        success: true,
+        data: places
+      });
+    } catch (error) {
+      console.error('Place search failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to search places'
+      });
+    }
+  }
+
+  /**
+   * Get a place by ID
+   * GET /places/:id
+   */
+  static async getPlace(req: Request, res: Response) {
+    const place = getPlace(req.params.id);
+
+    if (!place) {
+      return res.status(404).json({
+        success: false,
+        error: 'Place not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: place
+    });
+  }
+}
@@ -0,0 +1,129 @@
+import { Response } from 'express';
+import { getDatabase } from '../database';
+import { AuthRequest } from '../auth';
+import { astroCore } from '../../packages/astro-core/dist';
+import { TransitService } from '../services/transitService';
+import { RelationshipService } from '../services/relationshipService';
+
+// Plans that include "Compare charts with friends"
+const COMPARE_PLANS = ['pro_monthly', 'pro_yearly'];
+
+type ChartSubject = { birth_data: any } | { user_id: string };
+
+type ResolvedCharts = { charts: [any, any] } | { status: number; error: string };
+
+export class RelationshipController {
+  /**
+   * Synastry between two charts
+   * POST /relationships/synastry
+   */
+  static async synastry(req: AuthRequest, res: Response) {
+    const resolved = await RelationshipController.resolveCharts(req);
+    if ('error' in resolved) {
+      return res.status(resolved.status).json({ success: false, error: resolved.error });
+    }
+
+    try {
+      const report = await RelationshipService.generateSynastry(resolved.charts[0], resolved.charts[1], req.body.genre, req.body.seed);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Synastry generation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate synastry'
+      });
+    }
+  }
+
+  /**
+   * Midpoint composite of two charts
+   * POST /relationships/composite
+   */
+  static async composite(req: AuthRequest, res: Response) {
+    const resolved = await RelationshipController.resolveCharts(req);
+    if ('error' in resolved) {
+      return res.status(resolved.status).json({ success: false, error: resolved.error });
+    }
+
+    try {
+      const report = await RelationshipService.generateComposite(resolved.charts[0], resolved.charts[1], req.body.genre, req.body.seed);
+
+      res.json({
+        success: true,
+        data: report
+      });
+    } catch (error) {
+      console.error('Composite generation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate composite chart'
+      });
+    }
+  }
+
+  /**
+   * Natal charts for both subjects. Stored charts of other users are only used
+   * with their consent, i.e. an accepted friendship, and need a Pro plan; their
+   * birth data is redacted before anything is computed or returned.
+   */
+  private static async resolveCharts(req: AuthRequest): Promise<ResolvedCharts> {
+    const { charts: subjects, options } = req.body as { charts: ChartSubject[]; options: any };
+    const chartOptions = {
+      houseSystem: options.house_system,
+      bodies: options.bodies,
+      zodiac: options.zodiac,
+      ayanamsa: options.ayanamsa
+    };
+    const charts: any[] = [];
+
+    for (const subject of subjects) {
+      if ('birth_data' in subject) {
+        try {
+          charts.push(await astroCore.generateChart(subject.birth_data, chartOptions));
+        } catch (error) {
+          console.error('Chart generation failed:', error);
+          return { status: 500, error: 'Failed to generate chart' };
+        }
+        continue;
+      }
+
+      if (!req.user) {
+        return { status: 401, error: 'Authentication required to compare stored charts' };
+      }
+
+      const db = await getDatabase();
+      if (subject.user_id !== req.user.id) {
+        if (!COMPARE_PLANS.includes(req.user.subscription_plan)) {
+          return { status: 403, error: 'Pro subscription required to compare charts with friends' };
+        }
+
+        const friendship = await db.get(
+          'SELECT * FROM friends WHERE ((user_id = ? AND friend_id = ?) OR (user_id = ? AND friend_id = ?)) AND status = ?',
+          [req.user.id, subject.user_id, subject.user_id, req.user.id, 'accepted']
+        );
+        if (!friendship) {
+          return { status: 403, error: 'You can only compare charts with your friends' };
+        }
+      }
+
+      const user = await db.get('SELECT * FROM users WHERE id = ?', [subject.user_id]);
+      const chart = user ? await TransitService.getNatalChart(user) : null;
+      if (!chart) {
+        return { status: 400, error: `User ${subject.user_id} has no birth chart` };
+      }
+      charts.push(subject.user_id === req.user.id ? chart : RelationshipService.redactChart(chart));
+    }
+
+    const [chart1, chart2] = charts;
+    if ((chart1.metadata.coordinate_system || 'tropical') !== (chart2.metadata.coordinate_system || 'tropical') ||
+        chart1.metadata.ayanamsa !== chart2.metadata.ayanamsa) {
+      return { status: 400, error: 'Both charts must use the same zodiac and ayanamsa' };
+    }
+
+    return { charts: [chart1, chart2] };
+  }
+}
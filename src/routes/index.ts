@@ -0,0 +1,129 @@
+import { Router, RequestHandler } from 'express';
+import { AuthService } from '../auth';
+import { AuthController } from '../auth/authController';
+import { SessionController } from '../sessions/sessionController';
+import { FriendController } from '../friends/friendController';
+import { SubscriptionController } from '../subscriptions/subscriptionController';
+import { ChartController } from '../charts/chartController';
+import { PlaceController } from '../places/placeController';
+import { TransitController } from '../transits/transitController';
+import { RelationshipController } from '../relationships/relationshipController';
+import { EventController } from '../events/eventController';
+import {
+  validateInput,
+  authSchema,
+  loginSchema,
+  sessionSchema,
+  chartGenerationSchema,
+  relationshipSchema,
+  predictiveChartSchema,
+  authLimit,
+  chartGenerationLimit,
+  exportLimit
+} from '../middleware/security';
+
+export interface RouteDescriptor {
+  method: string;
+  path: string;
+}
+
+// AuthService middlewares reference `this`, so they must stay bound when handed to express
+const requireAuth: RequestHandler = AuthService.authenticateToken.bind(AuthService) as RequestHandler;
+const optionalAuth: RequestHandler = AuthService.optionalAuth.bind(AuthService) as RequestHandler;
+const requireAdmin: RequestHandler = AuthService.requireAdmin.bind(AuthService) as RequestHandler;
+
+// Controllers declare narrower request types (AuthRequest, SessionRequest, ...)
+const handle = (handler: (req: any, res: any) => unknown): RequestHandler => {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res)).catch(next);
+  };
+};
+
+export const API_V1_PREFIX = '/api/v1';
+// Stripe signs the exact bytes it sends, so this path is parsed raw, not as JSON
+export const STRIPE_WEBHOOK_PATH = '/subscriptions/webhook';
+
+export function createApiRouter(): Router {
+  const router = Router();
+
+  // Auth
+  router.post('/auth/signup', authLimit, validateInput(authSchema), handle(AuthController.register));
+  router.post('/auth/login', authLimit, validateInput(loginSchema), handle(AuthController.login));
+  router.post('/auth/google', authLimit, handle(AuthController.googleAuth));
+  router.post('/auth/forgot-password', authLimit, handle(AuthController.requestPasswordReset));
+  router.post('/auth/reset-password', authLimit, handle(AuthController.resetPassword));
+  router.get('/auth/verify', handle(AuthController.verifyToken));
+  router.get('/auth/profile', requireAuth, handle(AuthController.getProfile));
+  router.put('/auth/profile', requireAuth, handle(AuthController.updateProfile));
+  router.post('/auth/change-password', requireAuth, handle(AuthController.changePassword));
+  router.post('/auth/logout', requireAuth, handle(AuthController.logout));
+  router.get('/auth/users/:id', optionalAuth, handle(AuthController.getUserById));
+
+  // Charts
+  router.post('/charts', chartGenerationLimit, optionalAuth, validateInput(chartGenerationSchema), handle(ChartController.generateChart));
+  router.post('/charts/predictive', chartGenerationLimit, optionalAuth, validateInput(predictiveChartSchema), handle(ChartController.generatePredictiveChart));
+
+  // Transits
+  router.get('/transits', chartGenerationLimit, requireAuth, handle(TransitController.getPersonalTransits));
+
+  // Relationships
+  router.post('/relationships/synastry', chartGenerationLimit, optionalAuth, validateInput(relationshipSchema), handle(RelationshipController.synastry));
+  router.post('/relationships/composite', chartGenerationLimit, optionalAuth, validateInput(relationshipSchema), handle(RelationshipController.composite));
+
+  // Sky events
+  router.get('/events', chartGenerationLimit, handle(EventController.getEvents));
+  router.get('/events.ics', chartGenerationLimit, handle(EventController.getCalendar));
+
+  // Places
+  router.get('/places/search', handle(PlaceController.search));
+  router.get('/places/:id', handle(PlaceController.getPlace));
+
+  // Sessions
+  router.get('/sessions/public', optionalAuth, handle(SessionController.getPublicSessions));
+  router.get('/sessions', requireAuth, handle(SessionController.getUserSessions));
+  router.post('/sessions', requireAuth, validateInput(sessionSchema), handle(SessionController.saveSession));
+  router.get('/sessions/:id', optionalAuth, handle(SessionController.getSession));
+  router.put('/sessions/:id', requireAuth, validateInput(sessionSchema.partial()), handle(SessionController.updateSession));
+  router.delete('/sessions/:id', requireAuth, handle(SessionController.deleteSession));
+  router.post('/sessions/:id/like', requireAuth, handle(SessionController.toggleLike));
+  router.post('/sessions/:id/exports/stems', exportLimit, requireAuth, handle(SessionController.exportStems));
+
+  // Friends
+  router.get('/friends', requireAuth, handle(FriendController.getFriends));
+  router.get('/friends/search', requireAuth, handle(FriendController.searchUsers));
+  router.post('/friends/requests', requireAuth, handle(FriendController.sendFriendRequest));
+  router.post('/friends/requests/:requestId/accept', requireAuth, handle(FriendController.acceptFriendRequest));
+  router.post('/friends/requests/:requestId/decline', requireAuth, handle(FriendController.declineFriendRequest));
+  router.get('/friends/:friendId/sessions', requireAuth, handle(FriendController.getFriendSessions));
+  router.delete('/friends/:friendId', requireAuth, handle(FriendController.removeFriend));
+
+  // Subscriptions
+  router.get('/subscriptions/plans', handle(SubscriptionController.getPlans));
+  router.get('/subscriptions/current', requireAuth, handle(SubscriptionController.getCurrentSubscription));
+  router.post('/subscriptions/checkout', requireAuth, handle(SubscriptionController.createCheckoutSession));
+  router.post('/subscriptions/complete-checkout', requireAuth, handle(SubscriptionController.completeCheckout));
+  router.post('/subscriptions/cancel', requireAuth, handle(SubscriptionController.cancelSubscription));
+  router.post('/subscriptions/downgrade', requireAuth, handle(SubscriptionController.downgradeToFree));
+  router.post('/subscriptions/check-access', requireAuth, handle(SubscriptionController.checkFeatureAccess));
+  router.get('/subscriptions/usage', requireAuth, handle(SubscriptionController.getUserUsage));
+  router.post('/subscriptions/track-usage', requireAuth, handle(SubscriptionController.trackUsage));
+  router.get('/subscriptions/analytics', requireAuth, requireAdmin, handle(SubscriptionController.getAnalytics));
+  router.post(STRIPE_WEBHOOK_PATH, handle(SubscriptionController.stripeWebhook));
+
+  return router;
+}
+
+/**
+ * List the routes registered on a router, for the API index
+ */
+export function listRoutes(router: Router, prefix: string = ''): RouteDescriptor[] {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(layer => {
+      const route = layer.route as any;
+      return Object.keys(route.methods).map(method => ({
+        method: method.toUpperCase(),
+        path: `${prefix}${route.path}`
+      }));
+    });
+}
@@ -1,9 +1,9 @@
 import { Request, Response } from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { getDatabase } from '../database';
-import { astroCore } from '../../packages/astro-core/dist';
+import { astroCore, eventsOnDate } from '../../packages/astro-core/dist';
 import { audioEngine } from '../../packages/audio-mappings/dist';
-import { generateMusicNarration } from '../../packages/audio-mappings/dist';
+import { generateMusicNarration, generateEventNarration } from '../../packages/audio-mappings/dist';
 
 export interface DailyChart {
   id: string;
@@ -32,14 +32,23 @@ export class DailyChartService {
     // Generate chart data
     const chartData = await astroCore.generateDailyChart(date);
     
-    // Generate audio configuration
-    const audioConfig = audioEngine.getAudioConfig(chartData);
+    // Lunations, eclipses, stations and ingresses on this date get a special arrangement
+    const events = eventsOnDate(date);
+
+    // Generate audio configuration, seeded by the date so everyone hears the same daily composition
+    const audioConfig = audioEngine.getAudioConfig(chartData, events, date);
     
     // Generate narration
-    const narration = generateMusicNarration(chartData, {
-      mode: 'melodic',
-      genre: 'electronic'
-    });
+    const narrationConfig = { mode: 'melodic' as const, genre: 'electronic' as any };
+    let narration: any = generateMusicNarration(chartData, narrationConfig);
+    if (events.length > 0) {
+      const eventNarration = generateEventNarration(events, narrationConfig);
+      narration = {
+        ...narration,
+        events: eventNarration,
+        fullNarration: `${eventNarration.fullNarration}\n\n${narration.fullNarration}`
+      };
+    }
 
     const dailyChart: DailyChart = {
       id: uuidv4(),
@@ -50,6 +59,12 @@ export class DailyChartService {
       created_at: new Date().toISOString()
     };
 
+    // Fallback charts are served but not persisted, so a later request can replace them
+    if (chartData.metadata.degraded) {
+      console.warn(`⚠️ Daily chart for ${date} served by fallback provider "${chartData.metadata.provider}", not caching`);
+      return dailyChart;
+    }
+
     // Save to database
     await db.run(
       `INSERT INTO daily_charts (id, date, chart_data, narration, audio_config, created_at) 
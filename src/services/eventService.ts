@@ -0,0 +1,96 @@
+import { calculateEvents, eventTitle, AstroEvent, EventOptions } from '../../packages/astro-core/dist';
+
+export interface CalendarEvent extends AstroEvent {
+  title: string;
+}
+
+// RFC 5545 content lines are limited to 75 octets, excluding the line break
+const MAX_LINE_OCTETS = 75;
+
+function escapeText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+function foldLine(line: string): string {
+  const parts: string[] = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = Buffer.byteLength(char);
+    // Continuation lines start with a space, which counts towards the limit
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+function formatDateTime(iso: string): string {
+  return iso.replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+function describe(event: AstroEvent): string {
+  const position = `${event.body} at ${event.longitude.toFixed(2)}° (${event.sign})`;
+  return event.eclipse_type ? `${position}, ${event.eclipse_type} eclipse` : position;
+}
+
+export class EventService {
+  /**
+   * Lunations, eclipses, stations and ingresses between two UTC dates, each
+   * with a display title
+   */
+  static getEvents(from: string, to: string, options: EventOptions = {}): CalendarEvent[] {
+    console.log(`🌒 Calculating sky events from ${from} to ${to}`);
+
+    return calculateEvents(from, to, options).map(event => ({
+      ...event,
+      title: eventTitle(event)
+    }));
+  }
+
+  /**
+   * iCalendar (RFC 5545) feed of events. UIDs are derived from the event
+   * itself so calendar clients update entries instead of duplicating them.
+   */
+  static toICalendar(events: CalendarEvent[], name: string = 'Astradio Sky Events'): string {
+    const stamp = formatDateTime(new Date().toISOString());
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//Astradio//Sky Events//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    for (const event of events) {
+      const start = formatDateTime(event.datetime);
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.type}-${event.body.toLowerCase()}-${start.slice(0, 13)}@astradio`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART:${start}`,
+        `SUMMARY:${escapeText(event.title)}`,
+        `DESCRIPTION:${escapeText(describe(event))}`,
+        `CATEGORIES:${event.type.toUpperCase()}`,
+        'TRANSP:TRANSPARENT',
+        'END:VEVENT'
+      );
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+  }
+}
@@ -0,0 +1,99 @@
+import { v4 as uuidv4 } from 'uuid';
+import { getDatabase } from '../database';
+import { melodicGenerator, exportStemsInWorker } from '../../packages/audio-mappings/dist';
+import type { AudioFormat } from '../../packages/audio-mappings/dist';
+
+export interface UserExport {
+  id: string;
+  user_id: string;
+  session_id?: string;
+  export_type: string;
+  file_path?: string;
+  file_size?: number;
+  download_count: number;
+  created_at: string;
+}
+
+// SF2 file the renderer plays named instruments from; without one every
+// instrument is synthesized
+const SOUNDFONT_PATH = process.env.SOUNDFONT_PATH;
+
+export interface StemBundle {
+  filename: string;
+  buffer: Buffer;
+  exports: UserExport[];
+}
+
+export interface StemExportOptions {
+  audioFormat?: AudioFormat;
+  /** Display name tagged as the artist of the audio files */
+  artist?: string;
+}
+
+export class ExportService {
+  /**
+   * Stems bundle of a saved session: the melody is composed again from the
+   * stored chart and audio configuration (the same seed gives the same
+   * composition), rendered per planet on a worker thread and zipped. Every
+   * file in the zip is recorded as an export of the user.
+   */
+  static async exportStems(
+    userId: string,
+    session: { id: string; chart_data: any; audio_config?: any },
+    options: StemExportOptions = {}
+  ): Promise<StemBundle> {
+    console.log(`🎚️ Exporting stems of session ${session.id} for user ${userId}`);
+
+    const composition = await melodicGenerator.generateMelodicChart(session.chart_data, {
+      ...session.audio_config,
+      mode: 'melodic'
+    });
+    const result = await exportStemsInWorker(composition, session.chart_data, {
+      format: 'stems',
+      audioFormat: options.audioFormat,
+      artist: options.artist,
+      soundFont: SOUNDFONT_PATH
+    });
+    if (!result.success) {
+      throw new Error(result.error || 'Stem export failed');
+    }
+
+    const filename = `astroaudio-${session.id}-stems.zip`;
+    const exports: UserExport[] = [];
+    for (const file of result.data.files) {
+      exports.push(await this.recordExport(userId, session.id, file.type, `${filename}/${file.name}`, file.size));
+    }
+
+    return { filename, buffer: result.data.buffer, exports };
+  }
+
+  /**
+   * Record one exported file in the user's export history
+   */
+  static async recordExport(userId: string, sessionId: string | undefined, exportType: string, filePath: string, fileSize: number): Promise<UserExport> {
+    const db = await getDatabase();
+
+    const record: UserExport = {
+      id: uuidv4(),
+      user_id: userId,
+      session_id: sessionId,
+      export_type: exportType,
+      file_path: filePath,
+      file_size: fileSize,
+      download_count: 0,
+      created_at: new Date().toISOString()
+    };
+
+    await db.run(
+      `INSERT INTO user_exports (
+        id, user_id, session_id, export_type, file_path, file_size, download_count, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        record.id, record.user_id, record.session_id, record.export_type,
+        record.file_path, record.file_size, record.download_count, record.created_at
+      ]
+    );
+
+    return record;
+  }
+}
@@ -0,0 +1,120 @@
+import { calculateSynastry, compositeChart } from '../../packages/astro-core/dist';
+import {
+  melodicGenerator,
+  generateCompatibilityNarration,
+  generateMusicNarration
+} from '../../packages/audio-mappings/dist';
+
+export interface SynastryReport {
+  charts: [any, any];
+  aspects: any[];
+  house_overlays: any;
+  composition: any;
+  narration: any;
+}
+
+export interface CompositeReport {
+  charts: [any, any];
+  composite_chart: any;
+  composition: any;
+  narration: any;
+}
+
+// Stands in for the birth moment of a chart whose owner has not shared it
+export const PRIVATE_BIRTH_DATETIME = 'private';
+
+export class RelationshipService {
+  /**
+   * Copy of another user's stored chart without the birth data behind it. The
+   * birth moment, time zone, angles and house cusps are dropped, and positions
+   * and the lunar phase are cut to whole degrees, since exact longitudes with the
+   * angles are enough to work the birth time and place back out. Friendship is
+   * consent to compare charts, not to disclose when and where someone was born.
+   * Without cusps, overlays into this chart and composite houses are left out.
+   */
+  static redactChart(chart: any): any {
+    const metadata = chart.metadata || {};
+    const { lunar_phase: phase, planetary_hour: hour, void_of_course: voidOfCourse, sect } = metadata;
+
+    const planets: Record<string, any> = {};
+    for (const [body, planet] of Object.entries<any>(chart.planets || {})) {
+      planets[body] = {
+        longitude: Math.floor(planet.longitude),
+        sign: { ...planet.sign, degree: Math.floor(planet.sign.degree) },
+        house: planet.house,
+        retrograde: planet.retrograde
+      };
+    }
+
+    return {
+      metadata: {
+        conversion_method: metadata.conversion_method,
+        ayanamsa_correction: metadata.ayanamsa_correction,
+        birth_datetime: PRIVATE_BIRTH_DATETIME,
+        coordinate_system: metadata.coordinate_system,
+        ...(metadata.ayanamsa ? { ayanamsa: metadata.ayanamsa } : {}),
+        ...(metadata.house_system ? { house_system: metadata.house_system } : {}),
+        ...(phase ? {
+          lunar_phase: { name: phase.name, angle: Math.floor(phase.angle), illumination: Math.round(phase.illumination * 100) / 100, waxing: phase.waxing }
+        } : {}),
+        ...(sect ? {
+          sect: { sect: sect.sect, light: sect.light, benefic: sect.benefic, malefic: sect.malefic }
+        } : {}),
+        ...(hour ? {
+          planetary_hour: { day_ruler: hour.day_ruler, hour_ruler: hour.hour_ruler, hour: hour.hour, daytime: hour.daytime, method: hour.method }
+        } : {}),
+        ...(voidOfCourse ? {
+          void_of_course: { active: voidOfCourse.active, sign: voidOfCourse.sign, next_sign: voidOfCourse.next_sign }
+        } : {})
+      },
+      planets,
+      houses: {},
+      ...(chart.analysis ? { analysis: chart.analysis } : {})
+    };
+  }
+
+  /**
+   * Cross-aspects and house overlays between two charts, with a duet of the
+   * two natal melodies and a compatibility narration
+   */
+  static async generateSynastry(chart1: any, chart2: any, genre: string = 'electronic', seed?: number): Promise<SynastryReport> {
+    console.log(`💞 Generating synastry for ${chart1.metadata.birth_datetime} and ${chart2.metadata.birth_datetime}`);
+
+    const synastry = calculateSynastry(chart1, chart2);
+    const config = { mode: 'overlay' as const, genre: genre as any, seed };
+
+    return {
+      charts: [chart1, chart2],
+      aspects: synastry.aspects,
+      house_overlays: synastry.house_overlays,
+      composition: await melodicGenerator.generateDualComposition(chart1, chart2, synastry.aspects, config),
+      narration: generateCompatibilityNarration(synastry.aspects, config)
+    };
+  }
+
+  /**
+   * Midpoint composite of two charts. The duet and compatibility narration come
+   * from the same cross-aspects as synastry; the narration adds a reading of
+   * the composite chart itself.
+   */
+  static async generateComposite(chart1: any, chart2: any, genre: string = 'electronic', seed?: number): Promise<CompositeReport> {
+    console.log(`💞 Generating composite for ${chart1.metadata.birth_datetime} and ${chart2.metadata.birth_datetime}`);
+
+    const composite = compositeChart(chart1, chart2);
+    const synastry = calculateSynastry(chart1, chart2);
+    const config = { mode: 'overlay' as const, genre: genre as any, seed };
+    const compatibility = generateCompatibilityNarration(synastry.aspects, config);
+    const compositeNarration = generateMusicNarration(composite, config);
+
+    return {
+      charts: [chart1, chart2],
+      composite_chart: composite,
+      composition: await melodicGenerator.generateDualComposition(chart1, chart2, synastry.aspects, config),
+      narration: {
+        ...compatibility,
+        composite: compositeNarration,
+        fullNarration: `${compatibility.fullNarration}\n\n${compositeNarration.fullNarration}`
+      }
+    };
+  }
+}
@@ -1,6 +1,25 @@
+import Stripe from 'stripe';
 import { getDatabase } from '../database';
 import { v4 as uuidv4 } from 'uuid';
 
+// Stripe credentials; checkouts and webhooks are refused until they are set
+const STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY;
+const STRIPE_WEBHOOK_SECRET = process.env.STRIPE_WEBHOOK_SECRET;
+// Where Stripe sends the customer back after paying or cancelling
+const APP_URL = process.env.APP_URL || 'http://localhost:3000';
+
+let stripeClient: Stripe | null = null;
+
+function getStripe(): Stripe {
+  if (!STRIPE_SECRET_KEY) {
+    throw new Error('Stripe is not configured');
+  }
+  if (!stripeClient) {
+    stripeClient = new Stripe(STRIPE_SECRET_KEY, { apiVersion: '2023-10-16' });
+  }
+  return stripeClient;
+}
+
 export interface SubscriptionPlan {
   id: string;
   name: string;
@@ -36,6 +55,8 @@ export interface CheckoutSession {
   amount: number; // in cents
   status: 'pending' | 'completed' | 'failed';
   stripeSessionId?: string;
+  /** Stripe-hosted page where the customer pays */
+  checkoutUrl?: string;
   createdAt: Date;
 }
 
@@ -187,7 +208,8 @@ export class SubscriptionService {
   }
 
   /**
-   * Create checkout session for Stripe
+   * Create checkout session for Stripe. The Stripe session carries the user
+   * and our session ID, which completion checks against before upgrading.
    */
   static async createCheckoutSession(userId: string, planId: string): Promise<CheckoutSession> {
     const db = await getDatabase();
@@ -196,46 +218,132 @@ export class SubscriptionService {
     if (!plan) {
       throw new Error('Invalid plan');
     }
+    if (plan.price <= 0) {
+      throw new Error('The free plan needs no checkout');
+    }
+
+    const stripe = getStripe();
+    const user = await db.get('SELECT id, email, stripe_customer_id FROM users WHERE id = ?', [userId]);
+    if (!user) {
+      throw new Error('User not found');
+    }
+    let customerId: string = user.stripe_customer_id;
+    if (!customerId) {
+      const customer = await stripe.customers.create({ email: user.email, metadata: { user_id: userId } });
+      customerId = customer.id;
+      await db.run('UPDATE users SET stripe_customer_id = ?, updated_at = ? WHERE id = ?', [customerId, new Date().toISOString(), userId]);
+    }
 
     const sessionId = uuidv4();
+    const recurring = plan.interval === 'monthly' ? { interval: 'month' as const }
+      : plan.interval === 'yearly' ? { interval: 'year' as const } : undefined;
+    const stripeSession = await stripe.checkout.sessions.create({
+      mode: recurring ? 'subscription' : 'payment',
+      customer: customerId,
+      client_reference_id: userId,
+      metadata: { checkout_session_id: sessionId, plan_id: plan.id },
+      line_items: [{
+        quantity: 1,
+        price_data: {
+          currency: 'usd',
+          unit_amount: plan.price,
+          product_data: { name: plan.name },
+          recurring
+        }
+      }],
+      success_url: `${APP_URL}/checkout/success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${APP_URL}/checkout/cancelled`
+    });
+
     const checkoutSession: CheckoutSession = {
       id: sessionId,
       userId,
       planId,
       amount: plan.price,
       status: 'pending',
+      stripeSessionId: stripeSession.id,
+      checkoutUrl: stripeSession.url || undefined,
       createdAt: new Date()
     };
 
     await db.run(
-      'INSERT INTO checkout_sessions (id, user_id, plan_id, amount, status, created_at) VALUES (?, ?, ?, ?, ?, ?)',
-      [checkoutSession.id, checkoutSession.userId, checkoutSession.planId, checkoutSession.amount, checkoutSession.status, checkoutSession.createdAt.toISOString()]
+      'INSERT INTO checkout_sessions (id, user_id, plan_id, amount, status, stripe_session_id, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [checkoutSession.id, checkoutSession.userId, checkoutSession.planId, checkoutSession.amount, checkoutSession.status, checkoutSession.stripeSessionId, checkoutSession.createdAt.toISOString()]
     );
 
     return checkoutSession;
   }
 
   /**
-   * Complete checkout session (called by Stripe webhook)
+   * Complete a checkout the user returned from: the session is fetched from
+   * Stripe rather than trusted from the request, and must belong to the user
    */
-  static async completeCheckoutSession(sessionId: string, stripeSessionId: string): Promise<void> {
+  static async completeCheckoutSession(userId: string, sessionId: string, stripeSessionId: string): Promise<void> {
     const db = await getDatabase();
-    
-    const session = await db.get('SELECT * FROM checkout_sessions WHERE id = ?', [sessionId]);
-    if (!session) {
+
+    const session = await db.get('SELECT * FROM checkout_sessions WHERE id = ? AND user_id = ?', [sessionId, userId]);
+    if (!session || session.stripe_session_id !== stripeSessionId) {
       throw new Error('Checkout session not found');
     }
 
+    const stripeSession = await getStripe().checkout.sessions.retrieve(stripeSessionId);
+    await this.fulfillCheckout(stripeSession);
+  }
+
+  /**
+   * Verify and apply a Stripe webhook. Only signed events are accepted;
+   * completed checkouts upgrade the plan they were created for.
+   */
+  static async handleStripeWebhook(payload: Buffer, signature: string): Promise<string> {
+    if (!STRIPE_WEBHOOK_SECRET) {
+      throw new Error('Stripe webhooks are not configured');
+    }
+    const event = getStripe().webhooks.constructEvent(payload, signature, STRIPE_WEBHOOK_SECRET);
+
+    if (event.type === 'checkout.session.completed' || event.type === 'checkout.session.async_payment_succeeded') {
+      await this.fulfillCheckout(event.data.object as Stripe.Checkout.Session);
+    }
+    return event.type;
+  }
+
+  /**
+   * Upgrade the user of a paid Stripe checkout session once it matches the
+   * checkout we created: same user, customer and amount. Completing twice,
+   * from the redirect and the webhook, upgrades only once.
+   */
+  private static async fulfillCheckout(stripeSession: Stripe.Checkout.Session): Promise<void> {
+    const db = await getDatabase();
+
+    const sessionId = stripeSession.metadata?.checkout_session_id;
+    const session = sessionId ? await db.get('SELECT * FROM checkout_sessions WHERE id = ?', [sessionId]) : null;
+    if (!session || session.stripe_session_id !== stripeSession.id) {
+      throw new Error('Checkout session not found');
+    }
+    const user = await db.get('SELECT stripe_customer_id FROM users WHERE id = ?', [session.user_id]);
+    const customerId = typeof stripeSession.customer === 'string' ? stripeSession.customer : stripeSession.customer?.id;
+    if (stripeSession.client_reference_id !== session.user_id || !customerId || customerId !== user?.stripe_customer_id) {
+      throw new Error('Checkout session does not belong to this user');
+    }
+    if (stripeSession.status !== 'complete' || stripeSession.payment_status !== 'paid') {
+      throw new Error('Checkout session has not been paid');
+    }
+    if (stripeSession.amount_total !== session.amount) {
+      throw new Error('Checkout amount does not match the plan');
+    }
+
     const plan = this.getPlan(session.plan_id);
     if (!plan) {
       throw new Error('Invalid plan');
     }
 
-    // Update checkout session
-    await db.run(
-      'UPDATE checkout_sessions SET status = ?, stripe_session_id = ? WHERE id = ?',
-      ['completed', stripeSessionId, sessionId]
+    // Only the first completion of a pending session goes on to upgrade
+    const result = await db.run(
+      'UPDATE checkout_sessions SET status = ? WHERE id = ? AND status = ?',
+      ['completed', session.id, 'pending']
     );
+    if (!result.changes) {
+      return;
+    }
 
     // Update user subscription
     const endDate = new Date();
@@ -257,7 +365,7 @@ export class SubscriptionService {
     await this.logSubscriptionActivity(session.user_id, 'subscription_upgraded', {
       planId: plan.id,
       amount: session.amount,
-      sessionId
+      sessionId: session.id
     });
   }
 
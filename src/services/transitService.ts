@@ -0,0 +1,66 @@
+import { astroCore } from '../../packages/astro-core/dist';
+import { melodicGenerator, generateTransitNarration } from '../../packages/audio-mappings/dist';
+import { User } from '../auth';
+
+export interface PersonalTransits {
+  date: string;
+  natal_chart: any;
+  transit_chart: any;
+  aspects: any[];
+  composition: any;
+  narration: any;
+}
+
+export class TransitService {
+  /**
+   * Natal chart from a user's stored `birth_chart`, which holds either a
+   * generated chart or the birth data to cast one from
+   */
+  static async getNatalChart(user: User): Promise<any | null> {
+    if (!user.birth_chart) {
+      return null;
+    }
+
+    let stored: any;
+    try {
+      stored = JSON.parse(user.birth_chart);
+    } catch (error) {
+      console.warn(`⚠️ Stored birth chart for user ${user.id} is not valid JSON`);
+      return null;
+    }
+
+    if (stored?.planets) {
+      return stored;
+    }
+
+    const birthData = stored?.birth_data || stored;
+    if (birthData?.date && birthData?.time) {
+      return astroCore.generateChart(birthData);
+    }
+
+    return null;
+  }
+
+  /**
+   * Transits to a user's natal chart for a date, with the natal melody
+   * modulated by them and a narration of the active transits
+   */
+  static async generatePersonalTransits(natalChart: any, date: string, genre: string = 'electronic', seed?: number): Promise<PersonalTransits> {
+    console.log(`🪐 Generating transits for ${date}`);
+
+    const transits = await astroCore.generateTransits(natalChart, date);
+    const config = { mode: 'melodic' as const, genre: genre as any, seed };
+
+    const composition = await melodicGenerator.generateTransitComposition(natalChart, transits.aspects, config);
+    const narration = generateTransitNarration(transits.aspects, config);
+
+    return {
+      date,
+      natal_chart: natalChart,
+      transit_chart: transits.chart,
+      aspects: transits.aspects,
+      composition,
+      narration
+    };
+  }
+}
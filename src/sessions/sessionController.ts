@@ -2,6 +2,11 @@ import { Request, Response } from 'express';
 import { v4 as uuidv4 } from 'uuid';
 import { getDatabase } from '../database';
 import { User } from '../auth';
+import { ExportService } from '../services/exportService';
+import { SubscriptionService } from '../services/subscriptionService';
+import type { AudioFormat } from '../../packages/audio-mappings/dist';
+
+const STEM_AUDIO_FORMATS: AudioFormat[] = ['wav', 'flac', 'ogg', 'mp3', 'opus'];
 
 interface SessionRequest extends Request {
   user?: User;
@@ -473,4 +478,79 @@ export class SessionController {
       });
     }
   }
-} 
\ No newline at end of file
+
+  /**
+   * Download a zip of per-planet stems for remixing in a DAW, as WAV, FLAC or
+   * Ogg Vorbis (body `audio_format`, WAV by default)
+   * POST /sessions/:id/exports/stems
+   */
+  static async exportStems(req: SessionRequest, res: Response) {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+      }
+
+      const { id } = req.params;
+      const audioFormat: AudioFormat = req.body?.audio_format || 'wav';
+
+      if (!STEM_AUDIO_FORMATS.includes(audioFormat)) {
+        return res.status(400).json({
+          success: false,
+          error: `Audio format must be one of: ${STEM_AUDIO_FORMATS.join(', ')}`
+        });
+      }
+
+      const db = await getDatabase();
+
+      const session = await db.get('SELECT * FROM sessions WHERE id = ?', [id]);
+
+      if (!session) {
+        return res.status(404).json({
+          success: false,
+          error: 'Session not found'
+        });
+      }
+
+      if (!session.is_public && session.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied'
+        });
+      }
+
+      const hasAccess = await SubscriptionService.checkFeatureAccess(req.user.id, 'exports');
+      if (!hasAccess) {
+        return res.status(403).json({
+          success: false,
+          error: 'Export limit reached. Upgrade to Pro for unlimited exports.'
+        });
+      }
+
+      // Audio files are tagged with the display name of the session's owner
+      const owner = await db.get('SELECT display_name FROM users WHERE id = ?', [session.user_id]);
+
+      const bundle = await ExportService.exportStems(req.user.id, {
+        id: session.id,
+        chart_data: JSON.parse(session.chart_data),
+        audio_config: session.audio_config ? JSON.parse(session.audio_config) : undefined
+      }, {
+        audioFormat,
+        artist: owner?.display_name || undefined
+      });
+      await SubscriptionService.trackUsage(req.user.id, 'export_created');
+
+      res.setHeader('Content-Type', 'application/zip');
+      res.setHeader('Content-Disposition', `attachment; filename="${bundle.filename}"`);
+      res.send(bundle.buffer);
+    } catch (error) {
+      console.error('Stem export failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to export stems'
+      });
+    }
+  }
+}
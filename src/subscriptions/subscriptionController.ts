@@ -1,4 +1,5 @@
 import { Request, Response } from 'express';
+import Stripe from 'stripe';
 import { SubscriptionService, SUBSCRIPTION_PLANS } from '../services/subscriptionService';
 import { AuthRequest } from '../auth';
 import { z } from 'zod';
@@ -89,16 +90,14 @@ export class SubscriptionController {
         validatedData.planId
       );
 
-      // In production, you would create a Stripe checkout session here
-      // For now, we'll return the session data
       res.json({
         success: true,
         data: {
           sessionId: checkoutSession.id,
+          stripeSessionId: checkoutSession.stripeSessionId,
           amount: checkoutSession.amount,
           planId: checkoutSession.planId,
-          // In production, this would be a Stripe checkout URL
-          checkoutUrl: `/checkout/${checkoutSession.id}`
+          checkoutUrl: checkoutSession.checkoutUrl
         }
       });
     } catch (error) {
@@ -123,14 +122,24 @@ export class SubscriptionController {
   }
 
   /**
-   * Complete checkout session (called by Stripe webhook)
+   * Complete the user's checkout after Stripe redirects back; the payment is
+   * checked with Stripe before the plan changes
    * POST /subscriptions/complete-checkout
    */
-  static async completeCheckout(req: Request, res: Response): Promise<void> {
+  static async completeCheckout(req: AuthRequest, res: Response): Promise<void> {
     try {
+      if (!req.user) {
+        res.status(401).json({
+          success: false,
+          error: 'Authentication required'
+        });
+        return;
+      }
+
       const validatedData = completeCheckoutSchema.parse(req.body);
       
       await SubscriptionService.completeCheckoutSession(
+        req.user.id,
         validatedData.sessionId,
         validatedData.stripeSessionId
       );
@@ -347,8 +356,7 @@ export class SubscriptionController {
         return;
       }
 
-      // In production, you'd check if user is admin
-      // For now, we'll allow any authenticated user to see analytics
+      // Admin access is checked by the route
       const analytics = await SubscriptionService.getSubscriptionAnalytics();
 
       res.json({
@@ -364,32 +372,40 @@ export class SubscriptionController {
   }
 
   /**
-   * Simulate Stripe webhook (for development)
+   * Stripe webhook. The body arrives raw so its signature can be verified
+   * before any event is trusted.
    * POST /subscriptions/webhook
    */
   static async stripeWebhook(req: Request, res: Response): Promise<void> {
-    try {
-      const { sessionId, stripeSessionId } = req.body;
-      
-      if (!sessionId || !stripeSessionId) {
-        res.status(400).json({
-          success: false,
-          error: 'Session ID and Stripe session ID are required'
-        });
-        return;
-      }
+    const signature = req.headers['stripe-signature'];
+    if (typeof signature !== 'string' || !Buffer.isBuffer(req.body)) {
+      res.status(400).json({
+        success: false,
+        error: 'Signed webhook payload required'
+      });
+      return;
+    }
 
-      await SubscriptionService.completeCheckoutSession(sessionId, stripeSessionId);
+    try {
+      const eventType = await SubscriptionService.handleStripeWebhook(req.body, signature);
 
       res.json({
         success: true,
-        message: 'Webhook processed successfully'
+        received: eventType
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to process webhook'
-      });
+      if (error instanceof Stripe.errors.StripeSignatureVerificationError) {
+        res.status(400).json({
+          success: false,
+          error: 'Invalid webhook signature'
+        });
+      } else {
+        console.error('❌ Stripe webhook failed:', error);
+        res.status(500).json({
+          success: false,
+          error: 'Failed to process webhook'
+        });
+      }
     }
   }
-} 
\ No newline at end of file
+}
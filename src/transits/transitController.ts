@@ -0,0 +1,68 @@
+import { Response } from 'express';
+import { AuthRequest } from '../auth';
+import { TransitService } from '../services/transitService';
+import { getAllGenres, MAX_SEED } from '../../packages/audio-mappings/dist';
+
+export class TransitController {
+  /**
+   * Today's (or a given day's) transits to the user's birth chart
+   * GET /transits?date=YYYY-MM-DD&genre=&seed=
+   */
+  static async getPersonalTransits(req: AuthRequest, res: Response) {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'Authentication required'
+      });
+    }
+
+    const date = typeof req.query.date === 'string' ? req.query.date : new Date().toISOString().split('T')[0];
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+      return res.status(400).json({
+        success: false,
+        error: 'Date must be in YYYY-MM-DD format'
+      });
+    }
+
+    const genres: string[] = getAllGenres();
+    const requestedGenre = typeof req.query.genre === 'string' ? req.query.genre : undefined;
+    if (requestedGenre && !genres.includes(requestedGenre)) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown genre: ${requestedGenre}`
+      });
+    }
+    const genre = requestedGenre || (genres.includes(req.user.default_genre) ? req.user.default_genre : undefined);
+
+    const seed = req.query.seed === undefined ? undefined : Number(req.query.seed);
+    if (seed !== undefined && (!Number.isInteger(seed) || seed < 0 || seed > MAX_SEED)) {
+      return res.status(400).json({
+        success: false,
+        error: `Seed must be an integer from 0 to ${MAX_SEED}`
+      });
+    }
+
+    try {
+      const natalChart = await TransitService.getNatalChart(req.user);
+      if (!natalChart) {
+        return res.status(400).json({
+          success: false,
+          error: 'Add your birth chart to your profile to see personal transits'
+        });
+      }
+
+      const transits = await TransitService.generatePersonalTransits(natalChart, date, genre, seed);
+
+      res.json({
+        success: true,
+        data: transits
+      });
+    } catch (error) {
+      console.error('Transit generation failed:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Failed to generate transits'
+      });
+    }
+  }
+}